@@ -1,78 +1,61 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { 
   PieChart, Pie, Cell, Tooltip as RechartsTooltip, ResponsiveContainer, 
-  BarChart, Bar, XAxis, YAxis, CartesianGrid, Legend 
+  XAxis, YAxis, CartesianGrid, Legend,
+  LineChart, Line, ReferenceLine
 } from 'recharts';
 import { 
-  Calculator, ChevronDown, ChevronUp, Download, Info, 
+  Calculator, 
   IndianRupee, TrendingDown, PiggyBank, Calendar, 
-  CheckCircle2, AlertCircle, Save, Share2, Menu 
+  CheckCircle2
 } from 'lucide-react';
-
-// --- Utility Functions ---
-
-const formatCurrency = (value) => {
-  return new Intl.NumberFormat('en-IN', {
-    style: 'currency',
-    currency: 'INR',
-    maximumFractionDigits: 0,
-  }).format(value);
-};
-
-const formatCurrencyCompact = (value) => {
-  if (value >= 10000000) return `₹ ${(value / 10000000).toFixed(2)} Cr`;
-  if (value >= 100000) return `₹ ${(value / 100000).toFixed(2)} L`;
-  return formatCurrency(value);
-};
+import {
+  computeSchedule, comparePrepaymentModes, compareConstructionModes, compareRepaymentStructure,
+  PREPAYMENT_MODES, CONSTRUCTION_EMI_MODES, REPAYMENT_STRUCTURES,
+} from './utils/amortization';
+import {
+  DEFAULT_STATE, TAX_STATE_KEYS, CHARGE_STATE_KEYS, decodeState, encodeState, buildShareUrl, inputLimitsFor,
+} from './utils/shareState';
+import {
+  LOAN_TYPES, LOAN_TYPE_PROFILES, RATE_TYPES, loanTypeProfile, flatRateEmi, reducingRateFor,
+} from './utils/loanTypes';
+import { analyseJointTax, taxProfilesFromState } from './utils/tax';
+import { analyseCostOfBorrowing } from './utils/charges';
+import { formatCurrency, formatCurrencyCompact } from './utils/format';
+import InputSlider from './components/InputSlider';
+import AffordabilityPanel from './components/AffordabilityPanel';
+import GoalSeekPanel from './components/GoalSeekPanel';
+import RateRevisions from './components/RateRevisions';
+import LumpSumPrepayments from './components/LumpSumPrepayments';
+import PrepaymentGrowth from './components/PrepaymentGrowth';
+import LoanCharges from './components/LoanCharges';
+import ConstructionPlan from './components/ConstructionPlan';
+import RepaymentStructure from './components/RepaymentStructure';
+import PrepaymentStrategyComparison from './components/PrepaymentStrategyComparison';
+import ScheduleTable from './components/ScheduleTable';
+import ExportMenu from './components/ExportMenu';
+import ShareButton from './components/ShareButton';
+import ScenarioManager from './components/ScenarioManager';
+import ScenarioComparison from './components/ScenarioComparison';
+import TaxSettings from './components/TaxSettings';
+import TaxAnalysis from './components/TaxAnalysis';
+import BalanceTransfer from './components/BalanceTransfer';
+import LoanCharts from './components/LoanCharts';
+import OverdraftAccount from './components/OverdraftAccount';
+import PortfolioPlanner from './components/PortfolioPlanner';
+import RentVsBuy from './components/RentVsBuy';
+import StressTest from './components/StressTest';
+import StatementImport from './components/StatementImport';
+import PrepayVsInvest from './components/PrepayVsInvest';
+import { loadScenarios, saveScenario, deleteScenario, scenarioState } from './utils/scenarios';
+import { exportScheduleCsv, exportScheduleXlsx } from './utils/export';
+import { exportPdfReport } from './utils/pdfReport';
+import { currentMonthValue } from './utils/calendar';
+import { mergeStatementPlan } from './utils/statement';
 
 // --- Components ---
 
-const InputSlider = ({ label, value, onChange, min, max, step, unit, suffix = "" }) => {
-  const handleInputChange = (e) => {
-    const val = e.target.value === '' ? '' : Number(e.target.value);
-    onChange(val);
-  };
-
-  const handleBlur = () => {
-    if (value < min) onChange(min);
-    if (value > max * 2) onChange(max * 2); // Allow some flexibility above slider max
-  };
-
-  return (
-    <div className="mb-6">
-      <div className="flex flex-row justify-between items-center mb-3">
-        <label className="text-gray-700 font-semibold text-sm sm:text-base flex-1 mr-2">
-          {label}
-        </label>
-        <div className="flex items-center bg-indigo-50 rounded-lg border border-indigo-100 px-2 focus-within:ring-2 focus-within:ring-indigo-500 focus-within:bg-white transition-all">
-          {unit === '₹' && <span className="text-indigo-400 text-sm font-medium mr-1">₹</span>}
-          <input
-            type="number"
-            value={value}
-            onChange={handleInputChange}
-            onBlur={handleBlur}
-            className="w-24 sm:w-32 py-2 text-right bg-transparent font-bold text-indigo-700 focus:outline-none text-sm sm:text-base placeholder-indigo-300"
-            placeholder="0"
-          />
-          {suffix && <span className="text-indigo-400 text-sm font-medium ml-1">{suffix}</span>}
-        </div>
-      </div>
-      <input
-        type="range"
-        min={min}
-        max={max}
-        step={step}
-        value={typeof value === 'number' ? Math.min(value, max) : min}
-        onChange={(e) => onChange(Number(e.target.value))}
-        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-indigo-600 hover:accent-indigo-700 transition-all touch-action-manipulation"
-      />
-      <div className="flex justify-between text-xs text-gray-400 mt-2">
-        <span>{unit === '₹' ? formatCurrencyCompact(min) : `${min} ${suffix}`}</span>
-        <span>{unit === '₹' ? formatCurrencyCompact(max) : `${max} ${suffix}`}</span>
-      </div>
-    </div>
-  );
-};
+const pickKeys = (state, keys) => Object.fromEntries(keys.map((key) => [key, state[key]]));
 
 const StatCard = ({ title, value, subtext, icon: Icon, colorClass, highlight = false }) => (
   <div className={`p-5 rounded-2xl border transition-all duration-300 ${highlight ? 'bg-indigo-600 text-white border-indigo-600 shadow-lg' : 'bg-white border-gray-100 shadow-sm'}`}>
@@ -87,140 +70,138 @@ const StatCard = ({ title, value, subtext, icon: Icon, colorClass, highlight = f
 
 // --- Main Application ---
 
-export default function IndianHomeLoanCalculator() {
+export default function IndianLoanCalculator() {
   // --- State ---
-  const [loanAmount, setLoanAmount] = useState(5000000); // 50 Lakhs
-  const [interestRate, setInterestRate] = useState(8.5);
-  const [tenureYears, setTenureYears] = useState(20);
-  const [tenureMonths, setTenureMonths] = useState(0);
+  // Defaults, overridden by anything encoded in a shared link
+  const [initialState] = useState(() => ({
+    ...DEFAULT_STATE,
+    startMonth: currentMonthValue(),
+    ...decodeState(window.location.hash),
+  }));
+
+  const [loanType, setLoanType] = useState(initialState.loanType); // Home, car, personal or education
+  const [loanAmount, setLoanAmount] = useState(initialState.loanAmount);
+  const [interestRate, setInterestRate] = useState(initialState.interestRate); // As quoted, flat or reducing
+  const [rateType, setRateType] = useState(initialState.rateType);
+  const [tenureYears, setTenureYears] = useState(initialState.tenureYears);
+  const [tenureMonths, setTenureMonths] = useState(initialState.tenureMonths);
+  const [moratoriumMonths, setMoratoriumMonths] = useState(initialState.moratoriumMonths); // Education loans
+  const [startMonth, setStartMonth] = useState(initialState.startMonth); // First EMI, 'YYYY-MM'
+  const [rateChanges, setRateChanges] = useState(initialState.rateChanges); // Floating-rate revisions
+  const [disbursements, setDisbursements] = useState(initialState.disbursements); // Under-construction tranches
+  const [possessionMonth, setPossessionMonth] = useState(initialState.possessionMonth);
+  const [constructionEmiMode, setConstructionEmiMode] = useState(initialState.constructionEmiMode);
+  const [repaymentStructure, setRepaymentStructure] = useState(initialState.repaymentStructure); // Flat, stepped or custom EMI
+  const [emiStepPercent, setEmiStepPercent] = useState(initialState.emiStepPercent);
+  const [customEmis, setCustomEmis] = useState(initialState.customEmis);
   
   // Prepayment State
-  const [monthlyPrepayment, setMonthlyPrepayment] = useState(0);
-  const [annualPrepayment, setAnnualPrepayment] = useState(0);
-  const [prepaymentStartYear, setPrepaymentStartYear] = useState(1);
+  const [monthlyPrepayment, setMonthlyPrepayment] = useState(initialState.monthlyPrepayment);
+  const [annualPrepayment, setAnnualPrepayment] = useState(initialState.annualPrepayment);
+  const [prepaymentStartYear, setPrepaymentStartYear] = useState(initialState.prepaymentStartYear);
+  const [prepaymentEndYear, setPrepaymentEndYear] = useState(initialState.prepaymentEndYear); // 0: until closed
+  const [monthlyPrepaymentGrowth, setMonthlyPrepaymentGrowth] = useState(initialState.monthlyPrepaymentGrowth); // % a year
+  const [annualPrepaymentGrowth, setAnnualPrepaymentGrowth] = useState(initialState.annualPrepaymentGrowth);
+  const [monthlyPrepaymentCap, setMonthlyPrepaymentCap] = useState(initialState.monthlyPrepaymentCap); // 0: no cap
+  const [annualPrepaymentCap, setAnnualPrepaymentCap] = useState(initialState.annualPrepaymentCap);
+  const [lumpSums, setLumpSums] = useState(initialState.lumpSums); // One-off prepayments
+  const [prepaymentMode, setPrepaymentMode] = useState(initialState.prepaymentMode);
   
   // Settings
-  const [taxSlab, setTaxSlab] = useState(30); // 30% slab
-  const [activeTab, setActiveTab] = useState('summary');
+  const [taxSettings, setTaxSettings] = useState(() => pickKeys(initialState, TAX_STATE_KEYS)); // Income, regime, property
+  const [charges, setCharges] = useState(() => pickKeys(initialState, CHARGE_STATE_KEYS)); // Fees, insurance, foreclosure
+  const [activeTab, setActiveTab] = useState(initialState.activeTab);
+  const [schedulePeriod, setSchedulePeriod] = useState(initialState.schedulePeriod);
+  const [highlightedYear, setHighlightedYear] = useState(null); // Loan year hovered in the charts or the schedule
+  const [scenarios, setScenarios] = useState(() => loadScenarios());
   
   // --- Calculations ---
 
-  const calculations = useMemo(() => {
-    // Safety check for NaN
-    const safeLoanAmount = loanAmount || 0;
-    const safeRate = interestRate || 0;
-    const safeTenureYears = tenureYears || 0;
-    const safeTenureMonths = tenureMonths || 0;
-
-    const principal = safeLoanAmount;
-    const ratePerMonth = safeRate / 12 / 100;
-    const totalMonths = (safeTenureYears * 12) + safeTenureMonths;
-    
-    // Standard EMI Formula
-    let emi = 0;
-    if (ratePerMonth > 0 && totalMonths > 0) {
-        emi = Math.round((principal * ratePerMonth * Math.pow(1 + ratePerMonth, totalMonths)) / (Math.pow(1 + ratePerMonth, totalMonths) - 1));
-    }
-    
-    // --- Prepayment Scenario (This is now the SOURCE OF TRUTH for the schedule if prepayments exist) ---
-    
-    let prepayBalance = principal;
-    let prepayTotalInterest = 0;
-    let prepayMonths = 0;
-    let prepayYearlyData = []; 
-    
-    // Trackers for the loop
-    let ppCurrentYearInterest = 0;
-    let ppCurrentYearPrincipal = 0;
-    
-    // We run a loop that simulates month by month.
-    // If no prepayment, this loop behaves exactly like a standard loan.
-    // If prepayment exists, it finishes early.
-    // Limit loop to avoid infinite loops in edge cases (2x tenure is safe)
-    const maxLoop = totalMonths * 2 || 1200; 
-
-    for (let i = 1; i <= maxLoop; i++) { 
-      if (prepayBalance <= 0) break;
-
-      const interestForMonth = prepayBalance * ratePerMonth;
-      let monthlyPayment = emi;
-      
-      // Add Monthly Prepayment
-      if (i >= prepaymentStartYear * 12) {
-        monthlyPayment += (monthlyPrepayment || 0);
-      }
-      
-      // Add Annual Prepayment (in the 12th month of the year)
-      // Note: We check if it is the 12th month (i % 12 === 0) 
-      // AND if the current year count (i/12) is >= start year
-      if (i % 12 === 0 && (i / 12) >= prepaymentStartYear) {
-         monthlyPayment += (annualPrepayment || 0);
-      }
-
-      // Cap payment to balance (Last Month Logic)
-      let principalForMonth = monthlyPayment - interestForMonth;
-      
-      // If payment is more than balance + interest, we just pay off balance
-      if (monthlyPayment > (prepayBalance + interestForMonth)) {
-          monthlyPayment = prepayBalance + interestForMonth;
-          principalForMonth = prepayBalance;
-      }
-
-      prepayBalance -= principalForMonth;
-      prepayTotalInterest += interestForMonth;
-      prepayMonths++;
-      
-      ppCurrentYearInterest += interestForMonth;
-      ppCurrentYearPrincipal += principalForMonth;
-
-       // End of Year or End of Loan
-       if (i % 12 === 0 || prepayBalance <= 0.1) { // 0.1 float tolerance
-        // Tax Logic (Indian Context)
-        const taxSaveInterest = Math.min(ppCurrentYearInterest, 200000) * (taxSlab / 100);
-        const taxSavePrincipal = Math.min(ppCurrentYearPrincipal, 150000) * (taxSlab / 100);
-
-        prepayYearlyData.push({
-            year: Math.ceil(i/12),
-            principalPaid: Math.round(ppCurrentYearPrincipal),
-            interestPaid: Math.round(ppCurrentYearInterest),
-            balance: Math.max(0, Math.round(prepayBalance)),
-            taxSaved: Math.round(taxSaveInterest + taxSavePrincipal)
-        });
-        
-        // Reset yearly trackers
-        ppCurrentYearInterest = 0;
-        ppCurrentYearPrincipal = 0;
-       }
-    }
-
-    const prepayTotalAmount = principal + prepayTotalInterest;
-    
-    // --- Regular Loan Calculation (Just for comparison stats) ---
-    // We only need the total interest to calculate "Savings"
-    const standardTotalInterest = (emi * totalMonths) - principal;
-    
-    const savedInterest = Math.max(0, standardTotalInterest - prepayTotalInterest);
-    const savedMonths = Math.max(0, totalMonths - prepayMonths);
-    const savedYears = (savedMonths / 12).toFixed(1);
-
-    return {
-      emi,
-      totalInterest: standardTotalInterest, // Original Interest
-      totalAmount: principal + standardTotalInterest, // Original Total
-      
-      // The Schedule Data now comes from the Prepayment loop 
-      // because that is the "Actual" schedule the user will follow
-      finalSchedule: prepayYearlyData, 
-      
-      prepayTotalInterest,
-      prepayTotalAmount,
-      prepayMonths,
-      savedInterest,
-      savedYears,
-      savedMonths
-    };
+  const loanProfile = loanTypeProfile(loanType);
+  const limits = inputLimitsFor(loanType);
+
+  // Everything runs on the reducing-balance rate; a flat quote is converted first
+  const tenureInMonths = (Number(tenureYears) || 0) * 12 + (Number(tenureMonths) || 0);
+  const isFlatRate = rateType === RATE_TYPES.FLAT;
+  const reducingRate = reducingRateFor({ interestRate, rateType, tenureYears, tenureMonths });
+
+  const scheduleInputs = useMemo(() => ({
+    loanAmount,
+    interestRate: reducingRate,
+    tenureYears,
+    tenureMonths,
+    moratoriumMonths: loanProfile.hasMoratorium ? moratoriumMonths : 0,
+    monthlyPrepayment,
+    annualPrepayment,
+    prepaymentStartYear,
+    prepaymentEndYear,
+    monthlyPrepaymentGrowth,
+    annualPrepaymentGrowth,
+    monthlyPrepaymentCap,
+    annualPrepaymentCap,
+    prepaymentMode,
+    rateChanges,
+    lumpSums,
+    disbursements,
+    possessionMonth,
+    constructionEmiMode,
+    repaymentStructure,
+    emiStepPercent,
+    customEmis,
+  }), [
+    loanAmount, reducingRate, tenureYears, tenureMonths, loanProfile.hasMoratorium, moratoriumMonths, monthlyPrepayment, annualPrepayment, prepaymentStartYear, prepaymentEndYear,
+    monthlyPrepaymentGrowth, annualPrepaymentGrowth, monthlyPrepaymentCap, annualPrepaymentCap, prepaymentMode,
+    rateChanges, lumpSums, disbursements, possessionMonth, constructionEmiMode, repaymentStructure, emiStepPercent, customEmis,
+  ]);
+
+  const calculations = useMemo(() => computeSchedule(scheduleInputs), [scheduleInputs]);
+
+  // Tax under both regimes for each borrower, by financial year of the prepayment schedule
+  const taxProfiles = useMemo(() => taxProfilesFromState({ ...taxSettings, loanType }), [taxSettings, loanType]);
+  const taxAnalysis = useMemo(
+    () => analyseJointTax(calculations.months, startMonth, taxProfiles),
+    [calculations.months, startMonth, taxProfiles]
+  );
+
+  // Fees, insurance and foreclosure charges on top of interest, and the APR they add up to
+  const costOfBorrowing = useMemo(
+    () => analyseCostOfBorrowing(scheduleInputs, charges, startMonth),
+    [scheduleInputs, charges, startMonth]
+  );
+
+  // Everything a shared link restores, kept in the address bar as it changes
+  // (the rate as quoted, not its reducing-balance equivalent)
+  const shareableState = useMemo(
+    () => ({
+      ...scheduleInputs, interestRate, rateType, loanType, moratoriumMonths,
+      ...taxSettings, ...charges, startMonth, activeTab, schedulePeriod,
+    }),
+    [scheduleInputs, interestRate, rateType, loanType, moratoriumMonths, taxSettings, charges, startMonth, activeTab, schedulePeriod]
+  );
 
-  }, [loanAmount, interestRate, tenureYears, tenureMonths, monthlyPrepayment, annualPrepayment, prepaymentStartYear, taxSlab]);
+  useEffect(() => {
+    window.history.replaceState(null, '', `#${encodeState(shareableState)}`);
+  }, [shareableState]);
+
+  const hasPrepayment = monthlyPrepayment > 0 || annualPrepayment > 0 || lumpSums.some((lumpSum) => lumpSum.amount > 0);
+
+  // Both prepayment strategies side by side (only worth running when prepaying)
+  const strategyComparison = useMemo(
+    () => (hasPrepayment ? comparePrepaymentModes(scheduleInputs) : null),
+    [hasPrepayment, scheduleInputs]
+  );
+
+  // Stepped or custom EMIs against the flat EMI
+  const structureComparison = useMemo(
+    () => (repaymentStructure !== REPAYMENT_STRUCTURES.STANDARD ? compareRepaymentStructure(scheduleInputs) : null),
+    [repaymentStructure, scheduleInputs]
+  );
+
+  // Pre-EMI against full EMI (only when the property is under construction)
+  const constructionComparison = useMemo(
+    () => (disbursements.length > 0 ? compareConstructionModes(scheduleInputs) : null),
+    [disbursements.length, scheduleInputs]
+  );
 
   // --- Charts Data ---
   const pieData = [
@@ -233,11 +214,144 @@ export default function IndianHomeLoanCalculator() {
     { name: 'Interest', value: calculations.prepayTotalInterest, color: '#34D399' }, 
   ];
 
+  // Recurring prepayments actually paid each year, when they grow or stop early
+  const growingPrepayments = (monthlyPrepaymentGrowth > 0 || annualPrepaymentGrowth > 0 || prepaymentEndYear > 0)
+    ? calculations.years
+      .map((year) => ({ year: year.year, amount: year.prepaid - year.lumpSum }))
+      .filter((year) => year.amount > 0)
+    : [];
+
+  const emiSubtext = (() => {
+    if (calculations.repaymentStructure === REPAYMENT_STRUCTURES.STEP_UP) return `Rises ${emiStepPercent}% a year`;
+    if (calculations.repaymentStructure === REPAYMENT_STRUCTURES.STEP_DOWN) return `Falls ${emiStepPercent}% a year`;
+    if (calculations.repaymentStructure === REPAYMENT_STRUCTURES.CUSTOM) return 'First EMI of a custom plan';
+    if (calculations.construction?.emiMode === CONSTRUCTION_EMI_MODES.PRE_EMI) return 'From possession; interest-only pre-EMI until then';
+    if (calculations.moratorium) return `After a ${calculations.moratorium.months}-month moratorium, on principal + accrued interest`;
+    if (calculations.revisions.length === 0) return 'Fixed Monthly Payment';
+    if (calculations.finalEmi !== calculations.emi) return `Starting EMI, revised to ${formatCurrency(calculations.finalEmi)}`;
+    return `${calculations.revisions.length} rate revision(s), tenure adjusted`;
+  })();
+
   // --- UI Handlers ---
-  const handlePrint = () => {
-    window.print();
+  const applyState = (state) => {
+    setLoanType(state.loanType);
+    setLoanAmount(state.loanAmount);
+    setInterestRate(state.interestRate);
+    setRateType(state.rateType);
+    setTenureYears(state.tenureYears);
+    setTenureMonths(state.tenureMonths);
+    setMoratoriumMonths(state.moratoriumMonths);
+    setStartMonth(state.startMonth || currentMonthValue());
+    setRateChanges(state.rateChanges);
+    setDisbursements(state.disbursements);
+    setPossessionMonth(state.possessionMonth);
+    setConstructionEmiMode(state.constructionEmiMode);
+    setRepaymentStructure(state.repaymentStructure);
+    setEmiStepPercent(state.emiStepPercent);
+    setCustomEmis(state.customEmis);
+    setMonthlyPrepayment(state.monthlyPrepayment);
+    setAnnualPrepayment(state.annualPrepayment);
+    setPrepaymentStartYear(state.prepaymentStartYear);
+    setPrepaymentEndYear(state.prepaymentEndYear);
+    setMonthlyPrepaymentGrowth(state.monthlyPrepaymentGrowth);
+    setAnnualPrepaymentGrowth(state.annualPrepaymentGrowth);
+    setMonthlyPrepaymentCap(state.monthlyPrepaymentCap);
+    setAnnualPrepaymentCap(state.annualPrepaymentCap);
+    setLumpSums(state.lumpSums);
+    setPrepaymentMode(state.prepaymentMode);
+    setTaxSettings(pickKeys(state, TAX_STATE_KEYS));
+    setCharges(pickKeys(state, CHARGE_STATE_KEYS));
+    setSchedulePeriod(state.schedulePeriod);
+  };
+
+  // A new loan type starts from that product's usual amount, rate and tenure
+  const changeLoanType = (type) => {
+    const { defaults } = loanTypeProfile(type);
+    setLoanType(type);
+    setLoanAmount(defaults.loanAmount);
+    setInterestRate(defaults.interestRate);
+    setRateType(RATE_TYPES.REDUCING);
+    setTenureYears(defaults.tenureYears);
+    setTenureMonths(0);
+    setMoratoriumMonths(defaults.moratoriumMonths);
+    setPrepaymentStartYear((year) => Math.min(year, Math.max(1, defaults.tenureYears)));
+    setPrepaymentEndYear((year) => Math.min(year, defaults.tenureYears));
+    // Only a home can be under construction
+    if (type !== LOAN_TYPES.HOME) setDisbursements([]);
+  };
+
+  const applyPrepaymentGrowth = (patch) => {
+    if (patch.prepaymentEndYear !== undefined) setPrepaymentEndYear(patch.prepaymentEndYear);
+    if (patch.monthlyPrepaymentGrowth !== undefined) setMonthlyPrepaymentGrowth(patch.monthlyPrepaymentGrowth);
+    if (patch.annualPrepaymentGrowth !== undefined) setAnnualPrepaymentGrowth(patch.annualPrepaymentGrowth);
+    if (patch.monthlyPrepaymentCap !== undefined) setMonthlyPrepaymentCap(patch.monthlyPrepaymentCap);
+    if (patch.annualPrepaymentCap !== undefined) setAnnualPrepaymentCap(patch.annualPrepaymentCap);
   };
 
+  // Keep the last prepayment year on or after the first
+  const changePrepaymentStartYear = (year) => {
+    setPrepaymentStartYear(year);
+    if (prepaymentEndYear > 0 && prepaymentEndYear < year) setPrepaymentEndYear(year);
+  };
+
+  const applyStructure = (patch) => {
+    if (patch.repaymentStructure !== undefined) setRepaymentStructure(patch.repaymentStructure);
+    if (patch.emiStepPercent !== undefined) setEmiStepPercent(patch.emiStepPercent);
+    if (patch.customEmis !== undefined) setCustomEmis(patch.customEmis);
+  };
+
+  const applyConstruction = (patch) => {
+    if (patch.disbursements !== undefined) setDisbursements(patch.disbursements);
+    if (patch.possessionMonth !== undefined) setPossessionMonth(patch.possessionMonth);
+    if (patch.constructionEmiMode !== undefined) setConstructionEmiMode(patch.constructionEmiMode);
+  };
+
+  // Affordability mode hands back the sanctioned loan and tenure
+  const applyEligibility = ({ loanAmount: amount, tenureYears: years }) => {
+    setLoanAmount(amount);
+    setTenureYears(years);
+    setTenureMonths(0);
+    setPrepaymentStartYear((year) => Math.min(year, Math.max(1, years)));
+  };
+
+  // The statement import hands back the rate resets and part-payments the bank actually applied
+  // The statement replaces what was entered for the months it covers; later plans stay
+  const applyStatement = (imported, throughMonth) => {
+    const merged = mergeStatementPlan({ rateChanges, lumpSums }, imported, throughMonth);
+    setRateChanges(merged.rateChanges);
+    setLumpSums(merged.lumpSums);
+  };
+
+  const handleSaveScenario = (name) => setScenarios(saveScenario(name, shareableState));
+  const handleLoadScenario = (scenario) => applyState(scenarioState(scenario));
+  const handleDeleteScenario = (id) => setScenarios(deleteScenario(id));
+
+  const exportOptions = [
+    {
+      key: 'csv',
+      label: 'Schedule (CSV)',
+      description: 'Month-by-month amortization',
+      icon: 'sheet',
+      onSelect: () => exportScheduleCsv(calculations.months, startMonth),
+    },
+    {
+      key: 'xlsx',
+      label: 'Schedule (Excel)',
+      description: 'Same schedule as an .xlsx workbook',
+      icon: 'sheet',
+      onSelect: () => exportScheduleXlsx(calculations.months, startMonth),
+    },
+    {
+      key: 'pdf',
+      label: 'PDF Report',
+      description: 'Inputs, summary, savings, tax and charts',
+      icon: 'pdf',
+      onSelect: () => exportPdfReport({
+        inputs: { ...scheduleInputs, loanType, rateType, quotedRate: interestRate }, calculations, taxAnalysis, taxSettings, startMonth,
+      }),
+    },
+  ];
+
   return (
     <div className="min-h-screen bg-gray-50 font-sans text-gray-800 pb-10">
       
@@ -259,12 +373,8 @@ export default function IndianHomeLoanCalculator() {
               </span>
             </div>
             <div className="flex gap-2">
-               <button 
-                onClick={handlePrint}
-                className="flex items-center gap-1 sm:gap-2 px-3 py-1.5 text-xs sm:text-sm font-medium text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
-               >
-                 <Download size={14} className="sm:w-4 sm:h-4" /> <span className="hidden sm:inline">Export</span>
-               </button>
+               <ShareButton getUrl={() => buildShareUrl(shareableState)} />
+               <ExportMenu options={exportOptions} />
             </div>
           </div>
         </div>
@@ -277,32 +387,71 @@ export default function IndianHomeLoanCalculator() {
           {/* Left Column: Inputs */}
           <div className="lg:col-span-4 space-y-4 sm:space-y-6">
             
+            <AffordabilityPanel
+              interestRate={reducingRate}
+              maxTenureYears={limits.tenureYears.max}
+              loanType={loanType}
+              onApply={applyEligibility}
+            />
+
             {/* Base Loan Inputs */}
             <div className="bg-white p-5 sm:p-6 rounded-2xl shadow-sm border border-gray-100">
-              <h2 className="text-lg font-bold mb-6 flex items-center gap-2">
+              <h2 className="text-lg font-bold mb-4 flex items-center gap-2">
                 <Calculator className="text-indigo-600" size={20} /> Loan Details
               </h2>
+
+              <div className="grid grid-cols-4 gap-1 mb-6 bg-gray-100 p-1 rounded-lg">
+                {Object.entries(LOAN_TYPE_PROFILES).map(([type, profile]) => (
+                  <button
+                    key={type}
+                    onClick={() => type !== loanType && changeLoanType(type)}
+                    className={`py-1.5 text-xs sm:text-sm font-medium rounded-md transition-colors ${loanType === type ? 'bg-white text-indigo-700 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+                  >
+                    {profile.label}
+                  </button>
+                ))}
+              </div>
               
               <InputSlider 
                 label="Loan Amount" 
                 value={loanAmount} 
                 onChange={setLoanAmount} 
-                min={100000} 
-                max={50000000} 
-                step={50000} 
+                {...limits.loanAmount}
                 unit="₹" 
               />
               
               <InputSlider 
-                label="Interest Rate" 
+                label={isFlatRate ? 'Flat Interest Rate' : 'Interest Rate'}
                 value={interestRate} 
                 onChange={setInterestRate} 
-                min={1} 
-                max={15} 
-                step={0.1} 
+                {...limits.interestRate}
                 unit="%" 
                 suffix="%" 
               />
+
+              <div className="-mt-3 mb-6">
+                <div className="flex gap-2">
+                  {[
+                    { type: RATE_TYPES.REDUCING, label: 'Reducing balance' },
+                    { type: RATE_TYPES.FLAT, label: 'Flat rate' },
+                  ].map(({ type, label }) => (
+                    <button
+                      key={type}
+                      onClick={() => setRateType(type)}
+                      className={`flex-1 py-1.5 px-2 text-xs font-medium rounded-lg border transition-colors ${rateType === type ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-indigo-700 border-indigo-200 hover:bg-indigo-50'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                {isFlatRate && tenureInMonths > 0 && (
+                  <p className="mt-2 p-2 text-xs bg-amber-50 border border-amber-100 rounded-lg text-amber-800">
+                    {interestRate}% flat is really <span className="font-bold">{reducingRate}% a year</span> on a reducing balance:
+                    interest is charged on the full {formatCurrencyCompact(loanAmount)} all the way through, even as you repay it.
+                    EMI {formatCurrency(flatRateEmi(Number(loanAmount) || 0, Number(interestRate) || 0, tenureInMonths))}.
+                  </p>
+                )}
+              </div>
               
               {/* Custom Tenure Input Section */}
               <div className="mb-6">
@@ -318,7 +467,7 @@ export default function IndianHomeLoanCalculator() {
                           onChange={(e) => setTenureYears(Number(e.target.value))}
                           onBlur={() => {
                               if (tenureYears < 0) setTenureYears(0);
-                              if (tenureYears > 30) setTenureYears(30);
+                              if (tenureYears > limits.tenureYears.max) setTenureYears(limits.tenureYears.max);
                           }}
                           className="w-10 sm:w-16 py-2 text-right bg-transparent font-bold text-indigo-700 focus:outline-none text-sm sm:text-base placeholder-indigo-300"
                           placeholder="0"
@@ -345,7 +494,7 @@ export default function IndianHomeLoanCalculator() {
                 <input
                   type="range"
                   min={1}
-                  max={30}
+                  max={limits.tenureYears.max}
                   step={1}
                   value={tenureYears}
                   onChange={(e) => setTenureYears(Number(e.target.value))}
@@ -353,11 +502,71 @@ export default function IndianHomeLoanCalculator() {
                 />
                 <div className="flex justify-between text-xs text-gray-400 mt-2">
                   <span>1 Yr</span>
-                  <span>30 Yrs</span>
+                  <span>{limits.tenureYears.max} Yrs</span>
                 </div>
               </div>
+
+              {loanProfile.hasMoratorium && (
+                <>
+                  <InputSlider
+                    label="Moratorium (Months)"
+                    value={moratoriumMonths}
+                    onChange={setMoratoriumMonths}
+                    {...limits.moratoriumMonths}
+                    suffix="mos"
+                  />
+                  {calculations.moratorium && (
+                    <p className="-mt-3 mb-6 text-xs text-gray-500">
+                      Course period plus grace. No EMI until then; {formatCurrency(calculations.moratorium.accruedInterest)} of simple
+                      interest accrues and is added to the loan before the {tenureYears}-year repayment starts.
+                    </p>
+                  )}
+                </>
+              )}
+
+              <div className="flex flex-row justify-between items-center">
+                <label htmlFor="start-month" className="text-gray-700 font-semibold text-sm sm:text-base flex-1 mr-2">
+                  {disbursements.length > 0 ? 'First Disbursement' : 'First EMI'}
+                </label>
+                <input
+                  id="start-month"
+                  type="month"
+                  value={startMonth}
+                  onChange={(e) => setStartMonth(e.target.value || currentMonthValue())}
+                  className="bg-indigo-50 rounded-lg border border-indigo-100 px-2 py-2 font-bold text-indigo-700 text-sm sm:text-base focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:bg-white"
+                />
+              </div>
             </div>
 
+            <RepaymentStructure
+              structure={repaymentStructure}
+              stepPercent={emiStepPercent}
+              customEmis={customEmis}
+              flatEmi={structureComparison ? structureComparison.standard.emi : calculations.emi}
+              comparison={structureComparison}
+              onChange={applyStructure}
+            />
+
+            <RateRevisions
+              rateChanges={rateChanges}
+              onChange={setRateChanges}
+              interestRate={interestRate}
+              revisions={calculations.revisions}
+              truncated={calculations.truncated}
+            />
+
+            {loanType === LOAN_TYPES.HOME && (
+              <ConstructionPlan
+                disbursements={disbursements}
+                possessionMonth={possessionMonth}
+                emiMode={constructionEmiMode}
+                loanAmount={loanAmount}
+                startMonth={startMonth}
+                comparison={constructionComparison}
+                onChange={applyConstruction}
+              />
+            )}
+
             {/* Smart Prepayment Inputs */}
             <div className="bg-white p-5 sm:p-6 rounded-2xl shadow-sm border border-gray-100 relative overflow-hidden">
               <div className="absolute top-0 right-0 p-3 opacity-10 pointer-events-none">
@@ -373,9 +582,7 @@ export default function IndianHomeLoanCalculator() {
                 label="Extra Monthly" 
                 value={monthlyPrepayment} 
                 onChange={setMonthlyPrepayment} 
-                min={0} 
-                max={100000} 
-                step={1000} 
+                {...limits.monthlyPrepayment}
                 unit="₹" 
               />
 
@@ -383,49 +590,90 @@ export default function IndianHomeLoanCalculator() {
                 label="Extra Annual" 
                 value={annualPrepayment} 
                 onChange={setAnnualPrepayment} 
-                min={0} 
-                max={500000} 
-                step={10000} 
+                {...limits.annualPrepayment}
                 unit="₹" 
               />
               
               {(monthlyPrepayment > 0 || annualPrepayment > 0) && (
-                <div className="mt-4 p-3 bg-green-50 rounded-lg border border-green-100">
-                  <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center text-sm mb-1 gap-2">
-                    <span className="text-green-700 font-medium">Start Prepaying From Year:</span>
-                    <select 
-                      value={prepaymentStartYear} 
-                      onChange={(e) => setPrepaymentStartYear(Number(e.target.value))}
-                      className="bg-white border border-green-200 text-green-800 text-sm rounded-md p-1.5 focus:ring-green-500 focus:border-green-500 w-full sm:w-auto"
-                    >
-                      {[...Array(Math.max(1, tenureYears)).keys()].map(y => (
-                        <option key={y+1} value={y+1}>{y+1}</option>
-                      ))}
-                    </select>
+                <>
+                  <div className="mt-4 p-3 bg-green-50 rounded-lg border border-green-100">
+                    <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center text-sm mb-1 gap-2">
+                      <span className="text-green-700 font-medium">Start Prepaying From Year:</span>
+                      <select 
+                        value={prepaymentStartYear} 
+                        onChange={(e) => changePrepaymentStartYear(Number(e.target.value))}
+                        className="bg-white border border-green-200 text-green-800 text-sm rounded-md p-1.5 focus:ring-green-500 focus:border-green-500 w-full sm:w-auto"
+                      >
+                        {[...Array(Math.max(1, tenureYears)).keys()].map(y => (
+                          <option key={y+1} value={y+1}>{y+1}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                  <PrepaymentGrowth
+                    monthlyPrepayment={monthlyPrepayment}
+                    annualPrepayment={annualPrepayment}
+                    monthlyGrowth={monthlyPrepaymentGrowth}
+                    annualGrowth={annualPrepaymentGrowth}
+                    monthlyCap={monthlyPrepaymentCap}
+                    annualCap={annualPrepaymentCap}
+                    startYear={prepaymentStartYear}
+                    endYear={prepaymentEndYear}
+                    maxYear={Math.max(1, tenureYears)}
+                    onChange={applyPrepaymentGrowth}
+                  />
+                </>
+              )}
+
+              <LumpSumPrepayments
+                lumpSums={lumpSums}
+                onChange={setLumpSums}
+                maxYear={Math.ceil(calculations.regularMonths / 12) || tenureYears}
+              />
+
+              {hasPrepayment && (
+                <div className="mt-6">
+                  <h3 className="text-gray-700 font-semibold text-sm sm:text-base mb-3">After Each Prepayment</h3>
+                  <div className="grid grid-cols-2 gap-2">
+                    {[
+                      { mode: PREPAYMENT_MODES.REDUCE_TENURE, label: 'Reduce Tenure' },
+                      { mode: PREPAYMENT_MODES.REDUCE_EMI, label: 'Reduce EMI' },
+                    ].map(({ mode, label }) => (
+                      <button
+                        key={mode}
+                        onClick={() => setPrepaymentMode(mode)}
+                        className={`py-2 px-3 text-sm font-medium rounded-lg border transition-colors ${prepaymentMode === mode ? 'bg-green-600 text-white border-green-600' : 'bg-white text-green-700 border-green-200 hover:bg-green-50'}`}
+                      >
+                        {label}
+                      </button>
+                    ))}
                   </div>
                 </div>
               )}
             </div>
 
-            {/* Tax Settings */}
-             <div className="bg-white p-5 sm:p-6 rounded-2xl shadow-sm border border-gray-100">
-               <h2 className="text-lg font-bold mb-4 flex items-center gap-2">
-                 <Info className="text-blue-500" size={20} /> Tax Settings
-               </h2>
-               <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2">
-                 <label className="text-sm text-gray-600">Your Income Tax Slab</label>
-                 <select 
-                  value={taxSlab} 
-                  onChange={(e) => setTaxSlab(Number(e.target.value))}
-                  className="bg-gray-50 border border-gray-200 text-gray-900 text-sm rounded-lg focus:ring-indigo-500 focus:border-indigo-500 block p-2.5 w-full sm:w-auto"
-                 >
-                   <option value={0}>0% (Exempt)</option>
-                   <option value={10}>10%</option>
-                   <option value={20}>20%</option>
-                   <option value={30}>30%</option>
-                 </select>
-               </div>
-             </div>
+            <LoanCharges charges={charges} loanAmount={loanAmount} onChange={setCharges} />
+
+            <GoalSeekPanel
+              inputs={scheduleInputs}
+              loanType={loanType}
+              startMonth={startMonth}
+              onApply={(patch) => applyState({
+                ...shareableState,
+                // A solved rate is a reducing-balance rate
+                ...(patch.interestRate !== undefined && { rateType: RATE_TYPES.REDUCING }),
+                ...patch,
+              })}
+            />
+
+            <TaxSettings settings={taxSettings} loanType={loanType} onChange={setTaxSettings} analyses={taxAnalysis.borrowers} />
+
+            <ScenarioManager
+              scenarios={scenarios}
+              onSave={handleSaveScenario}
+              onLoad={handleLoadScenario}
+              onDelete={handleDeleteScenario}
+            />
 
           </div>
 
@@ -437,7 +685,7 @@ export default function IndianHomeLoanCalculator() {
               <StatCard 
                 title="Monthly EMI" 
                 value={formatCurrency(calculations.emi)} 
-                subtext="Fixed Monthly Payment"
+                subtext={emiSubtext}
                 icon={Calendar}
                 colorClass="text-gray-400"
                 highlight={true}
@@ -458,6 +706,35 @@ export default function IndianHomeLoanCalculator() {
               />
             </div>
 
+            {/* True Cost of Borrowing */}
+            <div className="bg-white p-4 sm:p-5 rounded-2xl shadow-sm border border-gray-100 grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+              <div>
+                <div className="text-gray-500">Headline Rate</div>
+                <div className="text-xl font-bold text-gray-800">{costOfBorrowing.headlineRate}%</div>
+              </div>
+              <div>
+                <div className="text-gray-500">APR</div>
+                <div className={`text-xl font-bold ${costOfBorrowing.hasCharges ? 'text-red-600' : 'text-gray-800'}`}>
+                  {costOfBorrowing.apr === null ? '—' : `${costOfBorrowing.apr}%`}
+                </div>
+                <div className="text-xs text-gray-400">XIRR {costOfBorrowing.xirr === null ? '—' : `${costOfBorrowing.xirr}%`} a year</div>
+              </div>
+              <div>
+                <div className="text-gray-500">Fees & Insurance</div>
+                <div className="text-xl font-bold text-gray-800">
+                  {formatCurrencyCompact(costOfBorrowing.processingFee + costOfBorrowing.otherCharges + costOfBorrowing.insurancePremium + costOfBorrowing.foreclosureCharges)}
+                </div>
+                {costOfBorrowing.foreclosureCharges > 0 && (
+                  <div className="text-xs text-gray-400">incl. {formatCurrencyCompact(costOfBorrowing.foreclosureCharges)} foreclosure</div>
+                )}
+              </div>
+              <div>
+                <div className="text-gray-500">Total Cost of Ownership</div>
+                <div className="text-xl font-bold text-indigo-700">{formatCurrencyCompact(costOfBorrowing.totalCost)}</div>
+                <div className="text-xs text-gray-400">Interest + all charges</div>
+              </div>
+            </div>
+
             {/* Prepayment Impact Banner - Shows only if savings exist */}
             {(calculations.savedInterest > 0) && (
               <div className="bg-gradient-to-r from-emerald-500 to-green-600 rounded-2xl p-5 sm:p-6 text-white shadow-lg transform transition-all hover:scale-[1.01]">
@@ -470,18 +747,55 @@ export default function IndianHomeLoanCalculator() {
                       Save {formatCurrencyCompact(calculations.savedInterest)}
                     </p>
                     <p className="text-emerald-100 text-sm mt-1">
-                      Loan finishes <span className="font-bold text-white">{calculations.savedYears} years</span> earlier!
+                      {calculations.prepaymentMode === PREPAYMENT_MODES.REDUCE_EMI
+                        ? <>EMI comes down to <span className="font-bold text-white">{formatCurrency(calculations.years[calculations.years.length - 1].emi)}</span> by the final year!</>
+                        : <>Loan finishes <span className="font-bold text-white">{calculations.savedYears} years</span> earlier!</>}
                     </p>
+                    {growingPrepayments.length > 0 && (
+                      <div className="mt-3">
+                        <div className="text-emerald-100 text-xs mb-1">Growing prepayments, year by year:</div>
+                        <div className="flex flex-wrap gap-1 justify-center md:justify-start">
+                          {growingPrepayments.map((year) => (
+                            <span key={year.year} className="text-xs bg-white/15 rounded px-1.5 py-0.5">
+                              Y{year.year} <span className="font-bold text-white">{formatCurrencyCompact(year.amount)}</span>
+                            </span>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                    {calculations.lumpSumSavings.length > 0 && (
+                      <ul className="text-emerald-50 text-xs mt-3 space-y-1">
+                        {calculations.recurringSavedInterest > 0 && (
+                          <li>Regular prepayments: <span className="font-bold text-white">{formatCurrencyCompact(calculations.recurringSavedInterest)}</span></li>
+                        )}
+                        {calculations.lumpSumSavings.map((lumpSum) => (
+                          <li key={lumpSum.id}>
+                            {formatCurrencyCompact(lumpSum.amount)} in Year {Math.ceil(lumpSum.month / 12)}, Month {((lumpSum.month - 1) % 12) + 1}:{' '}
+                            {lumpSum.applied > 0
+                              ? <span className="font-bold text-white">{formatCurrencyCompact(lumpSum.savedInterest)}</span>
+                              : 'loan already closed'}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
                   </div>
                   <div className="bg-white/20 p-4 rounded-xl backdrop-blur-sm border border-white/10 min-w-[200px] w-full md:w-auto">
                      <div className="text-xs text-emerald-100 uppercase tracking-wider mb-1">New Tenure</div>
                      <div className="text-2xl font-bold">{(calculations.prepayMonths/12).toFixed(1)} Years</div>
-                     <div className="text-xs text-emerald-50 mt-1">vs {tenureYears} Years originally</div>
+                     <div className="text-xs text-emerald-50 mt-1">vs {(calculations.regularMonths/12).toFixed(1)} Years originally</div>
                   </div>
                 </div>
               </div>
             )}
 
+            {strategyComparison && (
+              <PrepaymentStrategyComparison comparison={strategyComparison} selectedMode={prepaymentMode} startMonth={startMonth} />
+            )}
+
+            {(monthlyPrepayment > 0 || annualPrepayment > 0) && (
+              <PrepayVsInvest inputs={scheduleInputs} startMonth={startMonth} taxProfiles={taxProfiles} />
+            )}
+
             {/* Visual Analysis Tabs */}
             <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden min-h-[500px]">
               <div className="flex border-b overflow-x-auto">
@@ -503,6 +817,48 @@ export default function IndianHomeLoanCalculator() {
                 >
                   Tax Savings
                 </button>
+                <button 
+                   onClick={() => setActiveTab('compare')}
+                   className={`flex-1 py-4 px-4 text-sm font-medium whitespace-nowrap transition-colors ${activeTab === 'compare' ? 'text-indigo-600 border-b-2 border-indigo-600 bg-indigo-50/50' : 'text-gray-500 hover:text-gray-700'}`}
+                >
+                  Compare
+                </button>
+                <button 
+                   onClick={() => setActiveTab('transfer')}
+                   className={`flex-1 py-4 px-4 text-sm font-medium whitespace-nowrap transition-colors ${activeTab === 'transfer' ? 'text-indigo-600 border-b-2 border-indigo-600 bg-indigo-50/50' : 'text-gray-500 hover:text-gray-700'}`}
+                >
+                  Balance Transfer
+                </button>
+                <button 
+                   onClick={() => setActiveTab('overdraft')}
+                   className={`flex-1 py-4 px-4 text-sm font-medium whitespace-nowrap transition-colors ${activeTab === 'overdraft' ? 'text-indigo-600 border-b-2 border-indigo-600 bg-indigo-50/50' : 'text-gray-500 hover:text-gray-700'}`}
+                >
+                  Overdraft
+                </button>
+                <button 
+                   onClick={() => setActiveTab('portfolio')}
+                   className={`flex-1 py-4 px-4 text-sm font-medium whitespace-nowrap transition-colors ${activeTab === 'portfolio' ? 'text-indigo-600 border-b-2 border-indigo-600 bg-indigo-50/50' : 'text-gray-500 hover:text-gray-700'}`}
+                >
+                  All Loans
+                </button>
+                <button 
+                   onClick={() => setActiveTab('rentbuy')}
+                   className={`flex-1 py-4 px-4 text-sm font-medium whitespace-nowrap transition-colors ${activeTab === 'rentbuy' ? 'text-indigo-600 border-b-2 border-indigo-600 bg-indigo-50/50' : 'text-gray-500 hover:text-gray-700'}`}
+                >
+                  Rent vs Buy
+                </button>
+                <button 
+                   onClick={() => setActiveTab('stress')}
+                   className={`flex-1 py-4 px-4 text-sm font-medium whitespace-nowrap transition-colors ${activeTab === 'stress' ? 'text-indigo-600 border-b-2 border-indigo-600 bg-indigo-50/50' : 'text-gray-500 hover:text-gray-700'}`}
+                >
+                  Stress Test
+                </button>
+                <button 
+                   onClick={() => setActiveTab('statement')}
+                   className={`flex-1 py-4 px-4 text-sm font-medium whitespace-nowrap transition-colors ${activeTab === 'statement' ? 'text-indigo-600 border-b-2 border-indigo-600 bg-indigo-50/50' : 'text-gray-500 hover:text-gray-700'}`}
+                >
+                  Statement
+                </button>
               </div>
 
               <div className="p-4 sm:p-6">
@@ -561,76 +917,86 @@ export default function IndianHomeLoanCalculator() {
                         <div className="font-bold text-gray-700 text-xs sm:text-sm">{formatCurrencyCompact(calculations.prepayTotalAmount)}</div>
                       </div>
                     </div>
+
+                    <div className="md:col-span-2 mt-8">
+                      <LoanCharts
+                        calculations={calculations}
+                        startMonth={startMonth}
+                        highlightedYear={highlightedYear}
+                        onHighlight={setHighlightedYear}
+                        onSelectYear={(year) => {
+                          setHighlightedYear(year);
+                          setActiveTab('schedule');
+                        }}
+                      />
+                    </div>
+
+                    {calculations.revisions.length > 0 && (
+                      <div className="md:col-span-2 h-64 mt-8">
+                        <h4 className="text-center text-sm font-semibold text-gray-500 mb-4">Interest Rate Path</h4>
+                        <ResponsiveContainer width="100%" height="100%">
+                          <LineChart data={calculations.months}>
+                            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                            <XAxis dataKey="month" tick={{fontSize: 12}} />
+                            <YAxis domain={['auto', 'auto']} tickFormatter={(val) => `${val}%`} tick={{fontSize: 12}} />
+                            <RechartsTooltip formatter={(value) => `${value}%`} labelFormatter={(label) => `Month ${label}`} />
+                            {calculations.revisions.map((rev) => (
+                              <ReferenceLine key={rev.month} x={rev.month} stroke="#F97316" strokeDasharray="4 4" />
+                            ))}
+                            <Line type="stepAfter" dataKey="rate" name="Rate" stroke="#4F46E5" dot={false} strokeWidth={2} />
+                          </LineChart>
+                        </ResponsiveContainer>
+                      </div>
+                    )}
                   </div>
                 )}
 
                 {activeTab === 'schedule' && (
-                  <div className="overflow-x-auto -mx-4 sm:mx-0">
-                    <div className="min-w-full inline-block align-middle">
-                        <div className="border rounded-lg overflow-hidden">
-                            <table className="min-w-full text-sm text-left">
-                              <thead className="bg-gray-50 text-gray-600 font-medium">
-                                <tr>
-                                  <th className="px-4 py-3">Year</th>
-                                  <th className="px-4 py-3">Principal</th>
-                                  <th className="px-4 py-3">Interest</th>
-                                  <th className="px-4 py-3 text-right">Balance</th>
-                                </tr>
-                              </thead>
-                              <tbody className="divide-y divide-gray-100 bg-white">
-                                {calculations.finalSchedule.map((row) => (
-                                  <tr key={row.year} className="hover:bg-gray-50 transition-colors">
-                                    <td className="px-4 py-3 font-medium text-indigo-600 whitespace-nowrap">Year {row.year}</td>
-                                    <td className="px-4 py-3 whitespace-nowrap">{formatCurrency(row.principalPaid)}</td>
-                                    <td className="px-4 py-3 text-gray-500 whitespace-nowrap">{formatCurrency(row.interestPaid)}</td>
-                                    <td className="px-4 py-3 text-right font-mono whitespace-nowrap">{formatCurrency(row.balance)}</td>
-                                  </tr>
-                                ))}
-                              </tbody>
-                            </table>
-                        </div>
-                    </div>
-                  </div>
+                  <ScheduleTable
+                    months={calculations.months}
+                    startMonth={startMonth}
+                    period={schedulePeriod}
+                    onPeriodChange={setSchedulePeriod}
+                    highlightedYear={highlightedYear}
+                    onHighlight={setHighlightedYear}
+                  />
+                )}
+
+                {activeTab === 'compare' && (
+                  <ScenarioComparison scenarios={scenarios} />
                 )}
 
                 {activeTab === 'tax' && (
-                   <div className="space-y-6">
-                     <div className="bg-blue-50 p-4 rounded-xl border border-blue-100 flex items-start gap-3">
-                        <AlertCircle className="text-blue-600 mt-1 flex-shrink-0" size={20} />
-                        <div>
-                          <h4 className="font-bold text-blue-800 text-sm sm:text-base">Tax Benefit Estimation</h4>
-                          <p className="text-xs sm:text-sm text-blue-700 mt-1">
-                            Based on Old Tax Regime. Saves tax under Section 80C (Principal, max ₹1.5L) and Section 24b (Interest, max ₹2L).
-                          </p>
-                        </div>
-                     </div>
-
-                     <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                       <div className="p-4 border rounded-xl bg-gray-50">
-                         <div className="text-gray-500 text-sm mb-1">Max Yearly Principal Deduction</div>
-                         <div className="text-xl font-bold">₹ 1,50,000</div>
-                         <div className="text-xs text-gray-400 mt-1">Section 80C</div>
-                       </div>
-                       <div className="p-4 border rounded-xl bg-gray-50">
-                         <div className="text-gray-500 text-sm mb-1">Max Yearly Interest Deduction</div>
-                         <div className="text-xl font-bold">₹ 2,00,000</div>
-                         <div className="text-xs text-gray-400 mt-1">Section 24(b)</div>
-                       </div>
-                     </div>
-
-                     <h4 className="font-bold text-gray-700 mt-4">Yearly Tax Saving Schedule (Estimated)</h4>
-                     <div className="h-64 w-full">
-                        <ResponsiveContainer width="100%" height="100%">
-                          <BarChart data={calculations.finalSchedule.slice(0, 15)}>
-                            <CartesianGrid strokeDasharray="3 3" vertical={false} />
-                            <XAxis dataKey="year" tick={{fontSize: 12}} />
-                            <YAxis tickFormatter={(val) => `₹${val/1000}k`} tick={{fontSize: 12}} />
-                            <RechartsTooltip formatter={(value) => formatCurrency(value)} />
-                            <Bar dataKey="taxSaved" name="Tax Saved" fill="#818CF8" radius={[4, 4, 0, 0]} />
-                          </BarChart>
-                        </ResponsiveContainer>
-                     </div>
-                   </div>
+                  <TaxAnalysis
+                    jointAnalysis={taxAnalysis}
+                    propertyType={taxSettings.propertyType}
+                    revisions={calculations.revisions}
+                    startMonth={startMonth}
+                  />
+                )}
+
+                {activeTab === 'transfer' && (
+                  <BalanceTransfer calculations={calculations} inputs={scheduleInputs} startMonth={startMonth} />
+                )}
+
+                {activeTab === 'overdraft' && (
+                  <OverdraftAccount inputs={scheduleInputs} startMonth={startMonth} />
+                )}
+
+                {activeTab === 'portfolio' && (
+                  <PortfolioPlanner inputs={scheduleInputs} loanType={loanType} startMonth={startMonth} />
+                )}
+
+                {activeTab === 'rentbuy' && (
+                  <RentVsBuy calculations={calculations} inputs={scheduleInputs} startMonth={startMonth} taxProfiles={taxProfiles} loanType={loanType} />
+                )}
+
+                {activeTab === 'stress' && (
+                  <StressTest inputs={scheduleInputs} loanType={loanType} startMonth={startMonth} />
+                )}
+
+                {activeTab === 'statement' && (
+                  <StatementImport calculations={calculations} startMonth={startMonth} onApply={applyStatement} />
                 )}
               </div>
             </div>
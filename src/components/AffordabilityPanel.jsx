@@ -0,0 +1,149 @@
+import { useState, useMemo } from 'react';
+import { Wallet, ChevronDown, ChevronUp, UserPlus, Trash2, ArrowRight } from 'lucide-react';
+import InputSlider from './InputSlider';
+import { computeEligibility, DEFAULT_ELIGIBILITY, LIMITING_FACTORS } from '../utils/eligibility';
+import { loanTypeProfile } from '../utils/loanTypes';
+import { formatCurrency, formatCurrencyCompact } from '../utils/format';
+
+// --- Affordability Mode ---
+// Works out the loan a lender would sanction and feeds it into the calculator
+
+const LIMITS = {
+  netMonthlyIncome: { min: 0, max: 1000000, step: 5000 },
+  existingEmis: { min: 0, max: 300000, step: 1000 },
+  age: { min: 18, max: 70, step: 1 },
+  foir: { min: 30, max: 75, step: 5 },
+};
+
+const DEFAULT_CO_APPLICANT = { netMonthlyIncome: 50000, existingEmis: 0, age: 30 };
+
+const limitMessage = (limitedBy, collateral) => {
+  if (limitedBy === LIMITING_FACTORS.PROPERTY) {
+    return `Limited by the ${collateral.label.toLowerCase()}: lenders fund only part of it (LTV).`;
+  }
+  if (limitedBy === LIMITING_FACTORS.AGE) return 'No tenure left before retirement age.';
+  return 'Limited by income: EMIs can take at most the FOIR share of take-home pay.';
+};
+
+const EligibilityResult = ({ title, result, collateral, onApply }) => (
+  <div className="p-3 bg-indigo-50 rounded-lg border border-indigo-100">
+    <div className="text-xs text-indigo-500 uppercase tracking-wider mb-1">{title}</div>
+    <div className="text-2xl font-bold text-indigo-700">{formatCurrencyCompact(result.eligibleLoan)}</div>
+    <div className="text-xs text-gray-600 mt-1">
+      EMI {formatCurrency(result.emi)} for {result.tenureYears} years (up to {formatCurrency(result.maxEmi)} allowed)
+    </div>
+    <p className="text-xs text-gray-500 mt-2">{limitMessage(result.limitedBy, collateral)}</p>
+    {result.eligibleLoan > 0 && (
+      <button
+        onClick={() => onApply(result)}
+        className="mt-3 w-full flex items-center justify-center gap-2 py-2 px-3 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg transition-colors"
+      >
+        Use this loan <ArrowRight size={16} />
+      </button>
+    )}
+  </div>
+);
+
+const AffordabilityPanel = ({ interestRate, maxTenureYears, loanType, onApply }) => {
+  const [open, setOpen] = useState(false);
+  const [inputs, setInputs] = useState(DEFAULT_ELIGIBILITY);
+  // Property or car value and LTV, kept per loan type
+  const [collateralInputs, setCollateralInputs] = useState({});
+
+  const { collateral } = loanTypeProfile(loanType);
+  const collateralValues = useMemo(() => (collateral ? {
+    propertyValue: collateral.value.default,
+    ltv: collateral.ltv.default,
+    ...collateralInputs[loanType],
+  } : {}), [collateral, collateralInputs, loanType]);
+
+  const update = (field, value) => setInputs({ ...inputs, [field]: value });
+  const updateCoApplicant = (field, value) => update('coApplicant', { ...inputs.coApplicant, [field]: value });
+  const updateCollateral = (field, value) => setCollateralInputs({
+    ...collateralInputs, [loanType]: { ...collateralValues, [field]: value },
+  });
+
+  const eligibility = useMemo(
+    () => computeEligibility({ ...inputs, ...collateralValues }, interestRate, maxTenureYears, loanType),
+    [inputs, collateralValues, interestRate, maxTenureYears, loanType]
+  );
+
+  const apply = (result) => onApply({ loanAmount: result.eligibleLoan, tenureYears: result.tenureYears });
+
+  return (
+    <div className="bg-white p-5 sm:p-6 rounded-2xl shadow-sm border border-gray-100">
+      <button onClick={() => setOpen(!open)} className="w-full flex justify-between items-center text-left">
+        <span>
+          <span className="text-lg font-bold flex items-center gap-2">
+            <Wallet className="text-indigo-600" size={20} /> How Much Can I Borrow?
+          </span>
+          <span className="block text-sm text-gray-500 mt-1">Start from your income instead of a loan amount.</span>
+        </span>
+        {open ? <ChevronUp size={20} className="text-gray-400" /> : <ChevronDown size={20} className="text-gray-400" />}
+      </button>
+
+      {open && (
+        <div className="mt-6">
+          <InputSlider label="Net Monthly Income" value={inputs.netMonthlyIncome} onChange={(value) => update('netMonthlyIncome', value)} {...LIMITS.netMonthlyIncome} unit="₹" />
+          <InputSlider label="Existing EMIs" value={inputs.existingEmis} onChange={(value) => update('existingEmis', value)} {...LIMITS.existingEmis} unit="₹" />
+          <InputSlider label="Your Age" value={inputs.age} onChange={(value) => update('age', value)} {...LIMITS.age} suffix="Yrs" />
+          <InputSlider label="Lender FOIR" value={inputs.foir} onChange={(value) => update('foir', value)} {...LIMITS.foir} suffix="%" />
+          {collateral && (
+            <>
+              <InputSlider label={collateral.label} value={collateralValues.propertyValue} onChange={(value) => updateCollateral('propertyValue', value)} {...collateral.value} unit="₹" />
+              <InputSlider label="Lender LTV" value={collateralValues.ltv} onChange={(value) => updateCollateral('ltv', value)} {...collateral.ltv} suffix="%" />
+            </>
+          )}
+
+          <p className="text-xs text-gray-400 -mt-3 mb-6">
+            Uses the {interestRate}% reducing-balance rate from above. Tenure runs to age {inputs.retirementAge}, capped at {maxTenureYears} years;
+            {' '}{collateral ? (collateral.rbiBands ? 'RBI LTV caps apply.' : `the lender funds up to the LTV share of the ${collateral.label.toLowerCase()}.`) : 'sanctioned on income alone.'}
+          </p>
+
+          {inputs.coApplicant ? (
+            <div className="mb-6 p-3 rounded-xl border border-gray-100 bg-gray-50/50">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-gray-700 font-semibold text-sm sm:text-base">Co-applicant</h3>
+                <button
+                  onClick={() => update('coApplicant', null)}
+                  className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-md transition-colors"
+                  aria-label="Remove co-applicant"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+              <InputSlider label="Net Monthly Income" value={inputs.coApplicant.netMonthlyIncome} onChange={(value) => updateCoApplicant('netMonthlyIncome', value)} {...LIMITS.netMonthlyIncome} unit="₹" />
+              <InputSlider label="Existing EMIs" value={inputs.coApplicant.existingEmis} onChange={(value) => updateCoApplicant('existingEmis', value)} {...LIMITS.existingEmis} unit="₹" />
+              <InputSlider label="Age" value={inputs.coApplicant.age} onChange={(value) => updateCoApplicant('age', value)} {...LIMITS.age} suffix="Yrs" />
+            </div>
+          ) : (
+            <button
+              onClick={() => update('coApplicant', DEFAULT_CO_APPLICANT)}
+              className="w-full mb-6 flex items-center justify-center gap-2 py-2 px-3 text-sm font-medium text-indigo-700 bg-white border border-dashed border-indigo-200 hover:bg-indigo-50 rounded-lg transition-colors"
+            >
+              <UserPlus size={16} /> Add Co-applicant
+            </button>
+          )}
+
+          <div className="space-y-3">
+            <EligibilityResult title={eligibility.joint ? 'On Your Income Alone' : 'You Are Eligible For'} result={eligibility.solo} collateral={collateral} onApply={apply} />
+            {eligibility.joint && (
+              <>
+                <EligibilityResult title="With Co-applicant" result={eligibility.joint} collateral={collateral} onApply={apply} />
+                <p className="text-xs text-gray-500">
+                  {eligibility.coApplicantGain > 0
+                    ? <>The co-applicant adds <span className="font-bold text-green-700">{formatCurrencyCompact(eligibility.coApplicantGain)}</span> of eligibility.</>
+                    : eligibility.coApplicantGain < 0
+                      ? <>The co-applicant lowers eligibility by {formatCurrencyCompact(-eligibility.coApplicantGain)} (shorter tenure or existing EMIs).</>
+                      : 'The co-applicant does not change eligibility here.'}
+                </p>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AffordabilityPanel;
@@ -0,0 +1,197 @@
+import { useState, useMemo } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, Legend
+} from 'recharts';
+import { ArrowLeftRight, CheckCircle } from 'lucide-react';
+import NumberField from './NumberField';
+import { analyseBalanceTransfer, positionAfterMonth, DEFAULT_TRANSFER, TRANSFER_PATHS } from '../utils/balanceTransfer';
+import { dateForLoanMonth, formatMonthYear } from '../utils/calendar';
+import { formatCurrency, formatCurrencyCompact } from '../utils/format';
+
+// --- Balance Transfer Tab ---
+// Stay, switch lenders or renegotiate: what each costs over the remaining loan
+
+const PATH_LABELS = {
+  [TRANSFER_PATHS.STAY]: 'Stay as is',
+  [TRANSFER_PATHS.TRANSFER]: 'Transfer to new lender',
+  [TRANSFER_PATHS.RENEGOTIATE]: 'Renegotiate with current bank',
+};
+
+const PATH_COLORS = {
+  [TRANSFER_PATHS.STAY]: '#F87171',
+  [TRANSFER_PATHS.TRANSFER]: '#4F46E5',
+  [TRANSFER_PATHS.RENEGOTIATE]: '#10B981',
+};
+
+const SOURCES = { SCHEDULE: 'schedule', MANUAL: 'manual' };
+
+const formatBreakEven = (path) => {
+  if (path.key === TRANSFER_PATHS.STAY) return '—';
+  if (path.breakEvenMonth === null) return 'Never';
+  if (path.breakEvenMonth === 0) return 'Immediately';
+  return `${path.breakEvenMonth} mo`;
+};
+
+const BalanceTransfer = ({ calculations, inputs, startMonth }) => {
+  const [source, setSource] = useState(SOURCES.SCHEDULE);
+  const [afterMonth, setAfterMonth] = useState(Math.min(36, calculations.months.length - 1));
+  const [manual, setManual] = useState({ balance: 3000000, remainingMonths: 180, currentRate: Number(inputs.interestRate) || 0 });
+  const [options, setOptions] = useState(DEFAULT_TRANSFER);
+
+  const updateManual = (field, value) => setManual({ ...manual, [field]: value });
+  const updateOption = (field, value) => setOptions({ ...options, [field]: value });
+
+  // The month slider can outrun the schedule when the loan is shortened
+  const lastMonth = Math.max(0, calculations.months.length - 1);
+  const month = Math.min(Number(afterMonth) || 0, lastMonth);
+
+  const position = useMemo(() => {
+    if (source === SOURCES.MANUAL) {
+      return { balance: Number(manual.balance) || 0, remainingMonths: Number(manual.remainingMonths) || 0, rate: Number(manual.currentRate) || 0 };
+    }
+    return positionAfterMonth(calculations, inputs, month);
+  }, [source, manual, calculations, inputs, month]);
+
+  const analysis = useMemo(
+    () => analyseBalanceTransfer({ ...options, balance: position.balance, remainingMonths: position.remainingMonths, currentRate: position.rate }),
+    [options, position]
+  );
+
+  const [stay, transfer, renegotiate] = analysis.paths;
+  const best = analysis.paths.find((path) => path.key === analysis.best);
+
+  const chartData = useMemo(() => stay.months.map((row, index) => ({
+    month: row.month,
+    [TRANSFER_PATHS.STAY]: Math.round(row.closingBalance),
+    [TRANSFER_PATHS.TRANSFER]: Math.round(transfer.months[index]?.closingBalance ?? 0),
+    [TRANSFER_PATHS.RENEGOTIATE]: Math.round(renegotiate.months[index]?.closingBalance ?? 0),
+  })), [stay, transfer, renegotiate]);
+
+  const canAnalyse = position.balance > 0 && position.remainingMonths > 0;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-2">
+        <ArrowLeftRight className="text-indigo-600" size={20} />
+        <h3 className="text-lg font-bold text-gray-800">Balance Transfer</h3>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-3">
+          <h4 className="text-sm font-semibold text-gray-700">Your Loan Today</h4>
+          <div className="flex bg-gray-100 p-1 rounded-lg">
+            <button
+              onClick={() => setSource(SOURCES.SCHEDULE)}
+              className={`flex-1 py-1.5 px-3 rounded-md text-sm font-medium transition-all ${source === SOURCES.SCHEDULE ? 'bg-white text-indigo-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+            >
+              From schedule
+            </button>
+            <button
+              onClick={() => setSource(SOURCES.MANUAL)}
+              className={`flex-1 py-1.5 px-3 rounded-md text-sm font-medium transition-all ${source === SOURCES.MANUAL ? 'bg-white text-indigo-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+            >
+              Enter manually
+            </button>
+          </div>
+
+          {source === SOURCES.SCHEDULE ? (
+            <>
+              <NumberField id="bt-month" label="EMIs paid so far" value={afterMonth} onChange={setAfterMonth} suffix="mo" />
+              <p className="text-xs text-gray-500">
+                Outstanding after {formatMonthYear(dateForLoanMonth(startMonth, month))}: <span className="font-bold text-gray-700">{formatCurrency(position.balance)}</span> at {position.rate}% with {position.remainingMonths} months left.
+              </p>
+            </>
+          ) : (
+            <>
+              <NumberField id="bt-balance" label="Outstanding balance" value={manual.balance} onChange={(value) => updateManual('balance', value)} unit="₹" step={10000} />
+              <NumberField id="bt-remaining" label="Months remaining" value={manual.remainingMonths} onChange={(value) => updateManual('remainingMonths', value)} suffix="mo" />
+              <NumberField id="bt-current-rate" label="Current rate" value={manual.currentRate} onChange={(value) => updateManual('currentRate', value)} suffix="%" step={0.05} />
+            </>
+          )}
+        </div>
+
+        <div className="space-y-3">
+          <h4 className="text-sm font-semibold text-gray-700">New Lender</h4>
+          <NumberField id="bt-new-rate" label="Offered rate" value={options.newRate} onChange={(value) => updateOption('newRate', value)} suffix="%" step={0.05} />
+          <NumberField id="bt-fee" label="Processing fee" value={options.processingFeePercent} onChange={(value) => updateOption('processingFeePercent', value)} suffix="%" step={0.05} />
+          <NumberField id="bt-legal" label="Legal & valuation" value={options.legalCharges} onChange={(value) => updateOption('legalCharges', value)} unit="₹" step={1000} />
+          <NumberField id="bt-stamp" label="MOD / stamp charges" value={options.stampCharges} onChange={(value) => updateOption('stampCharges', value)} unit="₹" step={1000} />
+
+          <h4 className="text-sm font-semibold text-gray-700 pt-2">Current Bank</h4>
+          <NumberField id="bt-reneg-rate" label="Renegotiated rate" value={options.renegotiatedRate} onChange={(value) => updateOption('renegotiatedRate', value)} suffix="%" step={0.05} />
+          <NumberField id="bt-conversion" label="Conversion fee" value={options.conversionFee} onChange={(value) => updateOption('conversionFee', value)} unit="₹" step={1000} />
+        </div>
+      </div>
+
+      {canAnalyse ? (
+        <>
+          <div className={`p-4 rounded-xl border flex items-start gap-3 ${best.key === TRANSFER_PATHS.STAY ? 'bg-amber-50 border-amber-100' : 'bg-green-50 border-green-100'}`}>
+            <CheckCircle size={20} className={best.key === TRANSFER_PATHS.STAY ? 'text-amber-600 mt-0.5' : 'text-green-600 mt-0.5'} />
+            <p className="text-sm text-gray-700">
+              {best.key === TRANSFER_PATHS.STAY
+                ? 'Neither switching nor renegotiating recovers its costs over the remaining tenure. Staying put is cheapest.'
+                : <><span className="font-bold">{PATH_LABELS[best.key]}</span> saves <span className="font-bold text-green-700">{formatCurrency(best.netSavings)}</span> after costs, breaking even {best.breakEvenMonth ? `in month ${best.breakEvenMonth}` : 'immediately'}.</>}
+            </p>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3">Path</th>
+                  <th className="px-4 py-3 text-right">Rate</th>
+                  <th className="px-4 py-3 text-right">EMI</th>
+                  <th className="px-4 py-3 text-right">Interest Left</th>
+                  <th className="px-4 py-3 text-right">Costs</th>
+                  <th className="px-4 py-3 text-right">Net Savings</th>
+                  <th className="px-4 py-3 text-right">Break-even</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analysis.paths.map((path) => (
+                  <tr key={path.key} className={`border-b ${path.key === analysis.best ? 'bg-indigo-50/50 font-semibold' : 'bg-white'}`}>
+                    <td className="px-4 py-3 flex items-center gap-2">
+                      <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: PATH_COLORS[path.key] }} />
+                      {PATH_LABELS[path.key]}
+                    </td>
+                    <td className="px-4 py-3 text-right">{path.rate}%</td>
+                    <td className="px-4 py-3 text-right">{formatCurrency(path.emi)}</td>
+                    <td className="px-4 py-3 text-right">{formatCurrencyCompact(path.totalInterest)}</td>
+                    <td className="px-4 py-3 text-right">{formatCurrency(path.costs)}</td>
+                    <td className={`px-4 py-3 text-right ${path.netSavings > 0 ? 'text-green-700' : path.netSavings < 0 ? 'text-red-600' : ''}`}>
+                      {path.key === TRANSFER_PATHS.STAY ? '—' : formatCurrency(path.netSavings)}
+                    </td>
+                    <td className="px-4 py-3 text-right">{formatBreakEven(path)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="h-64">
+            <h4 className="text-center text-sm font-semibold text-gray-500 mb-4">Remaining Balance</h4>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis dataKey="month" tick={{fontSize: 12}} />
+                <YAxis tickFormatter={(val) => formatCurrencyCompact(val)} tick={{fontSize: 12}} width={70} />
+                <RechartsTooltip formatter={(value) => formatCurrency(value)} labelFormatter={(label) => `Month ${label} from today`} />
+                <Legend />
+                {analysis.paths.map((path) => (
+                  <Line key={path.key} type="monotone" dataKey={path.key} name={PATH_LABELS[path.key]} stroke={PATH_COLORS[path.key]} dot={false} strokeWidth={2} />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <p className="text-xs text-gray-400 pt-6">
+            All paths keep the same remaining tenure, so the lower rate shows up as a lower EMI. Costs are paid upfront; break-even is when the EMIs saved cover them.
+          </p>
+        </>
+      ) : (
+        <p className="text-sm text-gray-500">Enter an outstanding balance and remaining tenure to compare the options.</p>
+      )}
+    </div>
+  );
+};
+
+export default BalanceTransfer;
@@ -0,0 +1,199 @@
+import { useMemo } from 'react';
+import { Building2, Plus, Trash2 } from 'lucide-react';
+import { CONSTRUCTION_EMI_MODES } from '../utils/amortization';
+import { MAX_POSSESSION_MONTH } from '../utils/shareState';
+import { preConstructionClaim } from '../utils/tax';
+import { groupSchedule, loanMonthForDate, monthValueForLoanMonth, SCHEDULE_PERIODS } from '../utils/calendar';
+import { formatCurrency, formatCurrencyCompact } from '../utils/format';
+
+// --- Under-construction Property ---
+// Construction-linked tranches { id, month, amount }, possession and pre-EMI vs full EMI
+
+// A typical slab plan: booking, plinth, structure; the rest is released at possession
+const DEFAULT_PLAN = [
+  { month: 1, share: 0.2 },
+  { month: 7, share: 0.3 },
+  { month: 13, share: 0.3 },
+];
+const DEFAULT_POSSESSION_MONTH = 24;
+
+const monthInputClass = 'bg-white border border-amber-200 text-amber-800 font-bold rounded-md px-1 py-1 focus:outline-none focus:ring-2 focus:ring-amber-400';
+
+const ConstructionPlan = ({ disbursements, possessionMonth, emiMode, loanAmount, startMonth, comparison, onChange }) => {
+  const enabled = disbursements.length > 0;
+
+  const toLoanMonth = (value) => {
+    const month = loanMonthForDate(startMonth, value);
+    return month === null ? null : Math.min(MAX_POSSESSION_MONTH, Math.max(1, month));
+  };
+
+  const enable = () => onChange({
+    disbursements: DEFAULT_PLAN.map((tranche, index) => ({
+      id: index + 1,
+      month: tranche.month,
+      amount: Math.round((loanAmount * tranche.share) / 10000) * 10000,
+    })),
+    possessionMonth: DEFAULT_POSSESSION_MONTH,
+  });
+
+  const updateDisbursement = (id, field, value) => {
+    onChange({ disbursements: disbursements.map((item) => (item.id === id ? { ...item, [field]: value } : item)) });
+  };
+
+  const addDisbursement = () => {
+    const last = disbursements[disbursements.length - 1];
+    const month = Math.min(possessionMonth, (Number(last?.month) || 0) + 6);
+    onChange({ disbursements: [...disbursements, { id: Date.now(), month, amount: 500000 }] });
+  };
+
+  const removeDisbursement = (id) => {
+    onChange({ disbursements: disbursements.filter((item) => item.id !== id) });
+  };
+
+  const planned = disbursements.reduce((acc, item) => acc + (Number(item.amount) || 0), 0);
+  const atPossession = Math.max(0, loanAmount - planned);
+
+  const current = comparison ? comparison[emiMode] : null;
+  const claim = useMemo(
+    () => (current ? preConstructionClaim(groupSchedule(current.months, startMonth, SCHEDULE_PERIODS.FINANCIAL_YEAR)) : null),
+    [current, startMonth]
+  );
+
+  return (
+    <div className="bg-white p-5 sm:p-6 rounded-2xl shadow-sm border border-gray-100">
+      <div className="flex justify-between items-start gap-2 mb-2">
+        <h2 className="text-lg font-bold flex items-center gap-2">
+          <Building2 className="text-amber-500" size={20} /> Under Construction
+        </h2>
+        <button
+          onClick={enabled ? () => onChange({ disbursements: [] }) : enable}
+          className={`px-3 py-1.5 text-xs sm:text-sm font-medium rounded-lg transition-colors ${enabled ? 'bg-amber-100 text-amber-800 hover:bg-amber-200' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+        >
+          {enabled ? 'Ready property' : 'Add disbursement plan'}
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        {enabled
+          ? 'The loan is released in tranches as the building goes up. Month 1 is the first release.'
+          : 'Buying a flat that is still being built? Model the bank releasing the loan in stages.'}
+      </p>
+
+      {enabled && (
+        <>
+          <div className="flex bg-gray-100 p-1 rounded-lg mb-4">
+            <button
+              onClick={() => onChange({ constructionEmiMode: CONSTRUCTION_EMI_MODES.PRE_EMI })}
+              className={`flex-1 py-1.5 px-3 rounded-md text-sm font-medium transition-all ${emiMode === CONSTRUCTION_EMI_MODES.PRE_EMI ? 'bg-white text-amber-700 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+            >
+              Pre-EMI
+            </button>
+            <button
+              onClick={() => onChange({ constructionEmiMode: CONSTRUCTION_EMI_MODES.FULL_EMI })}
+              className={`flex-1 py-1.5 px-3 rounded-md text-sm font-medium transition-all ${emiMode === CONSTRUCTION_EMI_MODES.FULL_EMI ? 'bg-white text-amber-700 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+            >
+              Full EMI
+            </button>
+          </div>
+
+          <div className="space-y-2">
+            {disbursements.map((item) => (
+              <div key={item.id} className="flex items-center gap-2 p-2 bg-amber-50 rounded-lg border border-amber-100 text-sm">
+                <div className="flex items-center bg-white rounded-md border border-amber-200 px-2 flex-1 min-w-0">
+                  <span className="text-amber-500 font-medium mr-1">₹</span>
+                  <input
+                    type="number"
+                    min={0}
+                    step={50000}
+                    value={item.amount}
+                    onChange={(e) => updateDisbursement(item.id, 'amount', e.target.value === '' ? '' : Number(e.target.value))}
+                    className="w-full py-1 text-right bg-transparent font-bold text-amber-800 focus:outline-none"
+                    aria-label="Tranche amount"
+                  />
+                </div>
+                <input
+                  type="month"
+                  value={monthValueForLoanMonth(startMonth, Number(item.month) || 1)}
+                  onChange={(e) => {
+                    const month = toLoanMonth(e.target.value);
+                    if (month !== null) updateDisbursement(item.id, 'month', month);
+                  }}
+                  className={monthInputClass}
+                  aria-label="Release month"
+                />
+                <button
+                  onClick={() => removeDisbursement(item.id)}
+                  className="p-1 text-amber-400 hover:text-red-600 transition-colors"
+                  aria-label="Remove tranche"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <button
+            onClick={addDisbursement}
+            className="mt-3 flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-amber-700 bg-amber-50 hover:bg-amber-100 border border-amber-100 rounded-lg transition-colors"
+          >
+            <Plus size={14} /> Add Tranche
+          </button>
+
+          <div className="flex flex-row justify-between items-center mt-4">
+            <label htmlFor="possession-month" className="text-gray-700 font-semibold text-sm sm:text-base flex-1 mr-2">
+              Possession
+            </label>
+            <input
+              id="possession-month"
+              type="month"
+              value={monthValueForLoanMonth(startMonth, possessionMonth)}
+              onChange={(e) => {
+                const month = toLoanMonth(e.target.value);
+                if (month !== null) onChange({ possessionMonth: month });
+              }}
+              className={monthInputClass}
+            />
+          </div>
+          <p className="text-xs text-gray-400 mt-1">
+            {planned > loanAmount
+              ? `Tranches add up to more than the ${formatCurrencyCompact(loanAmount)} loan; later ones are cut back.`
+              : atPossession > 0
+                ? `The remaining ${formatCurrencyCompact(atPossession)} is released at possession.`
+                : 'The whole loan is released before possession.'}
+          </p>
+
+          {comparison && (
+            <div className="mt-4 space-y-2 text-sm">
+              <div className="flex justify-between">
+                <span className="text-gray-500">Paid before possession</span>
+                <span className="font-semibold">{formatCurrency(current.construction.paidBeforePossession)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-500">of which interest</span>
+                <span className="font-semibold">{formatCurrency(current.construction.interestBeforePossession)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-500">Extra interest on pre-EMI</span>
+                <span className="font-bold text-red-600">
+                  {formatCurrencyCompact(Math.max(0, comparison.preEmi.totalInterest - comparison.fullEmi.totalInterest))}
+                </span>
+              </div>
+              <p className="text-xs text-gray-400">
+                Pre-EMI only covers interest, so the tenure starts at possession. Full EMI starts repaying principal from the first release.
+              </p>
+
+              {claim && claim.interest > 0 && (
+                <div className="p-3 bg-amber-50 rounded-lg border border-amber-100 text-xs text-amber-900">
+                  {formatCurrency(claim.interest)} of interest paid before the possession year is claimed under 24(b) as{' '}
+                  <span className="font-bold">{formatCurrency(claim.instalment)}</span> a year in {claim.claimYears.join(', ')}
+                  {' '}(within the ₹2L self-occupied limit).
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ConstructionPlan;
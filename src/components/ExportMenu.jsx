@@ -0,0 +1,62 @@
+import { useState } from 'react';
+import { Download, FileSpreadsheet, FileText, Loader2 } from 'lucide-react';
+
+// --- Export Dropdown ---
+// `options` is [{ key, label, description, icon, onSelect }]; onSelect may be async.
+
+const ICONS = { sheet: FileSpreadsheet, pdf: FileText };
+
+const ExportMenu = ({ options }) => {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSelect = async (option) => {
+    setBusy(option.key);
+    setError(null);
+    try {
+      await option.onSelect();
+      setOpen(false);
+    } catch {
+      setError(`Could not create the ${option.label} file.`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((value) => !value)}
+        className="flex items-center gap-1 sm:gap-2 px-3 py-1.5 text-xs sm:text-sm font-medium text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+      >
+        <Download size={14} className="sm:w-4 sm:h-4" /> <span className="hidden sm:inline">Export</span>
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-64 bg-white border border-gray-100 rounded-xl shadow-lg p-2 z-50">
+          {options.map((option) => {
+            const Icon = busy === option.key ? Loader2 : ICONS[option.icon] || Download;
+            return (
+              <button
+                key={option.key}
+                onClick={() => handleSelect(option)}
+                disabled={busy !== null}
+                className="w-full flex items-start gap-3 p-2 text-left rounded-lg hover:bg-indigo-50 disabled:opacity-60 transition-colors"
+              >
+                <Icon size={18} className={`text-indigo-600 mt-0.5 flex-shrink-0 ${busy === option.key ? 'animate-spin' : ''}`} />
+                <span>
+                  <span className="block text-sm font-semibold text-gray-800">{option.label}</span>
+                  <span className="block text-xs text-gray-500">{option.description}</span>
+                </span>
+              </button>
+            );
+          })}
+          {error && <p className="text-xs text-red-600 px-2 pt-1">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,145 @@
+import { useState } from 'react';
+import { Crosshair, ArrowRight } from 'lucide-react';
+import { solveGoal, applyUnknown, SOLVE_FOR, TARGETS, SOLVE_STATUS } from '../utils/goalSeek';
+import { dateForLoanMonth, formatMonthYear, loanMonthForDate } from '../utils/calendar';
+import { formatCurrency, formatCurrencyCompact } from '../utils/format';
+
+// --- Goal Seek Panel ---
+// Pick one unknown and a target; the solver works the schedule backwards
+
+const UNKNOWN_LABELS = {
+  [SOLVE_FOR.LOAN_AMOUNT]: 'Loan amount',
+  [SOLVE_FOR.TENURE]: 'Tenure',
+  [SOLVE_FOR.INTEREST_RATE]: 'Interest rate',
+  [SOLVE_FOR.MONTHLY_PREPAYMENT]: 'Extra monthly payment',
+  [SOLVE_FOR.ANNUAL_PREPAYMENT]: 'Extra annual payment',
+};
+
+const TARGET_LABELS = {
+  [TARGETS.EMI]: 'EMI of at most',
+  [TARGETS.CLOSURE]: 'Debt-free by',
+  [TARGETS.TOTAL_INTEREST]: 'Total interest of at most',
+};
+
+const formatUnknown = (solveFor, value) => {
+  if (solveFor === SOLVE_FOR.TENURE) return `${Math.floor(value / 12)} yrs ${value % 12} mos`;
+  if (solveFor === SOLVE_FOR.INTEREST_RATE) return `${value}%`;
+  return formatCurrency(value);
+};
+
+const selectClass = 'bg-gray-50 border border-gray-200 text-gray-900 text-sm rounded-lg focus:ring-indigo-500 focus:border-indigo-500 block p-2.5 w-full sm:w-auto';
+
+const GoalSeekPanel = ({ inputs, loanType, startMonth, onApply }) => {
+  const [solveFor, setSolveFor] = useState(SOLVE_FOR.LOAN_AMOUNT);
+  const [target, setTarget] = useState(TARGETS.EMI);
+  const [amount, setAmount] = useState(45000);
+  const [closeBy, setCloseBy] = useState('');
+  const [solution, setSolution] = useState(null);
+  // A solution only holds for the inputs it was solved against
+  const current = solution && solution.inputs === inputs ? solution : null;
+
+  const reset = (setter) => (e) => {
+    setter(e.target.value);
+    setSolution(null);
+  };
+
+  const targetValue = target === TARGETS.CLOSURE ? loanMonthForDate(startMonth, closeBy) : Number(amount);
+  const canSolve = target === TARGETS.CLOSURE ? targetValue !== null : amount !== '' && targetValue >= 0;
+
+  const handleSolve = () => {
+    setSolution({ inputs, solveFor, target, ...solveGoal({ ...inputs, loanType }, solveFor, target, targetValue) });
+  };
+
+  const describeOutcome = ({ target: solvedTarget, result }) => {
+    if (solvedTarget === TARGETS.EMI) return `EMI ${formatCurrency(result.emi)}`;
+    if (solvedTarget === TARGETS.CLOSURE) return `Closes ${formatMonthYear(dateForLoanMonth(startMonth, result.prepayMonths))}`;
+    return `Total interest ${formatCurrencyCompact(result.prepayTotalInterest)}`;
+  };
+
+  return (
+    <div className="bg-white p-5 sm:p-6 rounded-2xl shadow-sm border border-gray-100">
+      <h2 className="text-lg font-bold mb-4 flex items-center gap-2">
+        <Crosshair className="text-indigo-600" size={20} /> Goal Seek
+      </h2>
+
+      <div className="space-y-3">
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2">
+          <label htmlFor="goal-unknown" className="text-sm text-gray-600">Solve for</label>
+          <select id="goal-unknown" value={solveFor} onChange={reset(setSolveFor)} className={selectClass}>
+            {Object.entries(UNKNOWN_LABELS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2">
+          <label htmlFor="goal-target" className="text-sm text-gray-600">So that</label>
+          <select id="goal-target" value={target} onChange={reset(setTarget)} className={selectClass}>
+            {Object.entries(TARGET_LABELS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex flex-row justify-end items-center">
+          {target === TARGETS.CLOSURE ? (
+            <input
+              type="month"
+              value={closeBy}
+              onChange={reset(setCloseBy)}
+              aria-label="Target closure month"
+              className="bg-indigo-50 rounded-lg border border-indigo-100 px-2 py-2 font-bold text-indigo-700 text-sm sm:text-base focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:bg-white"
+            />
+          ) : (
+            <div className="flex items-center bg-indigo-50 rounded-lg border border-indigo-100 px-2 focus-within:ring-2 focus-within:ring-indigo-500 focus-within:bg-white transition-all">
+              <span className="text-indigo-400 text-sm font-medium mr-1">₹</span>
+              <input
+                type="number"
+                min={0}
+                value={amount}
+                onChange={reset(setAmount)}
+                aria-label="Target amount"
+                className="w-28 sm:w-32 py-2 text-right bg-transparent font-bold text-indigo-700 focus:outline-none text-sm sm:text-base"
+                placeholder="0"
+              />
+            </div>
+          )}
+        </div>
+
+        <button
+          onClick={handleSolve}
+          disabled={!canSolve}
+          className="w-full py-2 px-3 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 rounded-lg transition-colors"
+        >
+          Solve
+        </button>
+      </div>
+
+      {current && (
+        <div className="mt-4 p-3 rounded-lg border text-sm bg-gray-50 border-gray-100">
+          {current.status === SOLVE_STATUS.SOLVED && (
+            <>
+              <div className="text-gray-500">{UNKNOWN_LABELS[current.solveFor]}</div>
+              <div className="text-xl font-bold text-indigo-700">{formatUnknown(current.solveFor, current.value)}</div>
+              <div className="text-xs text-gray-500 mt-1">{describeOutcome(current)}</div>
+              <button
+                onClick={() => onApply(applyUnknown({}, current.solveFor, current.value))}
+                className="mt-3 flex items-center gap-2 text-sm font-medium text-indigo-600 hover:text-indigo-800"
+              >
+                Apply to calculator <ArrowRight size={16} />
+              </button>
+            </>
+          )}
+          {current.status === SOLVE_STATUS.UNREACHABLE && (
+            <p className="text-amber-700">No {UNKNOWN_LABELS[current.solveFor].toLowerCase()} in a realistic range meets this target.</p>
+          )}
+          {current.status === SOLVE_STATUS.NO_EFFECT && (
+            <p className="text-amber-700">Changing the {UNKNOWN_LABELS[current.solveFor].toLowerCase()} doesn&apos;t move this target.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GoalSeekPanel;
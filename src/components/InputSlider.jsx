@@ -0,0 +1,53 @@
+import { formatCurrencyCompact } from '../utils/format';
+
+// --- Input Slider ---
+// Range slider paired with a number box; typed values may exceed the slider max
+
+const InputSlider = ({ label, value, onChange, min, max, step, unit, suffix = "" }) => {
+  const handleInputChange = (e) => {
+    const val = e.target.value === '' ? '' : Number(e.target.value);
+    onChange(val);
+  };
+
+  const handleBlur = () => {
+    if (value < min) onChange(min);
+    if (value > max * 2) onChange(max * 2); // Allow some flexibility above slider max
+  };
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-row justify-between items-center mb-3">
+        <label className="text-gray-700 font-semibold text-sm sm:text-base flex-1 mr-2">
+          {label}
+        </label>
+        <div className="flex items-center bg-indigo-50 rounded-lg border border-indigo-100 px-2 focus-within:ring-2 focus-within:ring-indigo-500 focus-within:bg-white transition-all">
+          {unit === '₹' && <span className="text-indigo-400 text-sm font-medium mr-1">₹</span>}
+          <input
+            type="number"
+            value={value}
+            onChange={handleInputChange}
+            onBlur={handleBlur}
+            className="w-24 sm:w-32 py-2 text-right bg-transparent font-bold text-indigo-700 focus:outline-none text-sm sm:text-base placeholder-indigo-300"
+            placeholder="0"
+          />
+          {suffix && <span className="text-indigo-400 text-sm font-medium ml-1">{suffix}</span>}
+        </div>
+      </div>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={typeof value === 'number' ? Math.min(value, max) : min}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-indigo-600 hover:accent-indigo-700 transition-all touch-action-manipulation"
+      />
+      <div className="flex justify-between text-xs text-gray-400 mt-2">
+        <span>{unit === '₹' ? formatCurrencyCompact(min) : `${min} ${suffix}`}</span>
+        <span>{unit === '₹' ? formatCurrencyCompact(max) : `${max} ${suffix}`}</span>
+      </div>
+    </div>
+  );
+};
+
+export default InputSlider;
@@ -0,0 +1,101 @@
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, Legend
+} from 'recharts';
+import { Users } from 'lucide-react';
+import { REGIME_LABELS } from '../utils/tax';
+import { formatCurrency, formatCurrencyCompact } from '../utils/format';
+
+// --- Joint Loan Tax Summary ---
+// Per co-borrower savings and the gain over a single borrower holding the loan
+
+const COLORS = ['#4F46E5', '#F59E0B', '#10B981', '#F87171'];
+const CHART_YEARS = 15;
+
+const JointTaxSummary = ({ joint }) => {
+  const { borrowers, years, totals } = joint;
+  const primary = borrowers[0].name;
+
+  const chartData = years.slice(0, CHART_YEARS).map((row) => {
+    const point = { label: row.label };
+    row.saved.forEach((value, index) => {
+      point[`b${index}`] = value;
+    });
+    return point;
+  });
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-green-50 p-4 rounded-xl border border-green-100 flex items-start gap-3">
+        <Users className="text-green-600 mt-1 flex-shrink-0" size={20} />
+        <div>
+          <h4 className="font-bold text-green-800 text-sm sm:text-base">
+            Joint loan saves {formatCurrencyCompact(totals.combinedSaved)} in tax
+          </h4>
+          <p className="text-xs sm:text-sm text-green-700 mt-1">
+            {totals.extraSaved > 0
+              ? <>That is <span className="font-bold">{formatCurrencyCompact(totals.extraSaved)}</span> more than {primary} alone would save ({formatCurrencyCompact(totals.singleSaved)}), because each co-owner claims their own 80C and 24(b) limits.</>
+              : <>That is {formatCurrencyCompact(Math.abs(totals.extraSaved))} {totals.extraSaved < 0 ? 'less' : 'more'} than {primary} alone would save ({formatCurrencyCompact(totals.singleSaved)}) with the current incomes and regimes.</>}
+          </p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {borrowers.map((borrower, index) => (
+          <div key={index} className="p-4 border rounded-xl bg-gray-50">
+            <div className="text-gray-500 text-sm mb-1 flex items-center gap-2">
+              <span className="inline-block w-2.5 h-2.5 rounded-full" style={{ backgroundColor: COLORS[index] }} />
+              {borrower.name} · {Math.round(borrower.share * 100)}%
+            </div>
+            <div className="text-xl font-bold">{formatCurrencyCompact(borrower.totals.taxSaved)}</div>
+            <div className="text-xs text-gray-400 mt-1">Saved under the {REGIME_LABELS[borrower.regime]}</div>
+          </div>
+        ))}
+      </div>
+
+      <h4 className="font-bold text-gray-700">Tax Saved per Year by Borrower (Estimated)</h4>
+      <div className="h-64 w-full">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="label" tick={{fontSize: 12}} />
+            <YAxis tickFormatter={(val) => `₹${val/1000}k`} tick={{fontSize: 12}} />
+            <RechartsTooltip formatter={(value) => formatCurrency(value)} />
+            <Legend verticalAlign="bottom" height={36} />
+            {borrowers.map((borrower, index) => (
+              <Bar key={index} dataKey={`b${index}`} name={borrower.name} stackId="saved" fill={COLORS[index]} />
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="overflow-x-auto -mx-4 sm:mx-0">
+        <table className="min-w-full text-sm text-left border rounded-lg overflow-hidden">
+          <thead className="bg-gray-50 text-gray-600 font-medium">
+            <tr>
+              <th className="px-4 py-3">Year</th>
+              {borrowers.map((borrower, index) => (
+                <th key={index} className="px-4 py-3">{borrower.name}</th>
+              ))}
+              <th className="px-4 py-3">Combined</th>
+              <th className="px-4 py-3 text-right">{primary} Alone</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 bg-white">
+            {years.map((row) => (
+              <tr key={row.key}>
+                <td className="px-4 py-3 font-medium whitespace-nowrap">{row.label}</td>
+                {row.saved.map((value, index) => (
+                  <td key={index} className="px-4 py-3 whitespace-nowrap">{formatCurrency(value)}</td>
+                ))}
+                <td className="px-4 py-3 whitespace-nowrap font-medium text-green-700">{formatCurrency(row.combined)}</td>
+                <td className="px-4 py-3 text-right whitespace-nowrap text-gray-500">{formatCurrency(row.single)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default JointTaxSummary;
@@ -0,0 +1,73 @@
+import { Receipt } from 'lucide-react';
+import NumberField from './NumberField';
+import { INPUT_LIMITS } from '../utils/shareState';
+import { formatCurrency } from '../utils/format';
+
+// --- Charges ---
+// Processing fee, legal/technical charges, loan insurance and foreclosure charges
+
+const LoanCharges = ({ charges, loanAmount, onChange }) => {
+  const update = (field, value) => onChange({ ...charges, [field]: value });
+  const clampTo = (limits) => (value) => (value === '' ? '' : Math.min(limits.max, value));
+  const processingFee = Math.round(((Number(loanAmount) || 0) * (Number(charges.processingFeePercent) || 0)) / 100);
+
+  return (
+    <div className="bg-white p-5 sm:p-6 rounded-2xl shadow-sm border border-gray-100">
+      <h2 className="text-lg font-bold mb-2 flex items-center gap-2">
+        <Receipt className="text-indigo-600" size={20} /> Charges
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">Everything the bank adds on top of interest, for the true cost of the loan.</p>
+
+      <div className="space-y-3">
+        <NumberField
+          id="charge-fee"
+          label={`Processing fee${processingFee > 0 ? ` (${formatCurrency(processingFee)})` : ''}`}
+          value={charges.processingFeePercent}
+          onChange={(value) => update('processingFeePercent', clampTo(INPUT_LIMITS.processingFeePercent)(value))}
+          suffix="%"
+          step={INPUT_LIMITS.processingFeePercent.step}
+        />
+        <NumberField
+          id="charge-other"
+          label="Legal & technical charges"
+          value={charges.otherCharges}
+          onChange={(value) => update('otherCharges', value)}
+          unit="₹"
+          step={1000}
+        />
+        <NumberField
+          id="charge-insurance"
+          label="Loan insurance premium"
+          value={charges.insurancePremium}
+          onChange={(value) => update('insurancePremium', value)}
+          unit="₹"
+          step={5000}
+        />
+        {charges.insurancePremium > 0 && (
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={charges.insuranceFinanced}
+              onChange={(e) => update('insuranceFinanced', e.target.checked)}
+              className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+            />
+            Added to the loan (you pay interest on it)
+          </label>
+        )}
+        <NumberField
+          id="charge-foreclosure"
+          label="Foreclosure / prepayment charge"
+          value={charges.foreclosureChargePercent}
+          onChange={(value) => update('foreclosureChargePercent', clampTo(INPUT_LIMITS.foreclosureChargePercent)(value))}
+          suffix="%"
+          step={INPUT_LIMITS.foreclosureChargePercent.step}
+        />
+        <p className="text-xs text-gray-400">
+          Charged on every prepayment. Only fixed-rate loans carry it: floating-rate home loans to individuals can be prepaid free.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default LoanCharges;
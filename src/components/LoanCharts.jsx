@@ -0,0 +1,86 @@
+import { useMemo } from 'react';
+import {
+  ComposedChart, BarChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, Legend,
+  ReferenceLine
+} from 'recharts';
+import { buildYearlyTimeline } from '../utils/timeline';
+import { dateForLoanMonth, formatMonthYear } from '../utils/calendar';
+import { formatCurrency, formatCurrencyCompact } from '../utils/format';
+
+// --- Loan Charts ---
+// Balance and cumulative interest over the full tenure, and the yearly split.
+// Hovering a year highlights it here and in the Schedule tab; clicking opens it there.
+
+const LoanCharts = ({ calculations, startMonth, highlightedYear, onHighlight, onSelectYear }) => {
+  const timeline = useMemo(() => buildYearlyTimeline(calculations), [calculations]);
+  const comparing = calculations.savedInterest > 0;
+
+  const crossover = calculations.crossoverMonth;
+  const crossoverYear = crossover ? Math.ceil(crossover / 12) : null;
+  const regularCrossoverYear = calculations.regularCrossoverMonth ? Math.ceil(calculations.regularCrossoverMonth / 12) : null;
+
+  const chartEvents = {
+    onMouseMove: (state) => {
+      if (state?.activeLabel !== undefined) onHighlight(Number(state.activeLabel));
+    },
+    onClick: (state) => {
+      if (state?.activeLabel !== undefined) onSelectYear(Number(state.activeLabel));
+    },
+  };
+  const highlight = highlightedYear && highlightedYear <= timeline.length && (
+    <ReferenceLine x={highlightedYear} stroke="#6366F1" strokeOpacity={0.4} strokeWidth={8} />
+  );
+
+  return (
+    <div className="space-y-8">
+      <div className="h-72">
+        <h4 className="text-center text-sm font-semibold text-gray-500 mb-2">Outstanding Balance & Interest Paid So Far</h4>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={timeline} {...chartEvents} className="cursor-pointer">
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="year" tick={{fontSize: 12}} />
+            <YAxis tickFormatter={(val) => formatCurrencyCompact(val)} tick={{fontSize: 12}} width={70} />
+            <RechartsTooltip formatter={(value) => formatCurrency(value)} labelFormatter={(label) => `End of year ${label}`} />
+            <Legend />
+            {highlight}
+            <Line type="monotone" dataKey="regularBalance" name={comparing ? 'Balance (original)' : 'Balance'} stroke="#4F46E5" strokeDasharray={comparing ? '5 5' : undefined} dot={false} strokeWidth={2} />
+            <Line type="monotone" dataKey="regularInterest" name={comparing ? 'Interest paid (original)' : 'Interest paid'} stroke="#F87171" strokeDasharray={comparing ? '5 5' : undefined} dot={false} strokeWidth={2} />
+            {comparing && <Line type="monotone" dataKey="prepayBalance" name="Balance (with prepayment)" stroke="#4F46E5" dot={false} strokeWidth={2} />}
+            {comparing && <Line type="monotone" dataKey="prepayInterest" name="Interest paid (with prepayment)" stroke="#10B981" dot={false} strokeWidth={2} />}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="h-72 pt-4">
+        <h4 className="text-center text-sm font-semibold text-gray-500 mb-2">Where Each Year&apos;s Payments Go</h4>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={timeline} {...chartEvents} className="cursor-pointer">
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="year" tick={{fontSize: 12}} />
+            <YAxis tickFormatter={(val) => formatCurrencyCompact(val)} tick={{fontSize: 12}} width={70} />
+            <RechartsTooltip formatter={(value) => formatCurrency(value)} labelFormatter={(label) => `Year ${label}`} />
+            <Legend />
+            {highlight}
+            {crossoverYear && (
+              <ReferenceLine x={crossoverYear} stroke="#F59E0B" strokeDasharray="4 4" label={{ value: 'Crossover', position: 'top', fontSize: 11, fill: '#B45309' }} />
+            )}
+            <Bar dataKey="principal" name="Principal (EMI)" stackId="paid" fill="#4F46E5" />
+            {comparing && <Bar dataKey="prepaid" name="Prepayment" stackId="paid" fill="#10B981" />}
+            <Bar dataKey="interest" name="Interest" stackId="paid" fill="#F87171" radius={[3, 3, 0, 0]} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <p className="text-sm text-gray-600 pt-4">
+        {crossover
+          ? <>From <span className="font-bold">{formatMonthYear(dateForLoanMonth(startMonth, crossover))}</span> (month {crossover}) each EMI repays more principal than interest.</>
+          : 'Interest takes up more of each EMI than principal for the whole loan.'}
+        {comparing && regularCrossoverYear && crossoverYear && crossoverYear < regularCrossoverYear && (
+          <> Without prepayment that would only happen in year {regularCrossoverYear}.</>
+        )}
+      </p>
+    </div>
+  );
+};
+
+export default LoanCharts;
@@ -0,0 +1,78 @@
+import { Plus, Trash2 } from 'lucide-react';
+
+// --- One-off Prepayments ---
+// Editable list of lump sums (bonus, FD maturity, asset sale): { id, year, month, amount }
+
+const LumpSumPrepayments = ({ lumpSums, onChange, maxYear }) => {
+  const updateLumpSum = (id, field, value) => {
+    onChange(lumpSums.map((lumpSum) => (lumpSum.id === id ? { ...lumpSum, [field]: value } : lumpSum)));
+  };
+
+  const addLumpSum = () => {
+    onChange([...lumpSums, { id: Date.now(), year: 1, month: 12, amount: 100000 }]);
+  };
+
+  const removeLumpSum = (id) => {
+    onChange(lumpSums.filter((lumpSum) => lumpSum.id !== id));
+  };
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-gray-700 font-semibold text-sm sm:text-base mb-3">One-time Lump Sums</h3>
+
+      <div className="space-y-2">
+        {lumpSums.map((lumpSum) => (
+          <div key={lumpSum.id} className="flex items-center gap-2 p-2 bg-green-50 rounded-lg border border-green-100 text-sm">
+            <div className="flex items-center bg-white rounded-md border border-green-200 px-2 flex-1 min-w-0">
+              <span className="text-green-500 font-medium mr-1">₹</span>
+              <input
+                type="number"
+                min={0}
+                step={10000}
+                value={lumpSum.amount}
+                onChange={(e) => updateLumpSum(lumpSum.id, 'amount', e.target.value === '' ? '' : Number(e.target.value))}
+                className="w-full py-1 text-right bg-transparent font-bold text-green-800 focus:outline-none"
+              />
+            </div>
+            <select
+              value={lumpSum.year}
+              onChange={(e) => updateLumpSum(lumpSum.id, 'year', Number(e.target.value))}
+              className="bg-white border border-green-200 text-green-800 rounded-md p-1"
+              aria-label="Loan year"
+            >
+              {[...Array(Math.max(1, maxYear)).keys()].map((y) => (
+                <option key={y + 1} value={y + 1}>Yr {y + 1}</option>
+              ))}
+            </select>
+            <select
+              value={lumpSum.month}
+              onChange={(e) => updateLumpSum(lumpSum.id, 'month', Number(e.target.value))}
+              className="bg-white border border-green-200 text-green-800 rounded-md p-1"
+              aria-label="Month of loan year"
+            >
+              {[...Array(12).keys()].map((m) => (
+                <option key={m + 1} value={m + 1}>Mo {m + 1}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => removeLumpSum(lumpSum.id)}
+              className="p-1 text-green-400 hover:text-red-600 transition-colors"
+              aria-label="Remove lump sum"
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={addLumpSum}
+        className="mt-3 flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-green-700 bg-green-50 hover:bg-green-100 border border-green-100 rounded-lg transition-colors"
+      >
+        <Plus size={14} /> Add Lump Sum
+      </button>
+    </div>
+  );
+};
+
+export default LumpSumPrepayments;
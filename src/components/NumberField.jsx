@@ -0,0 +1,24 @@
+// --- Number Field ---
+// Compact labelled number input for the analysis tabs (no slider)
+
+const NumberField = ({ id, label, value, onChange, unit, suffix, step = 1 }) => (
+  <div className="flex flex-row justify-between items-center gap-2">
+    <label htmlFor={id} className="text-sm text-gray-600 flex-1">{label}</label>
+    <div className="flex items-center bg-indigo-50 rounded-lg border border-indigo-100 px-2 focus-within:ring-2 focus-within:ring-indigo-500 focus-within:bg-white transition-all">
+      {unit && <span className="text-indigo-400 text-sm font-medium mr-1">{unit}</span>}
+      <input
+        id={id}
+        type="number"
+        min={0}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(e.target.value === '' ? '' : Math.max(0, Number(e.target.value)))}
+        className="w-24 sm:w-28 py-2 text-right bg-transparent font-bold text-indigo-700 focus:outline-none text-sm"
+        placeholder="0"
+      />
+      {suffix && <span className="text-indigo-400 text-sm font-medium ml-1">{suffix}</span>}
+    </div>
+  </div>
+);
+
+export default NumberField;
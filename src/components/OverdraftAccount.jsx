@@ -0,0 +1,202 @@
+import { useState, useMemo } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, Legend
+} from 'recharts';
+import { Landmark, CheckCircle, Plus, Trash2 } from 'lucide-react';
+import NumberField from './NumberField';
+import { analyseOverdraft, DEFAULT_OVERDRAFT, INTEREST_METHODS } from '../utils/overdraft';
+import { dateForLoanMonth, formatMonthYear, loanMonthForDate, monthValueForLoanMonth } from '../utils/calendar';
+import { formatCurrency, formatCurrencyCompact } from '../utils/format';
+
+// --- Overdraft Tab ---
+// MaxGain-style loan: surplus parked in the linked account cuts interest but stays withdrawable
+
+const PATHS = [
+  { key: 'regular', label: 'Regular loan', color: '#F87171' },
+  { key: 'prepay', label: 'Plain prepayment', color: '#10B981' },
+  { key: 'overdraft', label: 'Overdraft loan', color: '#4F46E5' },
+];
+
+const OverdraftAccount = ({ inputs, startMonth }) => {
+  const baseRate = Number(inputs.interestRate) || 0;
+  const [odRate, setOdRate] = useState(Math.round((baseRate + DEFAULT_OVERDRAFT.ratePremium) * 100) / 100);
+  const [startingSurplus, setStartingSurplus] = useState(DEFAULT_OVERDRAFT.startingSurplus);
+  const [monthlyDeposit, setMonthlyDeposit] = useState(DEFAULT_OVERDRAFT.monthlyDeposit);
+  const [method, setMethod] = useState(DEFAULT_OVERDRAFT.method);
+  const [withdrawals, setWithdrawals] = useState(DEFAULT_OVERDRAFT.withdrawals);
+
+  const analysis = useMemo(
+    () => analyseOverdraft(inputs, { odRate, startingSurplus, monthlyDeposit, method, withdrawals, startMonth }),
+    [inputs, odRate, startingSurplus, monthlyDeposit, method, withdrawals, startMonth]
+  );
+
+  const updateWithdrawal = (id, field, value) => {
+    setWithdrawals(withdrawals.map((withdrawal) => (withdrawal.id === id ? { ...withdrawal, [field]: value } : withdrawal)));
+  };
+
+  const addWithdrawal = () => {
+    const last = withdrawals[withdrawals.length - 1];
+    setWithdrawals([...withdrawals, { id: Date.now(), month: (Number(last?.month) || 0) + 24, amount: 200000 }]);
+  };
+
+  const closesOn = (month) => formatMonthYear(dateForLoanMonth(startMonth, month));
+  const { regular, prepay, overdraft } = analysis;
+  const gap = Math.abs(overdraft.totalInterest - prepay.totalInterest);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-2">
+        <Landmark className="text-indigo-600" size={20} />
+        <h3 className="text-lg font-bold text-gray-800">Overdraft Home Loan</h3>
+      </div>
+      <p className="text-sm text-gray-500 -mt-4">
+        Money parked in the linked account is set off against the loan for interest, and you can still withdraw it.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-3">
+          <h4 className="text-sm font-semibold text-gray-700">Linked Account</h4>
+          <NumberField id="od-surplus" label="Surplus parked today" value={startingSurplus} onChange={setStartingSurplus} unit="₹" step={50000} />
+          <NumberField id="od-deposit" label="Added every month" value={monthlyDeposit} onChange={setMonthlyDeposit} unit="₹" step={1000} />
+
+          <h4 className="text-sm font-semibold text-gray-700 pt-2">Planned Withdrawals</h4>
+          <div className="space-y-2">
+            {withdrawals.map((withdrawal) => (
+              <div key={withdrawal.id} className="flex items-center gap-2 p-2 bg-indigo-50 rounded-lg border border-indigo-100 text-sm">
+                <div className="flex items-center bg-white rounded-md border border-indigo-200 px-2 flex-1 min-w-0">
+                  <span className="text-indigo-400 font-medium mr-1">₹</span>
+                  <input
+                    type="number"
+                    min={0}
+                    step={10000}
+                    value={withdrawal.amount}
+                    onChange={(e) => updateWithdrawal(withdrawal.id, 'amount', e.target.value === '' ? '' : Number(e.target.value))}
+                    className="w-full py-1 text-right bg-transparent font-bold text-indigo-800 focus:outline-none"
+                    aria-label="Withdrawal amount"
+                  />
+                </div>
+                <input
+                  type="month"
+                  value={monthValueForLoanMonth(startMonth, Number(withdrawal.month) || 1)}
+                  onChange={(e) => {
+                    const month = loanMonthForDate(startMonth, e.target.value);
+                    if (month !== null) updateWithdrawal(withdrawal.id, 'month', Math.max(1, month));
+                  }}
+                  className="bg-white border border-indigo-200 text-indigo-800 font-bold rounded-md px-1 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+                  aria-label="Withdrawal month"
+                />
+                <button
+                  onClick={() => setWithdrawals(withdrawals.filter((item) => item.id !== withdrawal.id))}
+                  className="p-1 text-indigo-300 hover:text-red-600 transition-colors"
+                  aria-label="Remove withdrawal"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            ))}
+          </div>
+          <button
+            onClick={addWithdrawal}
+            className="flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-indigo-700 bg-indigo-50 hover:bg-indigo-100 border border-indigo-100 rounded-lg transition-colors"
+          >
+            <Plus size={14} /> Add Withdrawal
+          </button>
+        </div>
+
+        <div className="space-y-3">
+          <h4 className="text-sm font-semibold text-gray-700">Overdraft Loan</h4>
+          <NumberField id="od-rate" label={`Rate (regular loan ${baseRate}%)`} value={odRate} onChange={setOdRate} suffix="%" step={0.05} />
+          <div className="flex bg-gray-100 p-1 rounded-lg">
+            <button
+              onClick={() => setMethod(INTEREST_METHODS.DAILY)}
+              className={`flex-1 py-1.5 px-3 rounded-md text-sm font-medium transition-all ${method === INTEREST_METHODS.DAILY ? 'bg-white text-indigo-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+            >
+              Daily balance
+            </button>
+            <button
+              onClick={() => setMethod(INTEREST_METHODS.MONTHLY)}
+              className={`flex-1 py-1.5 px-3 rounded-md text-sm font-medium transition-all ${method === INTEREST_METHODS.MONTHLY ? 'bg-white text-indigo-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+            >
+              Monthly rest
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">
+            Plain prepayment pays the same money into the regular loan for good. Anything needed for the withdrawals
+            ({formatCurrency(prepay.keptAside)}) stays in savings instead.
+          </p>
+        </div>
+      </div>
+
+      <div className={`p-4 rounded-xl border flex items-start gap-3 ${analysis.overdraftWins ? 'bg-green-50 border-green-100' : 'bg-amber-50 border-amber-100'}`}>
+        <CheckCircle size={20} className={analysis.overdraftWins ? 'text-green-600 mt-0.5' : 'text-amber-600 mt-0.5'} />
+        <div className="text-sm text-gray-700">
+          <p>
+            {analysis.overdraftWins
+              ? <>At {odRate}% the overdraft costs <span className="font-bold text-green-700">{formatCurrencyCompact(gap)}</span> less interest than prepaying, and {formatCurrencyCompact(overdraft.surplusLeft)} is still yours when it closes.</>
+              : <>At {odRate}% the overdraft costs <span className="font-bold text-red-600">{formatCurrencyCompact(gap)}</span> more interest than prepaying. You pay that for keeping the money withdrawable.</>}
+          </p>
+          <p className="text-xs text-gray-500 mt-1">
+            {analysis.breakEvenRate === null
+              ? 'The overdraft beats prepaying at any realistic rate.'
+              : <>It is worth it up to an overdraft rate of <span className="font-bold">{analysis.breakEvenRate}%</span>.</>}
+            {overdraft.shortfall > 0 && <> {formatCurrency(overdraft.shortfall)} of the withdrawals couldn&apos;t be covered by the account.</>}
+          </p>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+            <tr>
+              <th className="px-4 py-3">Path</th>
+              <th className="px-4 py-3 text-right">Rate</th>
+              <th className="px-4 py-3 text-right">EMI</th>
+              <th className="px-4 py-3 text-right">Total Interest</th>
+              <th className="px-4 py-3 text-right">Closes</th>
+              <th className="px-4 py-3 text-right">Still Withdrawable</th>
+            </tr>
+          </thead>
+          <tbody>
+            {PATHS.map((path) => {
+              const row = analysis[path.key];
+              return (
+                <tr key={path.key} className="border-b bg-white">
+                  <td className="px-4 py-3 flex items-center gap-2">
+                    <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: path.color }} />
+                    {path.label}
+                  </td>
+                  <td className="px-4 py-3 text-right">{row.rate}%</td>
+                  <td className="px-4 py-3 text-right">{formatCurrency(row.emi)}</td>
+                  <td className="px-4 py-3 text-right">{formatCurrencyCompact(row.totalInterest)}</td>
+                  <td className="px-4 py-3 text-right whitespace-nowrap">{closesOn(row.closureMonth)}</td>
+                  <td className="px-4 py-3 text-right">{path.key === 'overdraft' ? formatCurrencyCompact(overdraft.surplusLeft) : '—'}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        <p className="text-xs text-gray-400 mt-2">
+          Regular loan interest is {formatCurrencyCompact(regular.totalInterest)}. The overdraft closes once the parked money covers what is still owed.
+        </p>
+      </div>
+
+      <div className="h-64">
+        <h4 className="text-center text-sm font-semibold text-gray-500 mb-4">Outstanding (net of parked money)</h4>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={analysis.points}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="month" tick={{fontSize: 12}} tickFormatter={(val) => `Y${val / 12}`} />
+            <YAxis tickFormatter={(val) => formatCurrencyCompact(val)} tick={{fontSize: 12}} width={70} />
+            <RechartsTooltip formatter={(value) => formatCurrency(value)} labelFormatter={(label) => `After ${label / 12} years`} />
+            <Legend />
+            {PATHS.map((path) => (
+              <Line key={path.key} type="monotone" dataKey={path.key} name={path.label} stroke={path.color} dot={false} strokeWidth={2} />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default OverdraftAccount;
@@ -0,0 +1,281 @@
+import { useState, useMemo } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, Legend
+} from 'recharts';
+import { Layers, CheckCircle, Plus, Trash2 } from 'lucide-react';
+import NumberField from './NumberField';
+import { analysePortfolio, PORTFOLIO_STRATEGIES, STRATEGY_LABELS } from '../utils/portfolio';
+import { LOAN_TYPES, LOAN_TYPE_PROFILES, loanTypeProfile } from '../utils/loanTypes';
+import { dateForLoanMonth, formatMonthYear } from '../utils/calendar';
+import { formatCurrency, formatCurrencyCompact } from '../utils/format';
+
+// --- Portfolio Tab ---
+// All of a borrower's loans repaid from one monthly surplus, strategy by strategy
+
+const STRATEGY_COLORS = {
+  [PORTFOLIO_STRATEGIES.AVALANCHE]: '#4F46E5',
+  [PORTFOLIO_STRATEGIES.SNOWBALL]: '#10B981',
+  [PORTFOLIO_STRATEGIES.CUSTOM]: '#F59E0B',
+};
+
+const DEFAULT_BUDGET = 20000;
+
+// A second loan to start from, so the strategies have something to choose between
+const sampleLoan = (id, loanType) => {
+  const { defaults, label } = loanTypeProfile(loanType);
+  return {
+    id,
+    name: `${label} loan`,
+    loanType,
+    balance: defaults.loanAmount,
+    interestRate: defaults.interestRate,
+    remainingMonths: defaults.tenureYears * 12,
+    share: 50,
+  };
+};
+
+const PortfolioPlanner = ({ inputs, loanType, startMonth }) => {
+  const [monthlyBudget, setMonthlyBudget] = useState(DEFAULT_BUDGET);
+  const [strategy, setStrategy] = useState(PORTFOLIO_STRATEGIES.AVALANCHE);
+  const [loans, setLoans] = useState(() => [
+    {
+      id: 1,
+      name: `${loanTypeProfile(loanType).label} loan`,
+      loanType,
+      balance: Number(inputs.loanAmount) || 0,
+      interestRate: Number(inputs.interestRate) || 0,
+      remainingMonths: (Number(inputs.tenureYears) || 0) * 12 + (Number(inputs.tenureMonths) || 0),
+      share: 50,
+    },
+    sampleLoan(2, loanType === LOAN_TYPES.CAR ? LOAN_TYPES.PERSONAL : LOAN_TYPES.CAR),
+  ]);
+
+  const analysis = useMemo(() => analysePortfolio(loans, { monthlyBudget }), [loans, monthlyBudget]);
+
+  const updateLoan = (id, field, value) => {
+    setLoans(loans.map((loan) => (loan.id === id ? { ...loan, [field]: value } : loan)));
+  };
+
+  const addLoan = () => {
+    const nextId = Math.max(0, ...loans.map((loan) => loan.id)) + 1;
+    setLoans([...loans, sampleLoan(nextId, LOAN_TYPES.PERSONAL)]);
+  };
+
+  const monthLabel = (month) => formatMonthYear(dateForLoanMonth(startMonth, month));
+  const selected = analysis.strategies.find((result) => result.strategy === strategy);
+  const best = analysis.strategies.find((result) => result.strategy === analysis.best);
+  const totalShare = loans.reduce((acc, loan) => acc + (Number(loan.share) || 0), 0);
+
+  // Total still owed at the end of each year, per strategy
+  const chartData = analysis.emisOnly.balances.map((balance, index) => ({
+    year: index + 1,
+    emisOnly: balance,
+    ...Object.fromEntries(analysis.strategies.map((result) => [result.strategy, result.balances[index] ?? 0])),
+  }));
+
+  const inputClass = 'w-full py-1 px-2 bg-white rounded-md border border-indigo-200 font-bold text-indigo-800 text-right focus:outline-none focus:ring-2 focus:ring-indigo-400';
+  const numberInput = (loan, field, label, step) => (
+    <input
+      type="number"
+      min={0}
+      step={step}
+      value={loan[field]}
+      onChange={(e) => updateLoan(loan.id, field, e.target.value === '' ? '' : Math.max(0, Number(e.target.value)))}
+      className={inputClass}
+      aria-label={label}
+    />
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-2">
+        <Layers className="text-indigo-600" size={20} />
+        <h3 className="text-lg font-bold text-gray-800">Debt Portfolio</h3>
+      </div>
+      <p className="text-sm text-gray-500 -mt-4">
+        Every EMI is paid as usual. The surplus, plus the EMI of each loan that closes, goes towards the rest.
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+            <tr>
+              <th className="px-2 py-3">Loan</th>
+              <th className="px-2 py-3">Type</th>
+              <th className="px-2 py-3 text-right">Outstanding (₹)</th>
+              <th className="px-2 py-3 text-right">Rate (%)</th>
+              <th className="px-2 py-3 text-right">Months Left</th>
+              <th className="px-2 py-3 text-right">Custom Split (%)</th>
+              <th className="px-2 py-3"><span className="sr-only">Remove</span></th>
+            </tr>
+          </thead>
+          <tbody>
+            {loans.map((loan) => (
+              <tr key={loan.id} className="border-b bg-white">
+                <td className="px-2 py-2">
+                  <input
+                    type="text"
+                    value={loan.name}
+                    onChange={(e) => updateLoan(loan.id, 'name', e.target.value)}
+                    className={`${inputClass} text-left min-w-[7rem]`}
+                    aria-label="Loan name"
+                  />
+                </td>
+                <td className="px-2 py-2">
+                  <select
+                    value={loan.loanType}
+                    onChange={(e) => updateLoan(loan.id, 'loanType', e.target.value)}
+                    className="bg-white border border-indigo-200 text-indigo-800 text-sm rounded-md p-1 focus:ring-indigo-400"
+                    aria-label="Loan type"
+                  >
+                    {Object.entries(LOAN_TYPE_PROFILES).map(([type, profile]) => (
+                      <option key={type} value={type}>{profile.label}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="px-2 py-2 min-w-[8rem]">{numberInput(loan, 'balance', 'Outstanding balance', 10000)}</td>
+                <td className="px-2 py-2 min-w-[5rem]">{numberInput(loan, 'interestRate', 'Interest rate', 0.1)}</td>
+                <td className="px-2 py-2 min-w-[5rem]">{numberInput(loan, 'remainingMonths', 'Months left', 1)}</td>
+                <td className="px-2 py-2 min-w-[5rem]">{numberInput(loan, 'share', 'Custom split share', 5)}</td>
+                <td className="px-2 py-2 text-right">
+                  <button
+                    onClick={() => setLoans(loans.filter((item) => item.id !== loan.id))}
+                    disabled={loans.length === 1}
+                    className="p-1 text-indigo-300 hover:text-red-600 disabled:opacity-30 disabled:hover:text-indigo-300 transition-colors"
+                    aria-label="Remove loan"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <button
+          onClick={addLoan}
+          className="flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-indigo-700 bg-indigo-50 hover:bg-indigo-100 border border-indigo-100 rounded-lg transition-colors self-start"
+        >
+          <Plus size={14} /> Add Loan
+        </button>
+        <div className="sm:w-80">
+          <NumberField id="portfolio-budget" label="Monthly surplus" value={monthlyBudget} onChange={setMonthlyBudget} unit="₹" step={1000} />
+        </div>
+      </div>
+      {totalShare !== 100 && (
+        <p className="text-xs text-amber-600 -mt-3">
+          Custom split adds up to {totalShare}%. It is scaled to cover the whole surplus.
+        </p>
+      )}
+
+      {analysis.loans.length === 0 ? (
+        <p className="text-sm text-gray-500">Add a loan with an outstanding balance and months left to compare strategies.</p>
+      ) : (
+        <>
+          {best && best.savedInterest > 0 && (
+            <div className="p-4 rounded-xl border flex items-start gap-3 bg-green-50 border-green-100">
+              <CheckCircle size={20} className="text-green-600 mt-0.5" />
+              <p className="text-sm text-gray-700">
+                {STRATEGY_LABELS[best.strategy]} saves the most: <span className="font-bold text-green-700">{formatCurrencyCompact(best.savedInterest)}</span> of
+                interest, debt-free by <span className="font-bold">{monthLabel(best.debtFreeMonth)}</span> instead
+                of {monthLabel(analysis.emisOnly.debtFreeMonth)} on {formatCurrency(best.monthlyOutlay)} a month.
+              </p>
+            </div>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3">Strategy</th>
+                  <th className="px-4 py-3 text-right">Debt-free</th>
+                  <th className="px-4 py-3 text-right">Total Interest</th>
+                  <th className="px-4 py-3 text-right">Saved</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr className="border-b bg-white">
+                  <td className="px-4 py-3 flex items-center gap-2">
+                    <span className="w-2.5 h-2.5 rounded-full bg-red-400" /> EMIs only
+                  </td>
+                  <td className="px-4 py-3 text-right whitespace-nowrap">{monthLabel(analysis.emisOnly.debtFreeMonth)}</td>
+                  <td className="px-4 py-3 text-right">{formatCurrencyCompact(analysis.emisOnly.totalInterest)}</td>
+                  <td className="px-4 py-3 text-right">—</td>
+                </tr>
+                {analysis.strategies.map((result) => (
+                  <tr
+                    key={result.strategy}
+                    onClick={() => setStrategy(result.strategy)}
+                    className={`border-b cursor-pointer ${result.strategy === strategy ? 'bg-indigo-50' : 'bg-white hover:bg-gray-50'}`}
+                  >
+                    <td className="px-4 py-3 flex items-center gap-2">
+                      <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: STRATEGY_COLORS[result.strategy] }} />
+                      {STRATEGY_LABELS[result.strategy]}
+                      {result.strategy === analysis.best && result.savedInterest > 0 && <span className="text-xs text-green-700 font-medium">best</span>}
+                    </td>
+                    <td className="px-4 py-3 text-right whitespace-nowrap">
+                      {monthLabel(result.debtFreeMonth)}
+                      {result.savedMonths > 0 && <span className="block text-xs text-gray-400">{result.savedMonths} months sooner</span>}
+                    </td>
+                    <td className="px-4 py-3 text-right">{formatCurrencyCompact(result.totalInterest)}</td>
+                    <td className="px-4 py-3 text-right text-green-700">{formatCurrencyCompact(result.savedInterest)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {selected && (
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">{STRATEGY_LABELS[strategy]}: loan by loan</h4>
+              <ul className="space-y-1 text-sm">
+                {[...selected.loans].sort((a, b) => a.closedMonth - b.closedMonth).map((loan) => {
+                  const alone = analysis.emisOnly.loans.find((item) => item.id === loan.id);
+                  return (
+                    <li key={loan.id} className="flex flex-wrap justify-between gap-2 p-2 bg-gray-50 rounded-lg">
+                      <span className="font-medium text-gray-800">{loan.name}</span>
+                      <span className="text-gray-600">
+                        EMI {formatCurrency(loan.emi)}, {formatCurrencyCompact(loan.prepaid)} extra,
+                        closes <span className="font-bold">{monthLabel(loan.closedMonth)}</span>
+                        {alone && alone.closedMonth > loan.closedMonth && <> (was {monthLabel(alone.closedMonth)})</>}
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+
+          <div className="h-64">
+            <h4 className="text-center text-sm font-semibold text-gray-500 mb-4">Total Outstanding</h4>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis dataKey="year" tick={{fontSize: 12}} tickFormatter={(val) => `Y${val}`} />
+                <YAxis tickFormatter={(val) => formatCurrencyCompact(val)} tick={{fontSize: 12}} width={70} />
+                <RechartsTooltip formatter={(value) => formatCurrency(value)} labelFormatter={(label) => `End of year ${label}`} />
+                <Legend />
+                <Line type="monotone" dataKey="emisOnly" name="EMIs only" stroke="#F87171" strokeDasharray="5 5" dot={false} strokeWidth={2} />
+                {analysis.strategies.map((result) => (
+                  <Line
+                    key={result.strategy}
+                    type="monotone"
+                    dataKey={result.strategy}
+                    name={STRATEGY_LABELS[result.strategy]}
+                    stroke={STRATEGY_COLORS[result.strategy]}
+                    dot={false}
+                    strokeWidth={2}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PortfolioPlanner;
@@ -0,0 +1,131 @@
+import { useState, useMemo } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, Legend, ReferenceLine
+} from 'recharts';
+import { TrendingUp } from 'lucide-react';
+import {
+  comparePrepayVsInvest, INVESTMENT_TYPES, INVESTMENT_LABELS, DEFAULT_INVESTMENT_RETURNS, LTCG_RATE, LTCG_EXEMPTION,
+} from '../utils/prepayVsInvest';
+import { marginalTaxRate } from '../utils/tax';
+import { formatCurrency, formatCurrencyCompact } from '../utils/format';
+
+// --- Prepay vs Invest ---
+// The same extra money, put into the loan or into an investment
+
+const formatPercent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+
+const PrepayVsInvest = ({ inputs, startMonth, taxProfiles }) => {
+  const [type, setType] = useState(INVESTMENT_TYPES.EQUITY);
+  const [expectedReturn, setExpectedReturn] = useState(DEFAULT_INVESTMENT_RETURNS[INVESTMENT_TYPES.EQUITY]);
+
+  // FD interest is taxed at the primary borrower's slab rate
+  const slabRate = useMemo(() => marginalTaxRate(taxProfiles[0]), [taxProfiles]);
+
+  const comparison = useMemo(
+    () => comparePrepayVsInvest(inputs, { expectedReturn, type, slabRate, startMonth, taxProfiles }),
+    [inputs, expectedReturn, type, slabRate, startMonth, taxProfiles]
+  );
+
+  const selectType = (next) => {
+    setType(next);
+    setExpectedReturn(DEFAULT_INVESTMENT_RETURNS[next]);
+  };
+
+  const chartData = comparison.points.map((point) => ({ ...point, year: point.month / 12 }));
+  const gap = Math.abs(comparison.advantage);
+
+  const taxNote = {
+    [INVESTMENT_TYPES.EQUITY]: `LTCG of ${LTCG_RATE * 100}% on gains above ${formatCurrencyCompact(LTCG_EXEMPTION)}, as if redeemed at that point.`,
+    [INVESTMENT_TYPES.FIXED_INCOME]: `Interest taxed every year at your ${formatPercent(slabRate)} slab rate.`,
+    [INVESTMENT_TYPES.TAX_FREE]: 'Returns are tax-free (subject to the ₹1.5L yearly PPF limit).',
+  }[type];
+
+  const verdict = () => {
+    const stream = formatCurrencyCompact(comparison.totalInvested);
+    if (comparison.investWins) {
+      return <>Investing the {stream} in a {INVESTMENT_LABELS[type]} at {expectedReturn}% leaves you <span className="font-bold text-green-700">{formatCurrencyCompact(gap)}</span> better off by the time the original loan would have ended.</>;
+    }
+    if (comparison.advantage < 0) {
+      return <>Prepaying the {stream} leaves you <span className="font-bold text-green-700">{formatCurrencyCompact(gap)}</span> better off than a {INVESTMENT_LABELS[type]} at {expectedReturn}%: the guaranteed interest saved beats the after-tax return.</>;
+    }
+    return <>Both paths end up level at {expectedReturn}%.</>;
+  };
+
+  return (
+    <div className="bg-white p-5 sm:p-6 rounded-2xl shadow-sm border border-gray-100">
+      <h2 className="text-lg font-bold mb-1 flex items-center gap-2">
+        <TrendingUp className="text-indigo-600" size={20} /> Prepay or Invest?
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">What your regular prepayments would grow to if invested instead.</p>
+
+      <div className="flex flex-col sm:flex-row gap-3 sm:items-center mb-2">
+        <div className="flex bg-gray-100 p-1 rounded-lg flex-1">
+          {Object.values(INVESTMENT_TYPES).map((option) => (
+            <button
+              key={option}
+              onClick={() => selectType(option)}
+              className={`flex-1 py-1.5 px-2 rounded-md text-xs sm:text-sm font-medium transition-all ${type === option ? 'bg-white text-indigo-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+            >
+              {INVESTMENT_LABELS[option]}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center justify-end gap-2">
+          <label htmlFor="invest-return" className="text-sm text-gray-600">Expected return</label>
+          <div className="flex items-center bg-indigo-50 rounded-lg border border-indigo-100 px-2 focus-within:ring-2 focus-within:ring-indigo-500 focus-within:bg-white transition-all">
+            <input
+              id="invest-return"
+              type="number"
+              min={0}
+              max={30}
+              step={0.5}
+              value={expectedReturn}
+              onChange={(e) => setExpectedReturn(e.target.value === '' ? '' : Math.min(30, Math.max(0, Number(e.target.value))))}
+              className="w-16 py-2 text-right bg-transparent font-bold text-indigo-700 focus:outline-none text-sm"
+              placeholder="0"
+            />
+            <span className="text-indigo-400 text-sm font-medium ml-1">%</span>
+          </div>
+        </div>
+      </div>
+      <p className="text-xs text-gray-400 mb-4">{taxNote}</p>
+
+      <div className={`p-4 rounded-xl border text-sm text-gray-700 mb-4 ${comparison.investWins ? 'bg-amber-50 border-amber-100' : 'bg-green-50 border-green-100'}`}>
+        <p>{verdict()}</p>
+        <p className="text-xs text-gray-500 mt-2">
+          {comparison.crossoverRate === null
+            ? 'Prepaying wins at any realistic return.'
+            : comparison.crossoverRate === 0
+              ? 'Investing wins at any return, because the tax relief kept outweighs the interest saved.'
+              : <>Investing wins above a <span className="font-bold">{comparison.crossoverRate}%</span> return.</>}
+          {comparison.taxBenefitKept > 0 && (
+            <> Not prepaying keeps {formatCurrency(comparison.taxBenefitKept)} of 24(b)/80C tax relief, which is counted.</>
+          )}
+          {comparison.taxBenefitKept < 0 && (
+            <> Prepaying earns {formatCurrency(-comparison.taxBenefitKept)} more 80C relief, which is counted.</>
+          )}
+        </p>
+      </div>
+
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="year" tick={{fontSize: 12}} tickFormatter={(val) => `Y${Math.ceil(val)}`} />
+            <YAxis tickFormatter={(val) => formatCurrencyCompact(val)} tick={{fontSize: 12}} width={70} />
+            <RechartsTooltip formatter={(value) => formatCurrency(value)} labelFormatter={(label) => `After ${Math.ceil(label)} years`} />
+            <Legend />
+            <ReferenceLine y={0} stroke="#9CA3AF" />
+            <Line type="monotone" dataKey="prepay" name="Prepay the loan" stroke="#10B981" dot={false} strokeWidth={2} />
+            <Line type="monotone" dataKey="invest" name={`Invest in ${INVESTMENT_LABELS[type]}`} stroke="#4F46E5" dot={false} strokeWidth={2} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      <p className="text-xs text-gray-400 mt-2">
+        Net worth = investments (after tax on redemption) minus the loan still owed. Once the prepaid loan closes, its freed-up EMI is invested at the same return.
+      </p>
+    </div>
+  );
+};
+
+export default PrepayVsInvest;
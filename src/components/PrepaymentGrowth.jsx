@@ -0,0 +1,96 @@
+import { INPUT_LIMITS } from '../utils/shareState';
+import { formatCurrency } from '../utils/format';
+
+// --- Growing Prepayments ---
+// Yearly % increase and optional cap for each recurring stream, plus a last year
+
+const numberOrBlank = (value) => (value === '' ? '' : Number(value));
+
+const StreamGrowth = ({ label, amount, growth, cap, onChange }) => (
+  <div className="p-2 bg-green-50 rounded-lg border border-green-100 text-sm">
+    <div className="text-green-700 font-medium mb-2">{label} {formatCurrency(amount)}</div>
+    <div className="flex items-center gap-2">
+      <span className="text-green-700 whitespace-nowrap">+</span>
+      <div className="flex items-center bg-white rounded-md border border-green-200 px-2 w-20">
+        <input
+          type="number"
+          {...INPUT_LIMITS.prepaymentGrowth}
+          value={growth}
+          onChange={(e) => onChange({
+            growth: e.target.value === '' ? '' : Math.min(INPUT_LIMITS.prepaymentGrowth.max, Math.max(0, Number(e.target.value))),
+          })}
+          className="w-full py-1 text-right bg-transparent font-bold text-green-800 focus:outline-none"
+          aria-label={`${label} yearly increase`}
+        />
+        <span className="text-green-500 ml-1">%</span>
+      </div>
+      <span className="text-green-700 whitespace-nowrap">a year, up to</span>
+      <div className="flex items-center bg-white rounded-md border border-green-200 px-2 flex-1 min-w-0">
+        <span className="text-green-500 font-medium mr-1">₹</span>
+        <input
+          type="number"
+          min={0}
+          step={1000}
+          value={cap || ''}
+          placeholder="No cap"
+          onChange={(e) => onChange({ cap: numberOrBlank(e.target.value) })}
+          className="w-full py-1 text-right bg-transparent font-bold text-green-800 focus:outline-none placeholder:font-normal placeholder:text-green-300"
+          aria-label={`${label} cap`}
+        />
+      </div>
+    </div>
+  </div>
+);
+
+const PrepaymentGrowth = ({
+  monthlyPrepayment, annualPrepayment, monthlyGrowth, annualGrowth, monthlyCap, annualCap,
+  startYear, endYear, maxYear, onChange,
+}) => (
+  <div className="mt-4">
+    <h3 className="text-gray-700 font-semibold text-sm sm:text-base mb-1">Increase Every Year</h3>
+    <p className="text-xs text-gray-500 mb-3">Grow prepayments with your yearly appraisal.</p>
+
+    <div className="space-y-2">
+      {monthlyPrepayment > 0 && (
+        <StreamGrowth
+          label="Monthly"
+          amount={monthlyPrepayment}
+          growth={monthlyGrowth}
+          cap={monthlyCap}
+          onChange={({ growth, cap }) => onChange({
+            ...(growth !== undefined && { monthlyPrepaymentGrowth: growth }),
+            ...(cap !== undefined && { monthlyPrepaymentCap: cap }),
+          })}
+        />
+      )}
+      {annualPrepayment > 0 && (
+        <StreamGrowth
+          label="Annual"
+          amount={annualPrepayment}
+          growth={annualGrowth}
+          cap={annualCap}
+          onChange={({ growth, cap }) => onChange({
+            ...(growth !== undefined && { annualPrepaymentGrowth: growth }),
+            ...(cap !== undefined && { annualPrepaymentCap: cap }),
+          })}
+        />
+      )}
+    </div>
+
+    <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center text-sm mt-3 gap-2">
+      <span className="text-green-700 font-medium">Stop Prepaying After:</span>
+      <select
+        value={endYear}
+        onChange={(e) => onChange({ prepaymentEndYear: Number(e.target.value) })}
+        className="bg-white border border-green-200 text-green-800 text-sm rounded-md p-1.5 focus:ring-green-500 focus:border-green-500 w-full sm:w-auto"
+      >
+        <option value={0}>Loan closes</option>
+        {[...Array(Math.max(0, maxYear - startYear + 1)).keys()].map((offset) => (
+          <option key={startYear + offset} value={startYear + offset}>Year {startYear + offset}</option>
+        ))}
+      </select>
+    </div>
+  </div>
+);
+
+export default PrepaymentGrowth;
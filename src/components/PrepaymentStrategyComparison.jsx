@@ -0,0 +1,94 @@
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, Legend
+} from 'recharts';
+import { Scale } from 'lucide-react';
+import { PREPAYMENT_MODES } from '../utils/amortization';
+import { formatCurrency, formatCurrencyCompact } from '../utils/format';
+import { dateForLoanMonth, formatMonthYear } from '../utils/calendar';
+
+// --- Reduce EMI vs Reduce Tenure ---
+
+const StrategyColumn = ({ title, result, active, startMonth }) => {
+  const lastYear = result.years[result.years.length - 1];
+  return (
+    <div className={`p-4 rounded-xl border ${active ? 'border-indigo-300 bg-indigo-50/60' : 'border-gray-100 bg-gray-50'}`}>
+      <div className="flex justify-between items-center mb-3">
+        <h4 className="font-bold text-gray-800 text-sm sm:text-base">{title}</h4>
+        {active && <span className="text-xs font-semibold text-indigo-700 bg-indigo-100 px-2 py-0.5 rounded">Selected</span>}
+      </div>
+      <dl className="space-y-2 text-sm">
+        <div className="flex justify-between">
+          <dt className="text-gray-500">Interest Saved</dt>
+          <dd className="font-bold text-green-600">{formatCurrencyCompact(result.savedInterest)}</dd>
+        </div>
+        <div className="flex justify-between">
+          <dt className="text-gray-500">EMI Path</dt>
+          <dd className="font-semibold">{formatCurrency(result.emi)} → {formatCurrency(lastYear ? lastYear.emi : 0)}</dd>
+        </div>
+        <div className="flex justify-between">
+          <dt className="text-gray-500">Loan Closes</dt>
+          <dd className="font-semibold">
+            {formatMonthYear(dateForLoanMonth(startMonth, result.prepayMonths))} ({(result.prepayMonths / 12).toFixed(1)} yrs)
+          </dd>
+        </div>
+      </dl>
+    </div>
+  );
+};
+
+const PrepaymentStrategyComparison = ({ comparison, selectedMode, startMonth }) => {
+  const { reduceTenure, reduceEmi } = comparison;
+  const extraSaving = reduceTenure.savedInterest - reduceEmi.savedInterest;
+
+  // One row per loan year with the EMI paid at the start of that year under each strategy
+  const emiPath = reduceEmi.years.map((row, index) => ({
+    year: row.year,
+    reduceEmi: row.emi,
+    reduceTenure: reduceTenure.years[index] ? reduceTenure.years[index].emi : null,
+  }));
+
+  return (
+    <div className="bg-white p-5 sm:p-6 rounded-2xl shadow-sm border border-gray-100">
+      <h2 className="text-lg font-bold mb-4 flex items-center gap-2">
+        <Scale className="text-indigo-600" size={20} /> Reduce Tenure vs Reduce EMI
+      </h2>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <StrategyColumn
+          title="Reduce Tenure"
+          result={reduceTenure}
+          active={selectedMode === PREPAYMENT_MODES.REDUCE_TENURE}
+          startMonth={startMonth}
+        />
+        <StrategyColumn
+          title="Reduce EMI"
+          result={reduceEmi}
+          active={selectedMode === PREPAYMENT_MODES.REDUCE_EMI}
+          startMonth={startMonth}
+        />
+      </div>
+
+      <p className="text-sm text-gray-600 mt-4">
+        {extraSaving > 0
+          ? <>Keeping the EMI saves <span className="font-bold text-gray-900">{formatCurrencyCompact(extraSaving)}</span> more interest. Reducing the EMI instead lowers your monthly outgo, which helps if cash flow matters more.</>
+          : <>Both strategies cost about the same interest here.</>}
+      </p>
+
+      <div className="h-56 w-full mt-4">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={emiPath}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="year" tick={{fontSize: 12}} />
+            <YAxis tickFormatter={(val) => `₹${val/1000}k`} tick={{fontSize: 12}} />
+            <RechartsTooltip formatter={(value) => formatCurrency(value)} labelFormatter={(label) => `Year ${label}`} />
+            <Legend verticalAlign="bottom" height={36} />
+            <Line type="stepAfter" dataKey="reduceTenure" name="Reduce Tenure EMI" stroke="#4F46E5" dot={false} strokeWidth={2} connectNulls={false} />
+            <Line type="stepAfter" dataKey="reduceEmi" name="Reduce EMI" stroke="#10B981" dot={false} strokeWidth={2} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default PrepaymentStrategyComparison;
@@ -0,0 +1,103 @@
+import { TrendingUp, Plus, Trash2, AlertCircle } from 'lucide-react';
+import { RATE_CHANGE_MODES } from '../utils/amortization';
+import { formatCurrency } from '../utils/format';
+
+// --- Floating Rate Timeline ---
+// Editable list of repo/EBLR rate revisions: { id, month, rate, mode }
+
+const RateRevisions = ({ rateChanges, onChange, interestRate, revisions, truncated }) => {
+  const updateChange = (id, field, value) => {
+    onChange(rateChanges.map((change) => (change.id === id ? { ...change, [field]: value } : change)));
+  };
+
+  const addChange = () => {
+    const last = rateChanges[rateChanges.length - 1];
+    onChange([
+      ...rateChanges,
+      {
+        id: Date.now(),
+        month: last ? (Number(last.month) || 0) + 12 : 13,
+        rate: last ? last.rate : interestRate,
+        mode: RATE_CHANGE_MODES.KEEP_EMI,
+      },
+    ]);
+  };
+
+  const removeChange = (id) => {
+    onChange(rateChanges.filter((change) => change.id !== id));
+  };
+
+  return (
+    <div className="bg-white p-5 sm:p-6 rounded-2xl shadow-sm border border-gray-100">
+      <h2 className="text-lg font-bold mb-2 flex items-center gap-2">
+        <TrendingUp className="text-orange-500" size={20} /> Rate Revisions
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">Floating-rate loans get repriced. Add each revision and how your bank applies it.</p>
+
+      <div className="space-y-3">
+        {rateChanges.map((change) => {
+          const applied = revisions.find((rev) => rev.month === Number(change.month));
+          return (
+            <div key={change.id} className="p-3 bg-orange-50 rounded-lg border border-orange-100 text-sm">
+              <div className="flex items-center gap-2">
+                <span className="text-orange-700 font-medium">From month</span>
+                <input
+                  type="number"
+                  min={2}
+                  value={change.month}
+                  onChange={(e) => updateChange(change.id, 'month', e.target.value === '' ? '' : Number(e.target.value))}
+                  className="w-16 py-1 px-1 text-right bg-white border border-orange-200 rounded-md font-bold text-orange-800 focus:outline-none focus:ring-2 focus:ring-orange-400"
+                />
+                <input
+                  type="number"
+                  min={0}
+                  step={0.05}
+                  value={change.rate}
+                  onChange={(e) => updateChange(change.id, 'rate', e.target.value === '' ? '' : Number(e.target.value))}
+                  className="w-16 py-1 px-1 text-right bg-white border border-orange-200 rounded-md font-bold text-orange-800 focus:outline-none focus:ring-2 focus:ring-orange-400"
+                />
+                <span className="text-orange-700 font-medium">%</span>
+                <button
+                  onClick={() => removeChange(change.id)}
+                  className="ml-auto p-1 text-orange-400 hover:text-red-600 transition-colors"
+                  aria-label="Remove revision"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+              <select
+                value={change.mode}
+                onChange={(e) => updateChange(change.id, 'mode', e.target.value)}
+                className="mt-2 bg-white border border-orange-200 text-orange-800 text-sm rounded-md p-1.5 w-full focus:ring-orange-400 focus:border-orange-400"
+              >
+                <option value={RATE_CHANGE_MODES.KEEP_EMI}>Keep EMI, change tenure</option>
+                <option value={RATE_CHANGE_MODES.KEEP_TENURE}>Keep tenure, revise EMI</option>
+              </select>
+              {applied && applied.emi !== applied.previousEmi && (
+                <p className="text-xs text-orange-700 mt-2">
+                  EMI {formatCurrency(applied.previousEmi)} → <span className="font-bold">{formatCurrency(applied.emi)}</span>
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <button
+        onClick={addChange}
+        className="mt-3 flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-orange-700 bg-orange-50 hover:bg-orange-100 border border-orange-100 rounded-lg transition-colors"
+      >
+        <Plus size={14} /> Add Revision
+      </button>
+
+      {truncated && (
+        <div className="mt-4 p-3 bg-red-50 rounded-lg border border-red-100 flex items-start gap-2 text-xs text-red-700">
+          <AlertCircle size={16} className="flex-shrink-0 mt-0.5" />
+          <span>At these rates the EMI barely covers the interest, so the loan does not close within twice the original tenure. Banks usually raise the EMI in this case.</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RateRevisions;
@@ -0,0 +1,137 @@
+import { useState, useMemo } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, Legend, ReferenceLine
+} from 'recharts';
+import { Home, CheckCircle } from 'lucide-react';
+import NumberField from './NumberField';
+import { analyseRentVsBuy, DEFAULT_RENT_VS_BUY } from '../utils/rentVsBuy';
+import { LOAN_TYPES } from '../utils/loanTypes';
+import { dateForLoanMonth, formatMonthYear } from '../utils/calendar';
+import { formatCurrency, formatCurrencyCompact } from '../utils/format';
+
+// --- Rent vs Buy Tab ---
+// Net worth of buying the home with this loan against renting and investing the difference
+
+const RentVsBuy = ({ calculations, inputs, startMonth, taxProfiles, loanType }) => {
+  const [options, setOptions] = useState(DEFAULT_RENT_VS_BUY);
+  const setOption = (key) => (value) => setOptions({ ...options, [key]: value });
+
+  const analysis = useMemo(
+    () => analyseRentVsBuy({ months: calculations.months, loanAmount: inputs.loanAmount, startMonth, taxProfiles }, options),
+    [calculations.months, inputs.loanAmount, startMonth, taxProfiles, options]
+  );
+
+  if (loanType !== LOAN_TYPES.HOME) {
+    return (
+      <p className="text-sm text-gray-500">
+        Rent vs buy compares owning a home with renting one. Switch the loan type to Home to use it.
+      </p>
+    );
+  }
+
+  const { years, breakEvenYear, upfront, totals } = analysis;
+  const last = years[years.length - 1];
+  const yearLabel = (year) => formatMonthYear(dateForLoanMonth(startMonth, year * 12));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-2">
+        <Home className="text-indigo-600" size={20} />
+        <h3 className="text-lg font-bold text-gray-800">Rent vs Buy</h3>
+      </div>
+      <p className="text-sm text-gray-500 -mt-4">
+        Both sides spend the same each month. Whoever pays less that month invests the difference, and the renter invests
+        what the buyer puts down up front.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-3">
+          <h4 className="text-sm font-semibold text-gray-700">Buying</h4>
+          <NumberField id="rvb-down" label="Down payment" value={options.downPayment} onChange={setOption('downPayment')} unit="₹" step={50000} />
+          <NumberField id="rvb-stamp" label="Stamp duty" value={options.stampDutyPercent} onChange={setOption('stampDutyPercent')} suffix="%" step={0.5} />
+          <NumberField id="rvb-registration" label="Registration" value={options.registrationPercent} onChange={setOption('registrationPercent')} suffix="%" step={0.1} />
+          <NumberField id="rvb-maintenance" label="Maintenance a year" value={options.maintenancePercent} onChange={setOption('maintenancePercent')} suffix="%" step={0.1} />
+          <NumberField id="rvb-property-tax" label="Property tax a year" value={options.propertyTaxPercent} onChange={setOption('propertyTaxPercent')} suffix="%" step={0.05} />
+          <NumberField id="rvb-appreciation" label="Property appreciation" value={options.appreciationPercent} onChange={setOption('appreciationPercent')} suffix="%" step={0.5} />
+        </div>
+
+        <div className="space-y-3">
+          <h4 className="text-sm font-semibold text-gray-700">Renting</h4>
+          <NumberField id="rvb-rent" label="Monthly rent" value={options.monthlyRent} onChange={setOption('monthlyRent')} unit="₹" step={1000} />
+          <NumberField id="rvb-escalation" label="Rent hike a year" value={options.rentEscalationPercent} onChange={setOption('rentEscalationPercent')} suffix="%" step={0.5} />
+          <NumberField id="rvb-return" label="Investment return (after tax)" value={options.investmentReturnPercent} onChange={setOption('investmentReturnPercent')} suffix="%" step={0.5} />
+          <NumberField id="rvb-horizon" label="Horizon (0 = loan tenure)" value={options.horizonYears} onChange={setOption('horizonYears')} suffix="yrs" step={1} />
+          <p className="text-xs text-gray-500">
+            Property price {formatCurrencyCompact(analysis.propertyPrice)} (loan plus down payment). Paid up front:
+            {' '}{formatCurrencyCompact(upfront.total)}, of which {formatCurrencyCompact(upfront.stampDuty + upfront.registration)} is
+            stamp duty and registration.
+          </p>
+        </div>
+      </div>
+
+      <div className={`p-4 rounded-xl border flex items-start gap-3 ${analysis.buyingWins ? 'bg-green-50 border-green-100' : 'bg-amber-50 border-amber-100'}`}>
+        <CheckCircle size={20} className={analysis.buyingWins ? 'text-green-600 mt-0.5' : 'text-amber-600 mt-0.5'} />
+        <div className="text-sm text-gray-700">
+          <p>
+            After {analysis.horizonYears} years buying leaves you{' '}
+            <span className={`font-bold ${analysis.buyingWins ? 'text-green-700' : 'text-red-600'}`}>{formatCurrencyCompact(analysis.advantage)}</span>{' '}
+            {analysis.buyingWins ? 'richer' : 'poorer'} than renting ({formatCurrencyCompact(last.buyNetWorth)} against {formatCurrencyCompact(last.rentNetWorth)}).
+          </p>
+          <p className="text-xs text-gray-500 mt-1">
+            {breakEvenYear
+              ? <>Buying pulls ahead in year <span className="font-bold">{breakEvenYear}</span> ({yearLabel(breakEvenYear)}).</>
+              : 'Buying never catches up with renting over this horizon.'}
+          </p>
+        </div>
+      </div>
+
+      <div className="h-72">
+        <h4 className="text-center text-sm font-semibold text-gray-500 mb-4">Net Worth</h4>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={years}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="year" tick={{fontSize: 12}} tickFormatter={(val) => `Y${val}`} />
+            <YAxis tickFormatter={(val) => formatCurrencyCompact(val)} tick={{fontSize: 12}} width={70} />
+            <RechartsTooltip formatter={(value) => formatCurrency(value)} labelFormatter={(label) => `End of year ${label}`} />
+            <Legend />
+            {breakEvenYear && (
+              <ReferenceLine x={breakEvenYear} stroke="#F59E0B" strokeDasharray="4 4" label={{ value: 'Break-even', position: 'top', fontSize: 11, fill: '#B45309' }} />
+            )}
+            <Line type="monotone" dataKey="buyNetWorth" name="Buy" stroke="#4F46E5" dot={false} strokeWidth={2} />
+            <Line type="monotone" dataKey="rentNetWorth" name="Rent and invest" stroke="#10B981" dot={false} strokeWidth={2} />
+            <Line type="monotone" dataKey="propertyValue" name="Property value" stroke="#A5B4FC" strokeDasharray="5 5" dot={false} strokeWidth={1.5} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 pt-4 text-sm">
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-gray-500 text-xs">Rent paid by the renter</p>
+          <p className="font-bold text-gray-800">{formatCurrencyCompact(totals.rentPaid)}</p>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-gray-500 text-xs">EMIs and prepayments</p>
+          <p className="font-bold text-gray-800">{formatCurrencyCompact(totals.loanPaid)}</p>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-gray-500 text-xs">Of which interest</p>
+          <p className="font-bold text-red-500">{formatCurrencyCompact(totals.interestPaid)}</p>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-gray-500 text-xs">Maintenance and property tax</p>
+          <p className="font-bold text-gray-800">{formatCurrencyCompact(totals.ownershipCosts)}</p>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-gray-500 text-xs">Income tax saved</p>
+          <p className="font-bold text-green-700">{formatCurrencyCompact(totals.taxSaved)}</p>
+        </div>
+      </div>
+      <p className="text-xs text-gray-500">
+        Tax saved uses the profiles in the Tax tab. HRA the renter could claim is not counted, and neither are brokerage or
+        the cost of moving.
+      </p>
+    </div>
+  );
+};
+
+export default RentVsBuy;
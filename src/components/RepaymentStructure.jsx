@@ -0,0 +1,180 @@
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import { Layers, Plus, Trash2 } from 'lucide-react';
+import InputSlider from './InputSlider';
+import { REPAYMENT_STRUCTURES } from '../utils/amortization';
+import { INPUT_LIMITS } from '../utils/shareState';
+import { formatCurrency, formatCurrencyCompact } from '../utils/format';
+
+// --- Repayment Structure ---
+// Standard, step-up, step-down or custom EMIs: { id, year, amount } per change
+
+const STRUCTURE_LABELS = {
+  [REPAYMENT_STRUCTURES.STANDARD]: 'Standard',
+  [REPAYMENT_STRUCTURES.STEP_UP]: 'Step-up',
+  [REPAYMENT_STRUCTURES.STEP_DOWN]: 'Step-down',
+  [REPAYMENT_STRUCTURES.CUSTOM]: 'Custom',
+};
+
+const STRUCTURE_HINTS = {
+  [REPAYMENT_STRUCTURES.STANDARD]: 'The same EMI every month for the whole tenure.',
+  [REPAYMENT_STRUCTURES.STEP_UP]: 'Lower EMIs now that rise each year with your salary.',
+  [REPAYMENT_STRUCTURES.STEP_DOWN]: 'Higher EMIs now that fall each year, for a lighter load near retirement.',
+  [REPAYMENT_STRUCTURES.CUSTOM]: 'Set the EMI you would like from each year. The plan is scaled so the loan still closes on time.',
+};
+
+const RepaymentStructure = ({ structure, stepPercent, customEmis, flatEmi, comparison, onChange }) => {
+  const selectStructure = (next) => {
+    // Seed a custom plan from the flat EMI: a bump after five years
+    if (next === REPAYMENT_STRUCTURES.CUSTOM && customEmis.length === 0) {
+      onChange({
+        repaymentStructure: next,
+        customEmis: [
+          { id: 1, year: 1, amount: Math.round(flatEmi * 0.8) },
+          { id: 2, year: 6, amount: Math.round(flatEmi * 1.2) },
+        ],
+      });
+      return;
+    }
+    onChange({ repaymentStructure: next });
+  };
+
+  const updateEntry = (id, field, value) => {
+    onChange({ customEmis: customEmis.map((entry) => (entry.id === id ? { ...entry, [field]: value } : entry)) });
+  };
+
+  const addEntry = () => {
+    const last = customEmis[customEmis.length - 1];
+    onChange({
+      customEmis: [...customEmis, { id: Date.now(), year: (Number(last?.year) || 0) + 5, amount: last ? last.amount : 30000 }],
+    });
+  };
+
+  const removeEntry = (id) => {
+    onChange({ customEmis: customEmis.filter((entry) => entry.id !== id) });
+  };
+
+  const structured = comparison?.structured;
+  const standard = comparison?.standard;
+  const stepped = structured && structured.repaymentStructure !== REPAYMENT_STRUCTURES.STANDARD;
+  const interestDifference = stepped ? structured.totalInterest - standard.totalInterest : 0;
+  const chartData = stepped ? structured.years.map((year) => ({ year: year.year, emi: year.emi })) : [];
+
+  return (
+    <div className="bg-white p-5 sm:p-6 rounded-2xl shadow-sm border border-gray-100">
+      <h2 className="text-lg font-bold mb-2 flex items-center gap-2">
+        <Layers className="text-indigo-600" size={20} /> Repayment Structure
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">{STRUCTURE_HINTS[structure]}</p>
+
+      <div className="flex bg-gray-100 p-1 rounded-lg mb-6">
+        {Object.values(REPAYMENT_STRUCTURES).map((option) => (
+          <button
+            key={option}
+            onClick={() => selectStructure(option)}
+            className={`flex-1 py-1.5 px-2 rounded-md text-xs sm:text-sm font-medium transition-all ${structure === option ? 'bg-white text-indigo-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+          >
+            {STRUCTURE_LABELS[option]}
+          </button>
+        ))}
+      </div>
+
+      {(structure === REPAYMENT_STRUCTURES.STEP_UP || structure === REPAYMENT_STRUCTURES.STEP_DOWN) && (
+        <InputSlider
+          label={structure === REPAYMENT_STRUCTURES.STEP_UP ? 'EMI Rises Each Year' : 'EMI Falls Each Year'}
+          value={stepPercent}
+          onChange={(value) => onChange({ emiStepPercent: value })}
+          {...INPUT_LIMITS.emiStepPercent}
+          suffix="%"
+        />
+      )}
+
+      {structure === REPAYMENT_STRUCTURES.CUSTOM && (
+        <div className="mb-6">
+          <div className="space-y-2">
+            {customEmis.map((entry) => (
+              <div key={entry.id} className="flex items-center gap-2 p-2 bg-indigo-50 rounded-lg border border-indigo-100 text-sm">
+                <span className="text-indigo-700 font-medium whitespace-nowrap">From year</span>
+                <input
+                  type="number"
+                  min={1}
+                  value={entry.year}
+                  onChange={(e) => updateEntry(entry.id, 'year', e.target.value === '' ? '' : Number(e.target.value))}
+                  className="w-14 py-1 px-1 text-right bg-white border border-indigo-200 rounded-md font-bold text-indigo-800 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+                  aria-label="From loan year"
+                />
+                <div className="flex items-center bg-white rounded-md border border-indigo-200 px-2 flex-1 min-w-0">
+                  <span className="text-indigo-400 font-medium mr-1">₹</span>
+                  <input
+                    type="number"
+                    min={0}
+                    step={1000}
+                    value={entry.amount}
+                    onChange={(e) => updateEntry(entry.id, 'amount', e.target.value === '' ? '' : Number(e.target.value))}
+                    className="w-full py-1 text-right bg-transparent font-bold text-indigo-800 focus:outline-none"
+                    aria-label="EMI"
+                  />
+                </div>
+                <button
+                  onClick={() => removeEntry(entry.id)}
+                  className="p-1 text-indigo-300 hover:text-red-600 transition-colors"
+                  aria-label="Remove EMI change"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            ))}
+          </div>
+          <button
+            onClick={addEntry}
+            className="mt-3 flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-indigo-700 bg-indigo-50 hover:bg-indigo-100 border border-indigo-100 rounded-lg transition-colors"
+          >
+            <Plus size={14} /> Add EMI Change
+          </button>
+        </div>
+      )}
+
+      {stepped && (
+        <>
+          <div className="grid grid-cols-2 gap-3 text-sm">
+            <div className="p-3 bg-gray-50 rounded-lg border border-gray-100">
+              <div className="text-xs text-gray-500">EMI path</div>
+              <div className="font-bold text-gray-800">
+                {formatCurrency(structured.emi)} → {formatCurrency(structured.years[structured.years.length - 1].emi)}
+              </div>
+              <div className="text-xs text-gray-400 mt-1">Flat EMI {formatCurrency(standard.emi)}</div>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg border border-gray-100">
+              <div className="text-xs text-gray-500">Interest vs flat EMI</div>
+              <div className={`font-bold ${interestDifference > 0 ? 'text-red-600' : 'text-green-700'}`}>
+                {interestDifference > 0 ? '+' : '−'}{formatCurrencyCompact(Math.abs(interestDifference))}
+              </div>
+              <div className="text-xs text-gray-400 mt-1">{formatCurrencyCompact(structured.totalInterest)} in total</div>
+            </div>
+          </div>
+
+          <div className="h-40 mt-4">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis dataKey="year" tick={{fontSize: 11}} />
+                <YAxis tickFormatter={(val) => formatCurrencyCompact(val)} tick={{fontSize: 11}} width={60} />
+                <RechartsTooltip formatter={(value) => formatCurrency(value)} labelFormatter={(label) => `Year ${label}`} />
+                <ReferenceLine y={standard.emi} stroke="#9CA3AF" strokeDasharray="4 4" />
+                <Bar dataKey="emi" name="EMI" fill="#4F46E5" radius={[3, 3, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <p className="text-xs text-gray-400 mt-2">
+            {interestDifference > 0
+              ? 'Smaller early EMIs repay principal more slowly, so more interest builds up.'
+              : 'Larger early EMIs clear principal sooner, so less interest builds up.'}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RepaymentStructure;
@@ -0,0 +1,141 @@
+import { useState, useMemo } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, Legend
+} from 'recharts';
+import { computeSchedule } from '../utils/amortization';
+import { scenarioState, MAX_COMPARE } from '../utils/scenarios';
+import { analyseJointTax, taxProfilesFromState } from '../utils/tax';
+import { analyseCostOfBorrowing } from '../utils/charges';
+import { reducingRateFor } from '../utils/loanTypes';
+import { dateForLoanMonth, formatMonthYear } from '../utils/calendar';
+import { formatCurrency, formatCurrencyCompact } from '../utils/format';
+
+// --- Scenario Comparison Tab ---
+
+const COLORS = ['#4F46E5', '#F87171', '#10B981', '#F59E0B'];
+
+const ScenarioComparison = ({ scenarios }) => {
+  const [pickedIds, setPickedIds] = useState(() => scenarios.slice(0, 2).map((scenario) => scenario.id));
+  // Ignore picks whose scenario has since been deleted
+  const selectedIds = pickedIds.filter((id) => scenarios.some((scenario) => scenario.id === id));
+
+  const toggle = (id) => {
+    if (selectedIds.includes(id)) {
+      setPickedIds(selectedIds.filter((item) => item !== id));
+    } else if (selectedIds.length < MAX_COMPARE) {
+      setPickedIds([...selectedIds, id]);
+    }
+  };
+
+  const compared = useMemo(() => scenarios
+    .filter((scenario) => pickedIds.includes(scenario.id))
+    .map((scenario) => {
+      const saved = scenarioState(scenario);
+      // Flat-rate quotes run on their reducing-balance equivalent, as in the calculator
+      const state = { ...saved, interestRate: reducingRateFor(saved) };
+      const result = computeSchedule(state);
+      return {
+        ...scenario,
+        result,
+        closure: formatMonthYear(dateForLoanMonth(state.startMonth, result.prepayMonths)),
+        taxSaved: analyseJointTax(result.months, state.startMonth, taxProfilesFromState(state)).totals.combinedSaved,
+        cost: analyseCostOfBorrowing(state, state, state.startMonth),
+      };
+    }), [scenarios, pickedIds]);
+
+  // One row per loan year, one balance column per scenario
+  const balanceData = useMemo(() => {
+    const longest = Math.max(0, ...compared.map((item) => item.result.years.length));
+    return Array.from({ length: longest }, (_, index) => {
+      const row = { year: index + 1 };
+      compared.forEach((item) => {
+        const year = item.result.years[index];
+        row[item.id] = year ? year.balance : null;
+      });
+      return row;
+    });
+  }, [compared]);
+
+  if (scenarios.length < 2) {
+    return (
+      <div className="text-center text-gray-500 text-sm py-16">
+        Save at least two scenarios from the Scenarios panel to compare them here.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap gap-2">
+        {scenarios.map((scenario) => {
+          const active = selectedIds.includes(scenario.id);
+          return (
+            <button
+              key={scenario.id}
+              onClick={() => toggle(scenario.id)}
+              disabled={!active && selectedIds.length >= MAX_COMPARE}
+              className={`px-3 py-1.5 text-xs sm:text-sm font-medium rounded-lg border transition-colors disabled:opacity-40 ${active ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'}`}
+            >
+              {scenario.name}
+            </button>
+          );
+        })}
+      </div>
+      <p className="text-xs text-gray-400">Pick up to {MAX_COMPARE} scenarios.</p>
+
+      {compared.length > 0 && (
+        <div className="overflow-x-auto -mx-4 sm:mx-0">
+          <table className="min-w-full text-sm text-left border rounded-lg overflow-hidden">
+            <thead className="bg-gray-50 text-gray-600 font-medium">
+              <tr>
+                <th className="px-4 py-3">Scenario</th>
+                <th className="px-4 py-3">EMI</th>
+                <th className="px-4 py-3">Total Interest</th>
+                <th className="px-4 py-3">APR</th>
+                <th className="px-4 py-3">Total Cost</th>
+                <th className="px-4 py-3">Closes</th>
+                <th className="px-4 py-3 text-right">Tax Saved</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 bg-white">
+              {compared.map((item, index) => (
+                <tr key={item.id}>
+                  <td className="px-4 py-3 font-medium whitespace-nowrap">
+                    <span className="inline-block w-2.5 h-2.5 rounded-full mr-2" style={{ backgroundColor: COLORS[index] }} />
+                    {item.name}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">{formatCurrency(item.result.emi)}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">{formatCurrencyCompact(item.result.prepayTotalInterest)}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">{item.cost.apr === null ? '—' : `${item.cost.apr}%`}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">{formatCurrencyCompact(item.cost.totalCost)}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">{item.closure}</td>
+                  <td className="px-4 py-3 text-right whitespace-nowrap">{formatCurrencyCompact(item.taxSaved)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {compared.length > 0 && (
+        <div className="h-72 w-full">
+          <h4 className="text-center text-sm font-semibold text-gray-500 mb-2">Outstanding Balance</h4>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={balanceData}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} />
+              <XAxis dataKey="year" tick={{fontSize: 12}} />
+              <YAxis tickFormatter={(val) => formatCurrencyCompact(val)} tick={{fontSize: 12}} width={80} />
+              <RechartsTooltip formatter={(value) => formatCurrencyCompact(value)} labelFormatter={(label) => `Year ${label}`} />
+              <Legend verticalAlign="bottom" height={36} />
+              {compared.map((item, index) => (
+                <Line key={item.id} type="monotone" dataKey={item.id} name={item.name} stroke={COLORS[index]} dot={false} strokeWidth={2} />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioComparison;
@@ -0,0 +1,69 @@
+import { useState } from 'react';
+import { Save, FolderOpen, Trash2 } from 'lucide-react';
+
+// --- Saved Scenarios Panel ---
+
+const ScenarioManager = ({ scenarios, onSave, onLoad, onDelete }) => {
+  const [name, setName] = useState('');
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSave(name);
+    setName('');
+  };
+
+  return (
+    <div className="bg-white p-5 sm:p-6 rounded-2xl shadow-sm border border-gray-100">
+      <h2 className="text-lg font-bold mb-4 flex items-center gap-2">
+        <Save className="text-indigo-600" size={20} /> Scenarios
+      </h2>
+
+      <form onSubmit={handleSave} className="flex gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. SBI 8.4% + 10k prepay"
+          maxLength={60}
+          className="flex-1 min-w-0 bg-gray-50 border border-gray-200 text-gray-900 text-sm rounded-lg focus:ring-indigo-500 focus:border-indigo-500 p-2.5"
+        />
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          className="px-3 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 rounded-lg transition-colors"
+        >
+          Save
+        </button>
+      </form>
+
+      {scenarios.length > 0 ? (
+        <ul className="mt-4 divide-y divide-gray-100">
+          {scenarios.map((scenario) => (
+            <li key={scenario.id} className="flex items-center gap-2 py-2 text-sm">
+              <span className="flex-1 min-w-0 truncate font-medium text-gray-700" title={scenario.name}>{scenario.name}</span>
+              <button
+                onClick={() => onLoad(scenario)}
+                className="p-1.5 text-indigo-500 hover:text-indigo-700 hover:bg-indigo-50 rounded-md transition-colors"
+                aria-label={`Load ${scenario.name}`}
+              >
+                <FolderOpen size={16} />
+              </button>
+              <button
+                onClick={() => onDelete(scenario.id)}
+                className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-md transition-colors"
+                aria-label={`Delete ${scenario.name}`}
+              >
+                <Trash2 size={16} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-xs text-gray-400 mt-3">Saved scenarios stay in this browser. Save two or more to compare them.</p>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioManager;
@@ -0,0 +1,171 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { ChevronDown, ChevronUp } from 'lucide-react';
+import { groupSchedule, formatMonthYear, SCHEDULE_PERIODS } from '../utils/calendar';
+import { formatCurrency, formatCurrencyCompact } from '../utils/format';
+
+// --- Amortization Schedule ---
+// Yearly rows (loan, calendar or financial year) that expand into dated months.
+// The loan year hovered here or in the charts is highlighted in both.
+
+const PERIOD_OPTIONS = [
+  { value: SCHEDULE_PERIODS.LOAN_YEAR, label: 'Loan Year' },
+  { value: SCHEDULE_PERIODS.CALENDAR_YEAR, label: 'Calendar Year' },
+  { value: SCHEDULE_PERIODS.FINANCIAL_YEAR, label: 'Financial Year' },
+];
+
+const ScheduleTable = ({ months, startMonth, period, onPeriodChange, highlightedYear, onHighlight }) => {
+  const [expanded, setExpanded] = useState([]);
+  const highlightedRow = useRef(null);
+
+  const groups = useMemo(() => groupSchedule(months, startMonth, period), [months, startMonth, period]);
+  // Prepayments get their own column, so growing amounts can be read year by year
+  const showPrepaid = groups.some((row) => row.prepaid > 0);
+  const isHighlighted = (row) => row.months.some((month) => month.year === highlightedYear);
+  const firstHighlighted = groups.find(isHighlighted)?.key;
+
+  // Bring the year picked in the charts into view when the tab opens
+  useEffect(() => {
+    highlightedRow.current?.scrollIntoView?.({ block: 'nearest' });
+  }, []);
+
+  const toggle = (key) => {
+    setExpanded((current) => (current.includes(key) ? current.filter((k) => k !== key) : [...current, key]));
+  };
+
+  const changePeriod = (value) => {
+    setExpanded([]);
+    onPeriodChange(value);
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-4">
+        {PERIOD_OPTIONS.map((option) => (
+          <button
+            key={option.value}
+            onClick={() => changePeriod(option.value)}
+            className={`px-3 py-1.5 text-xs sm:text-sm font-medium rounded-lg transition-colors ${period === option.value ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto -mx-4 sm:mx-0">
+        <div className="min-w-full inline-block align-middle">
+            <div className="border rounded-lg overflow-hidden">
+                <table className="min-w-full text-sm text-left">
+                  <thead className="bg-gray-50 text-gray-600 font-medium">
+                    <tr>
+                      <th className="px-4 py-3">Year</th>
+                      <th className="px-4 py-3">Principal</th>
+                      <th className="px-4 py-3">Interest</th>
+                      {showPrepaid && <th className="px-4 py-3">Prepaid</th>}
+                      <th className="px-4 py-3">Rate</th>
+                      <th className="px-4 py-3 text-right">Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100 bg-white">
+                    {groups.map((row) => {
+                      const isOpen = expanded.includes(row.key);
+                      const highlighted = isHighlighted(row);
+                      return (
+                        <React.Fragment key={row.key}>
+                          <tr
+                            ref={row.key === firstHighlighted ? highlightedRow : undefined}
+                            onClick={() => toggle(row.key)}
+                            onMouseEnter={() => onHighlight(row.months[0].year)}
+                            className={`cursor-pointer transition-colors ${highlighted ? 'bg-indigo-50 hover:bg-indigo-100' : row.lumpSum > 0 ? 'bg-green-50 hover:bg-green-100' : 'hover:bg-gray-50'}`}
+                          >
+                            <td className="px-4 py-3 font-medium text-indigo-600 whitespace-nowrap">
+                              <span className="inline-flex items-center gap-1">
+                                {isOpen ? <ChevronUp size={14} /> : <ChevronDown size={14} />} {row.label}
+                              </span>
+                            </td>
+                            <td className="px-4 py-3 whitespace-nowrap">
+                              {formatCurrency(row.principalPaid)}
+                              {row.lumpSum > 0 && (
+                                <span className="ml-2 text-xs font-semibold text-green-700 bg-green-100 px-1.5 py-0.5 rounded">
+                                  +{formatCurrencyCompact(row.lumpSum)} lump sum
+                                </span>
+                              )}
+                            </td>
+                            <td className="px-4 py-3 text-gray-500 whitespace-nowrap">{formatCurrency(row.interestPaid)}</td>
+                            {showPrepaid && (
+                              <td className="px-4 py-3 text-green-700 whitespace-nowrap">
+                                {row.prepaid > 0 ? formatCurrency(row.prepaid) : '-'}
+                              </td>
+                            )}
+                            <td className={`px-4 py-3 whitespace-nowrap ${row.rateChanged ? 'text-orange-600 font-semibold' : 'text-gray-500'}`}>
+                              {row.rate}%{row.rateChanged && ' •'}
+                            </td>
+                            <td className="px-4 py-3 text-right font-mono whitespace-nowrap">
+                              {formatCurrency(row.balance)}
+                              {row.disbursed > 0 && (
+                                <span className="block text-xs font-sans font-semibold text-amber-700">
+                                  +{formatCurrencyCompact(row.disbursed)} disbursed
+                                </span>
+                              )}
+                            </td>
+                          </tr>
+
+                          {isOpen && (
+                            <tr>
+                              <td colSpan={showPrepaid ? 6 : 5} className="p-0 bg-gray-50">
+                                <table className="min-w-full text-xs sm:text-sm">
+                                  <thead className="text-gray-500">
+                                    <tr>
+                                      <th className="px-4 py-2 text-left font-medium">Date</th>
+                                      <th className="px-4 py-2 text-right font-medium">Opening</th>
+                                      <th className="px-4 py-2 text-right font-medium">EMI</th>
+                                      <th className="px-4 py-2 text-right font-medium">Interest</th>
+                                      <th className="px-4 py-2 text-right font-medium">Principal</th>
+                                      <th className="px-4 py-2 text-right font-medium">Prepayment</th>
+                                      <th className="px-4 py-2 text-right font-medium">Closing</th>
+                                    </tr>
+                                  </thead>
+                                  <tbody className="divide-y divide-gray-100">
+                                    {row.months.map((month) => (
+                                      <tr key={month.month} className={month.lumpSum > 0 ? 'bg-green-100/60' : ''}>
+                                        <td className="px-4 py-2 whitespace-nowrap text-gray-600">
+                                          {formatMonthYear(month.date)}
+                                          {month.rateChanged && <span className="ml-1 text-orange-600 font-semibold">{month.rate}%</span>}
+                                          {month.underConstruction && <span className="ml-1 text-xs text-amber-700">under construction</span>}
+                                          {month.moratorium && <span className="ml-1 text-xs text-amber-700">moratorium</span>}
+                                        </td>
+                                        <td className="px-4 py-2 text-right font-mono whitespace-nowrap">
+                                          {formatCurrency(month.openingBalance)}
+                                          {month.disbursement > 0 && (
+                                            <span className="block text-xs font-sans text-amber-700">+{formatCurrency(month.disbursement)}</span>
+                                          )}
+                                        </td>
+                                        <td className="px-4 py-2 text-right font-mono whitespace-nowrap">{formatCurrency(month.emi)}</td>
+                                        <td className="px-4 py-2 text-right font-mono whitespace-nowrap text-gray-500">{formatCurrency(month.interest)}</td>
+                                        <td className="px-4 py-2 text-right font-mono whitespace-nowrap">
+                                          {/* Moratorium interest is added to the balance, not paid */}
+                                          {month.moratorium ? '-' : formatCurrency(month.principal)}
+                                        </td>
+                                        <td className="px-4 py-2 text-right font-mono whitespace-nowrap text-green-700">
+                                          {month.prepayment > 0 ? formatCurrency(month.prepayment) : '-'}
+                                        </td>
+                                        <td className="px-4 py-2 text-right font-mono whitespace-nowrap">{formatCurrency(month.closingBalance)}</td>
+                                      </tr>
+                                    ))}
+                                  </tbody>
+                                </table>
+                              </td>
+                            </tr>
+                          )}
+                        </React.Fragment>
+                      );
+                    })}
+                  </tbody>
+                </table>
+            </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleTable;
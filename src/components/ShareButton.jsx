@@ -0,0 +1,45 @@
+import { useState } from 'react';
+import { Share2, Check } from 'lucide-react';
+
+// --- Share Link Button ---
+// Uses the Web Share API where available (mostly mobile), otherwise copies the link.
+
+const ShareButton = ({ getUrl }) => {
+  const [status, setStatus] = useState(null); // 'copied' once the link is on the clipboard
+
+  const handleShare = async () => {
+    const url = getUrl();
+
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: 'LoanSmart India scenario', url });
+        return;
+      } catch (err) {
+        // User closed the share sheet; nothing else to do
+        if (err.name === 'AbortError') return;
+      }
+    }
+
+    try {
+      await navigator.clipboard.writeText(url);
+      setStatus('copied');
+      setTimeout(() => setStatus(null), 2000);
+    } catch {
+      window.prompt('Copy this link to share your scenario:', url);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleShare}
+      className="flex items-center gap-1 sm:gap-2 px-3 py-1.5 text-xs sm:text-sm font-medium text-indigo-700 bg-indigo-50 hover:bg-indigo-100 rounded-lg transition-colors"
+    >
+      {status === 'copied'
+        ? <Check size={14} className="sm:w-4 sm:h-4" />
+        : <Share2 size={14} className="sm:w-4 sm:h-4" />}
+      <span className="hidden sm:inline">{status === 'copied' ? 'Link Copied' : 'Share'}</span>
+    </button>
+  );
+};
+
+export default ShareButton;
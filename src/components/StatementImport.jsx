@@ -0,0 +1,255 @@
+import { useState, useMemo } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, Legend
+} from 'recharts';
+import { FileUp, AlertTriangle, ArrowRight } from 'lucide-react';
+import {
+  readStatementFile, detectStatement, matchColumns, parseStatement, analyseStatement,
+  STATEMENT_FIELDS, STATEMENT_PRESETS, DEPARTURE_LABELS,
+} from '../utils/statement';
+import { RATE_CHANGE_MODES } from '../utils/amortization';
+import { dateForLoanMonth, formatMonthYear } from '../utils/calendar';
+import { formatCurrency, formatCurrencyCompact } from '../utils/format';
+
+// --- Statement Tab ---
+// The lender's statement, read in the browser, against the projected schedule
+
+const StatementImport = ({ calculations, startMonth, onApply }) => {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [layout, setLayout] = useState(null); // { presetKey, headerIndex, mapping }
+  const [error, setError] = useState('');
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    try {
+      const sheet = await readStatementFile(file);
+      const detected = detectStatement(sheet);
+      setFileName(file.name);
+      setRows(sheet);
+      setLayout(detected || { presetKey: 'generic', headerIndex: 0, mapping: matchColumns(sheet[0] || [], 'generic') });
+      if (!detected) setError('Couldn\'t recognise the columns. Pick them below.');
+    } catch (err) {
+      setError(err.message || 'Couldn\'t read the file.');
+    }
+  };
+
+  const header = layout ? rows[layout.headerIndex] || [] : [];
+  const entries = useMemo(
+    () => (layout ? parseStatement(rows, layout.headerIndex, layout.mapping) : []),
+    [rows, layout]
+  );
+  const analysis = useMemo(
+    () => (entries.length > 0 ? analyseStatement(entries, startMonth, calculations.months) : null),
+    [entries, startMonth, calculations.months]
+  );
+
+  const changePreset = (presetKey) => setLayout({ ...layout, presetKey, mapping: matchColumns(header, presetKey) });
+  const changeColumn = (field, index) => setLayout({ ...layout, mapping: { ...layout.mapping, [field]: index } });
+
+  const monthLabel = (month) => formatMonthYear(dateForLoanMonth(startMonth, month));
+  const projection = analysis?.projection;
+  const { departures = [], comparison = [] } = analysis?.reconciliation || {};
+
+  // Projected balance for every month, the bank's where the statement has it, then the projection from it
+  const chartData = useMemo(() => {
+    if (!analysis) return [];
+    const actual = new Map(comparison.map((row) => [row.loanMonth, row.actualBalance]));
+    const forward = new Map((projection?.months || []).map((row) => [row.month, row.closingBalance]));
+    if (projection) forward.set(projection.fromMonth, projection.balance);
+    const lastMonth = Math.max(calculations.months.length, projection ? projection.closureMonth : 0);
+    return Array.from({ length: lastMonth }, (_, index) => ({
+      month: index + 1,
+      projected: calculations.months[index]?.closingBalance ?? 0,
+      actual: actual.get(index + 1),
+      forward: forward.get(index + 1),
+    }));
+  }, [analysis, comparison, projection, calculations.months]);
+
+  const apply = () => onApply({
+    rateChanges: analysis.rateChanges.map((change, index) => ({ id: Date.now() + index, ...change })),
+    lumpSums: analysis.lumpSums.map((lumpSum, index) => ({ id: Date.now() + index, ...lumpSum })),
+  }, analysis.throughMonth);
+
+  const selectClass = 'bg-white border border-indigo-200 text-indigo-800 text-sm rounded-md p-1 focus:ring-indigo-400';
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-2">
+        <FileUp className="text-indigo-600" size={20} />
+        <h3 className="text-lg font-bold text-gray-800">Loan Statement</h3>
+      </div>
+      <p className="text-sm text-gray-500 -mt-4">
+        Import your lender&apos;s repayment statement (CSV or Excel) to see where the real loan has moved away from this
+        schedule. The file is read in your browser and never uploaded.
+      </p>
+
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+        <label className="flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium text-indigo-700 bg-indigo-50 hover:bg-indigo-100 border border-indigo-100 rounded-lg transition-colors cursor-pointer">
+          <FileUp size={16} /> Choose Statement
+          <input type="file" accept=".csv,.xlsx,text/csv" onChange={handleFile} className="sr-only" />
+        </label>
+        {fileName && <span className="text-sm text-gray-600">{fileName}: {entries.length} entries</span>}
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {layout && (
+        <div className="p-4 bg-gray-50 rounded-xl border border-gray-100 space-y-3">
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-gray-600">Bank format</span>
+            <select value={layout.presetKey} onChange={(e) => changePreset(e.target.value)} className={selectClass} aria-label="Bank format">
+              {Object.entries(STATEMENT_PRESETS).map(([key, preset]) => (
+                <option key={key} value={key}>{preset.label}</option>
+              ))}
+            </select>
+            <span className="text-xs text-gray-400">Header on row {layout.headerIndex + 1}</span>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {Object.entries(STATEMENT_FIELDS).map(([field, label]) => (
+              <label key={field} className="flex items-center justify-between gap-2 text-sm text-gray-600">
+                {label}
+                <select
+                  value={layout.mapping[field]}
+                  onChange={(e) => changeColumn(field, Number(e.target.value))}
+                  className={`${selectClass} max-w-[10rem]`}
+                >
+                  <option value={-1}>Not in file</option>
+                  {header.map((heading, index) => (
+                    <option key={index} value={index}>{String(heading ?? '') || `Column ${index + 1}`}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {analysis && projection && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+            <div className="p-3 bg-indigo-50 rounded-lg border border-indigo-100">
+              <p className="text-xs text-indigo-500 uppercase tracking-wider mb-1">Balance on {monthLabel(projection.fromMonth)}</p>
+              <p className="text-xl font-bold text-indigo-700">{formatCurrency(projection.balance)}</p>
+              <p className="text-xs text-gray-600 mt-1">
+                Schedule expected {formatCurrency(projection.plannedBalance)}
+                {' '}(<span className={projection.balance > projection.plannedBalance ? 'text-red-600' : 'text-green-700'}>
+                  {projection.balance > projection.plannedBalance ? '+' : '−'}{formatCurrencyCompact(Math.abs(projection.balance - projection.plannedBalance))}
+                </span>)
+              </p>
+            </div>
+            <div className="p-3 bg-indigo-50 rounded-lg border border-indigo-100">
+              <p className="text-xs text-indigo-500 uppercase tracking-wider mb-1">Debt-free</p>
+              <p className="text-xl font-bold text-indigo-700">{monthLabel(projection.closureMonth)}</p>
+              <p className="text-xs text-gray-600 mt-1">
+                {formatCurrency(projection.emi)} a month at {projection.rate}%; schedule says {monthLabel(projection.plannedClosureMonth)}
+              </p>
+            </div>
+            <div className="p-3 bg-indigo-50 rounded-lg border border-indigo-100">
+              <p className="text-xs text-indigo-500 uppercase tracking-wider mb-1">Interest Still to Pay</p>
+              <p className="text-xl font-bold text-indigo-700">{formatCurrencyCompact(projection.totalInterest)}</p>
+              <p className="text-xs text-gray-600 mt-1">Schedule says {formatCurrencyCompact(projection.plannedInterest)}, with no further prepayments</p>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold text-gray-700 mb-2">Rate Resets Found</h4>
+            {analysis.rates.startRate === null ? (
+              <p className="text-sm text-gray-500">The statement has no interest or rate to work the rate out from.</p>
+            ) : (
+              <ul className="space-y-1 text-sm">
+                <li className="p-2 bg-gray-50 rounded-lg">Statement opens at <span className="font-bold">{analysis.rates.startRate}%</span></li>
+                {analysis.rates.changes.map((change) => (
+                  <li key={change.month} className="p-2 bg-gray-50 rounded-lg">
+                    {monthLabel(change.month)}: <span className="font-bold">{change.rate}%</span>,
+                    {change.mode === RATE_CHANGE_MODES.KEEP_TENURE ? ' EMI reset' : ' EMI kept, tenure changed'}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {(analysis.rateChanges.length > 0 || analysis.lumpSums.length > 0) && (
+              <button
+                onClick={apply}
+                className="mt-3 flex items-center gap-2 py-2 px-3 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg transition-colors"
+              >
+                Use these rates and part-payments in the calculator <ArrowRight size={16} />
+              </button>
+            )}
+            {(analysis.rateChanges.length > 0 || analysis.lumpSums.length > 0) && (
+              <p className="mt-2 text-xs text-gray-500">
+                Replaces the revisions and part-payments you entered up to {monthLabel(analysis.throughMonth)}; later ones are kept.
+              </p>
+            )}
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold text-gray-700 mb-2">Where the Bank Departs from the Schedule</h4>
+            {departures.length === 0 ? (
+              <p className="text-sm text-gray-500">The statement follows the schedule.</p>
+            ) : (
+              <div className="overflow-x-auto max-h-80">
+                <table className="w-full text-sm text-left">
+                  <thead className="text-xs text-gray-700 uppercase bg-gray-50 sticky top-0">
+                    <tr>
+                      <th className="px-4 py-3">Month</th>
+                      <th className="px-4 py-3 text-right">Schedule</th>
+                      <th className="px-4 py-3 text-right">Statement</th>
+                      <th className="px-4 py-3 text-right">Gap</th>
+                      <th className="px-4 py-3">Likely Cause</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {departures.map((departure) => (
+                      <tr key={departure.loanMonth} className="border-b bg-white">
+                        <td className="px-4 py-3 whitespace-nowrap">{monthLabel(departure.loanMonth)}</td>
+                        <td className="px-4 py-3 text-right">{formatCurrency(departure.projectedBalance)}</td>
+                        <td className="px-4 py-3 text-right">{formatCurrency(departure.actualBalance)}</td>
+                        <td className={`px-4 py-3 text-right ${departure.difference > 0 ? 'text-red-600' : 'text-green-700'}`}>
+                          {formatCurrency(departure.difference)}
+                        </td>
+                        <td className="px-4 py-3">
+                          {departure.reasons.map((reason) => (
+                            <span key={reason} className="inline-block mr-1 mb-1 px-2 py-0.5 text-xs rounded-full bg-amber-50 text-amber-700 border border-amber-100">
+                              {DEPARTURE_LABELS[reason]}
+                            </span>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {analysis.reconciliation.earlyInterest > 0 && (
+              <p className="text-xs text-gray-500 mt-2 flex items-start gap-1">
+                <AlertTriangle size={14} className="text-amber-600 shrink-0" />
+                {formatCurrency(analysis.reconciliation.earlyInterest)} of broken-period interest was charged before the first EMI.
+              </p>
+            )}
+          </div>
+
+          <div className="h-72">
+            <h4 className="text-center text-sm font-semibold text-gray-500 mb-4">Outstanding Balance</h4>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis dataKey="month" tick={{fontSize: 12}} tickFormatter={(val) => `M${val}`} minTickGap={30} />
+                <YAxis tickFormatter={(val) => formatCurrencyCompact(val)} tick={{fontSize: 12}} width={70} />
+                <RechartsTooltip formatter={(value) => formatCurrency(value)} labelFormatter={(label) => monthLabel(label)} />
+                <Legend />
+                <Line type="monotone" dataKey="projected" name="Schedule" stroke="#A5B4FC" strokeDasharray="5 5" dot={false} strokeWidth={2} />
+                <Line type="monotone" dataKey="actual" name="Statement" stroke="#4F46E5" dot={false} strokeWidth={2} connectNulls={false} />
+                <Line type="monotone" dataKey="forward" name="From here at the current rate" stroke="#10B981" dot={false} strokeWidth={2} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StatementImport;
@@ -0,0 +1,191 @@
+import { useState, useMemo } from 'react';
+import {
+  ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, Legend
+} from 'recharts';
+import { Activity, AlertTriangle } from 'lucide-react';
+import NumberField from './NumberField';
+import { runStressTest, DEFAULT_STRESS_TEST } from '../utils/stressTest';
+import { LOAN_TYPES, loanTypeProfile } from '../utils/loanTypes';
+import { dateForLoanMonth, formatMonthYear } from '../utils/calendar';
+import { formatCurrency, formatCurrencyCompact } from '../utils/format';
+
+// --- Stress Test Tab ---
+// Many simulated repo rate paths and a few named scenarios, each run through the loan
+
+const MAX_PATHS = 1000;
+
+const BAND_COLOR = '#6366F1';
+
+const StressTest = ({ inputs, loanType, startMonth }) => {
+  const [options, setOptions] = useState(DEFAULT_STRESS_TEST);
+  const setOption = (key) => (value) => setOptions({ ...options, [key]: value });
+
+  const maxTenureYears = loanTypeProfile(loanType).limits.tenureYears.max;
+  const result = useMemo(
+    () => runStressTest(inputs, { ...options, paths: Math.min(MAX_PATHS, Number(options.paths) || 0) }, maxTenureYears),
+    [inputs, options, maxTenureYears]
+  );
+
+  const monthLabel = (month) => formatMonthYear(dateForLoanMonth(startMonth, Math.round(month)));
+  const { baseline } = result;
+  const hasRevisions = Array.isArray(inputs.rateChanges) && inputs.rateChanges.length > 0;
+
+  // Recharts draws an area between the two values of an array
+  const chartData = result.bands.map((band) => ({
+    year: band.year,
+    balanceOuter: [band.balance.p5, band.balance.p95],
+    balanceInner: [band.balance.p25, band.balance.p75],
+    balanceMedian: band.balance.p50,
+    emiOuter: [band.emi.p5, band.emi.p95],
+    emiMedian: band.emi.p50,
+  }));
+  const formatBand = (value) => (Array.isArray(value) ? value.map((item) => formatCurrency(item)).join(' – ') : formatCurrency(value));
+
+  const measures = [
+    { label: 'Highest EMI', values: result.maxEmi, today: baseline.maxEmi, format: formatCurrency },
+    { label: 'Total interest', values: result.totalInterest, today: baseline.totalInterest, format: formatCurrencyCompact },
+    { label: 'Debt-free', values: result.closureMonth, today: baseline.closureMonth, format: monthLabel },
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-2">
+        <Activity className="text-indigo-600" size={20} />
+        <h3 className="text-lg font-bold text-gray-800">Rate Stress Test</h3>
+      </div>
+      <p className="text-sm text-gray-500 -mt-4">
+        Your rate moves with the repo rate at each quarterly reset. On a hike the bank keeps the EMI and extends the tenure
+        until the loan would run past age {options.maxAge} or {maxTenureYears} years; after that the EMI goes up.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-3">
+          <h4 className="text-sm font-semibold text-gray-700">Repo Rate</h4>
+          <NumberField id="stress-repo" label="Repo rate today" value={options.currentRepo} onChange={setOption('currentRepo')} suffix="%" step={0.25} />
+          <NumberField id="stress-long-run" label="Long-run repo rate" value={options.longRunRepo} onChange={setOption('longRunRepo')} suffix="%" step={0.25} />
+          <NumberField id="stress-volatility" label="Volatility a year" value={options.volatility} onChange={setOption('volatility')} suffix="pts" step={0.1} />
+          <NumberField id="stress-reversion" label="Mean reversion a year" value={options.meanReversion} onChange={setOption('meanReversion')} step={0.05} />
+        </div>
+        <div className="space-y-3">
+          <h4 className="text-sm font-semibold text-gray-700">Simulation</h4>
+          <NumberField id="stress-paths" label={`Rate paths (up to ${MAX_PATHS})`} value={options.paths} onChange={setOption('paths')} step={50} />
+          <NumberField id="stress-seed" label="Seed" value={options.seed} onChange={setOption('seed')} step={1} />
+          <NumberField id="stress-age" label="Your age" value={options.age} onChange={setOption('age')} suffix="yrs" step={1} />
+          <NumberField id="stress-max-age" label="Loan must end by age" value={options.maxAge} onChange={setOption('maxAge')} suffix="yrs" step={1} />
+          <p className="text-xs text-gray-500">
+            The same seed always gives the same paths. Longest tenure allowed: {Math.floor(result.maxTenureMonths / 12)} years
+            {result.maxTenureMonths % 12 > 0 && <> {result.maxTenureMonths % 12} months</>}.
+          </p>
+        </div>
+      </div>
+
+      {(loanType === LOAN_TYPES.CAR || loanType === LOAN_TYPES.PERSONAL || hasRevisions) && (
+        <div className="p-3 rounded-lg border flex items-start gap-2 bg-amber-50 border-amber-100 text-xs text-gray-700">
+          <AlertTriangle size={16} className="text-amber-600 mt-0.5 shrink-0" />
+          <p>
+            {loanType === LOAN_TYPES.CAR || loanType === LOAN_TYPES.PERSONAL ? 'Car and personal loans are usually fixed-rate; this shows what a floating rate would do. ' : ''}
+            {hasRevisions ? 'Your rate revisions are replaced by each simulated path.' : ''}
+          </p>
+        </div>
+      )}
+
+      {result.paths > 0 && (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3">Across {result.paths} paths</th>
+                  <th className="px-4 py-3 text-right">Rate unchanged</th>
+                  <th className="px-4 py-3 text-right">Best 5%</th>
+                  <th className="px-4 py-3 text-right">Median</th>
+                  <th className="px-4 py-3 text-right">Worst 25%</th>
+                  <th className="px-4 py-3 text-right">Worst 5%</th>
+                </tr>
+              </thead>
+              <tbody>
+                {measures.map((measure) => (
+                  <tr key={measure.label} className="border-b bg-white">
+                    <td className="px-4 py-3 font-medium text-gray-800">{measure.label}</td>
+                    <td className="px-4 py-3 text-right text-gray-500 whitespace-nowrap">{measure.format(measure.today)}</td>
+                    <td className="px-4 py-3 text-right whitespace-nowrap">{measure.format(measure.values.p5)}</td>
+                    <td className="px-4 py-3 text-right font-bold whitespace-nowrap">{measure.format(measure.values.p50)}</td>
+                    <td className="px-4 py-3 text-right whitespace-nowrap">{measure.format(measure.values.p75)}</td>
+                    <td className="px-4 py-3 text-right text-red-600 whitespace-nowrap">{measure.format(measure.values.p95)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-sm text-gray-600 -mt-3">
+            The EMI had to rise in <span className="font-bold">{Math.round(result.emiRaisedShare * 100)}%</span> of paths.
+            {result.truncated && ' Some paths still had not closed when the simulation ended.'}
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+            <div className="h-64">
+              <h4 className="text-center text-sm font-semibold text-gray-500 mb-4">Outstanding Balance</h4>
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={chartData}>
+                  <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                  <XAxis dataKey="year" tick={{fontSize: 12}} tickFormatter={(val) => `Y${val}`} />
+                  <YAxis tickFormatter={(val) => formatCurrencyCompact(val)} tick={{fontSize: 12}} width={70} />
+                  <RechartsTooltip formatter={formatBand} labelFormatter={(label) => `End of year ${label}`} />
+                  <Legend />
+                  <Area type="monotone" dataKey="balanceOuter" name="5th–95th percentile" stroke="none" fill={BAND_COLOR} fillOpacity={0.15} />
+                  <Area type="monotone" dataKey="balanceInner" name="25th–75th percentile" stroke="none" fill={BAND_COLOR} fillOpacity={0.3} />
+                  <Line type="monotone" dataKey="balanceMedian" name="Median" stroke={BAND_COLOR} dot={false} strokeWidth={2} />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+            <div className="h-64">
+              <h4 className="text-center text-sm font-semibold text-gray-500 mb-4">EMI (loans still running)</h4>
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={chartData}>
+                  <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                  <XAxis dataKey="year" tick={{fontSize: 12}} tickFormatter={(val) => `Y${val}`} />
+                  <YAxis tickFormatter={(val) => formatCurrencyCompact(val)} tick={{fontSize: 12}} width={70} domain={['auto', 'auto']} />
+                  <RechartsTooltip formatter={formatBand} labelFormatter={(label) => `End of year ${label}`} />
+                  <Legend />
+                  <Area type="stepAfter" dataKey="emiOuter" name="5th–95th percentile" stroke="none" fill="#F87171" fillOpacity={0.2} />
+                  <Line type="stepAfter" dataKey="emiMedian" name="Median" stroke="#EF4444" dot={false} strokeWidth={2} />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </>
+      )}
+
+      <div className="pt-4">
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">Scenarios</h4>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left">
+            <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+              <tr>
+                <th className="px-4 py-3">Scenario</th>
+                <th className="px-4 py-3 text-right">Highest EMI</th>
+                <th className="px-4 py-3 text-right">Total Interest</th>
+                <th className="px-4 py-3 text-right">Debt-free</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.scenarios.map((scenario) => (
+                <tr key={scenario.key} className="border-b bg-white">
+                  <td className="px-4 py-3">
+                    <span className="font-medium text-gray-800">{scenario.label}</span>
+                    <span className="block text-xs text-gray-400">{scenario.description}</span>
+                  </td>
+                  <td className={`px-4 py-3 text-right whitespace-nowrap ${scenario.emiRaised ? 'text-red-600 font-bold' : ''}`}>{formatCurrency(scenario.maxEmi)}</td>
+                  <td className="px-4 py-3 text-right">{formatCurrencyCompact(scenario.totalInterest)}</td>
+                  <td className="px-4 py-3 text-right whitespace-nowrap">{monthLabel(scenario.closureMonth)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StressTest;
@@ -0,0 +1,226 @@
+import { useState } from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, Legend, ReferenceLine
+} from 'recharts';
+import { AlertCircle } from 'lucide-react';
+import {
+  REGIMES, REGIME_LABELS, PROPERTY_TYPES, SECTION_80C_LIMIT, SELF_OCCUPIED_INTEREST_LIMIT, HOUSE_PROPERTY_LOSS_SETOFF_LIMIT,
+  SECTION_80E_YEARS,
+} from '../utils/tax';
+import { LOAN_TYPES, loanTypeProfile } from '../utils/loanTypes';
+import { dateForLoanMonth, financialYearStart, formatFinancialYear } from '../utils/calendar';
+import { formatCurrency, formatCurrencyCompact } from '../utils/format';
+import JointTaxSummary from './JointTaxSummary';
+
+// --- Tax Savings Tab ---
+// Old vs New regime over the life of the loan, by financial year, for each borrower
+
+const CHART_YEARS = 15;
+
+const loanName = (loanType) => `${loanTypeProfile(loanType).label.toLowerCase()} loan`;
+
+const verdict = (analysis) => {
+  const loan = loanName(analysis.loanType);
+  if (analysis.loanMakesOldWorthIt) {
+    return `The ${loan} deductions make the Old regime worth it: without the loan the New regime would cost you less.`;
+  }
+  if (analysis.bestWithLoan === REGIMES.OLD) {
+    return `The Old regime is lower for you even before counting the ${loan}.`;
+  }
+  return `The New regime stays lower even after the ${loan} deductions available under the Old regime.`;
+};
+
+// 80E replaces 80C and 24(b) for education loans
+const EducationDeduction = ({ years }) => {
+  const claimYears = years.filter((row) => row.old.section80E > 0);
+  return (
+    <div className="p-4 border rounded-xl bg-gray-50">
+      <div className="text-gray-500 text-sm mb-1">80E Interest Deduction</div>
+      <div className="text-xl font-bold">No cap</div>
+      <div className="text-xs text-gray-400 mt-1">
+        Old regime only. All interest paid, for the FY repayment starts in and the {SECTION_80E_YEARS - 1} after
+        {claimYears.length > 0 && ` (${claimYears[0].label} to ${claimYears[claimYears.length - 1].label})`}.
+        Interest accrued during the moratorium isn&apos;t claimable.
+      </div>
+    </div>
+  );
+};
+
+const RegimeBreakdown = ({ analysis, propertyType, revisions, startMonth }) => {
+  const { totals, years } = analysis;
+  const isLetOut = propertyType === PROPERTY_TYPES.LET_OUT;
+  const carriedForward = years.reduce((acc, row) => acc + row.old.lossCarriedForward, 0);
+
+  // Financial years in which a rate revision takes effect (chart markers)
+  const revisionYears = [...new Set(revisions.map((rev) => formatFinancialYear(financialYearStart(dateForLoanMonth(startMonth, rev.month)))))];
+  const chartYears = years.slice(0, CHART_YEARS);
+
+  const regimeCards = [
+    { regime: REGIMES.OLD, tax: totals.oldTax, saved: totals.oldSaved },
+    { regime: REGIMES.NEW, tax: totals.newTax, saved: totals.newSaved },
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-blue-50 p-4 rounded-xl border border-blue-100 flex items-start gap-3">
+        <AlertCircle className="text-blue-600 mt-1 flex-shrink-0" size={20} />
+        <div>
+          <h4 className="font-bold text-blue-800 text-sm sm:text-base">Old vs New Regime</h4>
+          <p className="text-xs sm:text-sm text-blue-700 mt-1">{verdict(analysis)}</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {regimeCards.map(({ regime, tax, saved }) => (
+          <div
+            key={regime}
+            className={`p-4 border rounded-xl ${regime === analysis.bestWithLoan ? 'bg-green-50 border-green-200' : 'bg-gray-50'}`}
+          >
+            <div className="text-gray-500 text-sm mb-1">
+              {REGIME_LABELS[regime]}{regime === analysis.regime && ' (selected)'}
+            </div>
+            <div className="text-xl font-bold">{formatCurrencyCompact(tax)}</div>
+            <div className="text-xs text-gray-400 mt-1">
+              Total tax over the loan, {formatCurrencyCompact(saved)} saved by the {loanName(analysis.loanType)}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {analysis.loanType === LOAN_TYPES.EDUCATION ? <EducationDeduction years={years} /> : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div className="p-4 border rounded-xl bg-gray-50">
+            <div className="text-gray-500 text-sm mb-1">80C Room for Principal</div>
+            <div className="text-xl font-bold">{formatCurrency(Math.max(0, SECTION_80C_LIMIT - analysis.other80C))}</div>
+            <div className="text-xs text-gray-400 mt-1">
+              Old regime only. {formatCurrency(SECTION_80C_LIMIT)} shared with your other 80C investments
+            </div>
+          </div>
+          <div className="p-4 border rounded-xl bg-gray-50">
+            <div className="text-gray-500 text-sm mb-1">Interest Deduction</div>
+            <div className="text-xl font-bold">
+              {isLetOut ? 'No cap' : formatCurrency(SELF_OCCUPIED_INTEREST_LIMIT)}
+            </div>
+            <div className="text-xs text-gray-400 mt-1">
+              {isLetOut
+                ? `Section 24(b), against rent. Old regime sets off up to ${formatCurrencyCompact(HOUSE_PROPERTY_LOSS_SETOFF_LIMIT)} of loss; New regime allows no set-off`
+                : 'Section 24(b), Old regime only (including pre-construction interest)'}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {carriedForward > 0 && (
+        <p className="text-xs text-amber-600">
+          Under the Old regime {formatCurrencyCompact(carriedForward)} of house property loss exceeds the set-off limit.
+          It can be carried forward for 8 years against future rental income; that benefit isn&apos;t included here.
+        </p>
+      )}
+
+      <h4 className="font-bold text-gray-700 mt-4">Tax Saved by the Loan per Year (Estimated)</h4>
+      <div className="h-64 w-full">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={chartYears}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="label" tick={{fontSize: 12}} />
+            <YAxis tickFormatter={(val) => `₹${val/1000}k`} tick={{fontSize: 12}} />
+            <RechartsTooltip formatter={(value) => formatCurrency(value)} />
+            <Legend verticalAlign="bottom" height={36} />
+            {revisionYears.filter((label) => chartYears.some((row) => row.label === label)).map((label) => (
+              <ReferenceLine key={label} x={label} stroke="#F97316" strokeDasharray="4 4" />
+            ))}
+            <Bar dataKey="old.saved" name={REGIME_LABELS[REGIMES.OLD]} fill="#818CF8" radius={[4, 4, 0, 0]} />
+            <Bar dataKey="new.saved" name={REGIME_LABELS[REGIMES.NEW]} fill="#34D399" radius={[4, 4, 0, 0]} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="overflow-x-auto -mx-4 sm:mx-0">
+        <table className="min-w-full text-sm text-left border rounded-lg overflow-hidden">
+          <thead className="bg-gray-50 text-gray-600 font-medium">
+            <tr>
+              <th className="px-4 py-3">Year</th>
+              <th className="px-4 py-3">Interest</th>
+              <th className="px-4 py-3">Principal</th>
+              <th className="px-4 py-3">Old Regime Tax</th>
+              <th className="px-4 py-3">New Regime Tax</th>
+              <th className="px-4 py-3 text-right">Saved ({REGIME_LABELS[analysis.regime]})</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 bg-white">
+            {years.map((row) => (
+              <tr key={row.key}>
+                <td className="px-4 py-3 font-medium whitespace-nowrap">{row.label}</td>
+                <td className="px-4 py-3 whitespace-nowrap">
+                  {formatCurrency(row.interestPaid)}
+                  {row.preConstructionInstalment > 0 && (
+                    <span className="block text-xs text-gray-400">+ {formatCurrency(row.preConstructionInstalment)} pre-construction</span>
+                  )}
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap">{formatCurrency(row.principalPaid)}</td>
+                <td className={`px-4 py-3 whitespace-nowrap ${row.bestRegime === REGIMES.OLD ? 'text-green-700 font-medium' : ''}`}>
+                  {formatCurrency(row.old.total)}
+                </td>
+                <td className={`px-4 py-3 whitespace-nowrap ${row.bestRegime === REGIMES.NEW ? 'text-green-700 font-medium' : ''}`}>
+                  {formatCurrency(row.new.total)}
+                </td>
+                <td className="px-4 py-3 text-right whitespace-nowrap">{formatCurrency(row.taxSaved)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-400">
+        FY 2025-26 slabs, 87A rebate, surcharge and 4% cess; income assumed flat every year. Standard deduction for salaried individuals included.
+      </p>
+    </div>
+  );
+};
+
+const TaxAnalysis = ({ jointAnalysis, propertyType, revisions, startMonth }) => {
+  const [selected, setSelected] = useState(0);
+  const { borrowers } = jointAnalysis;
+  const current = Math.min(selected, borrowers.length - 1);
+  const { loanType } = borrowers[0];
+
+  if (loanType !== LOAN_TYPES.HOME && loanType !== LOAN_TYPES.EDUCATION) {
+    return (
+      <div className="bg-gray-50 p-4 rounded-xl border border-gray-100 flex items-start gap-3">
+        <AlertCircle className="text-gray-500 mt-1 flex-shrink-0" size={20} />
+        <div>
+          <h4 className="font-bold text-gray-800 text-sm sm:text-base">No Tax Benefit</h4>
+          <p className="text-xs sm:text-sm text-gray-600 mt-1">
+            {loanTypeProfile(loanType).label} loans taken for personal use earn no deduction under either regime, so the EMI is paid entirely from taxed income.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  if (borrowers.length === 1) {
+    return <RegimeBreakdown analysis={borrowers[0]} propertyType={propertyType} revisions={revisions} startMonth={startMonth} />;
+  }
+
+  return (
+    <div className="space-y-8">
+      <JointTaxSummary joint={jointAnalysis} />
+
+      <div className="space-y-4">
+        <div className="flex flex-wrap gap-2">
+          {borrowers.map((borrower, index) => (
+            <button
+              key={index}
+              onClick={() => setSelected(index)}
+              className={`px-3 py-1.5 text-xs sm:text-sm font-medium rounded-lg border transition-colors ${index === current ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'}`}
+            >
+              {borrower.name} ({Math.round(borrower.share * 100)}%)
+            </button>
+          ))}
+        </div>
+        <RegimeBreakdown analysis={borrowers[current]} propertyType={propertyType} revisions={revisions} startMonth={startMonth} />
+      </div>
+    </div>
+  );
+};
+
+export default TaxAnalysis;
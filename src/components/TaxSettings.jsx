@@ -0,0 +1,235 @@
+import { Info, UserPlus, Trash2 } from 'lucide-react';
+import InputSlider from './InputSlider';
+import { INPUT_LIMITS, DEFAULT_BORROWER } from '../utils/shareState';
+import {
+  REGIMES, REGIME_LABELS, PROPERTY_TYPES, SECTION_80C_LIMIT, PRE_CONSTRUCTION_INSTALMENTS, MAX_BORROWERS,
+} from '../utils/tax';
+import { LOAN_TYPES, loanTypeProfile } from '../utils/loanTypes';
+import { formatCurrency, formatCurrencyCompact } from '../utils/format';
+
+// --- Tax Settings Panel ---
+// Property details plus income, regime and 80C for each (co-)borrower.
+// Property details only apply to home loans.
+
+const AmountField = ({ id, label, hint, value, onChange }) => (
+  <div className="mb-4">
+    <div className="flex flex-row justify-between items-center">
+      <label htmlFor={id} className="text-gray-700 font-semibold text-sm sm:text-base flex-1 mr-2">{label}</label>
+      <div className="flex items-center bg-indigo-50 rounded-lg border border-indigo-100 px-2 focus-within:ring-2 focus-within:ring-indigo-500 focus-within:bg-white transition-all">
+        <span className="text-indigo-400 text-sm font-medium mr-1">₹</span>
+        <input
+          id={id}
+          type="number"
+          min={0}
+          value={value}
+          onChange={(e) => onChange(e.target.value === '' ? '' : Math.max(0, Number(e.target.value)))}
+          className="w-24 sm:w-32 py-2 text-right bg-transparent font-bold text-indigo-700 focus:outline-none text-sm sm:text-base placeholder-indigo-300"
+          placeholder="0"
+        />
+      </div>
+    </div>
+    {hint && <p className="text-xs text-gray-400 mt-1">{hint}</p>}
+  </div>
+);
+
+const BorrowerFields = ({ borrower, index, isJoint, analysis, onUpdate, onRemove }) => {
+  const { totals, bestWithLoan } = analysis;
+  const difference = Math.abs(totals.oldTax - totals.newTax);
+
+  return (
+    <div className={isJoint ? 'mb-4 p-3 rounded-xl border border-gray-100 bg-gray-50/50' : ''}>
+      {isJoint && (
+        <div className="flex items-center gap-2 mb-4">
+          <input
+            type="text"
+            value={borrower.name}
+            onChange={(e) => onUpdate('name', e.target.value)}
+            placeholder={`Borrower ${index + 1}`}
+            maxLength={40}
+            aria-label={`Borrower ${index + 1} name`}
+            className="flex-1 min-w-0 bg-white border border-gray-200 text-gray-900 text-sm rounded-lg focus:ring-indigo-500 focus:border-indigo-500 p-2"
+          />
+          <div className="flex items-center bg-indigo-50 rounded-lg border border-indigo-100 px-2 focus-within:ring-2 focus-within:ring-indigo-500 focus-within:bg-white transition-all">
+            <input
+              type="number"
+              min={INPUT_LIMITS.share.min}
+              max={INPUT_LIMITS.share.max}
+              value={borrower.share}
+              onChange={(e) => onUpdate('share', e.target.value === '' ? '' : Math.min(100, Math.max(0, Number(e.target.value))))}
+              aria-label={`Borrower ${index + 1} share`}
+              className="w-12 py-2 text-right bg-transparent font-bold text-indigo-700 focus:outline-none text-sm"
+              placeholder="0"
+            />
+            <span className="text-indigo-400 text-sm font-medium ml-1">%</span>
+          </div>
+          {index > 0 && (
+            <button
+              onClick={onRemove}
+              className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+              aria-label={`Remove ${borrower.name || `borrower ${index + 1}`}`}
+            >
+              <Trash2 size={16} />
+            </button>
+          )}
+        </div>
+      )}
+
+      <InputSlider
+        label="Annual Income"
+        value={borrower.annualIncome}
+        onChange={(value) => onUpdate('annualIncome', value)}
+        {...INPUT_LIMITS.annualIncome}
+        unit="₹"
+      />
+
+      <div className="mb-6">
+        <h3 className="text-gray-700 font-semibold text-sm sm:text-base mb-3">Tax Regime</h3>
+        <div className="grid grid-cols-2 gap-2">
+          {Object.values(REGIMES).map((regime) => (
+            <button
+              key={regime}
+              onClick={() => onUpdate('regime', regime)}
+              className={`py-2 px-3 text-sm font-medium rounded-lg border transition-colors ${borrower.regime === regime ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-blue-700 border-blue-200 hover:bg-blue-50'}`}
+            >
+              {REGIME_LABELS[regime]}
+            </button>
+          ))}
+        </div>
+        {difference > 0 && (
+          <p className="text-xs text-gray-500 mt-2">
+            {REGIME_LABELS[bestWithLoan]} is {formatCurrencyCompact(difference)} lower over the loan.
+          </p>
+        )}
+      </div>
+
+      {borrower.regime === REGIMES.OLD && (
+        <InputSlider
+          label="Other 80C Investments"
+          value={borrower.other80C}
+          onChange={(value) => onUpdate('other80C', value)}
+          {...INPUT_LIMITS.other80C}
+          unit="₹"
+        />
+      )}
+
+      {borrower.regime === REGIMES.OLD && borrower.other80C >= SECTION_80C_LIMIT && (
+        <p className="text-xs text-amber-600 -mt-3 mb-4">
+          Other investments already use the {formatCurrency(SECTION_80C_LIMIT)} 80C limit, so principal repayment saves no tax.
+        </p>
+      )}
+    </div>
+  );
+};
+
+const TaxSettings = ({ settings, loanType, onChange, analyses }) => {
+  const update = (field, value) => onChange({ ...settings, [field]: value });
+  const isLetOut = settings.propertyType === PROPERTY_TYPES.LET_OUT;
+  const { borrowers } = settings;
+  const isJoint = borrowers.length > 1;
+  const totalShare = borrowers.reduce((acc, borrower) => acc + (Number(borrower.share) || 0), 0);
+
+  const updateBorrower = (id, field, value) => {
+    update('borrowers', borrowers.map((borrower) => (borrower.id === id ? { ...borrower, [field]: value } : borrower)));
+  };
+
+  // New co-borrowers start with an even split of the loan
+  const addBorrower = () => {
+    const count = borrowers.length + 1;
+    const share = Math.floor(100 / count);
+    const nextId = Math.max(...borrowers.map((borrower) => borrower.id)) + 1;
+    update('borrowers', [
+      ...borrowers.map((borrower, index) => ({ ...borrower, share: index === 0 ? 100 - share * (count - 1) : share })),
+      { ...DEFAULT_BORROWER, id: nextId, share },
+    ]);
+  };
+
+  const removeBorrower = (id) => {
+    const remaining = borrowers.filter((borrower) => borrower.id !== id);
+    update('borrowers', remaining.length === 1 ? [{ ...remaining[0], share: 100 }] : remaining);
+  };
+
+  return (
+    <div className="bg-white p-5 sm:p-6 rounded-2xl shadow-sm border border-gray-100">
+      <h2 className="text-lg font-bold mb-4 flex items-center gap-2">
+        <Info className="text-blue-500" size={20} /> Tax Settings
+      </h2>
+
+      {borrowers.map((borrower, index) => (
+        <BorrowerFields
+          key={borrower.id}
+          borrower={borrower}
+          index={index}
+          isJoint={isJoint}
+          analysis={analyses[index]}
+          onUpdate={(field, value) => updateBorrower(borrower.id, field, value)}
+          onRemove={() => removeBorrower(borrower.id)}
+        />
+      ))}
+
+      {isJoint && totalShare !== 100 && (
+        <p className="text-xs text-amber-600 mb-4">
+          Shares add up to {totalShare}%. They are scaled proportionally to cover the whole loan.
+        </p>
+      )}
+
+      {borrowers.length < MAX_BORROWERS && (
+        <button
+          onClick={addBorrower}
+          className="w-full mb-6 flex items-center justify-center gap-2 py-2 px-3 text-sm font-medium text-blue-700 bg-white border border-dashed border-blue-200 hover:bg-blue-50 rounded-lg transition-colors"
+        >
+          <UserPlus size={16} /> Add Co-borrower
+        </button>
+      )}
+
+      {loanType !== LOAN_TYPES.HOME ? (
+        <p className="text-sm text-gray-500">
+          {loanTypeProfile(loanType).label} loan: {loanTypeProfile(loanType).taxNote}.
+        </p>
+      ) : (
+        <>
+          <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2 mb-4">
+            <label htmlFor="property-type" className="text-gray-700 font-semibold text-sm sm:text-base">Property</label>
+            <select
+              id="property-type"
+              value={settings.propertyType}
+              onChange={(e) => update('propertyType', e.target.value)}
+              className="bg-gray-50 border border-gray-200 text-gray-900 text-sm rounded-lg focus:ring-indigo-500 focus:border-indigo-500 block p-2.5 w-full sm:w-auto"
+            >
+              <option value={PROPERTY_TYPES.SELF_OCCUPIED}>Self-occupied</option>
+              <option value={PROPERTY_TYPES.LET_OUT}>Let out</option>
+            </select>
+          </div>
+
+          {isLetOut && (
+            <>
+              <InputSlider
+                label="Annual Rent"
+                value={settings.annualRent}
+                onChange={(value) => update('annualRent', value)}
+                {...INPUT_LIMITS.annualRent}
+                unit="₹"
+              />
+              <AmountField
+                id="municipal-tax"
+                label="Municipal Tax"
+                hint="Property tax paid for the year, deducted from rent."
+                value={settings.municipalTax}
+                onChange={(value) => update('municipalTax', value)}
+              />
+            </>
+          )}
+
+          <AmountField
+            id="pre-construction-interest"
+            label="Pre-construction Interest"
+            hint={`Interest paid before possession, claimed in ${PRE_CONSTRUCTION_INSTALMENTS} equal parts from the first year.`}
+            value={settings.preConstructionInterest}
+            onChange={(value) => update('preConstructionInterest', value)}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TaxSettings;
@@ -0,0 +1,596 @@
+// --- Amortization Engine ---
+// Pure month-by-month loan simulation used by the calculator UI.
+// Nothing in here touches React, so it can be reused and unit tested.
+
+// Balances below this are treated as fully repaid (float tolerance)
+export const CLOSE_TOLERANCE = 0.1;
+
+const toNumber = (value, fallback = 0) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+};
+
+// Standard reducing-balance EMI, rounded up to the next rupee like banks do,
+// so the final instalment is never larger than the regular one.
+export const calculateEmi = (principal, annualRate, months) => {
+  if (principal <= 0 || months <= 0) return 0;
+
+  const ratePerMonth = annualRate / 12 / 100;
+  const exact = ratePerMonth > 0
+    ? (principal * ratePerMonth * Math.pow(1 + ratePerMonth, months)) / (Math.pow(1 + ratePerMonth, months) - 1)
+    : principal / months;
+
+  return Math.ceil(exact - 1e-9);
+};
+
+// Largest principal an EMI can repay over `months` (inverse of calculateEmi,
+// before rounding)
+export const principalForEmi = (emi, annualRate, months) => {
+  if (emi <= 0 || months <= 0) return 0;
+
+  const ratePerMonth = annualRate / 12 / 100;
+  if (ratePerMonth === 0) return emi * months;
+  return (emi * (1 - Math.pow(1 + ratePerMonth, -months))) / ratePerMonth;
+};
+
+// Months needed to clear `balance` at a fixed EMI (Infinity if the EMI
+// doesn't even cover the interest)
+export const monthsToRepay = (balance, annualRate, emi) => {
+  if (balance <= 0) return 0;
+  if (emi <= 0) return Infinity;
+
+  const ratePerMonth = annualRate / 12 / 100;
+  if (ratePerMonth === 0) return Math.ceil(balance / emi);
+  if (emi <= balance * ratePerMonth) return Infinity;
+
+  return Math.ceil(-Math.log(1 - (balance * ratePerMonth) / emi) / Math.log(1 + ratePerMonth) - 1e-9);
+};
+
+// Shape of the EMI over the life of the loan
+export const REPAYMENT_STRUCTURES = {
+  STANDARD: 'standard', // Same EMI every month
+  STEP_UP: 'stepUp', // EMI rises by a fixed % every year (young, salaried borrowers)
+  STEP_DOWN: 'stepDown', // EMI falls by a fixed % every year (borrowers near retirement)
+  CUSTOM: 'custom', // EMI chosen year by year
+};
+
+const MAX_REPAY_MONTHS = 1200;
+
+// Largest yearly EMI step, shared with the slider and the URL parser
+export const MAX_EMI_STEP_PERCENT = 20;
+
+// Custom EMIs given as { id, year, amount }: from loan year `year` the EMI is
+// `amount` until the next entry. Sorted by year, blank rows dropped.
+export const normalizeCustomEmis = (customEmis = []) => (Array.isArray(customEmis) ? customEmis : [])
+  .map((entry) => ({ id: entry.id, year: Math.round(toNumber(entry.year)), amount: toNumber(entry.amount, NaN) }))
+  .filter((entry) => entry.year >= 1 && Number.isFinite(entry.amount) && entry.amount >= 0)
+  .sort((a, b) => a.year - b.year);
+
+// Relative size of the EMI in each repayment month (1 = first EMI), or null
+// for the standard level EMI. The engine scales these so the loan still
+// closes on tenure; custom amounts are therefore a shape, not a promise.
+export const emiWeights = ({ repaymentStructure, emiStepPercent, customEmis }) => {
+  const yearOf = (month) => Math.floor((month - 1) / 12);
+
+  if (repaymentStructure === REPAYMENT_STRUCTURES.STEP_UP && emiStepPercent > 0) {
+    const growth = 1 + emiStepPercent / 100;
+    return (month) => growth ** yearOf(month);
+  }
+  if (repaymentStructure === REPAYMENT_STRUCTURES.STEP_DOWN && emiStepPercent > 0) {
+    const decline = Math.max(0, 1 - emiStepPercent / 100);
+    return (month) => decline ** yearOf(month);
+  }
+  if (repaymentStructure === REPAYMENT_STRUCTURES.CUSTOM) {
+    const largest = Math.max(0, ...customEmis.map((entry) => entry.amount));
+    if (largest <= 0) return null;
+    // Years before the first entry use the first entry's EMI
+    return (month) => {
+      const year = yearOf(month) + 1;
+      const entry = [...customEmis].reverse().find((item) => item.year <= year) || customEmis[0];
+      return entry.amount / largest;
+    };
+  }
+  return null;
+};
+
+// Present value, at the start of month `from`, of paying weight(k) in each of
+// the `count` months from `from` on
+const weightedAnnuity = (annualRate, from, count, weight) => {
+  const ratePerMonth = annualRate / 12 / 100;
+  let value = 0;
+  let discount = 1;
+  for (let k = 0; k < count; k++) {
+    discount /= 1 + ratePerMonth;
+    value += weight(from + k) * discount;
+  }
+  return value;
+};
+
+// EMI level (multiplied by the weight each month) that repays `balance` over
+// `months` months from month `from`; the plain EMI formula without weights
+const levelEmiFor = (balance, annualRate, from, months, weight) => {
+  if (!weight) return calculateEmi(balance, annualRate, months);
+  if (balance <= 0 || months <= 0) return 0;
+  const factor = weightedAnnuity(annualRate, from, months, weight);
+  return factor > 0 ? balance / factor : 0;
+};
+
+// monthsToRepay for an EMI level that follows `weight` from month `from`
+const monthsToRepayWeighted = (balance, annualRate, level, from, weight) => {
+  if (!weight) return monthsToRepay(balance, annualRate, level);
+
+  const ratePerMonth = annualRate / 12 / 100;
+  let remaining = balance;
+  for (let k = 0; k < MAX_REPAY_MONTHS; k++) {
+    if (remaining <= CLOSE_TOLERANCE) return k;
+    remaining = remaining * (1 + ratePerMonth) - level * weight(from + k);
+  }
+  return Infinity;
+};
+
+// How the bank absorbs a rate revision on a floating-rate loan
+export const RATE_CHANGE_MODES = {
+  KEEP_EMI: 'keepEmi', // EMI stays, tenure stretches or shrinks
+  KEEP_TENURE: 'keepTenure', // tenure stays, EMI is reset
+};
+
+// Drops incomplete rows and sorts revisions by the month they take effect.
+// Month 1 is the starting rate, so revisions apply from month 2 onwards.
+export const normalizeRateChanges = (rateChanges = []) => (Array.isArray(rateChanges) ? rateChanges : [])
+  .map((change) => ({
+    month: Math.round(toNumber(change.month)),
+    rate: change.rate === '' ? NaN : toNumber(change.rate, NaN),
+    mode: change.mode === RATE_CHANGE_MODES.KEEP_TENURE ? RATE_CHANGE_MODES.KEEP_TENURE : RATE_CHANGE_MODES.KEEP_EMI,
+  }))
+  .filter((change) => change.month >= 2 && Number.isFinite(change.rate) && change.rate >= 0)
+  .sort((a, b) => a.month - b.month);
+
+// What the bank does with a part-payment
+export const PREPAYMENT_MODES = {
+  REDUCE_TENURE: 'reduceTenure', // EMI stays, loan closes earlier
+  REDUCE_EMI: 'reduceEmi', // EMI is recomputed over the remaining tenure
+};
+
+// One-off prepayments given as { id, year, month, amount } where `year` is the
+// loan year and `month` the month within it (1-12). Returns them keyed by the
+// absolute loan month, in chronological order.
+export const normalizeLumpSums = (lumpSums = []) => (Array.isArray(lumpSums) ? lumpSums : [])
+  .map((lumpSum) => ({
+    id: lumpSum.id,
+    month: (Math.round(toNumber(lumpSum.year)) - 1) * 12 + Math.round(toNumber(lumpSum.month)),
+    amount: toNumber(lumpSum.amount),
+  }))
+  .filter((lumpSum) => lumpSum.month >= 1 && lumpSum.amount > 0)
+  .sort((a, b) => a.month - b.month);
+
+// How an under-construction loan is serviced until possession
+export const CONSTRUCTION_EMI_MODES = {
+  PRE_EMI: 'preEmi', // Interest only on what has been disbursed; EMI starts at possession
+  FULL_EMI: 'fullEmi', // Full EMI on the sanctioned amount from the first disbursement
+};
+
+// Construction-linked tranches given as { id, month, amount } where `month` is
+// the loan month of the release (month 1 = first disbursement)
+export const normalizeDisbursements = (disbursements = []) => (Array.isArray(disbursements) ? disbursements : [])
+  .map((disbursement) => ({
+    id: disbursement.id,
+    month: Math.round(toNumber(disbursement.month)),
+    amount: toNumber(disbursement.amount),
+  }))
+  .filter((disbursement) => disbursement.month >= 1 && disbursement.amount > 0)
+  .sort((a, b) => a.month - b.month);
+
+// Normalises raw UI state (which may contain '' or NaN while typing)
+export const normalizeInputs = (inputs = {}) => {
+  const tenureYears = Math.max(0, toNumber(inputs.tenureYears));
+  const tenureMonths = Math.max(0, toNumber(inputs.tenureMonths));
+
+  return {
+    principal: Math.max(0, toNumber(inputs.loanAmount)),
+    annualRate: Math.max(0, toNumber(inputs.interestRate)),
+    totalMonths: Math.round(tenureYears * 12 + tenureMonths),
+    monthlyPrepayment: Math.max(0, toNumber(inputs.monthlyPrepayment)),
+    annualPrepayment: Math.max(0, toNumber(inputs.annualPrepayment)),
+    prepaymentStartYear: Math.max(1, toNumber(inputs.prepaymentStartYear, 1)),
+    monthlyPrepaymentGrowth: Math.max(0, toNumber(inputs.monthlyPrepaymentGrowth)),
+    annualPrepaymentGrowth: Math.max(0, toNumber(inputs.annualPrepaymentGrowth)),
+    monthlyPrepaymentCap: Math.max(0, toNumber(inputs.monthlyPrepaymentCap)),
+    annualPrepaymentCap: Math.max(0, toNumber(inputs.annualPrepaymentCap)),
+    prepaymentEndYear: Math.max(0, Math.round(toNumber(inputs.prepaymentEndYear))),
+    maxMonths: toNumber(inputs.maxMonths),
+    maxTenureMonths: Math.round(toNumber(inputs.maxTenureMonths)),
+    rateChanges: normalizeRateChanges(inputs.rateChanges),
+    lumpSums: normalizeLumpSums(inputs.lumpSums),
+    disbursements: normalizeDisbursements(inputs.disbursements),
+    repaymentStructure: Object.values(REPAYMENT_STRUCTURES).includes(inputs.repaymentStructure)
+      ? inputs.repaymentStructure
+      : REPAYMENT_STRUCTURES.STANDARD,
+    emiStepPercent: Math.min(MAX_EMI_STEP_PERCENT, Math.max(0, toNumber(inputs.emiStepPercent))),
+    customEmis: normalizeCustomEmis(inputs.customEmis),
+    possessionMonth: Math.max(1, Math.round(toNumber(inputs.possessionMonth, 1))),
+    moratoriumMonths: Math.max(0, Math.round(toNumber(inputs.moratoriumMonths))),
+    constructionEmiMode: inputs.constructionEmiMode === CONSTRUCTION_EMI_MODES.FULL_EMI
+      ? CONSTRUCTION_EMI_MODES.FULL_EMI
+      : CONSTRUCTION_EMI_MODES.PRE_EMI,
+    prepaymentMode: inputs.prepaymentMode === PREPAYMENT_MODES.REDUCE_EMI
+      ? PREPAYMENT_MODES.REDUCE_EMI
+      : PREPAYMENT_MODES.REDUCE_TENURE,
+  };
+};
+
+// Recurring prepayments in force during loan year `loanYear`. Each stream
+// grows by its own % every year after the start year (like a salary hike),
+// rounded to the rupee and held at its cap once it gets there (0 = no cap).
+// Nothing is paid after the end year (0 = until the loan closes).
+export const prepaymentsForYear = (loanYear, {
+  monthlyPrepayment, annualPrepayment, prepaymentStartYear, prepaymentEndYear = 0,
+  monthlyPrepaymentGrowth = 0, annualPrepaymentGrowth = 0, monthlyPrepaymentCap = 0, annualPrepaymentCap = 0,
+}) => {
+  if (loanYear < prepaymentStartYear || (prepaymentEndYear > 0 && loanYear > prepaymentEndYear)) {
+    return { monthly: 0, annual: 0 };
+  }
+
+  const hikes = loanYear - prepaymentStartYear;
+  const grow = (amount, growth, cap) => {
+    const grown = Math.round(amount * Math.pow(1 + growth / 100, hikes));
+    return cap > 0 ? Math.min(grown, cap) : grown;
+  };
+  return {
+    monthly: grow(monthlyPrepayment, monthlyPrepaymentGrowth, monthlyPrepaymentCap),
+    annual: grow(annualPrepayment, annualPrepaymentGrowth, annualPrepaymentCap),
+  };
+};
+
+// Extra payment scheduled for loan month `month` (1-based)
+const prepaymentForMonth = (month, normalized) => {
+  const { monthly, annual } = prepaymentsForYear(Math.ceil(month / 12), normalized);
+  // Annual prepayment goes in the last month of each loan year
+  return month % 12 === 0 ? monthly + annual : monthly;
+};
+
+const lumpSumForMonth = (month, lumpSums) => lumpSums
+  .filter((lumpSum) => lumpSum.month === month)
+  .reduce((total, lumpSum) => total + lumpSum.amount, 0);
+
+// Release plan for an under-construction property, or null when the loan is
+// disbursed in full on day one. Tranches are capped at the sanctioned amount
+// and can't fall after possession; whatever is still undisbursed is released
+// at possession.
+const constructionPlan = ({ principal, disbursements, possessionMonth, constructionEmiMode }) => {
+  if (disbursements.length === 0) return null;
+
+  let remaining = principal;
+  const tranches = disbursements.map((disbursement) => {
+    const amount = Math.min(disbursement.amount, remaining);
+    remaining -= amount;
+    return { month: Math.min(disbursement.month, possessionMonth), amount };
+  }).filter((tranche) => tranche.amount > 0);
+  if (remaining > 0) tranches.push({ month: possessionMonth, amount: remaining });
+
+  return { tranches, possessionMonth, emiMode: constructionEmiMode };
+};
+
+// Runs the loan month by month until it closes or `maxMonths` is reached.
+// Rate revisions are applied on the month they take effect, before that
+// month's interest is charged. In REDUCE_EMI mode the EMI is recomputed after
+// every prepayment so the loan still ends on its planned month.
+// Tranches in `disbursements` are added to the balance at the start of their
+// month. Before `emiStartMonth` only interest is paid (pre-EMI); the EMI is
+// then set for the full tenure on the balance at that point. Until
+// `possessionMonth` rate revisions and prepayments leave the EMI alone.
+// With a stepped structure `emi` is a level that each month's `weight` scales
+// (counted from the first EMI); every re-solve keeps the same shape.
+// During the first `moratoriumMonths` nothing is paid: simple interest accrues
+// on the principal and is added to the balance the EMI is then set on.
+// With `maxTenureMonths` (counted from the first EMI, like `totalMonths`) a
+// KEEP_EMI revision stretches the tenure only up to that limit; past it the
+// EMI rises so the loan still closes on the last allowed month. Without it, a
+// KEEP_EMI hike the EMI can't cover raises the EMI to close on the tenure
+// the loan was on.
+const runLoan = ({
+  principal, annualRate, emi: startingEmi, totalMonths, maxMonths, rateChanges, getPrepayment,
+  lumpSums = [], prepaymentMode = PREPAYMENT_MODES.REDUCE_TENURE,
+  disbursements = [], emiStartMonth = 1, possessionMonth = 1, weight = null, moratoriumMonths = 0,
+  maxTenureMonths = 0,
+}) => {
+  const months = [];
+  const revisions = [];
+  let balance = principal;
+  let totalInterest = 0;
+  let rate = annualRate;
+  let emi = startingEmi;
+  let plannedEnd = totalMonths;
+  let nextChange = 0;
+  let accrued = 0; // Unpaid moratorium interest
+  const lastDisbursement = disbursements.length > 0 ? disbursements[disbursements.length - 1].month : 0;
+  const weightAt = weight && ((month) => weight(month - emiStartMonth + 1));
+  // The instalment actually due in `month` for an EMI level
+  // (never -0 for a month a custom plan leaves at nothing)
+  const emiDue = (level, month) => (weightAt ? Math.max(0, Math.ceil(level * weightAt(month) - 1e-9)) : level);
+  // The EMI is only set once construction or the moratorium is over
+  const emiFixedFrom = Math.max(possessionMonth, emiStartMonth);
+  const originalEnd = emiStartMonth - 1 + totalMonths;
+  const latestEnd = maxTenureMonths > 0 ? emiStartMonth - 1 + Math.max(maxTenureMonths, totalMonths) : Infinity;
+
+  for (let month = 1; month <= maxMonths; month++) {
+    const disbursement = disbursements
+      .filter((tranche) => tranche.month === month)
+      .reduce((total, tranche) => total + tranche.amount, 0);
+    if (balance + disbursement <= CLOSE_TOLERANCE && month > lastDisbursement) break;
+
+    const openingBalance = balance;
+    balance += disbursement;
+
+    let rateChanged = false;
+    while (nextChange < rateChanges.length && rateChanges[nextChange].month <= month) {
+      const change = rateChanges[nextChange++];
+      const previousEmi = emiDue(emi, month);
+      if (month < emiFixedFrom) {
+        // Still under construction or in moratorium: only the rate moves, the EMI is set later
+      } else if (change.mode === RATE_CHANGE_MODES.KEEP_TENURE) {
+        // Keep the tenure the loan is currently on track for
+        const remaining = monthsToRepayWeighted(balance, rate, emi, month, weightAt);
+        emi = Number.isFinite(remaining) ? levelEmiFor(balance, change.rate, month, remaining, weightAt) : emi;
+      } else {
+        const remaining = monthsToRepayWeighted(balance, change.rate, emi, month, weightAt);
+        // An EMI that no longer covers the interest never closes the loan: without
+        // a tenure limit banks raise it to close on the original tenure (or the
+        // one already stretched to)
+        const end = Number.isFinite(latestEnd) || Number.isFinite(remaining) ? latestEnd : Math.max(originalEnd, plannedEnd);
+        if (month - 1 + remaining > end) {
+          // No tenure left to stretch: the EMI goes up instead
+          emi = levelEmiFor(balance, change.rate, month, Math.max(1, end - month + 1), weightAt);
+          plannedEnd = end;
+        } else {
+          plannedEnd = month - 1 + remaining;
+        }
+      }
+      rate = change.rate;
+      rateChanged = true;
+      revisions.push({ month, rate, mode: change.mode, previousEmi, emi: emiDue(emi, month) });
+    }
+
+    if (month === emiStartMonth && emiStartMonth > 1) {
+      emi = levelEmiFor(balance, rate, month, totalMonths, weightAt);
+      plannedEnd = month - 1 + totalMonths;
+    }
+
+    const inMoratorium = month <= moratoriumMonths;
+    const interest = (inMoratorium ? Math.max(0, balance - accrued) : balance) * (rate / 12 / 100);
+    const due = balance + interest;
+    if (inMoratorium) accrued += interest;
+
+    // EMI is settled first; any extra only goes towards what is still owed.
+    // Recurring prepayment is applied before a lump sum in the same month.
+    let emiPaid = Math.min(emiDue(emi, month), due);
+    if (inMoratorium) emiPaid = 0;
+    else if (month < emiStartMonth) emiPaid = interest;
+    const recurring = Math.min(getPrepayment(month), due - emiPaid);
+    const lumpSum = Math.min(lumpSumForMonth(month, lumpSums), due - emiPaid - recurring);
+    const prepayment = recurring + lumpSum;
+    const principalPaid = emiPaid + prepayment - interest;
+
+    balance = Math.max(0, balance - principalPaid);
+    totalInterest += interest;
+
+    if (prepaymentMode === PREPAYMENT_MODES.REDUCE_EMI && prepayment > 0 && month >= emiFixedFrom && month < plannedEnd) {
+      emi = levelEmiFor(balance, rate, month + 1, plannedEnd - month, weightAt);
+    }
+
+    months.push({
+      month,
+      year: Math.ceil(month / 12),
+      rate,
+      rateChanged,
+      openingBalance,
+      disbursement,
+      underConstruction: month < possessionMonth,
+      moratorium: inMoratorium,
+      emi: emiPaid,
+      interest,
+      principal: emiPaid - interest,
+      prepayment,
+      lumpSum,
+      closingBalance: balance,
+    });
+  }
+
+  return {
+    months,
+    revisions,
+    totalInterest,
+    emi: emiDue(emi, Math.max(1, months.length)),
+    truncated: balance > CLOSE_TOLERANCE,
+  };
+};
+
+// Groups month rows into loan years (tax is worked out separately, see tax.js)
+export const rollupYears = (months) => {
+  const years = [];
+
+  months.forEach((row) => {
+    let current = years[years.length - 1];
+    if (!current || current.year !== row.year) {
+      current = {
+        year: row.year, emi: row.emi, principalPaid: 0, interestPaid: 0, prepaid: 0, lumpSum: 0, balance: 0, rateChanged: false,
+      };
+      years.push(current);
+    }
+    current.principalPaid += row.principal + row.prepayment;
+    current.interestPaid += row.interest;
+    current.prepaid += row.prepayment;
+    current.lumpSum += row.lumpSum;
+    current.balance = row.closingBalance;
+    current.rate = row.rate;
+    current.rateChanged = current.rateChanged || row.rateChanged;
+  });
+
+  return years.map((year) => ({
+    year: year.year,
+    emi: Math.round(year.emi),
+    principalPaid: Math.round(year.principalPaid),
+    interestPaid: Math.round(year.interestPaid),
+    prepaid: Math.round(year.prepaid),
+    lumpSum: Math.round(year.lumpSum),
+    balance: Math.max(0, Math.round(year.balance)),
+    rate: year.rate,
+    rateChanged: year.rateChanged,
+  }));
+};
+
+// First month in which the EMI repays more principal than interest (the
+// crossover point), or null if that never happens. Prepayments don't count;
+// interest-only pre-EMI months never cross over.
+export const crossoverMonth = (months) => {
+  const row = months.find((item) => item.principal > item.interest);
+  return row ? row.month : null;
+};
+
+// Full schedule for the calculator inputs.
+// `months`/`years` follow the prepayment path (the schedule the borrower actually
+// pays); the totals without any prepayment are kept alongside for comparison.
+export const computeSchedule = (inputs) => {
+  const normalized = normalizeInputs(inputs);
+  const { principal, annualRate, totalMonths, rateChanges, lumpSums, prepaymentMode } = normalized;
+
+  // Level EMI, scaled month by month for stepped structures; `emi` is the first instalment
+  const weight = emiWeights(normalized);
+  const level = levelEmiFor(principal, annualRate, 1, totalMonths, weight);
+  const emi = weight ? Math.max(0, Math.ceil(level * weight(1) - 1e-9)) : level;
+
+  // Under construction: the balance builds up tranche by tranche, and on
+  // pre-EMI the tenure only starts at possession. A moratorium (education
+  // loans) likewise pushes the tenure back; it doesn't apply under construction.
+  const plan = constructionPlan(normalized);
+  const preEmi = plan !== null && plan.emiMode === CONSTRUCTION_EMI_MODES.PRE_EMI;
+  const moratoriumMonths = plan ? 0 : normalized.moratoriumMonths;
+  let construction = {};
+  if (plan) {
+    construction = {
+      disbursements: plan.tranches,
+      possessionMonth: plan.possessionMonth,
+      emiStartMonth: preEmi ? plan.possessionMonth : 1,
+    };
+  } else if (moratoriumMonths > 0) {
+    construction = { moratoriumMonths, emiStartMonth: moratoriumMonths + 1 };
+  }
+
+  // Limit loop to avoid infinite loops in edge cases (2x tenure is safe; a rate
+  // revision that stretches the loan beyond that is reported as truncated)
+  const constructionMonths = (preEmi ? plan.possessionMonth - 1 : 0) + moratoriumMonths;
+  const maxMonths = normalized.maxMonths > 0
+    ? normalized.maxMonths
+    : Math.max(totalMonths * 2 || 1200, normalized.maxTenureMonths) + constructionMonths;
+  const canRun = principal > 0 && totalMonths > 0;
+
+  const run = (getPrepayment, withLumpSums = []) => (canRun
+    ? runLoan({
+      principal: plan ? 0 : principal,
+      annualRate,
+      emi: preEmi || moratoriumMonths > 0 ? 0 : level,
+      weight,
+      totalMonths,
+      maxMonths,
+      rateChanges,
+      getPrepayment,
+      lumpSums: withLumpSums,
+      prepaymentMode,
+      maxTenureMonths: normalized.maxTenureMonths,
+      ...construction,
+    })
+    : { months: [], revisions: [], totalInterest: 0, emi, truncated: false });
+
+  const recurringPrepayment = (month) => prepaymentForMonth(month, normalized);
+  const regular = run(() => 0);
+  const actual = run(recurringPrepayment, lumpSums);
+
+  // Attribute the savings step by step: recurring prepayments first, then each
+  // lump sum in date order on top of everything before it, so the parts add up.
+  let previousInterest = lumpSums.length > 0 ? run(recurringPrepayment).totalInterest : actual.totalInterest;
+  const recurringSavedInterest = Math.max(0, regular.totalInterest - previousInterest);
+  const lumpSumSavings = lumpSums.map((lumpSum, index) => {
+    const upTo = index === lumpSums.length - 1 ? actual : run(recurringPrepayment, lumpSums.slice(0, index + 1));
+    const savedInterest = previousInterest - upTo.totalInterest;
+    previousInterest = upTo.totalInterest;
+    const row = actual.months[lumpSum.month - 1];
+    return { ...lumpSum, applied: row ? Math.min(lumpSum.amount, row.lumpSum) : 0, savedInterest: Math.max(0, savedInterest) };
+  });
+
+  const totalInterest = regular.totalInterest;
+  const prepayTotalInterest = actual.totalInterest;
+  const prepayMonths = actual.months.length;
+
+  const savedInterest = Math.max(0, totalInterest - prepayTotalInterest);
+  const savedMonths = Math.max(0, regular.months.length - prepayMonths);
+
+  const beforePossession = actual.months.filter((row) => row.underConstruction);
+  const inMoratorium = actual.months.filter((row) => row.moratorium);
+
+  // After a moratorium the EMI is set on the principal plus the accrued interest
+  const firstEmi = moratoriumMonths > 0 && regular.months.length > moratoriumMonths
+    ? regular.months[moratoriumMonths].emi
+    : emi;
+
+  return {
+    emi: firstEmi,
+    finalEmi: actual.emi,
+    repaymentStructure: weight ? normalized.repaymentStructure : REPAYMENT_STRUCTURES.STANDARD,
+    prepaymentMode,
+    totalMonths,
+    months: actual.months,
+    years: rollupYears(actual.months),
+    revisions: actual.revisions,
+    truncated: actual.truncated || regular.truncated,
+
+    // Original loan (no prepayment)
+    regularMonths: regular.months.length,
+    regularYears: rollupYears(regular.months),
+    regularCrossoverMonth: crossoverMonth(regular.months),
+    totalInterest,
+    totalAmount: principal + totalInterest,
+
+    // Prepayment path
+    prepayTotalInterest,
+    prepayTotalAmount: principal + prepayTotalInterest,
+    prepayMonths,
+    savedInterest,
+    savedMonths,
+    savedYears: (savedMonths / 12).toFixed(1),
+    recurringSavedInterest,
+    lumpSumSavings,
+    crossoverMonth: crossoverMonth(actual.months),
+
+    // Under-construction phase (null when disbursed in full up front)
+    construction: plan && {
+      emiMode: plan.emiMode,
+      possessionMonth: plan.possessionMonth,
+      disbursements: plan.tranches,
+      interestBeforePossession: beforePossession.reduce((acc, row) => acc + row.interest, 0),
+      paidBeforePossession: beforePossession.reduce((acc, row) => acc + row.emi, 0),
+    },
+
+    // Moratorium before the first EMI (null when repayment starts straight away)
+    moratorium: moratoriumMonths > 0 ? {
+      months: moratoriumMonths,
+      accruedInterest: inMoratorium.reduce((acc, row) => acc + row.interest, 0),
+    } : null,
+  };
+};
+
+// A stepped or custom EMI plan against the standard level EMI
+export const compareRepaymentStructure = (inputs) => ({
+  structured: computeSchedule(inputs),
+  standard: computeSchedule({ ...inputs, repaymentStructure: REPAYMENT_STRUCTURES.STANDARD }),
+});
+
+// Pre-EMI against full EMI for an under-construction property
+export const compareConstructionModes = (inputs) => ({
+  preEmi: computeSchedule({ ...inputs, constructionEmiMode: CONSTRUCTION_EMI_MODES.PRE_EMI }),
+  fullEmi: computeSchedule({ ...inputs, constructionEmiMode: CONSTRUCTION_EMI_MODES.FULL_EMI }),
+});
+
+// Runs the same inputs under both prepayment modes for a side-by-side view
+export const comparePrepaymentModes = (inputs) => ({
+  reduceTenure: computeSchedule({ ...inputs, prepaymentMode: PREPAYMENT_MODES.REDUCE_TENURE }),
+  reduceEmi: computeSchedule({ ...inputs, prepaymentMode: PREPAYMENT_MODES.REDUCE_EMI }),
+});
@@ -0,0 +1,526 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateEmi, principalForEmi, computeSchedule, rollupYears, monthsToRepay, normalizeRateChanges, comparePrepaymentModes,
+  compareConstructionModes, compareRepaymentStructure, emiWeights, prepaymentsForYear,
+  RATE_CHANGE_MODES, PREPAYMENT_MODES, CONSTRUCTION_EMI_MODES, REPAYMENT_STRUCTURES, MAX_EMI_STEP_PERCENT,
+} from './amortization';
+
+const baseInputs = {
+  loanAmount: 5000000,
+  interestRate: 8.5,
+  tenureYears: 20,
+  tenureMonths: 0,
+  monthlyPrepayment: 0,
+  annualPrepayment: 0,
+  prepaymentStartYear: 1,
+};
+
+const sum = (rows, key) => rows.reduce((acc, row) => acc + row[key], 0);
+
+describe('calculateEmi', () => {
+  it('matches the standard annuity formula, rounded up to the rupee', () => {
+    // 50L @ 8.5% for 20 years = 43,391.16
+    expect(calculateEmi(5000000, 8.5, 240)).toBe(43392);
+  });
+
+  it('splits principal evenly at 0% interest', () => {
+    expect(calculateEmi(120000, 0, 12)).toBe(10000);
+  });
+
+  it('returns 0 when there is nothing to repay', () => {
+    expect(calculateEmi(0, 8.5, 240)).toBe(0);
+    expect(calculateEmi(500000, 8.5, 0)).toBe(0);
+  });
+});
+
+describe('computeSchedule', () => {
+  it('closes a loan without prepayment exactly on tenure and reports no savings', () => {
+    const result = computeSchedule(baseInputs);
+
+    expect(result.months).toHaveLength(240);
+    expect(result.prepayMonths).toBe(240);
+    expect(result.savedInterest).toBe(0);
+    expect(result.savedMonths).toBe(0);
+    expect(result.prepayTotalInterest).toBeCloseTo(result.totalInterest, 6);
+    expect(result.months.at(-1).closingBalance).toBe(0);
+    expect(result.truncated).toBe(false);
+  });
+
+  it('repays exactly the principal and keeps totals consistent', () => {
+    const result = computeSchedule({ ...baseInputs, monthlyPrepayment: 10000, annualPrepayment: 100000 });
+
+    expect(sum(result.months, 'principal') + sum(result.months, 'prepayment')).toBeCloseTo(5000000, 4);
+    expect(sum(result.months, 'interest')).toBeCloseTo(result.prepayTotalInterest, 4);
+    expect(result.prepayTotalAmount).toBeCloseTo(5000000 + result.prepayTotalInterest, 4);
+    expect(result.savedInterest).toBeCloseTo(result.totalInterest - result.prepayTotalInterest, 4);
+    expect(result.savedMonths).toBe(240 - result.prepayMonths);
+  });
+
+  it('carries each month\'s closing balance into the next month', () => {
+    const { months } = computeSchedule({ ...baseInputs, monthlyPrepayment: 5000 });
+
+    for (let i = 1; i < months.length; i++) {
+      expect(months[i].openingBalance).toBe(months[i - 1].closingBalance);
+    }
+  });
+
+  it('handles 0% interest', () => {
+    const result = computeSchedule({ ...baseInputs, loanAmount: 1200000, interestRate: 0, tenureYears: 10 });
+
+    expect(result.emi).toBe(10000);
+    expect(result.months).toHaveLength(120);
+    expect(result.totalInterest).toBe(0);
+    expect(result.prepayTotalInterest).toBe(0);
+    expect(result.savedInterest).toBe(0);
+  });
+
+  it('handles 0% interest with prepayment', () => {
+    const result = computeSchedule({
+      ...baseInputs, loanAmount: 1200000, interestRate: 0, tenureYears: 10, monthlyPrepayment: 10000,
+    });
+
+    expect(result.prepayMonths).toBe(60);
+    expect(result.savedMonths).toBe(60);
+    expect(result.savedInterest).toBe(0);
+  });
+
+  it('supports a tenure given in months only', () => {
+    const result = computeSchedule({ ...baseInputs, loanAmount: 100000, interestRate: 12, tenureYears: 0, tenureMonths: 6 });
+
+    expect(result.totalMonths).toBe(6);
+    expect(result.months).toHaveLength(6);
+    expect(result.years).toHaveLength(1);
+    expect(result.years[0]).toMatchObject({ year: 1, principalPaid: 100000, balance: 0 });
+  });
+
+  it('closes in the first year when prepayment covers the loan', () => {
+    const result = computeSchedule({ ...baseInputs, loanAmount: 300000, monthlyPrepayment: 100000 });
+
+    expect(result.prepayMonths).toBe(3);
+    expect(result.years).toHaveLength(1);
+    expect(result.years[0].balance).toBe(0);
+    // The last payment is capped to what is still owed
+    const last = result.months.at(-1);
+    expect(last.emi + last.prepayment).toBeCloseTo(last.openingBalance + last.interest, 6);
+    expect(result.savedMonths).toBe(240 - 3);
+  });
+
+  it('starts prepayment from the first month of the chosen year', () => {
+    const { months } = computeSchedule({ ...baseInputs, monthlyPrepayment: 5000, prepaymentStartYear: 1 });
+    expect(months[0].prepayment).toBe(5000);
+
+    const later = computeSchedule({ ...baseInputs, monthlyPrepayment: 5000, prepaymentStartYear: 3 });
+    expect(later.months[23].prepayment).toBe(0);
+    expect(later.months[24].prepayment).toBe(5000);
+  });
+
+  it('pays the annual prepayment in month 12 of each year', () => {
+    const { months } = computeSchedule({ ...baseInputs, annualPrepayment: 100000, prepaymentStartYear: 2 });
+
+    expect(months[11].prepayment).toBe(0);
+    expect(months[22].prepayment).toBe(0);
+    expect(months[23].prepayment).toBe(100000);
+  });
+
+  it('stops at the maxMonths cutoff and flags the schedule as truncated', () => {
+    const result = computeSchedule({ ...baseInputs, maxMonths: 60 });
+
+    expect(result.months).toHaveLength(60);
+    expect(result.truncated).toBe(true);
+    expect(result.months.at(-1).closingBalance).toBeGreaterThan(0);
+    expect(result.years).toHaveLength(5);
+  });
+
+  it('returns an empty schedule for missing or invalid inputs', () => {
+    const result = computeSchedule({ ...baseInputs, loanAmount: '', tenureYears: NaN });
+
+    expect(result.emi).toBe(0);
+    expect(result.months).toEqual([]);
+    expect(result.years).toEqual([]);
+    expect(result.savedInterest).toBe(0);
+  });
+});
+
+describe('principalForEmi', () => {
+  it('inverts calculateEmi', () => {
+    const principal = principalForEmi(43391.16, 8.5, 240);
+    expect(principal).toBeCloseTo(5000000, -1);
+    expect(principalForEmi(10000, 0, 12)).toBe(120000);
+  });
+});
+
+describe('monthsToRepay', () => {
+  it('inverts the EMI formula', () => {
+    expect(monthsToRepay(5000000, 8.5, 43392)).toBe(240);
+    expect(monthsToRepay(120000, 0, 10000)).toBe(12);
+  });
+
+  it('returns Infinity when the EMI does not cover the interest', () => {
+    expect(monthsToRepay(5000000, 12, 50000)).toBe(Infinity);
+  });
+});
+
+describe('floating rate revisions', () => {
+  const { KEEP_EMI, KEEP_TENURE } = RATE_CHANGE_MODES;
+
+  it('ignores incomplete revisions and sorts the rest', () => {
+    expect(normalizeRateChanges([
+      { month: 37, rate: 9, mode: KEEP_TENURE },
+      { month: '', rate: 9 },
+      { month: 25, rate: '' },
+      { month: 13, rate: 8 },
+    ])).toEqual([
+      { month: 13, rate: 8, mode: KEEP_EMI },
+      { month: 37, rate: 9, mode: KEEP_TENURE },
+    ]);
+  });
+
+  it('keeps the EMI and stretches the tenure on a rate hike', () => {
+    const result = computeSchedule({ ...baseInputs, rateChanges: [{ month: 25, rate: 9.15, mode: KEEP_EMI }] });
+
+    expect(result.finalEmi).toBe(result.emi);
+    expect(result.regularMonths).toBeGreaterThan(240);
+    expect(result.months[23].rate).toBe(8.5);
+    expect(result.months[24]).toMatchObject({ rate: 9.15, rateChanged: true });
+    expect(result.years[2].rateChanged).toBe(true);
+    expect(result.truncated).toBe(false);
+  });
+
+  it('keeps the tenure and resets the EMI on a rate hike', () => {
+    const result = computeSchedule({ ...baseInputs, rateChanges: [{ month: 25, rate: 9.15, mode: KEEP_TENURE }] });
+
+    expect(result.regularMonths).toBe(240);
+    expect(result.finalEmi).toBeGreaterThan(result.emi);
+    expect(result.revisions).toEqual([
+      { month: 25, rate: 9.15, mode: KEEP_TENURE, previousEmi: result.emi, emi: result.finalEmi },
+    ]);
+    expect(result.months[24].emi).toBe(result.finalEmi);
+  });
+
+  it('shortens the loan when a rate cut keeps the EMI', () => {
+    const result = computeSchedule({ ...baseInputs, rateChanges: [{ month: 13, rate: 7.5, mode: KEEP_EMI }] });
+
+    expect(result.regularMonths).toBeLessThan(240);
+    expect(result.totalInterest).toBeLessThan(computeSchedule(baseInputs).totalInterest);
+  });
+
+  it('applies the same rate path to the prepayment schedule', () => {
+    const rateChanges = [{ month: 25, rate: 9.15, mode: KEEP_EMI }];
+    const result = computeSchedule({ ...baseInputs, monthlyPrepayment: 10000, rateChanges });
+
+    expect(result.months[24].rate).toBe(9.15);
+    expect(result.savedInterest).toBeCloseTo(result.totalInterest - result.prepayTotalInterest, 4);
+    expect(result.savedMonths).toBe(result.regularMonths - result.prepayMonths);
+  });
+
+  it('raises the EMI to close on the original tenure once it no longer covers the interest', () => {
+    const result = computeSchedule({ ...baseInputs, rateChanges: [{ month: 13, rate: 14, mode: KEEP_EMI }] });
+
+    expect(result.truncated).toBe(false);
+    expect(result.regularMonths).toBe(240);
+    expect(result.finalEmi).toBeGreaterThan(result.months[12].interest);
+    expect(result.revisions[0]).toMatchObject({ previousEmi: result.emi, emi: result.finalEmi });
+    expect(result.months.at(-1).closingBalance).toBe(0);
+  });
+
+  it('stretches the tenure up to the limit before raising the EMI', () => {
+    const hike = (rate) => computeSchedule({ ...baseInputs, maxTenureMonths: 300, rateChanges: [{ month: 25, rate, mode: KEEP_EMI }] });
+
+    const small = hike(8.75);
+    expect(small.finalEmi).toBe(small.emi);
+    expect(small.regularMonths).toBeGreaterThan(240);
+    expect(small.regularMonths).toBeLessThanOrEqual(300);
+
+    const large = hike(12);
+    expect(large.regularMonths).toBe(300);
+    expect(large.finalEmi).toBeGreaterThan(large.emi);
+    expect(large.revisions[0]).toMatchObject({ previousEmi: large.emi, emi: large.finalEmi });
+    expect(large.truncated).toBe(false);
+  });
+});
+
+describe('lump-sum prepayments', () => {
+  it('applies each lump sum on its exact month', () => {
+    const result = computeSchedule({
+      ...baseInputs,
+      lumpSums: [{ id: 'fd', year: 4, month: 3, amount: 500000 }, { id: 'bonus', year: 1, month: 9, amount: 200000 }],
+    });
+
+    expect(result.months[8]).toMatchObject({ prepayment: 200000, lumpSum: 200000 });
+    expect(result.months[38]).toMatchObject({ prepayment: 500000, lumpSum: 500000 });
+    expect(result.months[37].lumpSum).toBe(0);
+    expect(result.years[3].lumpSum).toBe(500000);
+    expect(result.lumpSumSavings.map((lumpSum) => lumpSum.id)).toEqual(['bonus', 'fd']);
+  });
+
+  it('splits the total saving between recurring prepayments and each lump sum', () => {
+    const result = computeSchedule({
+      ...baseInputs,
+      monthlyPrepayment: 5000,
+      lumpSums: [{ id: 1, year: 2, month: 3, amount: 300000 }, { id: 2, year: 5, month: 1, amount: 400000 }],
+    });
+    const parts = result.recurringSavedInterest + sum(result.lumpSumSavings, 'savedInterest');
+
+    expect(result.recurringSavedInterest).toBeGreaterThan(0);
+    result.lumpSumSavings.forEach((lumpSum) => expect(lumpSum.savedInterest).toBeGreaterThan(0));
+    expect(parts).toBeCloseTo(result.savedInterest, 4);
+  });
+
+  it('ignores lump sums that fall after the loan has closed', () => {
+    const result = computeSchedule({
+      ...baseInputs,
+      loanAmount: 300000,
+      tenureYears: 1,
+      lumpSums: [{ id: 1, year: 1, month: 2, amount: 1000000 }, { id: 2, year: 1, month: 6, amount: 50000 }],
+    });
+
+    expect(result.prepayMonths).toBe(2);
+    expect(result.months[1].closingBalance).toBe(0);
+    expect(result.lumpSumSavings[1]).toMatchObject({ applied: 0, savedInterest: 0 });
+  });
+});
+
+describe('escalating prepayments', () => {
+  const escalating = {
+    ...baseInputs, monthlyPrepayment: 10000, annualPrepayment: 100000, prepaymentStartYear: 2,
+    monthlyPrepaymentGrowth: 10, annualPrepaymentGrowth: 5,
+  };
+
+  it('grows each stream by its own rate every year from the start year', () => {
+    expect(prepaymentsForYear(1, escalating)).toEqual({ monthly: 0, annual: 0 });
+    expect(prepaymentsForYear(2, escalating)).toEqual({ monthly: 10000, annual: 100000 });
+    expect(prepaymentsForYear(3, escalating)).toEqual({ monthly: 11000, annual: 105000 });
+    expect(prepaymentsForYear(4, escalating)).toEqual({ monthly: 12100, annual: 110250 });
+  });
+
+  it('holds a stream at its cap and stops after the end year', () => {
+    const capped = { ...escalating, monthlyPrepaymentCap: 11500, prepaymentEndYear: 5 };
+
+    expect(prepaymentsForYear(3, capped).monthly).toBe(11000);
+    expect(prepaymentsForYear(4, capped).monthly).toBe(11500);
+    expect(prepaymentsForYear(5, capped)).toEqual({ monthly: 11500, annual: 115763 });
+    expect(prepaymentsForYear(6, capped)).toEqual({ monthly: 0, annual: 0 });
+  });
+
+  it('pays the escalated amounts in the schedule and saves more than flat prepayments', () => {
+    const result = computeSchedule(escalating);
+    const flat = computeSchedule({ ...escalating, monthlyPrepaymentGrowth: 0, annualPrepaymentGrowth: 0 });
+
+    expect(result.months[12].prepayment).toBe(10000);
+    expect(result.months[24].prepayment).toBe(11000);
+    expect(result.months[35].prepayment).toBe(11000 + 105000);
+    expect(result.savedInterest).toBeGreaterThan(flat.savedInterest);
+    expect(result.prepayMonths).toBeLessThan(flat.prepayMonths);
+  });
+
+  it('matches flat prepayments when nothing escalates', () => {
+    const flat = computeSchedule({ ...baseInputs, monthlyPrepayment: 5000 });
+    const explicit = computeSchedule({
+      ...baseInputs, monthlyPrepayment: 5000, monthlyPrepaymentGrowth: 0, monthlyPrepaymentCap: 0, prepaymentEndYear: 0,
+    });
+    expect(explicit.prepayTotalInterest).toBe(flat.prepayTotalInterest);
+  });
+});
+
+describe('prepayment modes', () => {
+  it('recomputes the EMI over the remaining tenure in reduce EMI mode', () => {
+    const result = computeSchedule({
+      ...baseInputs,
+      prepaymentMode: PREPAYMENT_MODES.REDUCE_EMI,
+      lumpSums: [{ id: 1, year: 2, month: 12, amount: 1000000 }],
+    });
+    const balanceAfter = result.months[23].closingBalance;
+
+    expect(result.prepayMonths).toBe(240);
+    expect(result.months[24].emi).toBe(calculateEmi(balanceAfter, 8.5, 216));
+    expect(result.years[2].emi).toBeLessThan(result.emi);
+    expect(result.months.at(-1).closingBalance).toBe(0);
+  });
+
+  it('saves more interest by keeping the EMI than by reducing it', () => {
+    const { reduceTenure, reduceEmi } = comparePrepaymentModes({ ...baseInputs, monthlyPrepayment: 10000 });
+
+    expect(reduceTenure.prepaymentMode).toBe(PREPAYMENT_MODES.REDUCE_TENURE);
+    expect(reduceEmi.prepaymentMode).toBe(PREPAYMENT_MODES.REDUCE_EMI);
+    expect(reduceTenure.prepayMonths).toBeLessThan(reduceEmi.prepayMonths);
+    expect(reduceTenure.savedInterest).toBeGreaterThan(reduceEmi.savedInterest);
+    expect(reduceEmi.savedInterest).toBeGreaterThan(0);
+  });
+
+  it('keeps a stretched tenure when reducing EMI after a rate hike', () => {
+    const result = computeSchedule({
+      ...baseInputs,
+      prepaymentMode: PREPAYMENT_MODES.REDUCE_EMI,
+      rateChanges: [{ month: 13, rate: 9.5, mode: RATE_CHANGE_MODES.KEEP_EMI }],
+      lumpSums: [{ id: 1, year: 3, month: 1, amount: 500000 }],
+    });
+
+    expect(result.prepayMonths).toBe(result.regularMonths);
+  });
+});
+
+describe('under-construction disbursements', () => {
+  const construction = {
+    ...baseInputs,
+    interestRate: 8.4,
+    disbursements: [{ id: 1, month: 1, amount: 1000000 }, { id: 2, month: 7, amount: 2000000 }],
+    possessionMonth: 13,
+  };
+
+  it('charges interest only on what has been released until possession on pre-EMI', () => {
+    const result = computeSchedule(construction);
+    const preEmiMonths = result.months.slice(0, 12);
+
+    expect(preEmiMonths.every((row) => row.underConstruction && row.principal === 0)).toBe(true);
+    expect(result.months[0]).toMatchObject({ openingBalance: 0, disbursement: 1000000, closingBalance: 1000000 });
+    expect(result.months[6].interest).toBeCloseTo(3000000 * 0.007, 6);
+    // The undisbursed 20L is released at possession and the full tenure starts then
+    expect(result.months[12]).toMatchObject({ disbursement: 2000000, underConstruction: false, emi: calculateEmi(5000000, 8.4, 240) });
+    expect(result.months).toHaveLength(252);
+    expect(result.construction.interestBeforePossession).toBeCloseTo(1000000 * 0.007 * 6 + 3000000 * 0.007 * 6, 6);
+  });
+
+  it('pays the full EMI from the first release and closes on the original tenure', () => {
+    const result = computeSchedule({ ...construction, constructionEmiMode: CONSTRUCTION_EMI_MODES.FULL_EMI });
+
+    expect(result.months[0].emi).toBe(result.emi);
+    expect(result.months[0].principal).toBeGreaterThan(0);
+    expect(result.months.length).toBeLessThanOrEqual(240);
+    expect(result.months.at(-1).closingBalance).toBe(0);
+    expect(sum(result.months, 'disbursement')).toBe(5000000);
+  });
+
+  it('costs more interest on pre-EMI than on full EMI', () => {
+    const { preEmi, fullEmi } = compareConstructionModes(construction);
+    expect(preEmi.totalInterest).toBeGreaterThan(fullEmi.totalInterest);
+    expect(preEmi.construction.emiMode).toBe(CONSTRUCTION_EMI_MODES.PRE_EMI);
+  });
+
+  it('caps tranches at the sanctioned amount and pulls late ones back to possession', () => {
+    const result = computeSchedule({
+      ...construction,
+      disbursements: [{ id: 1, month: 1, amount: 4000000 }, { id: 2, month: 20, amount: 4000000 }],
+    });
+
+    expect(result.construction.disbursements).toEqual([{ month: 1, amount: 4000000 }, { month: 13, amount: 1000000 }]);
+  });
+
+  it('leaves the regular schedule alone without disbursements', () => {
+    const result = computeSchedule(baseInputs);
+    expect(result.construction).toBeNull();
+    expect(result.months[0]).toMatchObject({ openingBalance: 5000000, disbursement: 0, underConstruction: false });
+  });
+});
+
+describe('repayment structures', () => {
+  const stepUp = { ...baseInputs, repaymentStructure: REPAYMENT_STRUCTURES.STEP_UP, emiStepPercent: 5 };
+
+  it('raises the EMI once a year and still closes on tenure', () => {
+    const result = computeSchedule(stepUp);
+
+    expect(result.months).toHaveLength(240);
+    expect(result.months.at(-1).closingBalance).toBe(0);
+    expect(result.months[11].emi).toBe(result.emi);
+    expect(result.months[12].emi / result.emi).toBeCloseTo(1.05, 4);
+    expect(result.months[24].emi / result.emi).toBeCloseTo(1.05 ** 2, 4);
+    expect(result.repaymentStructure).toBe(REPAYMENT_STRUCTURES.STEP_UP);
+  });
+
+  it('starts lower and costs more interest than a flat EMI when stepping up', () => {
+    const { structured, standard } = compareRepaymentStructure(stepUp);
+
+    expect(structured.emi).toBeLessThan(standard.emi);
+    expect(structured.totalInterest).toBeGreaterThan(standard.totalInterest);
+  });
+
+  it('starts higher and saves interest when stepping down', () => {
+    const { structured, standard } = compareRepaymentStructure({ ...stepUp, repaymentStructure: REPAYMENT_STRUCTURES.STEP_DOWN });
+
+    expect(structured.emi).toBeGreaterThan(standard.emi);
+    expect(structured.totalInterest).toBeLessThan(standard.totalInterest);
+    expect(structured.months).toHaveLength(240);
+  });
+
+  it('scales a custom EMI plan so it fits the tenure', () => {
+    const result = computeSchedule({
+      ...baseInputs,
+      repaymentStructure: REPAYMENT_STRUCTURES.CUSTOM,
+      customEmis: [{ id: 1, year: 1, amount: 30000 }, { id: 2, year: 6, amount: 60000 }],
+    });
+
+    expect(result.months).toHaveLength(240);
+    expect(result.months[60].emi / result.months[0].emi).toBeCloseTo(2, 3);
+    expect(result.months.at(-1).closingBalance).toBe(0);
+  });
+
+  it('keeps the shape when a revision resets the EMI for the same tenure', () => {
+    const result = computeSchedule({
+      ...stepUp,
+      rateChanges: [{ month: 37, rate: 9.5, mode: RATE_CHANGE_MODES.KEEP_TENURE }],
+    });
+
+    expect(result.months).toHaveLength(240);
+    expect(result.months[48].emi / result.months[36].emi).toBeCloseTo(1.05, 4);
+    expect(result.revisions[0].emi).toBeGreaterThan(result.revisions[0].previousEmi);
+  });
+
+  it('caps the step at the slider limit and still closes on tenure', () => {
+    const steep = computeSchedule({ ...stepUp, repaymentStructure: REPAYMENT_STRUCTURES.STEP_DOWN, emiStepPercent: 50 });
+
+    expect(steep.months).toHaveLength(240);
+    expect(steep.months[12].emi / steep.emi).toBeCloseTo(1 - MAX_EMI_STEP_PERCENT / 100, 4);
+  });
+
+  it('shows a custom plan that starts at nothing as a zero EMI', () => {
+    const result = computeSchedule({
+      ...baseInputs,
+      repaymentStructure: REPAYMENT_STRUCTURES.CUSTOM,
+      customEmis: [{ id: 1, year: 1, amount: 0 }, { id: 2, year: 2, amount: 50000 }],
+    });
+
+    expect(Object.is(result.emi, 0)).toBe(true);
+    expect(Object.is(result.months[0].emi, 0)).toBe(true);
+  });
+
+  it('falls back to a level EMI when there is no step', () => {
+    expect(emiWeights({ repaymentStructure: REPAYMENT_STRUCTURES.STEP_UP, emiStepPercent: 0 })).toBeNull();
+    expect(emiWeights({ repaymentStructure: REPAYMENT_STRUCTURES.CUSTOM, customEmis: [] })).toBeNull();
+    expect(computeSchedule({ ...baseInputs, repaymentStructure: REPAYMENT_STRUCTURES.CUSTOM }).emi).toBe(calculateEmi(5000000, 8.5, 240));
+  });
+});
+
+describe('education loan moratorium', () => {
+  const education = { loanAmount: 2000000, interestRate: 10, tenureYears: 10, moratoriumMonths: 24 };
+
+  it('accrues simple interest and sets the EMI on principal plus interest', () => {
+    const result = computeSchedule(education);
+    const accrued = 2000000 * (10 / 1200) * 24;
+
+    expect(result.months.slice(0, 24).every((row) => row.moratorium && row.emi === 0)).toBe(true);
+    expect(result.months[23].closingBalance).toBeCloseTo(2000000 + accrued, 4);
+    expect(result.moratorium.accruedInterest).toBeCloseTo(accrued, 4);
+    expect(result.emi).toBe(calculateEmi(2000000 + accrued, 10, 120));
+    // The repayment tenure starts after the moratorium
+    expect(result.months).toHaveLength(144);
+    expect(result.totalAmount).toBeCloseTo(sum(result.months, 'emi'), 0);
+  });
+
+  it('costs more than starting the EMI straight away', () => {
+    expect(computeSchedule(education).totalInterest).toBeGreaterThan(computeSchedule({ ...education, moratoriumMonths: 0 }).totalInterest);
+    expect(computeSchedule({ ...education, moratoriumMonths: 0 }).moratorium).toBeNull();
+  });
+});
+
+describe('rollupYears', () => {
+  it('totals principal (including prepayments) and interest per loan year', () => {
+    const months = Array.from({ length: 12 }, (_, i) => ({
+      month: i + 1, year: 1, interest: 30000, principal: 20000, prepayment: 5000, lumpSum: 0, closingBalance: 1000000 - i * 25000,
+    }));
+    const [year] = rollupYears(months);
+
+    expect(year.interestPaid).toBe(360000);
+    expect(year.principalPaid).toBe(300000);
+    expect(year.prepaid).toBe(60000);
+    expect(year.balance).toBe(725000);
+  });
+});
@@ -0,0 +1,93 @@
+// --- Balance Transfer ---
+// Compares three ways forward for an existing loan: stay as is, move the
+// balance to a cheaper lender, or pay the current bank a conversion fee for a
+// lower rate. Each path runs the outstanding balance through computeSchedule
+// over the same remaining tenure, so the only differences are rate and costs.
+
+import { computeSchedule, monthsToRepay } from './amortization';
+
+export const TRANSFER_PATHS = {
+  STAY: 'stay',
+  TRANSFER: 'transfer',
+  RENEGOTIATE: 'renegotiate',
+};
+
+export const DEFAULT_TRANSFER = {
+  newRate: 8.1,
+  processingFeePercent: 0.5, // Of the transferred balance
+  legalCharges: 10000, // Legal opinion and valuation
+  stampCharges: 5000, // MOD (memorandum of deposit) stamp duty and registration
+  renegotiatedRate: 8.25,
+  conversionFee: 10000,
+};
+
+const toNumber = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : 0;
+};
+
+// Outstanding balance, rate and remaining tenure after loan month `month` of
+// an existing schedule (month 0 = before the first EMI). Prepayments already
+// made are reflected in the balance; the months left are what the current EMI
+// needs to clear it, not how soon future prepayments would close the loan.
+export const positionAfterMonth = (calculations, inputs, month) => {
+  const row = month > 0 ? calculations.months[month - 1] : null;
+  const balance = row ? Math.round(row.closingBalance) : toNumber(inputs.loanAmount);
+  const rate = row ? row.rate : toNumber(inputs.interestRate);
+  // Before EMIs start (pre-EMI or moratorium) fall back to the contracted tenure
+  const needed = row ? monthsToRepay(balance, rate, row.emi) : Infinity;
+  return {
+    balance,
+    rate,
+    remainingMonths: Number.isFinite(needed) ? needed : Math.max(0, calculations.regularMonths - month),
+  };
+};
+
+const payment = (row) => (row ? row.interest + row.principal : 0);
+
+// First month in which the payments saved add up to the upfront costs
+const breakEvenMonth = (stayMonths, pathMonths, costs) => {
+  if (costs <= 0) return 0;
+  let saved = 0;
+  const length = Math.max(stayMonths.length, pathMonths.length);
+  for (let i = 0; i < length; i++) {
+    saved += payment(stayMonths[i]) - payment(pathMonths[i]);
+    if (saved >= costs) return i + 1;
+  }
+  return null;
+};
+
+export const analyseBalanceTransfer = ({ balance, remainingMonths, currentRate, ...options }) => {
+  const o = { ...DEFAULT_TRANSFER, ...options };
+  const principal = toNumber(balance);
+  const run = (rate) => computeSchedule({ loanAmount: principal, interestRate: toNumber(rate), tenureMonths: remainingMonths });
+
+  const stay = run(currentRate);
+  const build = (key, rate, costs) => {
+    const result = key === TRANSFER_PATHS.STAY ? stay : run(rate);
+    return {
+      key,
+      rate: toNumber(rate),
+      emi: result.emi,
+      totalInterest: result.totalInterest,
+      costs,
+      totalCost: result.totalInterest + costs,
+      netSavings: stay.totalInterest - result.totalInterest - costs,
+      breakEvenMonth: key === TRANSFER_PATHS.STAY ? null : breakEvenMonth(stay.months, result.months, costs),
+      months: result.months,
+    };
+  };
+
+  const transferCosts = Math.round(principal * (toNumber(o.processingFeePercent) / 100))
+    + toNumber(o.legalCharges) + toNumber(o.stampCharges);
+
+  const paths = [
+    build(TRANSFER_PATHS.STAY, currentRate, 0),
+    build(TRANSFER_PATHS.TRANSFER, o.newRate, transferCosts),
+    build(TRANSFER_PATHS.RENEGOTIATE, o.renegotiatedRate, toNumber(o.conversionFee)),
+  ];
+
+  const best = paths.reduce((winner, path) => (path.totalCost < winner.totalCost ? path : winner), paths[0]);
+
+  return { paths, best: best.key };
+};
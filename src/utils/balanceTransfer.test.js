@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { computeSchedule } from './amortization';
+import { analyseBalanceTransfer, positionAfterMonth, TRANSFER_PATHS } from './balanceTransfer';
+
+const scenario = {
+  balance: 4000000,
+  remainingMonths: 180,
+  currentRate: 9.25,
+  newRate: 8.35,
+  processingFeePercent: 0.5,
+  legalCharges: 10000,
+  stampCharges: 5000,
+  renegotiatedRate: 8.6,
+  conversionFee: 15000,
+};
+
+describe('analyseBalanceTransfer', () => {
+  const { paths, best } = analyseBalanceTransfer(scenario);
+  const [stay, transfer, renegotiate] = paths;
+
+  it('runs every path over the same remaining tenure', () => {
+    expect(paths.map((path) => path.key)).toEqual(Object.values(TRANSFER_PATHS));
+    paths.forEach((path) => expect(path.months).toHaveLength(180));
+    expect(transfer.emi).toBeLessThan(stay.emi);
+  });
+
+  it('nets the switching costs off the interest saved', () => {
+    expect(transfer.costs).toBe(20000 + 10000 + 5000);
+    expect(transfer.netSavings).toBe(stay.totalInterest - transfer.totalInterest - 35000);
+    expect(renegotiate.netSavings).toBe(stay.totalInterest - renegotiate.totalInterest - 15000);
+    expect(best).toBe(TRANSFER_PATHS.TRANSFER);
+  });
+
+  it('finds the month the lower EMIs have paid back the costs', () => {
+    const monthlySaving = stay.emi - transfer.emi;
+    expect(transfer.breakEvenMonth).toBe(Math.ceil(transfer.costs / monthlySaving));
+  });
+
+  it('never breaks even when the new rate is higher', () => {
+    const result = analyseBalanceTransfer({ ...scenario, newRate: 9.5 });
+    expect(result.paths[1].breakEvenMonth).toBeNull();
+    expect(result.paths[1].netSavings).toBeLessThan(0);
+  });
+});
+
+describe('positionAfterMonth', () => {
+  it('reads the outstanding balance and rate off the schedule', () => {
+    const inputs = { loanAmount: 5000000, interestRate: 8.5, tenureYears: 20 };
+    const calculations = computeSchedule(inputs);
+    const position = positionAfterMonth(calculations, inputs, 36);
+
+    expect(position.balance).toBe(Math.round(calculations.months[35].closingBalance));
+    expect(position.rate).toBe(8.5);
+    expect(position.remainingMonths).toBe(204);
+    expect(positionAfterMonth(calculations, inputs, 0).balance).toBe(5000000);
+  });
+
+  it('keeps the contracted EMI when prepayments have been shortening the loan', () => {
+    const inputs = { loanAmount: 5000000, interestRate: 8.5, tenureYears: 20, monthlyPrepayment: 20000 };
+    const calculations = computeSchedule(inputs);
+    const position = positionAfterMonth(calculations, inputs, 36);
+
+    expect(position.remainingMonths).toBeGreaterThan(calculations.months.length - 36);
+    const { paths } = analyseBalanceTransfer({ ...scenario, ...position, currentRate: position.rate });
+    expect(Math.abs(paths[0].emi - calculations.emi)).toBeLessThan(100);
+  });
+});
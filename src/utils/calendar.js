@@ -0,0 +1,104 @@
+// --- Calendar Helpers ---
+// Maps loan months (1-based) onto real dates, given the month of the first EMI
+// as a 'YYYY-MM' string (the value of an <input type="month">).
+
+export const SCHEDULE_PERIODS = {
+  LOAN_YEAR: 'loanYear',
+  CALENDAR_YEAR: 'calendarYear',
+  FINANCIAL_YEAR: 'financialYear', // Indian FY, April to March
+};
+
+export const currentMonthValue = () => {
+  const today = new Date();
+  return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Returns { year, month } with a 0-based month, or null for an invalid value
+export const parseMonthValue = (value) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const month = Number(match[2]) - 1;
+  if (month < 0 || month > 11) return null;
+  return { year: Number(match[1]), month };
+};
+
+// First day of the month in which loan month `loanMonth` falls due
+export const dateForLoanMonth = (startMonth, loanMonth) => {
+  const start = parseMonthValue(startMonth) || parseMonthValue(currentMonthValue());
+  return new Date(start.year, start.month + loanMonth - 1, 1);
+};
+
+// Inverse of dateForLoanMonth: the loan month that falls in `monthValue`
+// ('YYYY-MM'); 0 or less if that is before the first EMI, null if invalid
+export const loanMonthForDate = (startMonth, monthValue) => {
+  const start = parseMonthValue(startMonth) || parseMonthValue(currentMonthValue());
+  const target = parseMonthValue(monthValue);
+  if (!target) return null;
+  return (target.year - start.year) * 12 + (target.month - start.month) + 1;
+};
+
+// 'YYYY-MM' value of loan month `loanMonth`, for <input type="month">
+export const monthValueForLoanMonth = (startMonth, loanMonth) => {
+  const date = dateForLoanMonth(startMonth, loanMonth);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+export const formatMonthYear = (date) => date.toLocaleDateString('en-IN', { month: 'short', year: 'numeric' });
+
+// Calendar year in which the financial year containing `date` starts
+export const financialYearStart = (date) => (date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1);
+
+export const formatFinancialYear = (startYear) => `FY ${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+
+const periodFor = (row, date, period) => {
+  if (period === SCHEDULE_PERIODS.CALENDAR_YEAR) {
+    return { key: date.getFullYear(), label: String(date.getFullYear()) };
+  }
+  if (period === SCHEDULE_PERIODS.FINANCIAL_YEAR) {
+    const fyStart = financialYearStart(date);
+    return { key: fyStart, label: formatFinancialYear(fyStart) };
+  }
+  return { key: row.year, label: `Year ${row.year}` };
+};
+
+// Groups engine month rows into loan, calendar or financial years. Each group
+// keeps its dated month rows so the schedule can expand into them.
+export const groupSchedule = (months, startMonth, period = SCHEDULE_PERIODS.LOAN_YEAR) => {
+  const groups = [];
+
+  months.forEach((row) => {
+    const date = dateForLoanMonth(startMonth, row.month);
+    const { key, label } = periodFor(row, date, period);
+
+    let current = groups[groups.length - 1];
+    if (!current || current.key !== key) {
+      current = {
+        key,
+        label,
+        months: [],
+        principalPaid: 0,
+        interestPaid: 0,
+        prepaid: 0,
+        lumpSum: 0,
+        disbursed: 0,
+        balance: 0,
+        rate: row.rate,
+        rateChanged: false,
+      };
+      groups.push(current);
+    }
+
+    current.months.push({ ...row, date });
+    current.principalPaid += row.principal + row.prepayment;
+    current.interestPaid += row.interest;
+    current.prepaid += row.prepayment;
+    current.lumpSum += row.lumpSum;
+    current.disbursed += row.disbursement || 0;
+    current.balance = row.closingBalance;
+    current.rate = row.rate;
+    current.rateChanged = current.rateChanged || row.rateChanged;
+  });
+
+  return groups;
+};
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseMonthValue, dateForLoanMonth, loanMonthForDate, monthValueForLoanMonth, financialYearStart, formatFinancialYear, groupSchedule, SCHEDULE_PERIODS,
+} from './calendar';
+import { computeSchedule } from './amortization';
+
+const { months } = computeSchedule({ loanAmount: 1000000, interestRate: 9, tenureYears: 3, lumpSums: [{ id: 1, year: 1, month: 4, amount: 50000 }] });
+
+describe('calendar helpers', () => {
+  it('parses <input type="month"> values', () => {
+    expect(parseMonthValue('2025-07')).toEqual({ year: 2025, month: 6 });
+    expect(parseMonthValue('2025-13')).toBeNull();
+    expect(parseMonthValue('')).toBeNull();
+  });
+
+  it('dates loan months from the first EMI month', () => {
+    const date = dateForLoanMonth('2025-11', 3);
+    expect(date.getFullYear()).toBe(2026);
+    expect(date.getMonth()).toBe(0);
+  });
+
+  it('maps a calendar month back to its loan month', () => {
+    expect(loanMonthForDate('2025-11', '2026-01')).toBe(3);
+    expect(loanMonthForDate('2025-11', '2025-10')).toBe(0);
+    expect(loanMonthForDate('2025-11', 'soon')).toBeNull();
+    expect(monthValueForLoanMonth('2025-11', 3)).toBe('2026-01');
+  });
+
+  it('places January to March in the previous financial year', () => {
+    expect(financialYearStart(new Date(2026, 2, 1))).toBe(2025);
+    expect(financialYearStart(new Date(2026, 3, 1))).toBe(2026);
+    expect(formatFinancialYear(2025)).toBe('FY 2025-26');
+    expect(formatFinancialYear(2099)).toBe('FY 2099-00');
+  });
+});
+
+describe('groupSchedule', () => {
+  it('groups by loan year by default', () => {
+    const groups = groupSchedule(months, '2025-07');
+
+    expect(groups.map((group) => group.label)).toEqual(['Year 1', 'Year 2', 'Year 3']);
+    expect(groups[0].months).toHaveLength(12);
+    expect(groups[0].lumpSum).toBe(50000);
+  });
+
+  it('groups by calendar year with partial first and last years', () => {
+    const groups = groupSchedule(months, '2025-07', SCHEDULE_PERIODS.CALENDAR_YEAR);
+
+    expect(groups.map((group) => group.label)).toEqual(['2025', '2026', '2027', '2028']);
+    expect(groups[0].months).toHaveLength(6);
+    expect(groups.at(-1).balance).toBe(0);
+  });
+
+  it('groups by Indian financial year (April to March)', () => {
+    const groups = groupSchedule(months, '2025-01', SCHEDULE_PERIODS.FINANCIAL_YEAR);
+
+    expect(groups[0]).toMatchObject({ key: 2024, label: 'FY 2024-25' });
+    expect(groups[0].months).toHaveLength(3);
+    expect(groups[1].months[0].date.getMonth()).toBe(3);
+  });
+
+  it('keeps the totals of the underlying months', () => {
+    const groups = groupSchedule(months, '2025-07', SCHEDULE_PERIODS.FINANCIAL_YEAR);
+    const interest = groups.reduce((acc, group) => acc + group.interestPaid, 0);
+    const principal = groups.reduce((acc, group) => acc + group.principalPaid, 0);
+
+    expect(interest).toBeCloseTo(months.reduce((acc, row) => acc + row.interest, 0), 6);
+    expect(principal).toBeCloseTo(1000000, 4);
+  });
+});
@@ -0,0 +1,114 @@
+// --- Cost of Borrowing ---
+// What the loan really costs once the charges around it are counted: the
+// processing fee, legal and technical charges, a loan insurance premium
+// (usually financed into the loan, so it accrues interest too) and
+// foreclosure charges on prepayments. The effective rate is the XIRR of the
+// borrower's actual cash flows, also given as an APR comparable with the
+// headline rate (monthly IRR x 12, as in the RBI Key Fact Statement).
+
+import { computeSchedule } from './amortization';
+import { dateForLoanMonth } from './calendar';
+
+export const DEFAULT_CHARGES = {
+  processingFeePercent: 0, // Of the loan amount
+  otherCharges: 0, // Legal, technical and valuation charges
+  insurancePremium: 0, // Single-premium loan protection cover
+  insuranceFinanced: true, // Added to the loan rather than paid upfront
+  foreclosureChargePercent: 0, // On every prepayment; fixed-rate loans only
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ITERATIONS = 100;
+
+const toNumber = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : 0;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Annual effective rate (a fraction) at which the dated cash flows
+// { date, amount } net to zero, or null if there is no sign change.
+// Newton's method from 10%, falling back to bisection if it wanders off.
+export const xirr = (flows) => {
+  if (!flows.some((flow) => flow.amount > 0) || !flows.some((flow) => flow.amount < 0)) return null;
+
+  const start = flows[0].date.getTime();
+  const years = flows.map((flow) => (flow.date.getTime() - start) / DAY_MS / 365);
+  const npv = (rate) => flows.reduce((total, flow, i) => total + flow.amount / Math.pow(1 + rate, years[i]), 0);
+  const slope = (rate) => flows.reduce((total, flow, i) => total - (years[i] * flow.amount) / Math.pow(1 + rate, years[i] + 1), 0);
+
+  let rate = 0.1;
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const value = npv(rate);
+    if (Math.abs(value) < 1e-6) return rate;
+    const next = rate - value / slope(rate);
+    if (!Number.isFinite(next) || next <= -0.99) break;
+    if (Math.abs(next - rate) < 1e-10) return next;
+    rate = next;
+  }
+
+  let low = -0.99;
+  let high = 10;
+  if (npv(low) * npv(high) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (npv(low) * npv(mid) <= 0) high = mid;
+    else low = mid;
+  }
+  return (low + high) / 2;
+};
+
+// Charges, total cost of ownership and effective rate for a schedule.
+// `charges` carries the DEFAULT_CHARGES fields (the app state works as is).
+export const analyseCostOfBorrowing = (inputs, charges = {}, startMonth) => {
+  const c = { ...DEFAULT_CHARGES, ...charges };
+  const loanAmount = toNumber(inputs.loanAmount);
+  const premium = toNumber(c.insurancePremium);
+  const financed = premium > 0 && c.insuranceFinanced !== false;
+
+  // A financed premium is lent along with the loan and paid straight to the insurer
+  const result = computeSchedule(financed ? { ...inputs, loanAmount: loanAmount + premium } : inputs);
+
+  const processingFee = Math.round((loanAmount * toNumber(c.processingFeePercent)) / 100);
+  const otherCharges = toNumber(c.otherCharges);
+  const foreclosureRate = toNumber(c.foreclosureChargePercent) / 100;
+  const foreclosureCharges = Math.round(result.months.reduce((total, row) => total + row.prepayment * foreclosureRate, 0));
+
+  // Loan month m is paid at the end of the month; money released in month m
+  // arrives at its start (the end of month m - 1)
+  const flowByMonth = new Map();
+  const addFlow = (month, amount) => flowByMonth.set(month, (flowByMonth.get(month) || 0) + amount);
+  if (result.construction) {
+    result.months.forEach((row) => addFlow(row.month - 1, row.disbursement || 0));
+  } else {
+    addFlow(0, financed ? loanAmount + premium : loanAmount);
+  }
+  addFlow(0, -(processingFee + otherCharges + premium));
+  result.months.forEach((row) => addFlow(row.month, -(row.emi + row.prepayment * (1 + foreclosureRate))));
+
+  const flows = [...flowByMonth.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([month, amount]) => ({ date: dateForLoanMonth(startMonth, month), amount }));
+  const effective = xirr(flows);
+
+  const interest = result.prepayTotalInterest;
+  const fees = processingFee + otherCharges;
+  const totalCost = interest + fees + premium + foreclosureCharges;
+
+  return {
+    emi: result.emi,
+    financed,
+    processingFee,
+    otherCharges,
+    insurancePremium: premium,
+    foreclosureCharges,
+    interest,
+    totalCost, // Everything paid beyond the loan amount
+    totalPaid: loanAmount + totalCost,
+    hasCharges: fees + premium + foreclosureCharges > 0,
+    headlineRate: toNumber(inputs.interestRate),
+    apr: effective === null ? null : round2((Math.pow(1 + effective, 1 / 12) - 1) * 1200),
+    xirr: effective === null ? null : round2(effective * 100),
+  };
+};
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { computeSchedule } from './amortization';
+import { analyseCostOfBorrowing, xirr } from './charges';
+
+const inputs = {
+  loanAmount: 5000000,
+  interestRate: 8.5,
+  tenureYears: 20,
+  tenureMonths: 0,
+  monthlyPrepayment: 0,
+  annualPrepayment: 0,
+  prepaymentStartYear: 1,
+};
+
+describe('xirr', () => {
+  it('returns the yearly rate of a one-year deposit', () => {
+    const flows = [
+      { date: new Date(2025, 0, 1), amount: -100000 },
+      { date: new Date(2026, 0, 1), amount: 110000 },
+    ];
+    expect(xirr(flows)).toBeCloseTo(0.1, 6);
+  });
+
+  it('gives up when every flow has the same sign', () => {
+    expect(xirr([{ date: new Date(2025, 0, 1), amount: 100 }, { date: new Date(2026, 0, 1), amount: 50 }])).toBeNull();
+  });
+});
+
+describe('analyseCostOfBorrowing', () => {
+  it('puts the APR at the headline rate when there are no charges', () => {
+    const result = analyseCostOfBorrowing(inputs, {}, '2026-04');
+
+    expect(result.hasCharges).toBe(false);
+    expect(result.apr).toBeCloseTo(8.5, 1);
+    // Monthly compounding makes the effective annual rate higher
+    expect(result.xirr).toBeCloseTo(8.84, 1);
+    expect(result.totalCost).toBe(computeSchedule(inputs).totalInterest);
+  });
+
+  it('adds fees and a financed premium to the cost and the APR', () => {
+    const charges = { processingFeePercent: 0.5, otherCharges: 10000, insurancePremium: 150000, insuranceFinanced: true };
+    const result = analyseCostOfBorrowing(inputs, charges, '2026-04');
+    const financedLoan = computeSchedule({ ...inputs, loanAmount: 5150000 });
+
+    expect(result.processingFee).toBe(25000);
+    expect(result.emi).toBe(financedLoan.emi);
+    expect(result.interest).toBe(financedLoan.totalInterest);
+    expect(result.totalCost).toBe(financedLoan.totalInterest + 25000 + 10000 + 150000);
+    expect(result.apr).toBeGreaterThan(8.7);
+  });
+
+  it('charges foreclosure on every rupee prepaid', () => {
+    const prepaying = { ...inputs, monthlyPrepayment: 10000 };
+    const plain = analyseCostOfBorrowing(prepaying, {}, '2026-04');
+    const charged = analyseCostOfBorrowing(prepaying, { foreclosureChargePercent: 2 }, '2026-04');
+    const prepaid = computeSchedule(prepaying).months.reduce((total, row) => total + row.prepayment, 0);
+
+    expect(charged.foreclosureCharges).toBe(Math.round(prepaid * 0.02));
+    expect(charged.apr).toBeGreaterThan(plain.apr);
+  });
+
+  it('lets a cheaper rate with fees be compared against a dearer one without', () => {
+    const withFees = analyseCostOfBorrowing({ ...inputs, interestRate: 8.4 }, { processingFeePercent: 0.5, insurancePremium: 100000 }, '2026-04');
+    const noFees = analyseCostOfBorrowing({ ...inputs, interestRate: 8.6 }, {}, '2026-04');
+
+    expect(withFees.apr).toBeGreaterThan(noFees.apr);
+    expect(withFees.totalCost).toBeGreaterThan(noFees.totalCost);
+  });
+});
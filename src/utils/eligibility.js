@@ -0,0 +1,112 @@
+// --- Loan Eligibility ---
+// "How much will the bank give me?" Solves for the largest loan a lender would
+// sanction from income (FOIR), the property or car value (LTV, for loan types
+// with collateral) and the tenure left before retirement.
+
+import { calculateEmi, principalForEmi } from './amortization';
+import { LOAN_TYPES, loanTypeProfile } from './loanTypes';
+
+// RBI caps on loan-to-value for home loans: [loan amount up to, max LTV]
+export const RBI_LTV_BANDS = [
+  [3000000, 0.9],
+  [7500000, 0.8],
+  [Infinity, 0.75],
+];
+
+export const LIMITING_FACTORS = {
+  INCOME: 'income', // FOIR leaves no more room for EMI
+  PROPERTY: 'property', // LTV on the property (or car) value
+  AGE: 'age', // No tenure left before retirement
+};
+
+// Banks sanction in round thousands
+const SANCTION_ROUNDING = 1000;
+
+export const DEFAULT_ELIGIBILITY = {
+  netMonthlyIncome: 100000,
+  existingEmis: 0,
+  age: 30,
+  retirementAge: 60,
+  foir: 50, // % of net income that can go to all EMIs
+  ltv: 80, // Lender's own LTV policy, %
+  propertyValue: 8000000,
+  coApplicant: null, // { netMonthlyIncome, existingEmis, age }
+};
+
+const toNumber = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : 0;
+};
+
+const roundDown = (amount) => Math.max(0, Math.floor(amount / SANCTION_ROUNDING) * SANCTION_ROUNDING);
+
+// Largest loan the property supports under the lender's LTV and, for home
+// loans, the RBI bands
+export const maxLoanForProperty = (propertyValue, lenderLtv = 1, rbiBands = true) => {
+  if (!rbiBands) return propertyValue * lenderLtv;
+  let lower = 0;
+  let best = 0;
+  RBI_LTV_BANDS.forEach(([upper, cap]) => {
+    const loan = Math.min(propertyValue * Math.min(cap, lenderLtv), upper);
+    if (loan > lower) best = Math.max(best, loan);
+    lower = upper;
+  });
+  return best;
+};
+
+// Whole years of tenure left before the older applicant retires
+export const tenureForAge = (ages, retirementAge, maxTenureYears) => {
+  const oldest = Math.max(...ages.filter((age) => age > 0));
+  const yearsLeft = Number.isFinite(oldest) ? Math.floor(retirementAge - oldest) : maxTenureYears;
+  return Math.max(0, Math.min(maxTenureYears, yearsLeft));
+};
+
+const solve = ({ income, existingEmis, ages }, inputs, interestRate, maxTenureYears, collateral) => {
+  const tenureYears = tenureForAge(ages, toNumber(inputs.retirementAge), maxTenureYears);
+  const months = tenureYears * 12;
+  const maxEmi = Math.max(0, income * (toNumber(inputs.foir) / 100) - existingEmis);
+
+  const incomeLimit = roundDown(principalForEmi(maxEmi, interestRate, months));
+  const propertyLimit = collateral && toNumber(inputs.propertyValue) > 0
+    ? roundDown(maxLoanForProperty(toNumber(inputs.propertyValue), toNumber(inputs.ltv) / 100, collateral.rbiBands))
+    : Infinity;
+  const eligibleLoan = Math.min(incomeLimit, propertyLimit);
+
+  let limitedBy = LIMITING_FACTORS.INCOME;
+  if (months === 0) limitedBy = LIMITING_FACTORS.AGE;
+  else if (propertyLimit < incomeLimit) limitedBy = LIMITING_FACTORS.PROPERTY;
+
+  return {
+    tenureYears,
+    maxEmi: Math.floor(maxEmi),
+    incomeLimit,
+    propertyLimit,
+    eligibleLoan,
+    emi: calculateEmi(eligibleLoan, interestRate, months),
+    limitedBy,
+  };
+};
+
+// Eligibility for the applicant alone and, when a co-applicant is given,
+// for both incomes together (tenure then runs to the older one's retirement).
+// The property value only counts for loan types with collateral.
+export const computeEligibility = (inputs, interestRate, maxTenureYears = 30, loanType = LOAN_TYPES.HOME) => {
+  const { collateral } = loanTypeProfile(loanType);
+  const applicant = {
+    income: toNumber(inputs.netMonthlyIncome),
+    existingEmis: toNumber(inputs.existingEmis),
+    ages: [toNumber(inputs.age)],
+  };
+  const solo = solve(applicant, inputs, toNumber(interestRate), maxTenureYears, collateral);
+
+  const co = inputs.coApplicant;
+  if (!co) return { solo, joint: null, coApplicantGain: 0 };
+
+  const joint = solve({
+    income: applicant.income + toNumber(co.netMonthlyIncome),
+    existingEmis: applicant.existingEmis + toNumber(co.existingEmis),
+    ages: [...applicant.ages, toNumber(co.age)],
+  }, inputs, toNumber(interestRate), maxTenureYears, collateral);
+
+  return { solo, joint, coApplicantGain: joint.eligibleLoan - solo.eligibleLoan };
+};
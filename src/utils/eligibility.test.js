@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { calculateEmi } from './amortization';
+import {
+  computeEligibility, maxLoanForProperty, tenureForAge, DEFAULT_ELIGIBILITY, LIMITING_FACTORS,
+} from './eligibility';
+import { LOAN_TYPES } from './loanTypes';
+
+describe('maxLoanForProperty', () => {
+  it('applies the RBI LTV band the loan falls in', () => {
+    // 90% of 35L would be 31.5L, above the 30L band, so the loan stops at 30L
+    expect(maxLoanForProperty(3500000)).toBe(3000000);
+    expect(maxLoanForProperty(2000000)).toBe(1800000);
+    expect(maxLoanForProperty(10000000)).toBe(7500000);
+    expect(maxLoanForProperty(20000000)).toBe(15000000);
+  });
+
+  it('never exceeds the lender LTV', () => {
+    expect(maxLoanForProperty(2000000, 0.8)).toBe(1600000);
+  });
+
+  it('uses the lender LTV alone without the RBI bands', () => {
+    expect(maxLoanForProperty(3500000, 0.9, false)).toBe(3150000);
+  });
+});
+
+describe('tenureForAge', () => {
+  it('runs to the older applicant retiring, capped at the product maximum', () => {
+    expect(tenureForAge([30], 60, 30)).toBe(30);
+    expect(tenureForAge([45, 38], 60, 30)).toBe(15);
+    expect(tenureForAge([62], 60, 30)).toBe(0);
+    expect(tenureForAge([0], 60, 30)).toBe(30);
+  });
+});
+
+describe('computeEligibility', () => {
+  it('keeps the EMI within FOIR after existing obligations', () => {
+    const { solo } = computeEligibility({ ...DEFAULT_ELIGIBILITY, existingEmis: 10000, propertyValue: 0 }, 8.5);
+
+    expect(solo.maxEmi).toBe(40000);
+    expect(solo.tenureYears).toBe(30);
+    expect(solo.limitedBy).toBe(LIMITING_FACTORS.INCOME);
+    expect(solo.eligibleLoan % 1000).toBe(0);
+    expect(solo.emi).toBeLessThanOrEqual(40000);
+    expect(calculateEmi(solo.eligibleLoan + 1000, 8.5, 360)).toBeGreaterThan(40000);
+  });
+
+  it('caps the loan at the property LTV', () => {
+    const { solo } = computeEligibility({ ...DEFAULT_ELIGIBILITY, propertyValue: 3000000 }, 8.5);
+
+    expect(solo.eligibleLoan).toBe(2400000);
+    expect(solo.limitedBy).toBe(LIMITING_FACTORS.PROPERTY);
+  });
+
+  it('applies the property limit by loan type', () => {
+    const inputs = { ...DEFAULT_ELIGIBILITY, propertyValue: 1000000, ltv: 90 };
+
+    // A car loan funds 90% of the on-road price, outside the RBI home loan bands
+    expect(computeEligibility(inputs, 9.5, 8, LOAN_TYPES.CAR).solo).toMatchObject({
+      eligibleLoan: 900000, limitedBy: LIMITING_FACTORS.PROPERTY,
+    });
+    // Personal and education loans have no collateral to cap them
+    [LOAN_TYPES.PERSONAL, LOAN_TYPES.EDUCATION].forEach((loanType) => {
+      const { solo } = computeEligibility(inputs, 12, 7, loanType);
+      expect(solo.propertyLimit).toBe(Infinity);
+      expect(solo.limitedBy).toBe(LIMITING_FACTORS.INCOME);
+    });
+  });
+
+  it('shows no eligibility past retirement age', () => {
+    const { solo } = computeEligibility({ ...DEFAULT_ELIGIBILITY, age: 61 }, 8.5);
+
+    expect(solo.eligibleLoan).toBe(0);
+    expect(solo.limitedBy).toBe(LIMITING_FACTORS.AGE);
+  });
+
+  it('adds a co-applicant income, with tenure set by the older applicant', () => {
+    const result = computeEligibility({
+      ...DEFAULT_ELIGIBILITY,
+      propertyValue: 0,
+      coApplicant: { netMonthlyIncome: 60000, existingEmis: 0, age: 40 },
+    }, 8.5);
+
+    expect(result.joint.maxEmi).toBe(80000);
+    expect(result.joint.tenureYears).toBe(20);
+    expect(result.coApplicantGain).toBe(result.joint.eligibleLoan - result.solo.eligibleLoan);
+    expect(result.coApplicantGain).toBeGreaterThan(0);
+  });
+});
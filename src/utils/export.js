@@ -0,0 +1,72 @@
+// --- Schedule Export ---
+// Builds downloadable files entirely in the browser (no server involved).
+// The spreadsheet writer is loaded on demand to keep the main bundle small.
+
+import { dateForLoanMonth, financialYearStart, formatFinancialYear } from './calendar';
+
+export const SCHEDULE_COLUMNS = [
+  'Month', 'Date', 'Loan Year', 'Financial Year', 'Rate (%)', 'Opening Balance', 'EMI',
+  'Interest', 'Principal', 'Prepayment', 'Lump Sum', 'Closing Balance',
+];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const monthValue = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// One array per month, in SCHEDULE_COLUMNS order. Dates are real Date objects.
+export const buildScheduleRows = (months, startMonth) => months.map((row) => {
+  const date = dateForLoanMonth(startMonth, row.month);
+  return [
+    row.month,
+    date,
+    row.year,
+    formatFinancialYear(financialYearStart(date)),
+    row.rate,
+    round2(row.openingBalance),
+    round2(row.emi),
+    round2(row.interest),
+    round2(row.principal),
+    round2(row.prepayment),
+    round2(row.lumpSum),
+    round2(row.closingBalance),
+  ];
+});
+
+const escapeCsv = (value) => {
+  const text = value instanceof Date ? monthValue(value) : String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map((row) => row.map(escapeCsv).join(',')).join('\r\n');
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Safari and older Firefox start the download asynchronously: keep the URL alive until they have read it
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export const exportScheduleCsv = (months, startMonth, fileName = 'loan-schedule.csv') => {
+  const csv = toCsv([SCHEDULE_COLUMNS, ...buildScheduleRows(months, startMonth)]);
+  // BOM so Excel opens the file as UTF-8
+  downloadBlob(new Blob(['﻿', csv], { type: 'text/csv;charset=utf-8' }), fileName);
+};
+
+export const exportScheduleXlsx = async (months, startMonth, fileName = 'loan-schedule.xlsx') => {
+  const { default: writeXlsxFile } = await import('write-excel-file/browser');
+
+  const header = SCHEDULE_COLUMNS.map((value) => ({ value, fontWeight: 'bold' }));
+  const body = buildScheduleRows(months, startMonth).map((row) => row.map((value, index) => {
+    if (value instanceof Date) return { value, type: Date, format: 'mmm yyyy' };
+    if (typeof value === 'number' && index >= 5) return { value, type: Number, format: '#,##0.00' };
+    return { value };
+  }));
+
+  const columns = SCHEDULE_COLUMNS.map((title) => ({ width: Math.max(10, title.length + 2) }));
+  await writeXlsxFile([header, ...body], { columns, sheet: 'Schedule', stickyRowsCount: 1 }).toFile(fileName);
+};
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { buildScheduleRows, toCsv, SCHEDULE_COLUMNS } from './export';
+import { computeSchedule } from './amortization';
+
+const { months } = computeSchedule({
+  loanAmount: 1000000, interestRate: 9, tenureYears: 2, lumpSums: [{ id: 1, year: 1, month: 6, amount: 100000 }],
+});
+
+describe('buildScheduleRows', () => {
+  it('produces one row per month in column order', () => {
+    const rows = buildScheduleRows(months, '2026-02');
+
+    expect(rows).toHaveLength(months.length);
+    rows.forEach((row) => expect(row).toHaveLength(SCHEDULE_COLUMNS.length));
+
+    const [month, date, loanYear, fy] = rows[2];
+    expect(month).toBe(3);
+    expect(date.getMonth()).toBe(3);
+    expect(loanYear).toBe(1);
+    expect(fy).toBe('FY 2026-27');
+    expect(rows[5][10]).toBe(100000);
+  });
+
+  it('rounds money columns to paise', () => {
+    const rows = buildScheduleRows(months, '2026-02');
+    rows[0].slice(5).forEach((value) => expect(Math.round(value * 100) / 100).toBe(value));
+  });
+});
+
+describe('toCsv', () => {
+  it('writes dates as YYYY-MM and quotes values that need it', () => {
+    const csv = toCsv([['Month', 'Note'], [1, new Date(2026, 1, 1)], [2, 'say "hi", ok']]);
+
+    expect(csv).toBe('Month,Note\r\n1,2026-02\r\n2,"say ""hi"", ok"');
+  });
+});
@@ -0,0 +1,15 @@
+// --- Formatting Helpers ---
+
+export const formatCurrency = (value) => {
+  return new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    maximumFractionDigits: 0,
+  }).format(value);
+};
+
+export const formatCurrencyCompact = (value) => {
+  if (value >= 10000000) return `₹ ${(value / 10000000).toFixed(2)} Cr`;
+  if (value >= 100000) return `₹ ${(value / 100000).toFixed(2)} L`;
+  return formatCurrency(value);
+};
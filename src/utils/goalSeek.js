@@ -0,0 +1,99 @@
+// --- Goal Seek ---
+// Back-solves one calculator input from a target outcome ("what loan fits a
+// 45k EMI?", "what prepayment closes the loan by 2035?"). Every trial runs
+// the full computeSchedule loop, so rate revisions, lump sums and the
+// prepayment mode are all respected.
+
+import { computeSchedule } from './amortization';
+import { loanTypeProfile } from './loanTypes';
+
+export const SOLVE_FOR = {
+  LOAN_AMOUNT: 'loanAmount',
+  TENURE: 'tenure',
+  INTEREST_RATE: 'interestRate',
+  MONTHLY_PREPAYMENT: 'monthlyPrepayment',
+  ANNUAL_PREPAYMENT: 'annualPrepayment',
+};
+
+export const TARGETS = {
+  EMI: 'emi', // Starting EMI at most this much
+  CLOSURE: 'closure', // Loan closed by this loan month
+  TOTAL_INTEREST: 'totalInterest', // Interest paid (with prepayments) at most this much
+};
+
+export const SOLVE_STATUS = {
+  SOLVED: 'solved',
+  UNREACHABLE: 'unreachable', // No value in the range meets the target
+  NO_EFFECT: 'noEffect', // The unknown doesn't move this target
+};
+
+// Search range and precision for each unknown. Tenure is solved in months,
+// up to the longest tenure of the loan type in `inputs.loanType`.
+const UNKNOWNS = {
+  [SOLVE_FOR.LOAN_AMOUNT]: { min: 0, max: () => 100000000, step: 1000 },
+  [SOLVE_FOR.TENURE]: { min: 1, max: (inputs) => loanTypeProfile(inputs.loanType).limits.tenureYears.max * 12, step: 1 },
+  [SOLVE_FOR.INTEREST_RATE]: { min: 0, max: () => 30, step: 0.01 },
+  [SOLVE_FOR.MONTHLY_PREPAYMENT]: { min: 0, max: (inputs) => Number(inputs.loanAmount) || 0, step: 100 },
+  [SOLVE_FOR.ANNUAL_PREPAYMENT]: { min: 0, max: (inputs) => Number(inputs.loanAmount) || 0, step: 1000 },
+};
+
+// Calculator inputs with the unknown set to `value`
+export const applyUnknown = (inputs, solveFor, value) => {
+  if (solveFor === SOLVE_FOR.TENURE) {
+    return { ...inputs, tenureYears: Math.floor(value / 12), tenureMonths: value % 12 };
+  }
+  return { ...inputs, [solveFor]: value };
+};
+
+const metricFor = (result, target) => {
+  if (target === TARGETS.EMI) return result.emi;
+  // A loan that never closes can't meet a closure or interest target
+  if (result.truncated) return Infinity;
+  return target === TARGETS.CLOSURE ? result.prepayMonths : result.prepayTotalInterest;
+};
+
+// Finds the boundary value of the unknown for which the metric stays within
+// the target: the largest value if the metric rises with it (loan, tenure,
+// rate), the smallest if it falls (prepayments). Bisection over whole steps.
+export const solveGoal = (inputs, solveFor, target, targetValue) => {
+  const range = UNKNOWNS[solveFor];
+  const steps = Math.floor((range.max(inputs) - range.min) / range.step);
+  const valueAt = (index) => Number((range.min + index * range.step).toFixed(2));
+  const evaluate = (index) => {
+    const result = computeSchedule(applyUnknown(inputs, solveFor, valueAt(index)));
+    return { result, metric: metricFor(result, target) };
+  };
+  const meets = ({ metric }) => metric <= targetValue;
+
+  const low = evaluate(0);
+  const high = evaluate(steps);
+  if (low.metric === high.metric) return { status: SOLVE_STATUS.NO_EFFECT, value: null, result: null };
+
+  const rising = high.metric > low.metric;
+  // The end of the range that is most likely to meet the target
+  const easy = rising ? low : high;
+  if (!meets(easy)) return { status: SOLVE_STATUS.UNREACHABLE, value: null, result: null };
+
+  const hard = rising ? high : low;
+  if (meets(hard)) {
+    const index = rising ? steps : 0;
+    return { status: SOLVE_STATUS.SOLVED, value: valueAt(index), result: hard.result, metric: hard.metric };
+  }
+
+  // Invariant: `good` meets the target, `bad` doesn't
+  let good = rising ? 0 : steps;
+  let bad = rising ? steps : 0;
+  let best = easy;
+  while (Math.abs(bad - good) > 1) {
+    const mid = Math.floor((good + bad) / 2);
+    const trial = evaluate(mid);
+    if (meets(trial)) {
+      good = mid;
+      best = trial;
+    } else {
+      bad = mid;
+    }
+  }
+
+  return { status: SOLVE_STATUS.SOLVED, value: valueAt(good), result: best.result, metric: best.metric };
+};
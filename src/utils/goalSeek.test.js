@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { computeSchedule } from './amortization';
+import { loanMonthForDate } from './calendar';
+import { LOAN_TYPES } from './loanTypes';
+import { solveGoal, applyUnknown, SOLVE_FOR, TARGETS, SOLVE_STATUS } from './goalSeek';
+
+const baseInputs = {
+  loanAmount: 5000000,
+  interestRate: 8.5,
+  tenureYears: 20,
+  tenureMonths: 0,
+  monthlyPrepayment: 0,
+  annualPrepayment: 0,
+  prepaymentStartYear: 1,
+};
+
+describe('solveGoal', () => {
+  it('finds the largest loan that fits an EMI budget', () => {
+    const { status, value, result } = solveGoal(baseInputs, SOLVE_FOR.LOAN_AMOUNT, TARGETS.EMI, 45000);
+
+    expect(status).toBe(SOLVE_STATUS.SOLVED);
+    expect(result.emi).toBeLessThanOrEqual(45000);
+    expect(computeSchedule({ ...baseInputs, loanAmount: value + 1000 }).emi).toBeGreaterThan(45000);
+  });
+
+  it('finds the smallest monthly prepayment that closes the loan by a date', () => {
+    const closeBy = loanMonthForDate('2026-01', '2035-12');
+    const { status, value, result } = solveGoal(baseInputs, SOLVE_FOR.MONTHLY_PREPAYMENT, TARGETS.CLOSURE, closeBy);
+
+    expect(status).toBe(SOLVE_STATUS.SOLVED);
+    expect(result.prepayMonths).toBeLessThanOrEqual(closeBy);
+    expect(computeSchedule({ ...baseInputs, monthlyPrepayment: value - 100 }).prepayMonths).toBeGreaterThan(closeBy);
+  });
+
+  it('finds the highest rate at which the current EMI still fits', () => {
+    const { value } = solveGoal(baseInputs, SOLVE_FOR.INTEREST_RATE, TARGETS.EMI, 43392);
+    expect(value).toBe(8.5);
+  });
+
+  it('solves tenure in months against a total interest budget', () => {
+    const { value, result } = solveGoal(baseInputs, SOLVE_FOR.TENURE, TARGETS.TOTAL_INTEREST, 3000000);
+
+    expect(result.prepayTotalInterest).toBeLessThanOrEqual(3000000);
+    expect(computeSchedule(applyUnknown(baseInputs, SOLVE_FOR.TENURE, value + 1)).prepayTotalInterest).toBeGreaterThan(3000000);
+  });
+
+  it('keeps a solved tenure within the loan type\'s longest tenure', () => {
+    const car = { ...baseInputs, loanAmount: 800000, interestRate: 9.5, tenureYears: 5, loanType: LOAN_TYPES.CAR };
+    // A budget only a 30-year loan could meet is out of reach over a car loan's 8 years
+    const emi = computeSchedule({ ...car, tenureYears: 30 }).emi;
+
+    expect(solveGoal(car, SOLVE_FOR.TENURE, TARGETS.EMI, emi).status).toBe(SOLVE_STATUS.UNREACHABLE);
+    const { status, value } = solveGoal(car, SOLVE_FOR.TENURE, TARGETS.EMI, 12000);
+    expect(status).toBe(SOLVE_STATUS.SOLVED);
+    expect(value).toBeLessThanOrEqual(96);
+  });
+
+  it('reports targets no value can reach', () => {
+    expect(solveGoal(baseInputs, SOLVE_FOR.TENURE, TARGETS.EMI, 1000).status).toBe(SOLVE_STATUS.UNREACHABLE);
+  });
+
+  it('reports unknowns that do not move the target', () => {
+    expect(solveGoal(baseInputs, SOLVE_FOR.MONTHLY_PREPAYMENT, TARGETS.EMI, 40000).status).toBe(SOLVE_STATUS.NO_EFFECT);
+  });
+});
+
+describe('applyUnknown', () => {
+  it('splits a tenure in months into years and months', () => {
+    expect(applyUnknown(baseInputs, SOLVE_FOR.TENURE, 150)).toMatchObject({ tenureYears: 12, tenureMonths: 6 });
+  });
+});
@@ -0,0 +1,123 @@
+// --- Loan Products ---
+// Home, car, personal and education loans differ in their usual amounts,
+// rates and tenures, and in what the tax law gives back (see tax.js).
+// Flat-rate quotes are converted to the reducing-balance rate the engine runs on.
+
+import { principalForEmi } from './amortization';
+
+export const LOAN_TYPES = {
+  HOME: 'home',
+  CAR: 'car',
+  PERSONAL: 'personal',
+  EDUCATION: 'education',
+};
+
+// Slider ranges and the values a fresh loan of each type starts from.
+// Education loans alone come with a moratorium (course period plus a few months).
+// `collateral` is what the lender funds a share of (LTV) when working out
+// eligibility: the RBI bands only cover home loans, and personal and
+// education loans are sanctioned on income alone.
+export const LOAN_TYPE_PROFILES = {
+  [LOAN_TYPES.HOME]: {
+    label: 'Home',
+    limits: {
+      loanAmount: { min: 100000, max: 50000000, step: 50000 },
+      interestRate: { min: 1, max: 15, step: 0.1 },
+      tenureYears: { min: 0, max: 30, step: 1 },
+    },
+    defaults: { loanAmount: 5000000, interestRate: 8.5, tenureYears: 20, moratoriumMonths: 0 },
+    hasMoratorium: false,
+    collateral: {
+      label: 'Property Value',
+      value: { min: 0, max: 50000000, step: 100000, default: 8000000 },
+      ltv: { min: 50, max: 90, step: 5, default: 80 },
+      rbiBands: true,
+    },
+    taxNote: '80C on principal and 24(b) on interest',
+  },
+  [LOAN_TYPES.CAR]: {
+    label: 'Car',
+    limits: {
+      loanAmount: { min: 50000, max: 10000000, step: 10000 },
+      interestRate: { min: 5, max: 20, step: 0.1 },
+      tenureYears: { min: 0, max: 8, step: 1 },
+    },
+    defaults: { loanAmount: 800000, interestRate: 9.5, tenureYears: 5, moratoriumMonths: 0 },
+    hasMoratorium: false,
+    // Lenders fund up to the whole on-road price on some models
+    collateral: {
+      label: 'On-road Price',
+      value: { min: 0, max: 10000000, step: 50000, default: 1000000 },
+      ltv: { min: 50, max: 100, step: 5, default: 90 },
+      rbiBands: false,
+    },
+    taxNote: 'No deduction for a car bought for personal use',
+  },
+  [LOAN_TYPES.PERSONAL]: {
+    label: 'Personal',
+    limits: {
+      loanAmount: { min: 50000, max: 5000000, step: 10000 },
+      interestRate: { min: 8, max: 30, step: 0.1 },
+      tenureYears: { min: 0, max: 7, step: 1 },
+    },
+    defaults: { loanAmount: 500000, interestRate: 12, tenureYears: 4, moratoriumMonths: 0 },
+    hasMoratorium: false,
+    collateral: null,
+    taxNote: 'No tax benefit',
+  },
+  [LOAN_TYPES.EDUCATION]: {
+    label: 'Education',
+    limits: {
+      loanAmount: { min: 50000, max: 15000000, step: 10000 },
+      interestRate: { min: 5, max: 16, step: 0.1 },
+      tenureYears: { min: 0, max: 15, step: 1 },
+    },
+    defaults: { loanAmount: 2000000, interestRate: 10, tenureYears: 10, moratoriumMonths: 24 },
+    hasMoratorium: true,
+    collateral: null,
+    taxNote: '80E on all interest paid, for 8 years',
+  },
+};
+
+// Longest moratorium offered (course period plus a year)
+export const MAX_MORATORIUM_MONTHS = 72;
+
+export const loanTypeProfile = (loanType) => LOAN_TYPE_PROFILES[loanType] || LOAN_TYPE_PROFILES[LOAN_TYPES.HOME];
+
+// How the quoted rate is applied
+export const RATE_TYPES = {
+  REDUCING: 'reducing', // Interest on the balance still owed (what banks quote for home loans)
+  FLAT: 'flat', // Interest on the full amount for the whole tenure (common at car dealers)
+};
+
+// EMI on a flat-rate quote: the whole interest is worked out up front on the
+// original amount and spread evenly with the principal
+export const flatRateEmi = (principal, flatRate, months) => {
+  if (principal <= 0 || months <= 0) return 0;
+  return Math.ceil((principal * (1 + (flatRate / 100) * (months / 12))) / months - 1e-9);
+};
+
+// Reducing-balance rate that gives the same EMI as a flat rate over `months`,
+// found by bisection (it doesn't depend on the amount). Rounded to 2 decimals.
+export const flatToReducingRate = (flatRate, months) => {
+  if (flatRate <= 0 || months <= 0) return Math.max(0, flatRate);
+
+  const emi = (1 + (flatRate / 100) * (months / 12)) / months;
+  let low = 0;
+  let high = 200;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    // A higher rate repays less principal with the same EMI
+    if (principalForEmi(emi, mid, months) > 1) low = mid;
+    else high = mid;
+  }
+  return Math.round(((low + high) / 2) * 100) / 100;
+};
+
+// Rate the schedule runs on for a calculator state: the quoted rate, or its
+// reducing-balance equivalent over the tenure when it was quoted flat
+export const reducingRateFor = ({ interestRate, rateType, tenureYears, tenureMonths }) => {
+  if (rateType !== RATE_TYPES.FLAT) return interestRate;
+  const months = (Number(tenureYears) || 0) * 12 + (Number(tenureMonths) || 0);
+  return flatToReducingRate(Number(interestRate) || 0, months);
+};
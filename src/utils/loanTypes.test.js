@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { calculateEmi } from './amortization';
+import { flatRateEmi, flatToReducingRate, reducingRateFor, RATE_TYPES } from './loanTypes';
+
+describe('flat-rate quotes', () => {
+  it('charges interest on the full amount for the whole tenure', () => {
+    // 5L at 8% flat for 3 years: 1.2L interest over 36 EMIs
+    expect(flatRateEmi(500000, 8, 36)).toBe(Math.ceil(620000 / 36));
+  });
+
+  it('converts to the reducing-balance rate with the same EMI', () => {
+    const reducing = flatToReducingRate(8, 36);
+
+    // The well-known rule of thumb: a flat rate is close to double in reducing terms
+    expect(reducing).toBeGreaterThan(14);
+    expect(reducing).toBeLessThan(15);
+    expect(Math.abs(calculateEmi(500000, reducing, 36) - flatRateEmi(500000, 8, 36))).toBeLessThanOrEqual(5);
+  });
+
+  it('leaves a zero rate alone', () => {
+    expect(flatToReducingRate(0, 60)).toBe(0);
+  });
+
+  it('gives the rate a calculator state runs on', () => {
+    const state = { interestRate: 8, tenureYears: 3, tenureMonths: 0 };
+
+    expect(reducingRateFor({ ...state, rateType: RATE_TYPES.REDUCING })).toBe(8);
+    expect(reducingRateFor({ ...state, rateType: RATE_TYPES.FLAT })).toBe(flatToReducingRate(8, 36));
+  });
+});
@@ -0,0 +1,174 @@
+// --- Overdraft-linked Home Loan ---
+// MaxGain-style loans run as an overdraft: money parked in the linked account
+// is set off against the balance for interest, yet stays withdrawable. The
+// EMI is the usual one at the overdraft rate; since less interest is charged,
+// more of every EMI repays principal. Once the parked money covers what is
+// still owed, the loan can be closed from it.
+//
+// The overdraft is compared with the regular loan and with paying the same
+// money in as plain prepayments. Plain prepayments can't be taken back, so
+// that path keeps whatever the planned withdrawals need in savings and
+// prepays only the rest of the starting surplus.
+
+import { calculateEmi, computeSchedule, CLOSE_TOLERANCE } from './amortization';
+import { dateForLoanMonth } from './calendar';
+
+export const INTEREST_METHODS = {
+  DAILY: 'daily', // Daily balance, actual days / 365 (how most banks charge overdrafts)
+  MONTHLY: 'monthly', // Monthly rest, rate / 12
+};
+
+export const DEFAULT_OVERDRAFT = {
+  ratePremium: 0.25, // Overdraft variants usually cost 0.1-0.5% more
+  startingSurplus: 500000,
+  monthlyDeposit: 10000,
+  method: INTEREST_METHODS.DAILY,
+  withdrawals: [],
+};
+
+const MAX_BREAK_EVEN_RATE = 30;
+
+const toNumber = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : 0;
+};
+
+// Planned withdrawals given as { id, month, amount } (loan month), by month
+export const normalizeWithdrawals = (withdrawals = []) => (Array.isArray(withdrawals) ? withdrawals : [])
+  .map((withdrawal) => ({ id: withdrawal.id, month: Math.round(toNumber(withdrawal.month)), amount: toNumber(withdrawal.amount) }))
+  .filter((withdrawal) => withdrawal.month >= 1 && withdrawal.amount > 0)
+  .sort((a, b) => a.month - b.month);
+
+const daysInLoanMonth = (startMonth, month) => {
+  const date = dateForLoanMonth(startMonth, month);
+  return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+};
+
+// Month-by-month overdraft account. Deposits and withdrawals land at the start
+// of the month; withdrawals can't take the surplus below zero.
+export const simulateOverdraft = ({
+  principal, rate, months, startMonth, startingSurplus = 0, monthlyDeposit = 0, withdrawals = [],
+  method = INTEREST_METHODS.DAILY,
+}) => {
+  const emi = calculateEmi(principal, rate, months);
+  const planned = normalizeWithdrawals(withdrawals);
+  const rows = [];
+  let balance = principal;
+  let surplus = toNumber(startingSurplus);
+  let totalInterest = 0;
+  let closureMonth = null;
+  let shortfall = 0;
+
+  for (let month = 1; month <= months && balance > CLOSE_TOLERANCE; month++) {
+    surplus += toNumber(monthlyDeposit);
+    const wanted = planned
+      .filter((withdrawal) => withdrawal.month === month)
+      .reduce((total, withdrawal) => total + withdrawal.amount, 0);
+    const withdrawn = Math.min(wanted, surplus);
+    shortfall += wanted - withdrawn;
+    surplus -= withdrawn;
+
+    const netBalance = Math.max(0, balance - surplus);
+    const interest = method === INTEREST_METHODS.MONTHLY
+      ? (netBalance * rate) / 12 / 100
+      : (netBalance * rate * daysInLoanMonth(startMonth, month)) / 365 / 100;
+    const emiPaid = Math.min(emi, balance + interest);
+    balance -= emiPaid - interest;
+    totalInterest += interest;
+
+    rows.push({ month, balance: Math.max(0, balance), surplus, netBalance: Math.max(0, balance - surplus), interest, emi: emiPaid, withdrawn });
+
+    // The parked money now covers the loan: sweep it and close
+    if (balance <= surplus + CLOSE_TOLERANCE) {
+      closureMonth = month;
+      surplus -= Math.max(0, balance);
+      balance = 0;
+      break;
+    }
+  }
+
+  return {
+    emi,
+    months: rows,
+    totalInterest,
+    closureMonth: closureMonth ?? rows.length,
+    surplusLeft: Math.max(0, surplus),
+    shortfall, // Withdrawals the account couldn't cover
+  };
+};
+
+// Overdraft against the regular loan and against plain prepayment, plus the
+// highest overdraft rate at which the overdraft still costs no more interest
+// than prepaying (null if it wins even at 30%)
+export const analyseOverdraft = (inputs, options = {}) => {
+  const o = { ...DEFAULT_OVERDRAFT, ...options };
+  const principal = toNumber(inputs.loanAmount);
+  const rate = toNumber(inputs.interestRate);
+  const months = Math.round(toNumber(inputs.tenureYears) * 12 + toNumber(inputs.tenureMonths));
+  const odRate = options.odRate !== undefined ? toNumber(options.odRate) : rate + o.ratePremium;
+  const withdrawals = normalizeWithdrawals(o.withdrawals);
+  const plannedWithdrawals = withdrawals.reduce((total, withdrawal) => total + withdrawal.amount, 0);
+  const upfront = Math.max(0, toNumber(o.startingSurplus) - plannedWithdrawals);
+
+  const loan = { loanAmount: principal, interestRate: rate, tenureYears: 0, tenureMonths: months };
+  const regular = computeSchedule(loan);
+  const prepay = computeSchedule({
+    ...loan,
+    monthlyPrepayment: toNumber(o.monthlyDeposit),
+    lumpSums: upfront > 0 ? [{ id: 1, year: 1, month: 1, amount: upfront }] : [],
+  });
+
+  const runAt = (odRateToTry) => simulateOverdraft({
+    principal, rate: odRateToTry, months, startMonth: o.startMonth, startingSurplus: o.startingSurplus,
+    monthlyDeposit: o.monthlyDeposit, withdrawals, method: o.method,
+  });
+  const overdraft = runAt(odRate);
+
+  let breakEvenRate = null;
+  if (runAt(MAX_BREAK_EVEN_RATE).totalInterest > prepay.prepayTotalInterest) {
+    let low = 0;
+    let high = MAX_BREAK_EVEN_RATE;
+    while (high - low > 0.01) {
+      const mid = (low + high) / 2;
+      if (runAt(mid).totalInterest > prepay.prepayTotalInterest) high = mid;
+      else low = mid;
+    }
+    breakEvenRate = Math.floor(low * 100) / 100;
+  }
+
+  // Outstanding (net of parked money for the overdraft) at each year end
+  const points = [];
+  for (let month = 0; month <= regular.months.length; month += 12) {
+    const balanceAt = (rows, key = 'closingBalance') => (month === 0 ? principal : Math.max(0, rows[month - 1]?.[key] ?? 0));
+    points.push({
+      month,
+      regular: Math.round(balanceAt(regular.months)),
+      prepay: Math.round(balanceAt(prepay.months)),
+      overdraft: Math.round(month === 0 ? Math.max(0, principal - toNumber(o.startingSurplus)) : balanceAt(overdraft.months, 'netBalance')),
+    });
+  }
+
+  return {
+    odRate,
+    regular: { rate, emi: regular.emi, totalInterest: regular.totalInterest, closureMonth: regular.months.length },
+    prepay: {
+      rate,
+      emi: prepay.emi,
+      totalInterest: prepay.prepayTotalInterest,
+      closureMonth: prepay.prepayMonths,
+      prepaidUpfront: upfront,
+      keptAside: toNumber(o.startingSurplus) - upfront,
+    },
+    overdraft: {
+      rate: odRate,
+      emi: overdraft.emi,
+      totalInterest: Math.round(overdraft.totalInterest),
+      closureMonth: overdraft.closureMonth,
+      surplusLeft: Math.round(overdraft.surplusLeft),
+      shortfall: Math.round(overdraft.shortfall),
+    },
+    points,
+    breakEvenRate,
+    overdraftWins: overdraft.totalInterest < prepay.prepayTotalInterest,
+  };
+};
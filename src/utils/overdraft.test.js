@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { computeSchedule } from './amortization';
+import { analyseOverdraft, simulateOverdraft, INTEREST_METHODS } from './overdraft';
+
+const inputs = { loanAmount: 5000000, interestRate: 8.5, tenureYears: 20, tenureMonths: 0 };
+const loan = { principal: 5000000, rate: 8.5, months: 240, startMonth: '2026-04' };
+
+describe('simulateOverdraft', () => {
+  it('behaves like the regular loan with nothing parked', () => {
+    const result = simulateOverdraft({ ...loan, method: INTEREST_METHODS.MONTHLY });
+    const regular = computeSchedule(inputs);
+
+    expect(result.emi).toBe(regular.emi);
+    expect(result.months).toHaveLength(240);
+    expect(result.totalInterest).toBeCloseTo(regular.totalInterest, 0);
+  });
+
+  it('charges interest only on the balance not covered by the surplus', () => {
+    const result = simulateOverdraft({ ...loan, startingSurplus: 1000000, method: INTEREST_METHODS.MONTHLY });
+    const [first] = result.months;
+
+    expect(first.interest).toBeCloseTo((4000000 * 8.5) / 1200, 6);
+    expect(result.closureMonth).toBeLessThan(240);
+    expect(result.surplusLeft).toBeGreaterThan(0);
+  });
+
+  it('accrues on actual days in daily mode', () => {
+    const result = simulateOverdraft({ ...loan, startingSurplus: 1000000 });
+    // April has 30 days
+    expect(result.months[0].interest).toBeCloseTo((4000000 * 8.5 * 30) / 365 / 100, 6);
+  });
+
+  it('raises interest when money is withdrawn and never overdraws the surplus', () => {
+    const base = { ...loan, startingSurplus: 500000, monthlyDeposit: 10000 };
+    const kept = simulateOverdraft(base);
+    const spent = simulateOverdraft({ ...base, withdrawals: [{ id: 1, month: 24, amount: 300000 }] });
+    const tooMuch = simulateOverdraft({ ...base, withdrawals: [{ id: 1, month: 1, amount: 900000 }] });
+
+    expect(spent.totalInterest).toBeGreaterThan(kept.totalInterest);
+    expect(spent.months[23].withdrawn).toBe(300000);
+    expect(tooMuch.months[0].surplus).toBe(0);
+    expect(tooMuch.shortfall).toBe(900000 - 510000);
+  });
+});
+
+describe('analyseOverdraft', () => {
+  const options = { startingSurplus: 500000, monthlyDeposit: 10000, startMonth: '2026-04' };
+
+  it('compares the overdraft with the regular loan and plain prepayment', () => {
+    const result = analyseOverdraft(inputs, { ...options, odRate: 8.5 });
+
+    expect(result.regular.closureMonth).toBe(240);
+    expect(result.overdraft.totalInterest).toBeLessThan(result.regular.totalInterest);
+    expect(result.prepay.totalInterest).toBeLessThan(result.regular.totalInterest);
+    expect(result.points[0]).toEqual({ month: 0, regular: 5000000, prepay: 5000000, overdraft: 4500000 });
+  });
+
+  it('keeps money for planned withdrawals out of the plain prepayment', () => {
+    const result = analyseOverdraft(inputs, { ...options, withdrawals: [{ id: 1, month: 36, amount: 200000 }] });
+
+    expect(result.prepay.prepaidUpfront).toBe(300000);
+    expect(result.prepay.keptAside).toBe(200000);
+  });
+
+  it('finds the overdraft rate at which it costs the same as prepaying', () => {
+    const result = analyseOverdraft(inputs, options);
+    const atBreakEven = analyseOverdraft(inputs, { ...options, odRate: result.breakEvenRate });
+
+    expect(result.odRate).toBeCloseTo(8.75, 6);
+    expect(result.breakEvenRate).toBeGreaterThan(8.5);
+    expect(atBreakEven.overdraft.totalInterest).toBeLessThanOrEqual(Math.round(result.prepay.totalInterest));
+    expect(result.overdraftWins).toBe(result.odRate < result.breakEvenRate);
+  });
+});
@@ -0,0 +1,267 @@
+// --- PDF Report ---
+// Client-ready loan report generated in the browser with jsPDF.
+// The built-in PDF fonts have no ₹ glyph, so amounts are written as "Rs.".
+
+import { PREPAYMENT_MODES, RATE_CHANGE_MODES } from './amortization';
+import { dateForLoanMonth, formatMonthYear } from './calendar';
+import { PROPERTY_TYPES, REGIME_LABELS } from './tax';
+import { LOAN_TYPES, RATE_TYPES, loanTypeProfile } from './loanTypes';
+
+const INDIGO = [79, 70, 229];
+const RED = [248, 113, 113];
+const GREEN = [16, 185, 129];
+const GREY = [107, 114, 128];
+
+const rupees = (value) => `Rs. ${new Intl.NumberFormat('en-IN', { maximumFractionDigits: 0 }).format(value || 0)}`;
+
+const rupeesCompact = (value) => {
+  if (value >= 10000000) return `Rs. ${(value / 10000000).toFixed(2)} Cr`;
+  if (value >= 100000) return `Rs. ${(value / 100000).toFixed(2)} L`;
+  return rupees(value);
+};
+
+const PAGE_MARGIN = 14;
+
+// Stacked bar chart drawn with plain jsPDF primitives.
+// `series` is [{ key, label, color }], `data` is [{ label, [key]: number }].
+const drawBarChart = (doc, { x, y, width, height, title, data, series }) => {
+  doc.setFontSize(11);
+  doc.setTextColor(31, 41, 55);
+  doc.text(title, x, y);
+
+  const top = y + 6;
+  const chartHeight = height - 18;
+  const max = Math.max(1, ...data.map((row) => series.reduce((acc, s) => acc + (row[s.key] || 0), 0)));
+  const slot = width / Math.max(1, data.length);
+  const barWidth = Math.max(1, slot * 0.7);
+
+  doc.setDrawColor(229, 231, 235);
+  doc.line(x, top + chartHeight, x + width, top + chartHeight);
+
+  data.forEach((row, index) => {
+    let stackTop = top + chartHeight;
+    series.forEach((s) => {
+      const barHeight = ((row[s.key] || 0) / max) * chartHeight;
+      if (barHeight <= 0) return;
+      stackTop -= barHeight;
+      doc.setFillColor(...s.color);
+      doc.rect(x + index * slot + (slot - barWidth) / 2, stackTop, barWidth, barHeight, 'F');
+    });
+
+    // Label every bar for short loans, every 5th year otherwise
+    if (data.length <= 12 || index % 5 === 0) {
+      doc.setFontSize(7);
+      doc.setTextColor(...GREY);
+      doc.text(String(row.label), x + index * slot + slot / 2, top + chartHeight + 4, { align: 'center' });
+    }
+  });
+
+  doc.setFontSize(7);
+  doc.setTextColor(...GREY);
+  doc.text(rupeesCompact(max), x, top - 1);
+
+  // Legend
+  let legendX = x;
+  series.forEach((s) => {
+    doc.setFillColor(...s.color);
+    doc.rect(legendX, top + chartHeight + 8, 3, 3, 'F');
+    doc.setTextColor(55, 65, 81);
+    doc.text(s.label, legendX + 5, top + chartHeight + 10.5);
+    legendX += doc.getTextWidth(s.label) + 12;
+  });
+};
+
+const inputRows = (inputs, startMonth, taxSettings, borrowers) => {
+  const isHome = (inputs.loanType || LOAN_TYPES.HOME) === LOAN_TYPES.HOME;
+  const rows = [
+    ['Loan Type', `${loanTypeProfile(inputs.loanType).label} Loan`],
+    ['Loan Amount', rupees(inputs.loanAmount)],
+    ['Interest Rate', inputs.rateType === RATE_TYPES.FLAT
+      ? `${inputs.quotedRate}% flat (${inputs.interestRate}% reducing)`
+      : `${inputs.interestRate}%`],
+    ['Tenure', `${inputs.tenureYears || 0} years ${inputs.tenureMonths || 0} months`],
+    ['First EMI', formatMonthYear(dateForLoanMonth(startMonth, 1))],
+    ['Extra Monthly Payment', rupees(inputs.monthlyPrepayment)],
+    ['Extra Annual Payment', rupees(inputs.annualPrepayment)],
+    ['Prepay From Year', String(inputs.prepaymentStartYear)],
+    ['Prepay Until Year', inputs.prepaymentEndYear > 0 ? String(inputs.prepaymentEndYear) : 'Loan closes'],
+    ['Yearly Increase (Monthly / Annual)', `${Number(inputs.monthlyPrepaymentGrowth) || 0}% / ${Number(inputs.annualPrepaymentGrowth) || 0}%`],
+    ['After Prepayment', inputs.prepaymentMode === PREPAYMENT_MODES.REDUCE_EMI ? 'Reduce EMI' : 'Reduce Tenure'],
+  ];
+  if (inputs.moratoriumMonths > 0) rows.splice(4, 0, ['Moratorium', `${inputs.moratoriumMonths} months`]);
+  if (isHome) {
+    rows.push(['Property', taxSettings.propertyType === PROPERTY_TYPES.LET_OUT ? `Let out (rent ${rupees(taxSettings.annualRent)} a year)` : 'Self-occupied']);
+  }
+  if (isHome && taxSettings.preConstructionInterest > 0) rows.push(['Pre-construction Interest', rupees(taxSettings.preConstructionInterest)]);
+  borrowers.forEach((borrower) => {
+    const other80C = borrower.other80C > 0 ? `, other 80C ${rupees(borrower.other80C)}` : '';
+    const label = borrowers.length > 1 ? `${borrower.name} (${Math.round(borrower.share * 100)}%)` : 'Annual Income';
+    rows.push([label, `${rupees(borrower.annualIncome)}, ${REGIME_LABELS[borrower.regime]}${other80C}`]);
+  });
+
+  (inputs.rateChanges || []).forEach((change) => {
+    const mode = change.mode === RATE_CHANGE_MODES.KEEP_TENURE ? 'keep tenure' : 'keep EMI';
+    rows.push(['Rate Revision', `${change.rate}% from month ${change.month} (${mode})`]);
+  });
+  (inputs.lumpSums || []).forEach((lumpSum) => {
+    rows.push(['Lump Sum', `${rupees(lumpSum.amount)} in year ${lumpSum.year}, month ${lumpSum.month}`]);
+  });
+
+  return rows;
+};
+
+export const exportPdfReport = async ({
+  inputs, calculations, taxAnalysis, taxSettings, startMonth, fileName = 'loan-report.pdf',
+}) => {
+  const [{ jsPDF }, { autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const contentWidth = pageWidth - PAGE_MARGIN * 2;
+  const tableStyles = { fontSize: 9, cellPadding: 2 };
+  const headStyles = { fillColor: INDIGO };
+
+  // Header
+  doc.setFontSize(18);
+  doc.setTextColor(...INDIGO);
+  doc.text(`LoanSmart India - ${loanTypeProfile(inputs.loanType).label} Loan Report`, PAGE_MARGIN, 20);
+  doc.setFontSize(9);
+  doc.setTextColor(...GREY);
+  doc.text(`Generated on ${new Date().toLocaleDateString('en-IN', { dateStyle: 'long' })}`, PAGE_MARGIN, 26);
+
+  // Inputs
+  autoTable(doc, {
+    startY: 32,
+    head: [['Loan Inputs', '']],
+    body: inputRows(inputs, startMonth, taxSettings, taxAnalysis.borrowers),
+    theme: 'striped',
+    styles: tableStyles,
+    headStyles,
+    margin: { left: PAGE_MARGIN, right: PAGE_MARGIN },
+  });
+
+  // Summary (mirrors the StatCards and savings banner)
+  const closeDate = formatMonthYear(dateForLoanMonth(startMonth, calculations.prepayMonths));
+  const summary = [
+    ['Monthly EMI', rupees(calculations.emi)],
+    ['Total Interest (no prepayment)', rupees(calculations.totalInterest)],
+    ['Total Amount (no prepayment)', rupees(calculations.totalAmount)],
+    ['Total Interest (with prepayment)', rupees(calculations.prepayTotalInterest)],
+    ['Interest Saved', rupees(calculations.savedInterest)],
+    ['Loan Closes', `${closeDate} (${(calculations.prepayMonths / 12).toFixed(1)} years)`],
+  ];
+  if (calculations.recurringSavedInterest > 0 && calculations.lumpSumSavings.length > 0) {
+    summary.push(['  Saved by regular prepayments', rupees(calculations.recurringSavedInterest)]);
+  }
+  calculations.lumpSumSavings.forEach((lumpSum) => {
+    summary.push([`  Saved by ${rupeesCompact(lumpSum.amount)} lump sum (month ${lumpSum.month})`, rupees(lumpSum.savedInterest)]);
+  });
+  const { borrowers } = taxAnalysis;
+  if (borrowers.length === 1) {
+    summary.push(
+      [`Tax Saved by the Loan (${REGIME_LABELS[borrowers[0].regime]})`, rupees(borrowers[0].totals.taxSaved)],
+      ['Lower Tax Over the Loan', REGIME_LABELS[borrowers[0].bestWithLoan]],
+    );
+  } else {
+    summary.push(['Tax Saved by the Loan (all borrowers)', rupees(taxAnalysis.totals.combinedSaved)]);
+    borrowers.forEach((borrower) => {
+      summary.push([`  ${borrower.name} (${REGIME_LABELS[borrower.regime]})`, rupees(borrower.totals.taxSaved)]);
+    });
+    summary.push([`Extra vs ${borrowers[0].name} Alone`, rupees(taxAnalysis.totals.extraSaved)]);
+  }
+
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 8,
+    head: [['Summary', '']],
+    body: summary,
+    theme: 'striped',
+    styles: tableStyles,
+    headStyles,
+    margin: { left: PAGE_MARGIN, right: PAGE_MARGIN },
+  });
+
+  // Charts
+  doc.addPage();
+  const chartData = calculations.years.map((row) => ({
+    label: row.year,
+    principal: row.principalPaid,
+    interest: row.interestPaid,
+    balance: row.balance,
+  }));
+  drawBarChart(doc, {
+    x: PAGE_MARGIN,
+    y: 20,
+    width: contentWidth,
+    height: 90,
+    title: 'Principal vs Interest Paid per Year',
+    data: chartData,
+    series: [
+      { key: 'principal', label: 'Principal', color: INDIGO },
+      { key: 'interest', label: 'Interest', color: RED },
+    ],
+  });
+  drawBarChart(doc, {
+    x: PAGE_MARGIN,
+    y: 130,
+    width: contentWidth,
+    height: 90,
+    title: 'Outstanding Balance at Year End',
+    data: chartData,
+    series: [{ key: 'balance', label: 'Balance', color: GREEN }],
+  });
+
+  // Tax table by financial year: both regimes for a single borrower,
+  // each co-borrower's saving for a joint loan
+  const [single] = borrowers;
+  const taxTable = borrowers.length === 1
+    ? {
+      head: [['Year', 'Interest Paid', 'Principal Paid', 'Old Regime Tax', 'New Regime Tax', `Tax Saved (${REGIME_LABELS[single.regime]})`]],
+      body: single.years.map((row) => [
+        row.label, rupees(row.interestPaid), rupees(row.principalPaid), rupees(row.old.total), rupees(row.new.total), rupees(row.taxSaved),
+      ]),
+      foot: [['Total', '', '', rupees(single.totals.oldTax), rupees(single.totals.newTax), rupees(single.totals.taxSaved)]],
+    }
+    : {
+      head: [['Year', ...borrowers.map((borrower) => `${borrower.name} Saved`), 'Combined']],
+      body: taxAnalysis.years.map((row) => [row.label, ...row.saved.map(rupees), rupees(row.combined)]),
+      foot: [['Total', ...borrowers.map((borrower) => rupees(borrower.totals.taxSaved)), rupees(taxAnalysis.totals.combinedSaved)]],
+    };
+  autoTable(doc, {
+    startY: 235,
+    ...taxTable,
+    footStyles: { fillColor: [243, 244, 246], textColor: [55, 65, 81] },
+    theme: 'striped',
+    styles: tableStyles,
+    headStyles,
+    margin: { left: PAGE_MARGIN, right: PAGE_MARGIN },
+  });
+
+  // Yearly schedule
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 8,
+    head: [['Year', 'Rate', 'Principal', 'Interest', 'Prepaid', 'Balance']],
+    body: calculations.years.map((row) => [
+      `Year ${row.year}`, `${row.rate}%`, rupees(row.principalPaid), rupees(row.interestPaid), rupees(row.prepaid), rupees(row.balance),
+    ]),
+    theme: 'striped',
+    styles: tableStyles,
+    headStyles,
+    margin: { left: PAGE_MARGIN, right: PAGE_MARGIN },
+  });
+
+  // Footer on every page
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFontSize(7);
+    doc.setTextColor(...GREY);
+    doc.text(
+      'Estimates only. Bank policies and floating interest rates may vary. Tax laws are subject to change.',
+      PAGE_MARGIN,
+      doc.internal.pageSize.getHeight() - 8
+    );
+    doc.text(`${page} / ${pageCount}`, pageWidth - PAGE_MARGIN, doc.internal.pageSize.getHeight() - 8, { align: 'right' });
+  }
+
+  doc.save(fileName);
+};
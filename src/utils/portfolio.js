@@ -0,0 +1,182 @@
+// --- Debt Portfolio ---
+// Several loans repaid together from one monthly budget: every EMI as usual,
+// plus a surplus that goes to one loan at a time (avalanche or snowball) or
+// is split by fixed shares. Once a loan closes its EMI joins the surplus, so
+// the total paid each month stays the same until the last loan is gone.
+//
+// Each loan on its own (EMIs only) comes straight from computeSchedule; the
+// strategies run the same reducing-balance maths on all loans month by month,
+// since where the surplus goes depends on every balance at that point. The
+// tests pin that loop to computeSchedule for a single loan, so a change to the
+// engine's rounding or closing rules has to be made here as well.
+
+import { calculateEmi, computeSchedule, CLOSE_TOLERANCE } from './amortization';
+
+export const PORTFOLIO_STRATEGIES = {
+  AVALANCHE: 'avalanche', // Highest rate first: the least interest
+  SNOWBALL: 'snowball', // Smallest balance first: loans close soonest
+  CUSTOM: 'custom', // Fixed % of the surplus to each loan
+};
+
+export const STRATEGY_LABELS = {
+  [PORTFOLIO_STRATEGIES.AVALANCHE]: 'Avalanche',
+  [PORTFOLIO_STRATEGIES.SNOWBALL]: 'Snowball',
+  [PORTFOLIO_STRATEGIES.CUSTOM]: 'Custom split',
+};
+
+const MAX_MONTHS = 1200;
+
+const toNumber = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : 0;
+};
+
+// Loans given as { id, name, loanType, balance, interestRate, remainingMonths, share }
+// where `share` is the % of the surplus a custom split gives it. Loans with
+// nothing owed or no tenure left are dropped.
+export const normalizePortfolioLoans = (loans = []) => (Array.isArray(loans) ? loans : [])
+  .map((loan) => ({
+    id: loan.id,
+    name: loan.name || 'Loan',
+    loanType: loan.loanType,
+    balance: toNumber(loan.balance),
+    rate: toNumber(loan.interestRate),
+    months: Math.round(toNumber(loan.remainingMonths)),
+    share: toNumber(loan.share),
+  }))
+  .filter((loan) => loan.balance > 0 && loan.months > 0);
+
+// Order in which the surplus is spent on the loans still open
+const priority = (strategy) => {
+  if (strategy === PORTFOLIO_STRATEGIES.SNOWBALL) {
+    return (a, b) => a.balance - b.balance || b.rate - a.rate;
+  }
+  return (a, b) => b.rate - a.rate || a.balance - b.balance;
+};
+
+// Spends `pool` on the open loans. A loan never takes more than it owes; what
+// it can't use goes to the next loan (or, on a custom split, is shared again
+// among the rest). Returns what is left over.
+const allocate = (pool, open, strategy) => {
+  let left = pool;
+  if (strategy === PORTFOLIO_STRATEGIES.CUSTOM) {
+    let takers = open;
+    while (left > CLOSE_TOLERANCE && takers.length > 0) {
+      const totalShare = takers.reduce((acc, loan) => acc + loan.share, 0);
+      const round = left;
+      takers.forEach((loan) => {
+        const weight = totalShare > 0 ? loan.share / totalShare : 1 / takers.length;
+        const paid = Math.min(round * weight, loan.balance);
+        loan.balance -= paid;
+        loan.prepaid += paid;
+        left -= paid;
+      });
+      takers = takers.filter((loan) => loan.balance > CLOSE_TOLERANCE);
+    }
+    return left;
+  }
+
+  [...open].sort(priority(strategy)).forEach((loan) => {
+    const paid = Math.min(left, loan.balance);
+    loan.balance -= paid;
+    loan.prepaid += paid;
+    left -= paid;
+  });
+  return left;
+};
+
+// Runs every loan together. Each month's interest is charged and the EMIs are
+// paid first; the surplus plus any EMI that is no longer needed is then spent
+// by the strategy.
+export const simulatePortfolio = (loans, { monthlyBudget = 0, strategy = PORTFOLIO_STRATEGIES.AVALANCHE } = {}) => {
+  const state = loans.map((loan) => ({
+    ...loan,
+    emi: calculateEmi(loan.balance, loan.rate, loan.months),
+    interest: 0,
+    prepaid: 0,
+    closedMonth: null,
+  }));
+  const monthlyOutlay = state.reduce((acc, loan) => acc + loan.emi, 0) + toNumber(monthlyBudget);
+  const balances = [];
+  // Rounded per loan the way rollupYears rounds a schedule's yearly balance
+  const totalOwed = () => state.reduce((acc, loan) => acc + Math.max(0, Math.round(loan.balance)), 0);
+  let month = 0;
+
+  while (month < MAX_MONTHS && state.some((loan) => loan.balance > CLOSE_TOLERANCE)) {
+    month += 1;
+    let pool = monthlyOutlay;
+    const open = state.filter((loan) => loan.balance > CLOSE_TOLERANCE);
+
+    open.forEach((loan) => {
+      const interest = loan.balance * (loan.rate / 12 / 100);
+      const emiPaid = Math.min(loan.emi, loan.balance + interest);
+      loan.balance = Math.max(0, loan.balance + interest - emiPaid);
+      loan.interest += interest;
+      pool -= emiPaid;
+    });
+    allocate(pool, open.filter((loan) => loan.balance > CLOSE_TOLERANCE), strategy);
+
+    open.forEach((loan) => {
+      if (loan.balance <= CLOSE_TOLERANCE) loan.closedMonth = month;
+    });
+    if (month % 12 === 0) balances.push(totalOwed());
+  }
+  if (month % 12 !== 0) balances.push(totalOwed());
+
+  return {
+    strategy,
+    debtFreeMonth: month,
+    monthlyOutlay,
+    totalInterest: state.reduce((acc, loan) => acc + loan.interest, 0),
+    balances, // Total still owed at the end of each year
+    loans: state.map((loan) => ({
+      id: loan.id,
+      name: loan.name,
+      emi: loan.emi,
+      interest: loan.interest,
+      prepaid: loan.prepaid,
+      closedMonth: loan.closedMonth,
+    })),
+  };
+};
+
+// Every strategy against paying just the EMIs. `best` is the strategy with
+// the least interest (avalanche, unless a custom split happens to match it).
+export const analysePortfolio = (rawLoans, { monthlyBudget = 0 } = {}) => {
+  const loans = normalizePortfolioLoans(rawLoans);
+  const alone = loans.map((loan) => ({
+    loan,
+    schedule: computeSchedule({ loanAmount: loan.balance, interestRate: loan.rate, tenureYears: 0, tenureMonths: loan.months }),
+  }));
+
+  const emisOnly = {
+    debtFreeMonth: Math.max(0, ...alone.map(({ schedule }) => schedule.regularMonths)),
+    totalInterest: alone.reduce((acc, { schedule }) => acc + schedule.totalInterest, 0),
+    monthlyOutlay: alone.reduce((acc, { schedule }) => acc + schedule.emi, 0),
+    balances: [],
+    loans: alone.map(({ loan, schedule }) => ({
+      id: loan.id,
+      name: loan.name,
+      emi: schedule.emi,
+      interest: schedule.totalInterest,
+      prepaid: 0,
+      closedMonth: schedule.regularMonths,
+    })),
+  };
+  const years = Math.ceil(emisOnly.debtFreeMonth / 12);
+  for (let year = 0; year < years; year++) {
+    emisOnly.balances.push(alone.reduce((acc, { schedule }) => acc + (schedule.regularYears[year]?.balance ?? 0), 0));
+  }
+
+  const strategies = Object.values(PORTFOLIO_STRATEGIES).map((strategy) => {
+    const result = simulatePortfolio(loans, { monthlyBudget, strategy });
+    return {
+      ...result,
+      savedInterest: Math.max(0, emisOnly.totalInterest - result.totalInterest),
+      savedMonths: Math.max(0, emisOnly.debtFreeMonth - result.debtFreeMonth),
+    };
+  });
+  const best = strategies.reduce((winner, result) => (result.totalInterest < winner.totalInterest - 1 ? result : winner));
+
+  return { loans, emisOnly, strategies, best: best.strategy };
+};
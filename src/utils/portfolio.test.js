@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { computeSchedule } from './amortization';
+import {
+  analysePortfolio, simulatePortfolio, normalizePortfolioLoans, PORTFOLIO_STRATEGIES,
+} from './portfolio';
+
+const loans = [
+  { id: 1, name: 'Home', balance: 4000000, interestRate: 8.5, remainingMonths: 180, share: 50 },
+  { id: 2, name: 'Car', balance: 600000, interestRate: 9.5, remainingMonths: 48, share: 25 },
+  { id: 3, name: 'Personal', balance: 300000, interestRate: 13, remainingMonths: 36, share: 25 },
+];
+
+describe('simulatePortfolio', () => {
+  it('matches the single-loan engine for one loan', () => {
+    const [home] = normalizePortfolioLoans(loans);
+    const plain = computeSchedule({ loanAmount: 4000000, interestRate: 8.5, tenureMonths: 180, monthlyPrepayment: 20000 });
+    const result = simulatePortfolio([home], { monthlyBudget: 20000 });
+
+    expect(result.debtFreeMonth).toBe(plain.prepayMonths);
+    expect(result.totalInterest).toBeCloseTo(plain.prepayTotalInterest, 2);
+  });
+
+  // The strategies run their own month-by-month loop across all loans; with a
+  // single loan every strategy must land on exactly what the engine gives
+  it.each([
+    ['no surplus', 4000000, 8.5, 180, 0],
+    ['a monthly surplus', 4000000, 8.5, 180, 20000],
+    ['an odd balance and tenure', 1234567, 10.35, 77, 3333],
+    ['a surplus that clears it in months', 300000, 13, 36, 150000],
+  ])('pins every strategy to the engine for one loan with %s', (_, balance, interestRate, remainingMonths, monthlyBudget) => {
+    const [loan] = normalizePortfolioLoans([{ id: 1, balance, interestRate, remainingMonths, share: 100 }]);
+    const plain = computeSchedule({ loanAmount: balance, interestRate, tenureMonths: remainingMonths, monthlyPrepayment: monthlyBudget });
+
+    Object.values(PORTFOLIO_STRATEGIES).forEach((strategy) => {
+      const result = simulatePortfolio([loan], { monthlyBudget, strategy });
+
+      expect(result.loans[0].emi).toBe(plain.emi);
+      expect(result.debtFreeMonth).toBe(plain.prepayMonths);
+      expect(result.totalInterest).toBeCloseTo(plain.prepayTotalInterest, 4);
+      expect(result.loans[0].prepaid).toBeCloseTo(plain.months.reduce((acc, row) => acc + row.prepayment, 0), 4);
+      expect(result.balances).toHaveLength(plain.years.length);
+      expect(result.balances).toEqual(plain.years.map((year) => year.balance));
+    });
+  });
+
+  it('keeps paying the same total each month, rolling freed EMIs into the next loan', () => {
+    const result = simulatePortfolio(normalizePortfolioLoans(loans), { monthlyBudget: 0, strategy: PORTFOLIO_STRATEGIES.AVALANCHE });
+    const [home, car, personal] = result.loans;
+
+    // Without a budget the personal loan closes on time; its EMI then goes to
+    // the car loan (the dearer of the two left) and both EMIs to the home loan
+    expect(personal.closedMonth).toBe(36);
+    expect(personal.prepaid).toBe(0);
+    expect(car.closedMonth).toBeGreaterThan(36);
+    expect(car.closedMonth).toBeLessThan(48);
+    expect(home.prepaid).toBeGreaterThan(0);
+    expect(home.closedMonth).toBeLessThan(180);
+    expect(result.monthlyOutlay).toBe(home.emi + car.emi + personal.emi);
+  });
+});
+
+describe('analysePortfolio', () => {
+  const analysis = analysePortfolio(loans, { monthlyBudget: 25000 });
+  const byStrategy = Object.fromEntries(analysis.strategies.map((result) => [result.strategy, result]));
+
+  it('pays the EMIs alone as the baseline', () => {
+    expect(analysis.emisOnly.debtFreeMonth).toBe(180);
+    expect(analysis.emisOnly.balances).toHaveLength(15);
+  });
+
+  it('saves the most interest with avalanche and clears loans soonest with snowball', () => {
+    const avalanche = byStrategy[PORTFOLIO_STRATEGIES.AVALANCHE];
+    const snowball = byStrategy[PORTFOLIO_STRATEGIES.SNOWBALL];
+
+    expect(analysis.best).toBe(PORTFOLIO_STRATEGIES.AVALANCHE);
+    expect(avalanche.totalInterest).toBeLessThanOrEqual(snowball.totalInterest);
+    expect(avalanche.savedInterest).toBeGreaterThan(0);
+    expect(avalanche.debtFreeMonth).toBeLessThan(180);
+    // Snowball goes after the personal loan (smallest) first, as does avalanche here (dearest)
+    expect(snowball.loans[2].closedMonth).toBeLessThan(snowball.loans[1].closedMonth);
+  });
+
+  it('spreads the surplus by the custom shares', () => {
+    const custom = byStrategy[PORTFOLIO_STRATEGIES.CUSTOM];
+    const [home, car] = custom.loans;
+
+    expect(home.prepaid).toBeGreaterThan(0);
+    expect(car.prepaid).toBeGreaterThan(0);
+    expect(custom.totalInterest).toBeGreaterThan(byStrategy[PORTFOLIO_STRATEGIES.AVALANCHE].totalInterest);
+  });
+
+  it('ignores loans with nothing owed', () => {
+    expect(normalizePortfolioLoans([{ id: 1, balance: 0, interestRate: 9, remainingMonths: 12 }, { id: 2, balance: '' }])).toEqual([]);
+  });
+});
@@ -0,0 +1,165 @@
+// --- Prepay vs Invest ---
+// Follows the recurring prepayment stream down two paths. "Prepay" is the
+// schedule as entered. "Invest" keeps the loan without the recurring
+// prepayments (lump sums and rate revisions stay) and puts the same money
+// into an investment instead. Both paths spend the same cash every month:
+// whatever one of them doesn't pay to the bank (a lower EMI, or no EMI once
+// the loan has closed) is invested at the same return. Net worth is the
+// investment, after the tax due if it were redeemed, minus the loan balance.
+
+import { computeSchedule } from './amortization';
+import { analyseJointTax } from './tax';
+import { loanMonthForDate } from './calendar';
+
+export const INVESTMENT_TYPES = {
+  EQUITY: 'equity', // Equity funds / SIP: LTCG on redemption
+  FIXED_INCOME: 'fixedIncome', // FD, RD, debt funds: interest taxed at the slab rate
+  TAX_FREE: 'taxFree', // PPF and other EEE instruments
+};
+
+export const INVESTMENT_LABELS = {
+  [INVESTMENT_TYPES.EQUITY]: 'Equity SIP',
+  [INVESTMENT_TYPES.FIXED_INCOME]: 'FD / Debt',
+  [INVESTMENT_TYPES.TAX_FREE]: 'PPF (tax-free)',
+};
+
+export const DEFAULT_INVESTMENT_RETURNS = {
+  [INVESTMENT_TYPES.EQUITY]: 12,
+  [INVESTMENT_TYPES.FIXED_INCOME]: 7,
+  [INVESTMENT_TYPES.TAX_FREE]: 7.1,
+};
+
+export const LTCG_RATE = 0.125;
+export const LTCG_EXEMPTION = 125000;
+const MAX_CROSSOVER_RATE = 30;
+
+const toNumber = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : 0;
+};
+
+const outflow = (row) => (row ? row.interest + row.principal + row.prepayment : 0);
+
+// Value of the investment if it were cashed in now
+const afterTaxValue = (value, invested, type) => {
+  if (type !== INVESTMENT_TYPES.EQUITY) return value;
+  const gain = Math.max(0, value - invested - LTCG_EXEMPTION);
+  return value - gain * LTCG_RATE;
+};
+
+// Tax saved on the loan each FY, keyed by the loan month the FY ends in (when
+// the saving reaches the borrower as a lower tax bill or a refund)
+const taxSavedByMonth = (months, startMonth, taxProfiles) => {
+  const byMonth = new Map();
+  if (!taxProfiles || taxProfiles.length === 0 || months.length === 0) return byMonth;
+  analyseJointTax(months, startMonth, taxProfiles).years.forEach((year) => {
+    const month = Math.max(1, Math.min(months.length, loanMonthForDate(startMonth, `${year.key + 1}-03`)));
+    byMonth.set(month, (byMonth.get(month) || 0) + year.combined);
+  });
+  return byMonth;
+};
+
+// Month-by-month simulation of both paths for a given return. The schedules
+// don't depend on the return, so they are computed once and passed in.
+const simulate = ({ prepayPath, investPath, prepayTax, investTax, horizon }, expectedReturn, type, slabRate) => {
+  const annual = toNumber(expectedReturn) / 100;
+  const effective = type === INVESTMENT_TYPES.FIXED_INCOME ? annual * (1 - slabRate) : annual;
+  const growth = (1 + effective) ** (1 / 12);
+
+  const prepay = { value: 0, invested: 0 };
+  const invest = { value: 0, invested: 0 };
+  const deposit = (pot, amount) => {
+    pot.value += amount;
+    pot.invested += amount;
+  };
+
+  const points = [{ month: 0, prepay: -prepayPath.loanAmount, invest: -investPath.loanAmount }];
+  let taxGap = 0;
+  let streamTotal = 0;
+
+  for (let month = 1; month <= horizon; month++) {
+    const a = prepayPath.months[month - 1];
+    const b = investPath.months[month - 1];
+    const stream = a ? a.prepayment - a.lumpSum : 0;
+    const budget = outflow(b) + stream;
+    streamTotal += stream;
+
+    prepay.value *= growth;
+    invest.value *= growth;
+    deposit(prepay, budget - outflow(a));
+    deposit(invest, stream);
+
+    const prepayRefund = prepayTax.get(month) || 0;
+    const investRefund = investTax.get(month) || 0;
+    deposit(prepay, prepayRefund);
+    deposit(invest, investRefund);
+    taxGap += investRefund - prepayRefund;
+
+    if (month % 12 === 0 || month === horizon) {
+      points.push({
+        month,
+        prepay: Math.round(afterTaxValue(prepay.value, prepay.invested, type) - (a ? a.closingBalance : 0)),
+        invest: Math.round(afterTaxValue(invest.value, invest.invested, type) - (b ? b.closingBalance : 0)),
+      });
+    }
+  }
+
+  return { points, final: points[points.length - 1], taxGap, streamTotal };
+};
+
+const buildPaths = (inputs, startMonth, taxProfiles) => {
+  const prepayResult = computeSchedule(inputs);
+  const investResult = computeSchedule({ ...inputs, monthlyPrepayment: 0, annualPrepayment: 0 });
+  const loanAmount = toNumber(inputs.loanAmount);
+
+  return {
+    prepayPath: { months: prepayResult.months, loanAmount },
+    investPath: { months: investResult.months, loanAmount },
+    prepayTax: taxSavedByMonth(prepayResult.months, startMonth, taxProfiles),
+    investTax: taxSavedByMonth(investResult.months, startMonth, taxProfiles),
+    horizon: Math.max(prepayResult.months.length, investResult.months.length),
+  };
+};
+
+// Net worth of both paths over the life of the loan, the return above which
+// investing comes out ahead (null if prepaying wins even at 30%), and the
+// extra tax relief the invest path keeps by paying more interest.
+// `slabRate` is the marginal tax rate (a fraction) for fixed-income returns.
+export const comparePrepayVsInvest = (inputs, {
+  expectedReturn, type = INVESTMENT_TYPES.EQUITY, slabRate = 0, startMonth, taxProfiles,
+} = {}) => {
+  const paths = buildPaths(inputs, startMonth, taxProfiles);
+  const result = simulate(paths, expectedReturn, type, slabRate);
+  const advantage = result.final.invest - result.final.prepay;
+
+  const gapAt = (rate) => {
+    const { final } = simulate(paths, rate, type, slabRate);
+    return final.invest - final.prepay;
+  };
+
+  let crossoverRate = null;
+  if (gapAt(0) >= 0) {
+    crossoverRate = 0;
+  } else if (gapAt(MAX_CROSSOVER_RATE) > 0) {
+    let low = 0;
+    let high = MAX_CROSSOVER_RATE;
+    while (high - low > 0.01) {
+      const mid = (low + high) / 2;
+      if (gapAt(mid) > 0) high = mid;
+      else low = mid;
+    }
+    crossoverRate = Math.round(high * 100) / 100;
+  }
+
+  return {
+    points: result.points,
+    horizonMonths: paths.horizon,
+    prepayNetWorth: result.final.prepay,
+    investNetWorth: result.final.invest,
+    advantage, // > 0: investing ends richer
+    investWins: advantage > 0,
+    crossoverRate,
+    totalInvested: Math.round(result.streamTotal), // The prepayment stream
+    taxBenefitKept: Math.round(result.taxGap), // Extra 24(b)/80C relief on the invest path
+  };
+};
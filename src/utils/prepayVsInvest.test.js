@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { computeSchedule } from './amortization';
+import { comparePrepayVsInvest, INVESTMENT_TYPES } from './prepayVsInvest';
+import { taxProfilesFromState, marginalTaxRate, REGIMES } from './tax';
+
+const inputs = { loanAmount: 5000000, interestRate: 8.5, tenureYears: 20, monthlyPrepayment: 10000 };
+
+describe('comparePrepayVsInvest', () => {
+  it('runs both paths to the end of the loan without prepayments', () => {
+    const result = comparePrepayVsInvest(inputs, { expectedReturn: 12 });
+
+    expect(result.horizonMonths).toBe(240);
+    expect(result.points[0]).toEqual({ month: 0, prepay: -5000000, invest: -5000000 });
+    expect(result.points[result.points.length - 1].month).toBe(240);
+    expect(result.totalInvested).toBe(computeSchedule(inputs).months.reduce((acc, row) => acc + row.prepayment, 0));
+  });
+
+  it('favours prepaying when the return is below the loan rate', () => {
+    const result = comparePrepayVsInvest(inputs, { expectedReturn: 6, type: INVESTMENT_TYPES.TAX_FREE });
+    expect(result.investWins).toBe(false);
+    expect(result.advantage).toBeLessThan(0);
+  });
+
+  it('puts the crossover near the loan rate for a tax-free investment with no tax relief', () => {
+    const result = comparePrepayVsInvest(inputs, { expectedReturn: 12, type: INVESTMENT_TYPES.TAX_FREE });
+    expect(result.investWins).toBe(true);
+    expect(result.crossoverRate).toBeGreaterThan(8);
+    expect(result.crossoverRate).toBeLessThan(9.5);
+  });
+
+  it('needs a higher return to win once investment gains are taxed', () => {
+    const taxFree = comparePrepayVsInvest(inputs, { expectedReturn: 12, type: INVESTMENT_TYPES.TAX_FREE });
+    const equity = comparePrepayVsInvest(inputs, { expectedReturn: 12, type: INVESTMENT_TYPES.EQUITY });
+    const fd = comparePrepayVsInvest(inputs, { expectedReturn: 12, type: INVESTMENT_TYPES.FIXED_INCOME, slabRate: 0.312 });
+
+    expect(equity.crossoverRate).toBeGreaterThan(taxFree.crossoverRate);
+    expect(fd.crossoverRate).toBeGreaterThan(equity.crossoverRate);
+  });
+
+  it('credits the 24(b) relief the invest path keeps under the old regime', () => {
+    const taxProfiles = taxProfilesFromState({
+      borrowers: [{ share: 100, annualIncome: 2500000, regime: REGIMES.OLD, other80C: 150000 }],
+    });
+    const options = { expectedReturn: 10, type: INVESTMENT_TYPES.TAX_FREE, startMonth: '2025-04' };
+    const withoutTax = comparePrepayVsInvest(inputs, options);
+    const withTax = comparePrepayVsInvest(inputs, { ...options, taxProfiles });
+
+    expect(withoutTax.taxBenefitKept).toBe(0);
+    expect(withTax.taxBenefitKept).toBeGreaterThan(0);
+    expect(withTax.crossoverRate).toBeLessThan(withoutTax.crossoverRate);
+  });
+});
+
+describe('marginalTaxRate', () => {
+  it('includes cess on the top slab and is zero under the rebate', () => {
+    expect(marginalTaxRate({ annualIncome: 2500000, regime: REGIMES.OLD })).toBeCloseTo(0.312, 3);
+    expect(marginalTaxRate({ annualIncome: 300000, regime: REGIMES.NEW })).toBe(0);
+  });
+});
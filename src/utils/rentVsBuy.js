@@ -0,0 +1,139 @@
+// --- Rent vs Buy ---
+// Net worth of buying with the loan against renting and investing instead.
+// Both households spend the same each month: whoever's costs are lower that
+// month invests the difference, and the renter starts by investing what the
+// buyer puts down up front (down payment, stamp duty, registration).
+//
+// The buyer's outgoings follow the loan schedule (EMIs and prepayments), plus
+// maintenance and property tax on the current value, less the tax the loan
+// saves each financial year (from analyseJointTax, credited in the FY's last
+// month). Until possession an under-construction buyer pays rent as well.
+// Buyer's net worth = property value - what is still owed + investments.
+
+import { CLOSE_TOLERANCE } from './amortization';
+import { groupSchedule, SCHEDULE_PERIODS } from './calendar';
+import { analyseJointTax } from './tax';
+
+export const DEFAULT_RENT_VS_BUY = {
+  downPayment: 1500000,
+  stampDutyPercent: 6, // Varies by state, 5-7% is typical
+  registrationPercent: 1,
+  maintenancePercent: 0.5, // Of the property value, every year (society charges and repairs)
+  propertyTaxPercent: 0.1, // Of the property value, every year
+  appreciationPercent: 5,
+  monthlyRent: 25000, // For a similar home
+  rentEscalationPercent: 5, // Yearly hike
+  investmentReturnPercent: 10, // After tax, on money not tied up in the house
+  horizonYears: 0, // 0: the loan tenure
+};
+
+const toNumber = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : 0;
+};
+
+// Monthly rate that compounds to `percent` a year
+const monthlyRate = (percent) => Math.pow(1 + percent / 100, 1 / 12) - 1;
+
+// Tax saved by the loan, keyed by the loan month it is credited in
+const taxCreditsByMonth = (months, startMonth, taxProfiles) => {
+  const credits = new Map();
+  if (!taxProfiles || taxProfiles.length === 0 || months.length === 0) return { credits, total: 0 };
+
+  const joint = analyseJointTax(months, startMonth, taxProfiles);
+  const groups = groupSchedule(months, startMonth, SCHEDULE_PERIODS.FINANCIAL_YEAR);
+  groups.forEach((group, index) => {
+    const lastMonth = group.months[group.months.length - 1].month;
+    credits.set(lastMonth, joint.years[index].combined);
+  });
+  return { credits, total: joint.totals.combinedSaved };
+};
+
+// Year-by-year net worth of buying vs renting over the horizon.
+// `months` is the loan schedule (prepayment path) and `loanAmount` the
+// sanctioned loan; the property costs the loan plus the down payment.
+export const analyseRentVsBuy = ({ months, loanAmount, startMonth, taxProfiles }, options = {}) => {
+  const o = { ...DEFAULT_RENT_VS_BUY, ...options };
+  const downPayment = toNumber(o.downPayment);
+  const propertyPrice = toNumber(loanAmount) + downPayment;
+  const stampDuty = (propertyPrice * toNumber(o.stampDutyPercent)) / 100;
+  const registration = (propertyPrice * toNumber(o.registrationPercent)) / 100;
+  const upfront = downPayment + stampDuty + registration;
+
+  const loanYears = Math.ceil(months.length / 12);
+  const horizonYears = Math.max(1, Math.round(toNumber(o.horizonYears)) || loanYears);
+  const ownershipRate = (toNumber(o.maintenancePercent) + toNumber(o.propertyTaxPercent)) / 100 / 12;
+  const growth = monthlyRate(toNumber(o.appreciationPercent));
+  const investmentGrowth = monthlyRate(toNumber(o.investmentReturnPercent));
+  const { credits } = taxCreditsByMonth(months, startMonth, taxProfiles);
+
+  // Under construction the loan is released in tranches, but the rest of the
+  // price is still owed to the builder
+  const inTranches = months.some((row) => row.disbursement > 0);
+  let disbursed = 0;
+
+  let value = propertyPrice;
+  let rent = toNumber(o.monthlyRent);
+  let buyerInvestments = 0;
+  let renterInvestments = upfront;
+  const totals = { rentPaid: 0, loanPaid: 0, interestPaid: 0, ownershipCosts: 0, taxSaved: 0 };
+  const years = [];
+
+  for (let month = 1; month <= horizonYears * 12; month++) {
+    buyerInvestments *= 1 + investmentGrowth;
+    renterInvestments *= 1 + investmentGrowth;
+
+    const row = months[month - 1];
+    const loanPayment = row ? row.emi + row.prepayment : 0;
+    const ownershipCosts = value * ownershipRate;
+    const taxSaved = credits.get(month) || 0;
+    const rentWhileBuilding = row && row.underConstruction ? rent : 0;
+    const buyerCosts = loanPayment + ownershipCosts + rentWhileBuilding - taxSaved;
+
+    // The cheaper side invests the difference
+    const difference = buyerCosts - rent;
+    if (difference > 0) renterInvestments += difference;
+    else buyerInvestments -= difference;
+
+    totals.rentPaid += rent;
+    totals.loanPaid += loanPayment;
+    totals.interestPaid += row ? row.interest : 0;
+    totals.ownershipCosts += ownershipCosts;
+    totals.taxSaved += taxSaved;
+    disbursed += row ? row.disbursement || 0 : 0;
+    value *= 1 + growth;
+
+    if (month % 12 === 0) {
+      // Past the end of the schedule the loan has closed
+      const balance = row && row.closingBalance > CLOSE_TOLERANCE ? row.closingBalance : 0;
+      const owed = balance + (inTranches ? Math.max(0, toNumber(loanAmount) - disbursed) : 0);
+      const buyNetWorth = value - owed + buyerInvestments;
+
+      years.push({
+        year: month / 12,
+        propertyValue: Math.round(value),
+        owed: Math.round(owed),
+        buyerInvestments: Math.round(buyerInvestments),
+        buyNetWorth: Math.round(buyNetWorth),
+        rentNetWorth: Math.round(renterInvestments),
+        rent: Math.round(rent),
+      });
+      rent *= 1 + toNumber(o.rentEscalationPercent) / 100;
+    }
+  }
+
+  const breakEven = years.find((year) => year.buyNetWorth >= year.rentNetWorth);
+  const last = years[years.length - 1];
+
+  return {
+    propertyPrice,
+    upfront: { downPayment, stampDuty: Math.round(stampDuty), registration: Math.round(registration), total: Math.round(upfront) },
+    horizonYears,
+    years,
+    breakEvenYear: breakEven ? breakEven.year : null,
+    // Buying only wins if it is still ahead at the horizon
+    buyingWins: last.buyNetWorth >= last.rentNetWorth,
+    advantage: Math.abs(last.buyNetWorth - last.rentNetWorth),
+    totals: Object.fromEntries(Object.entries(totals).map(([key, amount]) => [key, Math.round(amount)])),
+  };
+};
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { computeSchedule } from './amortization';
+import { analyseJointTax } from './tax';
+import { analyseRentVsBuy, DEFAULT_RENT_VS_BUY } from './rentVsBuy';
+
+const loan = { loanAmount: 5000000, interestRate: 8.5, tenureYears: 20 };
+const { months } = computeSchedule(loan);
+const profiles = [{ annualIncome: 2500000, regime: 'old', share: 1 }];
+const base = { months, loanAmount: 5000000, startMonth: '2026-04', taxProfiles: profiles };
+
+describe('analyseRentVsBuy', () => {
+  it('prices the property at loan plus down payment and adds stamp duty and registration', () => {
+    const result = analyseRentVsBuy(base);
+
+    expect(result.propertyPrice).toBe(6500000);
+    expect(result.upfront.stampDuty).toBe(390000);
+    expect(result.upfront.registration).toBe(65000);
+    expect(result.upfront.total).toBe(1955000);
+    expect(result.years).toHaveLength(20);
+  });
+
+  it('owns the home outright once the loan is repaid', () => {
+    const result = analyseRentVsBuy(base);
+    const last = result.years.at(-1);
+
+    expect(last.owed).toBe(0);
+    expect(last.propertyValue).toBe(Math.round(6500000 * 1.05 ** 20));
+    expect(result.years[0].owed).toBe(Math.round(months[11].closingBalance));
+  });
+
+  it('credits the tax the loan saves from the existing tax logic', () => {
+    const result = analyseRentVsBuy(base);
+    const taxSaved = analyseJointTax(months, '2026-04', profiles).totals.combinedSaved;
+
+    expect(result.totals.taxSaved).toBe(Math.round(taxSaved));
+    expect(analyseRentVsBuy({ ...base, taxProfiles: [] }).years.at(-1).buyNetWorth).toBeLessThan(result.years.at(-1).buyNetWorth);
+  });
+
+  it('finds the year buying pulls ahead, if it does', () => {
+    const cheapRent = analyseRentVsBuy(base, { monthlyRent: 10000, investmentReturnPercent: 12, appreciationPercent: 3 });
+    const dearRent = analyseRentVsBuy(base, { monthlyRent: 45000 });
+
+    expect(cheapRent.breakEvenYear).toBeNull();
+    expect(cheapRent.buyingWins).toBe(false);
+    expect(dearRent.buyingWins).toBe(true);
+    const { breakEvenYear, years } = dearRent;
+    expect(years[breakEvenYear - 1].buyNetWorth).toBeGreaterThanOrEqual(years[breakEvenYear - 1].rentNetWorth);
+    if (breakEvenYear > 1) expect(years[breakEvenYear - 2].buyNetWorth).toBeLessThan(years[breakEvenYear - 2].rentNetWorth);
+  });
+
+  it('runs past the loan when the horizon is longer', () => {
+    const result = analyseRentVsBuy(base, { ...DEFAULT_RENT_VS_BUY, horizonYears: 25 });
+    expect(result.years).toHaveLength(25);
+    expect(result.years[24].owed).toBe(0);
+  });
+});
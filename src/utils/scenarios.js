@@ -0,0 +1,52 @@
+// --- Saved Scenarios ---
+// Named scenarios persisted in localStorage. Each one is stored as the same
+// encoded string used for share links, so loading goes through the same
+// validation and clamping as a shared URL.
+
+import { encodeState, decodeState, DEFAULT_STATE } from './shareState';
+
+export const STORAGE_KEY = 'loanSmart.scenarios';
+export const MAX_COMPARE = 4;
+
+const getStorage = () => (typeof window !== 'undefined' ? window.localStorage : null);
+
+export const loadScenarios = (storage = getStorage()) => {
+  try {
+    const parsed = JSON.parse(storage?.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(parsed)
+      ? parsed.filter((item) => item && item.id && typeof item.name === 'string' && typeof item.hash === 'string')
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+const persist = (scenarios, storage) => {
+  storage?.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+  return scenarios;
+};
+
+// Saving under an existing name overwrites that scenario
+export const saveScenario = (name, state, storage = getStorage()) => {
+  const trimmed = name.trim();
+  const scenarios = loadScenarios(storage);
+  const existing = scenarios.find((item) => item.name.toLowerCase() === trimmed.toLowerCase());
+  const entry = {
+    id: existing ? existing.id : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: trimmed,
+    savedAt: new Date().toISOString(),
+    hash: encodeState(state),
+  };
+
+  return persist(
+    existing ? scenarios.map((item) => (item.id === existing.id ? entry : item)) : [...scenarios, entry],
+    storage
+  );
+};
+
+export const deleteScenario = (id, storage = getStorage()) => (
+  persist(loadScenarios(storage).filter((item) => item.id !== id), storage)
+);
+
+// Full calculator state for a saved scenario (defaults fill anything missing)
+export const scenarioState = (scenario) => ({ ...DEFAULT_STATE, ...decodeState(scenario.hash) });
@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadScenarios, saveScenario, deleteScenario, scenarioState, STORAGE_KEY } from './scenarios';
+import { DEFAULT_STATE } from './shareState';
+
+// Minimal in-memory stand-in for window.localStorage
+const createStorage = () => {
+  const data = {};
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+  };
+};
+
+describe('saved scenarios', () => {
+  let storage;
+  beforeEach(() => { storage = createStorage(); });
+
+  it('saves and restores a scenario through the share-link encoding', () => {
+    const state = { ...DEFAULT_STATE, loanAmount: 6000000, interestRate: 8.4, monthlyPrepayment: 10000, startMonth: '2026-01' };
+    const [saved] = saveScenario('  SBI 8.4%  ', state, storage);
+
+    expect(saved.name).toBe('SBI 8.4%');
+    expect(loadScenarios(storage)).toHaveLength(1);
+    expect(scenarioState(saved)).toEqual(state);
+  });
+
+  it('overwrites a scenario saved again under the same name', () => {
+    saveScenario('HDFC', { ...DEFAULT_STATE, interestRate: 8.6 }, storage);
+    const scenarios = saveScenario('hdfc', { ...DEFAULT_STATE, interestRate: 8.7 }, storage);
+
+    expect(scenarios).toHaveLength(1);
+    expect(scenarioState(scenarios[0]).interestRate).toBe(8.7);
+  });
+
+  it('deletes by id', () => {
+    saveScenario('A', DEFAULT_STATE, storage);
+    const [, b] = saveScenario('B', DEFAULT_STATE, storage);
+    const remaining = deleteScenario(loadScenarios(storage)[0].id, storage);
+
+    expect(remaining.map((item) => item.name)).toEqual([b.name]);
+  });
+
+  it('ignores corrupted storage', () => {
+    storage.setItem(STORAGE_KEY, '{not json');
+    expect(loadScenarios(storage)).toEqual([]);
+
+    storage.setItem(STORAGE_KEY, JSON.stringify([{ id: 1, name: 'ok', hash: 'amt=100000' }, { name: 'broken' }]));
+    expect(loadScenarios(storage)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,379 @@
+// --- Shareable State ---
+// Serialises the calculator inputs into the URL hash and restores them on load.
+// The hash never reaches the server, so shared scenarios stay private.
+
+import {
+  PREPAYMENT_MODES, RATE_CHANGE_MODES, CONSTRUCTION_EMI_MODES, REPAYMENT_STRUCTURES, MAX_EMI_STEP_PERCENT,
+} from './amortization';
+import { SCHEDULE_PERIODS, parseMonthValue } from './calendar';
+import { DEFAULT_TAX_PROFILE, REGIMES, PROPERTY_TYPES, MAX_BORROWERS } from './tax';
+import { DEFAULT_CHARGES } from './charges';
+import {
+  LOAN_TYPES, LOAN_TYPE_PROFILES, RATE_TYPES, MAX_MORATORIUM_MONTHS, loanTypeProfile,
+} from './loanTypes';
+
+// Slider ranges, shared by the inputs and the URL parser. Loan amount, rate
+// and tenure are the home loan ranges; see inputLimitsFor for other products.
+export const INPUT_LIMITS = {
+  ...LOAN_TYPE_PROFILES[LOAN_TYPES.HOME].limits,
+  tenureMonths: { min: 0, max: 11, step: 1 },
+  monthlyPrepayment: { min: 0, max: 100000, step: 1000 },
+  annualPrepayment: { min: 0, max: 500000, step: 10000 },
+  annualIncome: { min: 0, max: 10000000, step: 50000 },
+  other80C: { min: 0, max: 150000, step: 5000 },
+  share: { min: 0, max: 100, step: 5 },
+  annualRent: { min: 0, max: 2400000, step: 10000 },
+  emiStepPercent: { min: 0, max: MAX_EMI_STEP_PERCENT, step: 0.5 },
+  prepaymentGrowth: { min: 0, max: 25, step: 1 },
+  processingFeePercent: { min: 0, max: 3, step: 0.05 },
+  foreclosureChargePercent: { min: 0, max: 5, step: 0.5 },
+  moratoriumMonths: { min: 0, max: MAX_MORATORIUM_MONTHS, step: 1 },
+};
+
+// Slider ranges for a loan type
+export const inputLimitsFor = (loanType) => ({ ...INPUT_LIMITS, ...loanTypeProfile(loanType).limits });
+
+// Upper bound for the free-typed tax amounts (municipal tax, pre-construction interest)
+const MAX_TAX_AMOUNT = 50000000;
+
+// Upper bound for the free-typed loan charges and insurance premium
+const MAX_CHARGE_AMOUNT = 5000000;
+
+// Upper bound for the free-typed prepayment caps
+const MAX_PREPAYMENT_CAP = 50000000;
+
+// Construction can run for at most this many months before possession
+export const MAX_POSSESSION_MONTH = 120;
+
+// Typed values may go up to 2x the slider max (see InputSlider's blur handling)
+export const TYPED_VALUE_HEADROOM = 2;
+
+export const TABS = ['summary', 'schedule', 'tax', 'compare', 'transfer', 'overdraft', 'portfolio', 'rentbuy', 'stress', 'statement'];
+
+// A (co-)borrower; `share` is their ownership/repayment percentage
+export const DEFAULT_BORROWER = {
+  id: 1,
+  name: '',
+  share: 100,
+  annualIncome: DEFAULT_TAX_PROFILE.annualIncome,
+  regime: DEFAULT_TAX_PROFILE.regime,
+  other80C: DEFAULT_TAX_PROFILE.other80C,
+};
+
+export const DEFAULT_STATE = {
+  loanType: LOAN_TYPES.HOME,
+  loanAmount: 5000000, // 50 Lakhs
+  interestRate: 8.5,
+  rateType: RATE_TYPES.REDUCING,
+  tenureYears: 20,
+  tenureMonths: 0,
+  moratoriumMonths: 0, // Education loans only
+  monthlyPrepayment: 0,
+  annualPrepayment: 0,
+  prepaymentStartYear: 1,
+  prepaymentEndYear: 0, // 0: until the loan closes
+  monthlyPrepaymentGrowth: 0,
+  annualPrepaymentGrowth: 0,
+  monthlyPrepaymentCap: 0, // 0: no cap
+  annualPrepaymentCap: 0,
+  prepaymentMode: PREPAYMENT_MODES.REDUCE_TENURE,
+  borrowers: [DEFAULT_BORROWER],
+  propertyType: DEFAULT_TAX_PROFILE.propertyType,
+  annualRent: DEFAULT_TAX_PROFILE.annualRent,
+  municipalTax: DEFAULT_TAX_PROFILE.municipalTax,
+  preConstructionInterest: DEFAULT_TAX_PROFILE.preConstructionInterest,
+  activeTab: 'summary',
+  schedulePeriod: SCHEDULE_PERIODS.LOAN_YEAR,
+  rateChanges: [],
+  lumpSums: [],
+  disbursements: [], // Empty: the whole loan is disbursed up front
+  possessionMonth: 24,
+  constructionEmiMode: CONSTRUCTION_EMI_MODES.PRE_EMI,
+  repaymentStructure: REPAYMENT_STRUCTURES.STANDARD,
+  emiStepPercent: 5,
+  customEmis: [],
+  ...DEFAULT_CHARGES,
+};
+
+// State behind the Tax Settings panel (see taxProfileFromState)
+export const TAX_STATE_KEYS = [
+  'borrowers', 'propertyType', 'annualRent', 'municipalTax', 'preConstructionInterest',
+];
+
+// State behind the Charges panel (see analyseCostOfBorrowing)
+export const CHARGE_STATE_KEYS = Object.keys(DEFAULT_CHARGES);
+
+// Short URL keys for each piece of state
+const KEYS = {
+  loanType: 'type',
+  loanAmount: 'amt',
+  interestRate: 'rate',
+  rateType: 'rt',
+  tenureYears: 'yrs',
+  tenureMonths: 'mos',
+  moratoriumMonths: 'mor',
+  monthlyPrepayment: 'pm',
+  annualPrepayment: 'pa',
+  prepaymentStartYear: 'from',
+  prepaymentEndYear: 'to',
+  monthlyPrepaymentGrowth: 'pmg',
+  annualPrepaymentGrowth: 'pag',
+  monthlyPrepaymentCap: 'pmc',
+  annualPrepaymentCap: 'pac',
+  prepaymentMode: 'mode',
+  borrowers: 'own',
+  propertyType: 'prop',
+  annualRent: 'rent',
+  municipalTax: 'mtax',
+  preConstructionInterest: 'pre',
+  activeTab: 'tab',
+  startMonth: 'start',
+  schedulePeriod: 'view',
+  rateChanges: 'rev',
+  lumpSums: 'lump',
+  disbursements: 'dis',
+  possessionMonth: 'pos',
+  constructionEmiMode: 'cem',
+  repaymentStructure: 'emis',
+  emiStepPercent: 'step',
+  customEmis: 'cemi',
+  processingFeePercent: 'fee',
+  otherCharges: 'chg',
+  insurancePremium: 'ins',
+  insuranceFinanced: 'insf',
+  foreclosureChargePercent: 'fc',
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const parseNumber = (raw) => {
+  if (raw === null || raw === undefined || raw.trim() === '') return null;
+  const num = Number(raw);
+  return Number.isFinite(num) ? num : null;
+};
+
+const parseLimited = (raw, { min, max }, headroom = 1) => {
+  const num = parseNumber(raw);
+  return num === null ? null : clamp(num, min, max * headroom);
+};
+
+const parseOneOf = (raw, allowed) => (allowed.includes(raw) ? raw : null);
+
+// "25:9.15:t" = from month 25, 9.15%, keep tenure ("e" keeps EMI)
+const encodeRateChanges = (rateChanges) => rateChanges
+  .filter((change) => change.month !== '' && change.rate !== '')
+  .map((change) => `${change.month}:${change.rate}:${change.mode === RATE_CHANGE_MODES.KEEP_TENURE ? 't' : 'e'}`)
+  .join(';');
+
+const decodeRateChanges = (raw) => raw.split(';')
+  .map((part, index) => {
+    const [month, rate, mode] = part.split(':');
+    const monthNum = parseNumber(month);
+    const rateNum = parseNumber(rate);
+    if (monthNum === null || rateNum === null) return null;
+    return {
+      id: index + 1,
+      month: clamp(Math.round(monthNum), 2, 1200),
+      rate: clamp(rateNum, 0, INPUT_LIMITS.interestRate.max * TYPED_VALUE_HEADROOM),
+      mode: mode === 't' ? RATE_CHANGE_MODES.KEEP_TENURE : RATE_CHANGE_MODES.KEEP_EMI,
+    };
+  })
+  .filter(Boolean);
+
+// "4:3:500000" = loan year 4, month 3, Rs. 5,00,000
+const encodeLumpSums = (lumpSums) => lumpSums
+  .filter((lumpSum) => Number(lumpSum.amount) > 0)
+  .map((lumpSum) => `${lumpSum.year}:${lumpSum.month}:${lumpSum.amount}`)
+  .join(';');
+
+const decodeLumpSums = (raw) => raw.split(';')
+  .map((part, index) => {
+    const [year, month, amount] = part.split(':').map(parseNumber);
+    if (year === null || month === null || amount === null || amount <= 0) return null;
+    return {
+      id: index + 1,
+      year: clamp(Math.round(year), 1, INPUT_LIMITS.tenureYears.max * TYPED_VALUE_HEADROOM),
+      month: clamp(Math.round(month), 1, 12),
+      amount,
+    };
+  })
+  .filter(Boolean);
+
+// "7:1500000" = released in loan month 7, Rs. 15,00,000
+const encodeDisbursements = (disbursements) => disbursements
+  .filter((disbursement) => Number(disbursement.amount) > 0)
+  .map((disbursement) => `${disbursement.month}:${disbursement.amount}`)
+  .join(';');
+
+const decodeDisbursements = (raw) => raw.split(';')
+  .map((part, index) => {
+    const [month, amount] = part.split(':').map(parseNumber);
+    if (month === null || amount === null || amount <= 0) return null;
+    return {
+      id: index + 1,
+      month: clamp(Math.round(month), 1, MAX_POSSESSION_MONTH),
+      amount: Math.min(amount, INPUT_LIMITS.loanAmount.max * TYPED_VALUE_HEADROOM),
+    };
+  })
+  .filter(Boolean);
+
+// "6:55000" = from loan year 6, an EMI of Rs. 55,000
+const encodeCustomEmis = (customEmis) => customEmis
+  .filter((entry) => entry.year !== '' && entry.amount !== '')
+  .map((entry) => `${entry.year}:${entry.amount}`)
+  .join(';');
+
+const decodeCustomEmis = (raw) => raw.split(';')
+  .map((part, index) => {
+    const [year, amount] = part.split(':').map(parseNumber);
+    if (year === null || amount === null || amount < 0) return null;
+    return {
+      id: index + 1,
+      year: clamp(Math.round(year), 1, INPUT_LIMITS.tenureYears.max * TYPED_VALUE_HEADROOM),
+      amount: Math.min(amount, INPUT_LIMITS.loanAmount.max),
+    };
+  })
+  .filter(Boolean);
+
+// "50:1800000:o:150000:Asha" = 50% share, income, Old ("n" = New) regime, other 80C, name
+const encodeBorrowers = (borrowers) => borrowers
+  .map((borrower) => [
+    borrower.share || 0,
+    borrower.annualIncome || 0,
+    borrower.regime === REGIMES.NEW ? 'n' : 'o',
+    borrower.other80C || 0,
+    (borrower.name || '').replace(/[:;]/g, ' ').trim(),
+  ].join(':'))
+  .join(';');
+
+const decodeBorrowers = (raw) => raw.split(';')
+  .map((part) => {
+    const [share, income, regime, other80C, ...name] = part.split(':');
+    const shareNum = parseLimited(share, INPUT_LIMITS.share);
+    const incomeNum = parseLimited(income, INPUT_LIMITS.annualIncome, TYPED_VALUE_HEADROOM);
+    if (shareNum === null || incomeNum === null) return null;
+    return {
+      name: name.join(' ').slice(0, 40),
+      share: shareNum,
+      annualIncome: incomeNum,
+      regime: regime === 'n' ? REGIMES.NEW : REGIMES.OLD,
+      other80C: parseLimited(other80C, INPUT_LIMITS.other80C) ?? 0,
+    };
+  })
+  .filter(Boolean)
+  .slice(0, MAX_BORROWERS)
+  .map((borrower, index) => ({ id: index + 1, ...borrower }));
+
+// Builds the hash fragment (without '#') for the given state
+export const encodeState = (state) => {
+  const params = new URLSearchParams();
+  const numericKeys = [
+    'loanAmount', 'interestRate', 'tenureYears', 'tenureMonths', 'moratoriumMonths',
+    'monthlyPrepayment', 'annualPrepayment', 'prepaymentStartYear', 'prepaymentEndYear',
+    'monthlyPrepaymentGrowth', 'annualPrepaymentGrowth', 'monthlyPrepaymentCap', 'annualPrepaymentCap',
+    'annualRent', 'municipalTax', 'preConstructionInterest', 'possessionMonth', 'emiStepPercent',
+    'processingFeePercent', 'otherCharges', 'insurancePremium', 'foreclosureChargePercent',
+  ];
+
+  numericKeys.forEach((key) => {
+    if (state[key] !== '' && state[key] !== undefined) params.set(KEYS[key], String(state[key]));
+  });
+  const textKeys = [
+    'loanType', 'rateType', 'prepaymentMode', 'activeTab', 'startMonth', 'schedulePeriod', 'propertyType', 'constructionEmiMode', 'repaymentStructure',
+  ];
+  textKeys.forEach((key) => {
+    if (state[key]) params.set(KEYS[key], state[key]);
+  });
+  if (typeof state.insuranceFinanced === 'boolean') params.set(KEYS.insuranceFinanced, state.insuranceFinanced ? '1' : '0');
+
+  const rateChanges = encodeRateChanges(state.rateChanges || []);
+  if (rateChanges) params.set(KEYS.rateChanges, rateChanges);
+  const lumpSums = encodeLumpSums(state.lumpSums || []);
+  if (lumpSums) params.set(KEYS.lumpSums, lumpSums);
+  const borrowers = encodeBorrowers(state.borrowers || []);
+  if (borrowers) params.set(KEYS.borrowers, borrowers);
+  const disbursements = encodeDisbursements(state.disbursements || []);
+  if (disbursements) params.set(KEYS.disbursements, disbursements);
+  const customEmis = encodeCustomEmis(state.customEmis || []);
+  if (customEmis) params.set(KEYS.customEmis, customEmis);
+
+  return params.toString();
+};
+
+// Reads state back from a hash or query string. Only valid entries are
+// returned (clamped to the input ranges); anything else is left out so the
+// caller falls back to its defaults.
+export const decodeState = (fragment) => {
+  const params = new URLSearchParams((fragment || '').replace(/^[#?]/, ''));
+  const state = {};
+  const set = (key, value) => {
+    if (value !== null && value !== undefined) state[key] = value;
+  };
+  const get = (key) => params.get(KEYS[key]);
+
+  // Amount, rate and tenure are clamped to the ranges of the loan type
+  set('loanType', parseOneOf(get('loanType'), Object.values(LOAN_TYPES)));
+  const limits = inputLimitsFor(state.loanType ?? DEFAULT_STATE.loanType);
+
+  set('loanAmount', parseLimited(get('loanAmount'), limits.loanAmount, TYPED_VALUE_HEADROOM));
+  set('interestRate', parseLimited(get('interestRate'), limits.interestRate, TYPED_VALUE_HEADROOM));
+  set('rateType', parseOneOf(get('rateType'), Object.values(RATE_TYPES)));
+  set('tenureYears', parseLimited(get('tenureYears'), limits.tenureYears));
+  set('tenureMonths', parseLimited(get('tenureMonths'), limits.tenureMonths));
+  const moratorium = parseLimited(get('moratoriumMonths'), limits.moratoriumMonths);
+  set('moratoriumMonths', moratorium === null ? null : Math.round(moratorium));
+  set('monthlyPrepayment', parseLimited(get('monthlyPrepayment'), INPUT_LIMITS.monthlyPrepayment, TYPED_VALUE_HEADROOM));
+  set('annualPrepayment', parseLimited(get('annualPrepayment'), INPUT_LIMITS.annualPrepayment, TYPED_VALUE_HEADROOM));
+
+  if (state.tenureYears !== undefined) state.tenureYears = Math.round(state.tenureYears);
+  if (state.tenureMonths !== undefined) state.tenureMonths = Math.round(state.tenureMonths);
+
+  const tenureYears = state.tenureYears ?? DEFAULT_STATE.tenureYears;
+  const startYear = parseLimited(get('prepaymentStartYear'), { min: 1, max: Math.max(1, tenureYears) });
+  set('prepaymentStartYear', startYear === null ? null : Math.round(startYear));
+  const endYear = parseLimited(get('prepaymentEndYear'), { min: 0, max: tenureYears });
+  set('prepaymentEndYear', endYear === null ? null : Math.round(endYear));
+  set('monthlyPrepaymentGrowth', parseLimited(get('monthlyPrepaymentGrowth'), INPUT_LIMITS.prepaymentGrowth));
+  set('annualPrepaymentGrowth', parseLimited(get('annualPrepaymentGrowth'), INPUT_LIMITS.prepaymentGrowth));
+  set('monthlyPrepaymentCap', parseLimited(get('monthlyPrepaymentCap'), { min: 0, max: MAX_PREPAYMENT_CAP }));
+  set('annualPrepaymentCap', parseLimited(get('annualPrepaymentCap'), { min: 0, max: MAX_PREPAYMENT_CAP }));
+
+  set('annualRent', parseLimited(get('annualRent'), INPUT_LIMITS.annualRent, TYPED_VALUE_HEADROOM));
+  set('municipalTax', parseLimited(get('municipalTax'), { min: 0, max: MAX_TAX_AMOUNT }));
+  set('preConstructionInterest', parseLimited(get('preConstructionInterest'), { min: 0, max: MAX_TAX_AMOUNT }));
+  set('propertyType', parseOneOf(get('propertyType'), Object.values(PROPERTY_TYPES)));
+
+  const possessionMonth = parseLimited(get('possessionMonth'), { min: 1, max: MAX_POSSESSION_MONTH });
+  set('possessionMonth', possessionMonth === null ? null : Math.round(possessionMonth));
+  set('constructionEmiMode', parseOneOf(get('constructionEmiMode'), Object.values(CONSTRUCTION_EMI_MODES)));
+
+  set('repaymentStructure', parseOneOf(get('repaymentStructure'), Object.values(REPAYMENT_STRUCTURES)));
+  set('emiStepPercent', parseLimited(get('emiStepPercent'), INPUT_LIMITS.emiStepPercent));
+
+  set('processingFeePercent', parseLimited(get('processingFeePercent'), INPUT_LIMITS.processingFeePercent));
+  set('otherCharges', parseLimited(get('otherCharges'), { min: 0, max: MAX_CHARGE_AMOUNT }));
+  set('insurancePremium', parseLimited(get('insurancePremium'), { min: 0, max: MAX_CHARGE_AMOUNT }));
+  const financed = parseOneOf(get('insuranceFinanced'), ['1', '0']);
+  set('insuranceFinanced', financed === null ? null : financed === '1');
+  set('foreclosureChargePercent', parseLimited(get('foreclosureChargePercent'), INPUT_LIMITS.foreclosureChargePercent));
+
+  set('prepaymentMode', parseOneOf(get('prepaymentMode'), Object.values(PREPAYMENT_MODES)));
+  set('activeTab', parseOneOf(get('activeTab'), TABS));
+  set('schedulePeriod', parseOneOf(get('schedulePeriod'), Object.values(SCHEDULE_PERIODS)));
+  set('startMonth', parseMonthValue(get('startMonth')) ? get('startMonth') : null);
+
+  if (get('rateChanges')) set('rateChanges', decodeRateChanges(get('rateChanges')));
+  if (get('lumpSums')) set('lumpSums', decodeLumpSums(get('lumpSums')));
+  if (get('disbursements')) set('disbursements', decodeDisbursements(get('disbursements')));
+  if (get('customEmis')) set('customEmis', decodeCustomEmis(get('customEmis')));
+  if (get('borrowers')) {
+    const borrowers = decodeBorrowers(get('borrowers'));
+    if (borrowers.length > 0) set('borrowers', borrowers);
+  }
+
+  return state;
+};
+
+export const buildShareUrl = (state, location = window.location) => (
+  `${location.origin}${location.pathname}#${encodeState(state)}`
+);
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { encodeState, decodeState, DEFAULT_STATE, INPUT_LIMITS } from './shareState';
+import {
+  PREPAYMENT_MODES, RATE_CHANGE_MODES, CONSTRUCTION_EMI_MODES, REPAYMENT_STRUCTURES,
+} from './amortization';
+import { SCHEDULE_PERIODS } from './calendar';
+import { REGIMES, PROPERTY_TYPES } from './tax';
+import { LOAN_TYPES, RATE_TYPES } from './loanTypes';
+
+const scenario = {
+  ...DEFAULT_STATE,
+  loanAmount: 7500000,
+  interestRate: 8.65,
+  rateType: RATE_TYPES.FLAT,
+  tenureYears: 25,
+  tenureMonths: 6,
+  moratoriumMonths: 18,
+  monthlyPrepayment: 10000,
+  annualPrepayment: 100000,
+  prepaymentStartYear: 3,
+  prepaymentEndYear: 15,
+  monthlyPrepaymentGrowth: 10,
+  annualPrepaymentGrowth: 5,
+  monthlyPrepaymentCap: 25000,
+  annualPrepaymentCap: 0,
+  prepaymentMode: PREPAYMENT_MODES.REDUCE_EMI,
+  borrowers: [
+    { id: 1, name: 'Asha', share: 60, annualIncome: 2400000, regime: REGIMES.NEW, other80C: 0 },
+    { id: 2, name: 'Ravi K', share: 40, annualIncome: 1200000, regime: REGIMES.OLD, other80C: 50000 },
+  ],
+  propertyType: PROPERTY_TYPES.LET_OUT,
+  annualRent: 360000,
+  municipalTax: 12000,
+  preConstructionInterest: 250000,
+  activeTab: 'schedule',
+  startMonth: '2026-04',
+  schedulePeriod: SCHEDULE_PERIODS.FINANCIAL_YEAR,
+  rateChanges: [{ id: 1, month: 25, rate: 9.15, mode: RATE_CHANGE_MODES.KEEP_TENURE }],
+  lumpSums: [{ id: 1, year: 4, month: 3, amount: 500000 }],
+  disbursements: [{ id: 1, month: 1, amount: 1500000 }, { id: 2, month: 9, amount: 3000000 }],
+  possessionMonth: 30,
+  constructionEmiMode: CONSTRUCTION_EMI_MODES.FULL_EMI,
+  repaymentStructure: REPAYMENT_STRUCTURES.CUSTOM,
+  emiStepPercent: 7.5,
+  customEmis: [{ id: 1, year: 1, amount: 35000 }, { id: 2, year: 4, amount: 50000 }],
+  processingFeePercent: 0.35,
+  otherCharges: 12500,
+  insurancePremium: 180000,
+  insuranceFinanced: false,
+  foreclosureChargePercent: 2,
+};
+
+describe('share links', () => {
+  it('round-trips every input', () => {
+    expect(decodeState(`#${encodeState(scenario)}`)).toEqual(scenario);
+  });
+
+  it('returns nothing for an empty or foreign hash', () => {
+    expect(decodeState('')).toEqual({});
+    expect(decodeState('#section-2')).toEqual({});
+  });
+
+  it('clamps numbers to the slider ranges', () => {
+    const state = decodeState('#amt=10&rate=99&yrs=45&mos=14&pm=-5&from=40&to=99&pmg=80');
+
+    expect(state.loanAmount).toBe(INPUT_LIMITS.loanAmount.min);
+    expect(state.interestRate).toBe(30); // typed values allow 2x the slider max
+    expect(state.tenureYears).toBe(30);
+    expect(state.tenureMonths).toBe(11);
+    expect(state.monthlyPrepayment).toBe(0);
+    expect(state.prepaymentStartYear).toBe(30);
+    expect(state.prepaymentEndYear).toBe(30);
+    expect(state.monthlyPrepaymentGrowth).toBe(INPUT_LIMITS.prepaymentGrowth.max);
+  });
+
+  it('uses the ranges of the loan type', () => {
+    const state = decodeState('#type=personal&amt=20000000&rate=45&rt=flat&yrs=12');
+
+    expect(state.loanType).toBe(LOAN_TYPES.PERSONAL);
+    expect(state.rateType).toBe(RATE_TYPES.FLAT);
+    expect(state.loanAmount).toBe(5000000 * 2);
+    expect(state.interestRate).toBe(45);
+    expect(state.tenureYears).toBe(7);
+    expect(decodeState('#type=boat').loanType).toBeUndefined();
+  });
+
+  it('clamps the tax amounts', () => {
+    const state = decodeState('#own=150:500000:o:400000:A;50:100000:n:0:B;10:1:o:0:C;10:1:o:0:D;10:1:o:0:E&mtax=-1');
+
+    expect(state.borrowers).toHaveLength(4);
+    expect(state.borrowers[0]).toMatchObject({ share: 100, other80C: INPUT_LIMITS.other80C.max });
+    expect(state.municipalTax).toBe(0);
+  });
+
+  it('drops values that are not valid', () => {
+    const state = decodeState('#amt=abc&own=x:1:o&prop=x&tab=admin&mode=x&view=week&start=2026-13&rate=&insf=yes&fee=x');
+
+    expect(state).toEqual({});
+  });
+
+  it('skips malformed revisions and lump sums', () => {
+    const state = decodeState('#rev=25:9.1:t;oops;1:8:e&lump=4:3:500000;2:x:100;1:1:-5');
+
+    expect(state.rateChanges).toEqual([
+      { id: 1, month: 25, rate: 9.1, mode: RATE_CHANGE_MODES.KEEP_TENURE },
+      { id: 3, month: 2, rate: 8, mode: RATE_CHANGE_MODES.KEEP_EMI },
+    ]);
+    expect(state.lumpSums).toEqual([{ id: 1, year: 4, month: 3, amount: 500000 }]);
+  });
+
+  it('skips malformed disbursements and clamps the possession month', () => {
+    const state = decodeState('#dis=1:1000000;x:5;500:200000;3:0&pos=999&cem=x');
+
+    expect(state.disbursements).toEqual([
+      { id: 1, month: 1, amount: 1000000 },
+      { id: 3, month: 120, amount: 200000 },
+    ]);
+    expect(state.possessionMonth).toBe(120);
+    expect(state.constructionEmiMode).toBeUndefined();
+  });
+});
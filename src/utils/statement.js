@@ -0,0 +1,621 @@
+// --- Loan Statement Import ---
+// Reads the lender's repayment statement (CSV or XLSX) entirely in the
+// browser, rebuilds what actually happened month by month and lines it up
+// against the projected schedule. Rate resets, part-payments and
+// broken-period interest are why the bank's balance drifts from the
+// calculator's; the effective rate is inferred from the interest charged
+// (or read from the statement when it has a rate column), and the rest of
+// the loan is projected from the real balance.
+//
+// Rows are mapped to fields through per-bank header presets; a preset lists
+// the headers that bank uses for each field, matched case-insensitively.
+
+import {
+  calculateEmi, computeSchedule, monthsToRepay, CLOSE_TOLERANCE, RATE_CHANGE_MODES,
+} from './amortization';
+import { loanMonthForDate } from './calendar';
+
+// What each statement column can hold
+export const STATEMENT_FIELDS = {
+  date: 'Date',
+  description: 'Description',
+  paid: 'Amount paid (credit / instalment)',
+  debit: 'Debit (disbursement, interest, charges)',
+  principal: 'Principal',
+  interest: 'Interest',
+  balance: 'Outstanding balance',
+  rate: 'Interest rate',
+};
+
+export const STATEMENT_PRESETS = {
+  sbi: {
+    label: 'SBI',
+    columns: {
+      date: ['txn date', 'value date'],
+      description: ['description', 'narration'],
+      paid: ['credit'],
+      debit: ['debit'],
+      balance: ['balance'],
+    },
+  },
+  hdfc: {
+    label: 'HDFC Bank',
+    columns: {
+      date: ['date', 'instalment date', 'due date'],
+      description: ['particulars', 'transaction type'],
+      paid: ['instalment amount', 'emi amount', 'amount paid', 'amount'],
+      principal: ['principal', 'principal component'],
+      interest: ['interest', 'interest component'],
+      balance: ['outstanding principal', 'closing principal', 'principal outstanding'],
+      rate: ['roi', 'rate of interest'],
+    },
+  },
+  icici: {
+    label: 'ICICI Bank',
+    columns: {
+      date: ['due date', 'transaction date', 'date'],
+      description: ['transaction details', 'remarks'],
+      paid: ['emi', 'emi amount', 'amount received'],
+      principal: ['principal component', 'principal'],
+      interest: ['interest component', 'interest'],
+      balance: ['closing balance', 'closing principal', 'principal outstanding'],
+      rate: ['rate of interest', 'interest rate', 'roi'],
+    },
+  },
+  axis: {
+    label: 'Axis Bank',
+    columns: {
+      date: ['transaction date', 'tran date', 'date'],
+      description: ['particulars', 'description'],
+      paid: ['credit amount', 'credit', 'cr amount'],
+      debit: ['debit amount', 'debit', 'dr amount'],
+      balance: ['balance', 'balance amount'],
+    },
+  },
+  kotak: {
+    label: 'Kotak Mahindra',
+    columns: {
+      date: ['date', 'value date'],
+      description: ['description', 'narration'],
+      paid: ['instalment', 'amount paid', 'credit'],
+      principal: ['principal', 'principal paid'],
+      interest: ['interest', 'interest paid'],
+      balance: ['principal outstanding', 'balance'],
+      rate: ['rate', 'roi'],
+    },
+  },
+  generic: {
+    label: 'Other bank',
+    columns: {
+      date: ['date', 'due date', 'value date', 'txn date', 'transaction date', 'emi date'],
+      description: ['description', 'particulars', 'narration', 'remarks', 'details'],
+      paid: ['emi', 'emi amount', 'instalment', 'instalment amount', 'installment', 'amount paid', 'credit', 'paid'],
+      debit: ['debit', 'disbursement'],
+      principal: ['principal', 'principal component', 'principal paid'],
+      interest: ['interest', 'interest component', 'interest paid'],
+      balance: ['balance', 'closing balance', 'outstanding', 'outstanding principal', 'principal outstanding'],
+      rate: ['rate', 'roi', 'interest rate', 'rate of interest'],
+    },
+  },
+};
+
+// How far into a file to look for the header row (banks put account details above it)
+const HEADER_SEARCH_ROWS = 30;
+
+// Banks quote rates in steps of 5 bps
+const RATE_STEP = 0.05;
+// A rate only counts as changed once it moves this much (% points)...
+const RATE_TOLERANCE = 0.1;
+// ...and stays there for this many months
+const CONFIRM_MONTHS = 3;
+// Month-on-month drift in the balance gap that is worth flagging, in rupees
+const DRIFT_TOLERANCE = 100;
+
+const PART_PAYMENT_PATTERN = /part|prepay|pre-pay|lump|foreclos/i;
+const DISBURSEMENT_PATTERN = /disburs/i;
+
+// Why the bank's balance moved away from the projection
+export const DEPARTURE_REASONS = {
+  BROKEN_PERIOD: 'brokenPeriod', // Interest for the days before the first EMI
+  RATE: 'rate', // Charged at a different rate
+  PREPAYMENT: 'prepayment', // Part-payment the projection doesn't have (or the other way round)
+  EMI: 'emi', // Instalment missed, bounced or reset
+  OTHER: 'other', // Day count, charges or rounding
+};
+
+export const DEPARTURE_LABELS = {
+  [DEPARTURE_REASONS.BROKEN_PERIOD]: 'Broken-period interest',
+  [DEPARTURE_REASONS.RATE]: 'Rate reset',
+  [DEPARTURE_REASONS.PREPAYMENT]: 'Part-payment',
+  [DEPARTURE_REASONS.EMI]: 'EMI differs',
+  [DEPARTURE_REASONS.OTHER]: 'Day count or charges',
+};
+
+// --- Parsing ---
+
+// The delimiter that splits the most of the opening lines into the same
+// number of fields. Account details above the header can't outvote the
+// table, and thousands separators in unquoted amounts vary row to row.
+const detectDelimiter = (source) => {
+  const lines = source.split(/\r?\n/)
+    .filter((line) => line.trim() !== '')
+    .slice(0, HEADER_SEARCH_ROWS)
+    .map((line) => line.replace(/"(?:[^"]|"")*"/g, ''));
+
+  const score = (delimiter) => {
+    const counts = new Map();
+    lines.forEach((line) => {
+      const fields = line.split(delimiter).length;
+      if (fields > 1) counts.set(fields, (counts.get(fields) || 0) + 1);
+    });
+    // Lines agreeing on a field count, then the widest such count
+    return [...counts].reduce((best, [fields, lineCount]) => (
+      lineCount > best[0] || (lineCount === best[0] && fields > best[1]) ? [lineCount, fields] : best
+    ), [0, 0]);
+  };
+
+  return [',', ';', '\t'].reduce((best, candidate) => {
+    const [lineCount, fields] = score(candidate);
+    return lineCount > best.lineCount || (lineCount === best.lineCount && fields > best.fields)
+      ? { delimiter: candidate, lineCount, fields }
+      : best;
+  }, { delimiter: ',', lineCount: 0, fields: 0 }).delimiter;
+};
+
+// Rows of cells from CSV text (quoted fields, "" escapes, CRLF or LF, and
+// ; or tab instead of , when the file uses them)
+export const parseCsv = (text) => {
+  const source = String(text ?? '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source);
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => String(value).trim() !== ''));
+};
+
+// Amount in a cell: '1,23,456.50', '₹ 25,000', 'Rs. 500 Cr', '(1,000)'.
+// Always positive (statements mark direction with Dr/Cr or separate
+// columns); null when the cell is blank or not a number.
+export const parseAmount = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? Math.abs(value) : null;
+  const text = String(value ?? '').replace(/₹|rs\.?|inr|cr\.?$|dr\.?$|[,\s()]/gi, '');
+  if (text === '' || text === '-') return null;
+  const num = Number(text);
+  return Number.isFinite(num) ? Math.abs(num) : null;
+};
+
+// Rate in a cell: '8.50', '8.50%', '8.5 % p.a.', or a percent-formatted
+// spreadsheet cell, which arrives as a fraction (0.085). null when blank.
+export const parseRate = (value) => {
+  const rate = typeof value === 'number'
+    ? parseAmount(value)
+    : parseAmount(String(value ?? '').replace(/%|p\.?\s*a\.?/gi, ''));
+  if (!rate) return null;
+  return rate < 1 ? Math.round(rate * 100 * 10000) / 10000 : rate;
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const isoDate = (year, month, day) => {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+// 'YYYY-MM-DD' for a date cell, or null. Day comes before month, as on Indian
+// statements. Spreadsheet cells may already be Date objects (read as UTC) or
+// Excel serial day numbers.
+export const parseStatementDate = (value) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'number') {
+    // Excel counts days from 30 Dec 1899; only plausible loan dates are accepted
+    if (value < 20000 || value > 80000) return null;
+    return new Date(Date.UTC(1899, 11, 30) + Math.floor(value) * 86400000).toISOString().slice(0, 10);
+  }
+
+  const text = String(value ?? '').trim().toLowerCase();
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+  if (match) return isoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/.exec(text);
+  if (match) return isoDate(Number(match[3]), Number(match[2]), Number(match[1]));
+
+  match = /^(\d{1,2})[\s/-]([a-z]{3})[a-z]*[\s/,-]+(\d{2}|\d{4})$/.exec(text);
+  if (match && MONTH_NAMES.includes(match[2])) {
+    return isoDate(Number(match[3]), MONTH_NAMES.indexOf(match[2]) + 1, Number(match[1]));
+  }
+  return null;
+};
+
+// Lower case, without units like '(₹)' or '(%)' and punctuation
+const normalizeHeader = (value) => String(value ?? '').toLowerCase()
+  .replace(/\((₹|rs\.?|inr|%)\)|₹|\b(rs|inr)\b/g, '')
+  .replace(/[.:]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Column index of each field under a preset's headers (-1 when missing)
+export const matchColumns = (header, presetKey) => {
+  const preset = STATEMENT_PRESETS[presetKey] || STATEMENT_PRESETS.generic;
+  const headers = header.map(normalizeHeader);
+  const used = new Set();
+  return Object.fromEntries(Object.keys(STATEMENT_FIELDS).map((field) => {
+    const names = preset.columns[field] || [];
+    // Earlier names in the preset win, and a column is only used once
+    for (const name of names) {
+      const index = headers.findIndex((heading, i) => heading === name && !used.has(i));
+      if (index >= 0) {
+        used.add(index);
+        return [field, index];
+      }
+    }
+    return [field, -1];
+  }));
+};
+
+const usableMapping = (mapping) => mapping.date >= 0 && (mapping.balance >= 0 || mapping.paid >= 0);
+
+// Finds the header row and the preset that recognises most of it.
+// Returns { presetKey, headerIndex, mapping } or null.
+export const detectStatement = (rows) => {
+  let best = null;
+  rows.slice(0, HEADER_SEARCH_ROWS).forEach((row, headerIndex) => {
+    Object.keys(STATEMENT_PRESETS).forEach((presetKey) => {
+      const mapping = matchColumns(row, presetKey);
+      if (!usableMapping(mapping)) return;
+      const score = Object.values(mapping).filter((index) => index >= 0).length;
+      // A bank's own preset beats the generic one on a tie
+      if (!best || score > best.score) best = { presetKey, headerIndex, mapping, score };
+    });
+  });
+  return best && { presetKey: best.presetKey, headerIndex: best.headerIndex, mapping: best.mapping };
+};
+
+// Statement entries from the rows below the header, in date order. Rows
+// without a valid date (totals, notes) are skipped.
+export const parseStatement = (rows, headerIndex, mapping) => {
+  const cellAt = (row, field) => (mapping[field] >= 0 ? row[mapping[field]] : undefined);
+  return rows.slice(headerIndex + 1)
+    .map((row) => {
+      const date = parseStatementDate(cellAt(row, 'date'));
+      if (!date) return null;
+      return {
+        date,
+        monthValue: date.slice(0, 7),
+        description: String(cellAt(row, 'description') ?? '').trim(),
+        paid: parseAmount(cellAt(row, 'paid')),
+        debit: parseAmount(cellAt(row, 'debit')),
+        principal: parseAmount(cellAt(row, 'principal')),
+        interest: parseAmount(cellAt(row, 'interest')),
+        balance: parseAmount(cellAt(row, 'balance')),
+        rate: parseRate(cellAt(row, 'rate')),
+      };
+    })
+    .filter(Boolean)
+    // Stable, so rows on the same day keep the statement's order
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Reads a CSV or XLSX file into rows of cells. The spreadsheet reader is
+// loaded on demand, like the writer in export.js.
+export const readStatementFile = async (file) => {
+  if (/\.xlsx$/i.test(file.name)) {
+    const { readSheet } = await import('read-excel-file/browser');
+    return readSheet(file);
+  }
+  if (/\.xls$/i.test(file.name)) {
+    throw new Error('Old .xls files can\'t be read. Save the statement as .xlsx or .csv first.');
+  }
+  return parseCsv(await file.text());
+};
+
+// --- Reconciliation ---
+
+const sum = (values) => values.reduce((acc, value) => acc + value, 0);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const toRateStep = (rate) => Math.round(Math.round(rate / RATE_STEP) * RATE_STEP * 100) / 100;
+
+// The regular instalment: the most common payment on the statement
+const typicalInstalment = (entries) => {
+  const counts = new Map();
+  entries.forEach((entry) => {
+    if (entry.paid > 0) counts.set(Math.round(entry.paid), (counts.get(Math.round(entry.paid)) || 0) + 1);
+  });
+  let best = 0;
+  let bestCount = 0;
+  counts.forEach((count, amount) => {
+    if (count > bestCount) {
+      best = amount;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+// Month-by-month history in loan months (month 1 = first EMI; anything
+// earlier is broken-period or pre-EMI interest). Interest and principal come
+// from the statement when it splits them, otherwise from the balance
+// movement: interest = closing - opening - disbursed + paid.
+export const buildHistory = (entries, startMonth) => {
+  const instalment = typicalInstalment(entries);
+  const isPartPayment = (entry) => entry.paid > 0 && (
+    PART_PAYMENT_PATTERN.test(entry.description) || (instalment > 0 && entry.paid > instalment * 1.5)
+  );
+
+  const groups = [];
+  entries.forEach((entry) => {
+    const last = groups[groups.length - 1];
+    if (last && last.monthValue === entry.monthValue) last.entries.push(entry);
+    else groups.push({ monthValue: entry.monthValue, entries: [entry] });
+  });
+
+  const history = [];
+  let previousClosing = null;
+  groups.forEach(({ monthValue, entries: rows }) => {
+    const values = (field) => rows.map((row) => row[field]).filter((value) => value !== null);
+    const paid = sum(values('paid'));
+    const prepayment = sum(rows.filter(isPartPayment).map((row) => row.paid));
+    const disbursed = sum(rows.filter((row) => row.debit > 0 && DISBURSEMENT_PATTERN.test(row.description)).map((row) => row.debit));
+    const balances = values('balance');
+    const closingBalance = balances.length > 0 ? balances[balances.length - 1] : null;
+    const statedInterest = values('interest').length > 0 ? sum(values('interest')) : null;
+    const statedPrincipal = values('principal').length > 0 ? sum(values('principal')) : null;
+
+    let openingBalance = previousClosing;
+    if (openingBalance === null && closingBalance !== null) {
+      // First month: a statement that opens with the disbursement starts from
+      // nothing; otherwise work back from what it says was repaid
+      if (history.length === 0 && disbursed > 0) openingBalance = 0;
+      else if (statedPrincipal !== null) openingBalance = closingBalance - disbursed + statedPrincipal + prepayment;
+      else if (statedInterest !== null) openingBalance = closingBalance - disbursed - statedInterest + paid;
+    }
+    const interest = statedInterest ?? (openingBalance !== null && closingBalance !== null
+      ? Math.max(0, closingBalance - openingBalance - disbursed + paid)
+      : null);
+    const rates = values('rate');
+    const loanMonth = loanMonthForDate(startMonth, monthValue);
+
+    history.push({
+      loanMonth,
+      monthValue,
+      brokenPeriod: loanMonth < 1,
+      openingBalance,
+      disbursed,
+      paid,
+      emiPaid: paid - prepayment,
+      prepayment,
+      interest,
+      closingBalance,
+      statedRate: rates.length > 0 ? rates[rates.length - 1] : null,
+      impliedRate: interest !== null && openingBalance > CLOSE_TOLERANCE ? (interest / openingBalance) * 1200 : null,
+    });
+    if (closingBalance !== null) previousClosing = closingBalance;
+  });
+
+  return { instalment, months: history };
+};
+
+// Effective rate over the history: a stated rate column is taken as it is;
+// otherwise the rate implied by the interest charged, which only counts as
+// a change once it holds for CONFIRM_MONTHS (so a single 31-day month or a
+// broken period doesn't look like a reset). Each change records whether the
+// bank then kept the EMI or reset it.
+export const inferRateChanges = ({ months }) => {
+  const points = months
+    .filter((row) => !row.brokenPeriod && (row.statedRate ?? row.impliedRate) !== null)
+    .map((row) => ({ row, rate: row.statedRate ?? row.impliedRate, stated: row.statedRate !== null }));
+  if (points.length === 0) return { startRate: null, changes: [], rateByMonth: new Map() };
+
+  const levelAt = (i) => (points[i].stated
+    ? points[i].rate
+    : toRateStep(median(points.slice(i, i + CONFIRM_MONTHS).map((point) => point.rate))));
+
+  // A stated rate is exact, so any move counts
+  const moved = (rate, i) => Math.abs(rate - current) >= (points[i].stated ? RATE_STEP / 2 : RATE_TOLERANCE);
+
+  let current = levelAt(0);
+  const startRate = current;
+  const changes = [];
+  const rateByMonth = new Map();
+  points.forEach((point, i) => {
+    const level = levelAt(i);
+    if (moved(level, i) && moved(point.rate, i)) {
+      current = level;
+      const before = points[i - 1].row.emiPaid;
+      const after = median(points.slice(i + 1, i + 1 + CONFIRM_MONTHS).map((item) => item.row.emiPaid).concat(point.row.emiPaid));
+      changes.push({
+        month: point.row.loanMonth,
+        monthValue: point.row.monthValue,
+        rate: current,
+        mode: Math.abs(after - before) > Math.max(1, before * 0.01) ? RATE_CHANGE_MODES.KEEP_TENURE : RATE_CHANGE_MODES.KEEP_EMI,
+      });
+    }
+    rateByMonth.set(point.row.loanMonth, current);
+  });
+
+  return { startRate, changes, rateByMonth };
+};
+
+// Lines the history up against the projected schedule (`projected` is the
+// calculator's month rows). Every month gets both balances; the months where
+// the gap moved, or something the projection doesn't know about happened,
+// are listed as departures with the likely reasons.
+export const reconcileStatement = (history, projected, rates = inferRateChanges(history)) => {
+  const comparison = [];
+  const departures = [];
+  let previousDifference = 0;
+  let previousRateGap = 0;
+  const earlyInterest = sum(history.months.filter((row) => row.brokenPeriod && row.interest !== null).map((row) => row.interest));
+
+  history.months.forEach((row, index) => {
+    if (row.brokenPeriod || row.closingBalance === null) return;
+    const expected = projected[row.loanMonth - 1];
+    const projectedBalance = expected ? expected.closingBalance : 0;
+    const difference = row.closingBalance - projectedBalance;
+    comparison.push({ loanMonth: row.loanMonth, monthValue: row.monthValue, projectedBalance, actualBalance: row.closingBalance, difference });
+
+    const reasons = [];
+    const firstMonth = index === 0 || history.months[index - 1].brokenPeriod;
+    if (firstMonth && (earlyInterest > 0 || (row.loanMonth === 1 && expected && row.interest > expected.interest * 1.1))) {
+      reasons.push(DEPARTURE_REASONS.BROKEN_PERIOD);
+    }
+    // A rate gap is only flagged where it opens or changes, not every month it lasts
+    const rate = rates.rateByMonth.get(row.loanMonth);
+    const rateGap = expected && rate !== undefined && Math.abs(rate - expected.rate) >= RATE_TOLERANCE ? rate - expected.rate : 0;
+    if (rateGap !== previousRateGap) reasons.push(DEPARTURE_REASONS.RATE);
+    if (Math.abs(row.prepayment - (expected ? expected.prepayment : 0)) > DRIFT_TOLERANCE) reasons.push(DEPARTURE_REASONS.PREPAYMENT);
+    if (expected && Math.abs(row.emiPaid - expected.emi) > DRIFT_TOLERANCE) reasons.push(DEPARTURE_REASONS.EMI);
+
+    const drift = difference - previousDifference;
+    const driftTolerance = Math.max(DRIFT_TOLERANCE, expected ? expected.interest * 0.1 : 0);
+    if (reasons.length === 0 && Math.abs(drift) > driftTolerance) reasons.push(DEPARTURE_REASONS.OTHER);
+    if (reasons.length > 0) {
+      departures.push({ loanMonth: row.loanMonth, monthValue: row.monthValue, projectedBalance, actualBalance: row.closingBalance, difference, drift, reasons });
+    }
+    previousDifference = difference;
+    previousRateGap = rateGap;
+  });
+
+  return { comparison, departures, earlyInterest, latestDifference: comparison.length > 0 ? comparison[comparison.length - 1].difference : 0 };
+};
+
+// The rest of the loan from the last balance on the statement, at the
+// current effective rate, with the EMI the bank is collecting now. Compared
+// with where the projection expected the loan to go from the same month.
+export const projectFromStatement = (history, projected, rates = inferRateChanges(history)) => {
+  const known = history.months.filter((row) => !row.brokenPeriod && row.closingBalance !== null);
+  if (known.length === 0) return null;
+
+  const last = known[known.length - 1];
+  const rate = rates.rateByMonth.get(last.loanMonth) ?? rates.startRate ?? (projected[last.loanMonth - 1]?.rate || 0);
+  const recent = known.slice(-CONFIRM_MONTHS).map((row) => row.emiPaid).filter((amount) => amount > 0);
+  const emi = recent.length > 0 ? median(recent) : history.instalment;
+
+  const planned = projected.slice(last.loanMonth);
+  const plannedMonths = planned.length;
+  const plannedInterest = sum(planned.map((row) => row.interest));
+  const base = {
+    fromMonth: last.loanMonth,
+    monthValue: last.monthValue,
+    balance: last.closingBalance,
+    rate,
+    plannedBalance: projected[last.loanMonth - 1]?.closingBalance ?? 0,
+    plannedClosureMonth: last.loanMonth + plannedMonths,
+    plannedInterest,
+  };
+  if (last.closingBalance <= CLOSE_TOLERANCE) {
+    return { ...base, emi: 0, remainingMonths: 0, closureMonth: last.loanMonth, totalInterest: 0, months: [] };
+  }
+
+  // The bank keeps collecting the same EMI. If it no longer covers the
+  // interest, the EMI is reset to close on the planned end instead.
+  const byEmi = emi > 0 ? monthsToRepay(last.closingBalance, rate, emi) : Infinity;
+  const remainingMonths = Number.isFinite(byEmi) ? byEmi : Math.max(1, plannedMonths);
+  const inputs = { loanAmount: last.closingBalance, interestRate: rate, tenureYears: 0, tenureMonths: remainingMonths };
+  // Over whole months the engine's EMI comes out a little below the bank's;
+  // the difference goes in as a monthly prepayment so each month pays the real EMI
+  const engineEmi = calculateEmi(last.closingBalance, rate, remainingMonths);
+  const schedule = computeSchedule(Number.isFinite(byEmi) ? { ...inputs, monthlyPrepayment: Math.max(0, emi - engineEmi) } : inputs);
+
+  return {
+    ...base,
+    emi: Number.isFinite(byEmi) ? emi : schedule.emi,
+    remainingMonths: schedule.prepayMonths,
+    closureMonth: last.loanMonth + schedule.prepayMonths,
+    totalInterest: schedule.prepayTotalInterest,
+    // In loan months, carrying on from the statement
+    months: schedule.months.map((row) => ({ ...row, month: last.loanMonth + row.month })),
+  };
+};
+
+// Everything at once for parsed statement entries. `rateChanges` and
+// `lumpSums` are what the statement says in the calculator's terms: the rate
+// the statement opens on (when it isn't the loan's starting rate), every
+// inferred reset, and the part-payments.
+export const analyseStatement = (entries, startMonth, projected) => {
+  const history = buildHistory(entries, startMonth);
+  const rates = inferRateChanges(history);
+  const startingRate = projected.length > 0 ? projected[0].rate : null;
+  const firstRated = history.months.find((row) => rates.rateByMonth.has(row.loanMonth));
+  const opensOnNewRate = firstRated && firstRated.loanMonth >= 2 && startingRate !== null
+    && Math.abs(rates.startRate - startingRate) >= RATE_TOLERANCE;
+
+  return {
+    history,
+    rates,
+    // Last loan month the statement covers
+    throughMonth: history.months.length > 0 ? history.months[history.months.length - 1].loanMonth : 0,
+    reconciliation: reconcileStatement(history, projected, rates),
+    projection: projectFromStatement(history, projected, rates),
+    rateChanges: [
+      ...(opensOnNewRate ? [{ month: firstRated.loanMonth, rate: rates.startRate, mode: RATE_CHANGE_MODES.KEEP_EMI }] : []),
+      ...rates.changes.filter((change) => change.month >= 2).map(({ month, rate, mode }) => ({ month, rate, mode })),
+    ],
+    // Lump sums are entered by loan year and month within it
+    lumpSums: history.months
+      .filter((row) => row.prepayment > 0 && row.loanMonth >= 1)
+      .map((row) => ({
+        year: Math.ceil(row.loanMonth / 12),
+        month: ((row.loanMonth - 1) % 12) + 1,
+        amount: Math.round(row.prepayment),
+      })),
+  };
+};
+
+// The calculator's rate revisions and lump sums with a statement's folded in.
+// Up to `throughMonth` the statement is what happened, so it replaces what was
+// entered for those months; plans for later months are kept.
+export const mergeStatementPlan = (current, imported, throughMonth) => {
+  const lumpSumMonth = (lumpSum) => (Number(lumpSum.year) - 1) * 12 + Number(lumpSum.month);
+  return {
+    rateChanges: [
+      ...imported.rateChanges,
+      ...current.rateChanges.filter((change) => Number(change.month) > throughMonth),
+    ].sort((a, b) => a.month - b.month),
+    lumpSums: [
+      ...imported.lumpSums,
+      ...current.lumpSums.filter((lumpSum) => lumpSumMonth(lumpSum) > throughMonth),
+    ].sort((a, b) => lumpSumMonth(a) - lumpSumMonth(b)),
+  };
+};
@@ -0,0 +1,190 @@
+import { describe, it, expect } from 'vitest';
+import { computeSchedule, RATE_CHANGE_MODES } from './amortization';
+import { monthValueForLoanMonth } from './calendar';
+import {
+  parseCsv, parseAmount, parseRate, parseStatementDate, detectStatement, matchColumns, parseStatement, analyseStatement, mergeStatementPlan,
+  DEPARTURE_REASONS,
+} from './statement';
+
+const startMonth = '2024-04';
+const loan = { loanAmount: 5000000, interestRate: 8.5, tenureYears: 20 };
+const projected = computeSchedule(loan).months;
+
+// What the bank actually did: 9% from month 13 with the EMI kept, and a
+// part-payment in month 20
+const actual = computeSchedule({
+  ...loan,
+  rateChanges: [{ month: 13, rate: 9, mode: RATE_CHANGE_MODES.KEEP_EMI }],
+  lumpSums: [{ year: 2, month: 8, amount: 200000 }],
+});
+const STATEMENT_MONTHS = 30;
+
+const dateFor = (month) => {
+  const [year, monthOfYear] = monthValueForLoanMonth(startMonth, month).split('-');
+  return `05/${monthOfYear}/${year}`;
+};
+const amount = (value) => value.toFixed(2);
+
+// HDFC-style: one row per instalment with the split and the rate, part-payments on their own row
+const hdfcCsv = () => {
+  const lines = ['HOME LOAN REPAYMENT SCHEDULE', 'Loan Account No,123456789', '',
+    'Date,Particulars,Instalment Amount,Principal,Interest,Outstanding Principal,ROI (%)'];
+  actual.months.slice(0, STATEMENT_MONTHS).forEach((row) => {
+    lines.push([dateFor(row.month), 'EMI', amount(row.emi), amount(row.principal), amount(row.interest),
+      amount(row.closingBalance + row.lumpSum), row.rate].join(','));
+    if (row.lumpSum > 0) {
+      lines.push([dateFor(row.month), 'Part Payment', amount(row.lumpSum), amount(row.lumpSum), '0.00', amount(row.closingBalance), row.rate].join(','));
+    }
+  });
+  return lines.join('\r\n');
+};
+
+// SBI-style: a running account with debits, credits and the balance only
+const sbiCsv = () => {
+  const brokenPeriodInterest = 11644;
+  const lines = ['Txn Date,Description,Debit,Credit,Balance',
+    '20-Mar-2024,LOAN DISBURSEMENT,"50,00,000.00",,"50,00,000.00 Dr"',
+    `31-Mar-2024,INTEREST,${brokenPeriodInterest}.00,,"50,11,644.00 Dr"`,
+    `31-Mar-2024,BPI RECOVERED,,${brokenPeriodInterest}.00,"50,00,000.00 Dr"`];
+  actual.months.slice(0, STATEMENT_MONTHS).forEach((row) => {
+    lines.push(`${dateFor(row.month)},EMI RECOVERED,,${amount(row.emi)},${amount(row.closingBalance + row.lumpSum)}`);
+    if (row.lumpSum > 0) lines.push(`${dateFor(row.month)},PART PAYMENT,,${amount(row.lumpSum)},${amount(row.closingBalance)}`);
+  });
+  return lines.join('\n');
+};
+
+const analyse = (csv) => {
+  const rows = parseCsv(csv);
+  const detected = detectStatement(rows);
+  return { detected, ...analyseStatement(parseStatement(rows, detected.headerIndex, detected.mapping), startMonth, projected) };
+};
+
+describe('statement parsing', () => {
+  it('reads quoted CSV cells and other delimiters', () => {
+    expect(parseCsv('a,"b, c","say ""hi"""\r\n1,2,3\n\n')).toEqual([['a', 'b, c', 'say "hi"'], ['1', '2', '3']]);
+    expect(parseCsv('Date;Balance\n01/04/2024;1.000')).toEqual([['Date', 'Balance'], ['01/04/2024', '1.000']]);
+  });
+
+  it('picks the delimiter from the table, not the account details above it', () => {
+    const csv = 'Loan Account Statement, Home Loan\nName: A, Kumar\nDate;Particulars;Amount;Balance\n'
+      + '05/04/2024;EMI;43,391;49,91,000.00\n05/05/2024;EMI;43,391;49,82,000.00\n';
+    const rows = parseCsv(csv);
+
+    expect(rows[2]).toEqual(['Date', 'Particulars', 'Amount', 'Balance']);
+    expect(rows[3]).toEqual(['05/04/2024', 'EMI', '43,391', '49,91,000.00']);
+    expect(parseCsv('Account\tHome Loan\nDate\tEMI\tBalance\n01/04/2024\t1,000\t5,000')[1]).toEqual(['Date', 'EMI', 'Balance']);
+  });
+
+  it('reads amounts and dates the way statements write them', () => {
+    expect(parseAmount('1,23,456.50')).toBe(123456.5);
+    expect(parseAmount('₹ 25,000 Cr')).toBe(25000);
+    expect(parseAmount('50,00,000.00 Dr')).toBe(5000000);
+    expect(parseAmount('')).toBeNull();
+    expect(parseAmount('n/a')).toBeNull();
+
+    expect(parseRate('8.50%')).toBe(8.5);
+    expect(parseRate('8.50 % p.a.')).toBe(8.5);
+    expect(parseRate('9.15')).toBe(9.15);
+    expect(parseRate('')).toBeNull();
+
+    expect(parseStatementDate('05/04/2024')).toBe('2024-04-05');
+    expect(parseStatementDate('5-4-24')).toBe('2024-04-05');
+    expect(parseStatementDate('20-Mar-2024')).toBe('2024-03-20');
+    expect(parseStatementDate('07 Sept 2024')).toBe('2024-09-07');
+    expect(parseStatementDate('2024-04-05')).toBe('2024-04-05');
+    expect(parseStatementDate(45387)).toBe('2024-04-05');
+    expect(parseStatementDate(new Date(Date.UTC(2024, 3, 5)))).toBe('2024-04-05');
+    expect(parseStatementDate('31/02/2024')).toBeNull();
+    expect(parseStatementDate('Total')).toBeNull();
+  });
+
+  it('finds the header row below the account details and picks the bank preset', () => {
+    const hdfc = detectStatement(parseCsv(hdfcCsv()));
+    expect(hdfc.presetKey).toBe('hdfc');
+    expect(hdfc.headerIndex).toBe(2);
+    expect(hdfc.mapping).toMatchObject({ date: 0, description: 1, paid: 2, principal: 3, interest: 4, balance: 5, rate: 6 });
+
+    const sbi = detectStatement(parseCsv(sbiCsv()));
+    expect(sbi.presetKey).toBe('sbi');
+    expect(sbi.mapping).toMatchObject({ date: 0, description: 1, debit: 2, paid: 3, balance: 4, principal: -1 });
+
+    expect(detectStatement([['Name', 'Amount']])).toBeNull();
+    expect(matchColumns(['Txn Date', 'Credit', 'Balance'], 'generic')).toMatchObject({ date: 0, paid: 1, balance: 2 });
+  });
+});
+
+describe('analyseStatement', () => {
+  it('reads a percent-formatted spreadsheet rate as a percentage', () => {
+    expect(parseRate(0.085)).toBe(8.5);
+    expect(parseRate(0.0915)).toBe(9.15);
+
+    const csvRows = parseCsv(hdfcCsv());
+    const { headerIndex, mapping } = detectStatement(csvRows);
+    const rows = csvRows.map((row, index) => (index > headerIndex ? [...row.slice(0, 6), Number(row[6]) / 100] : row));
+    expect(parseStatement(rows, headerIndex, mapping)[0].rate).toBe(8.5);
+  });
+
+  it('rebuilds the history from a statement with the split and the rate', () => {
+    const { history, rates, rateChanges, lumpSums } = analyse(hdfcCsv());
+
+    expect(history.months).toHaveLength(STATEMENT_MONTHS);
+    expect(history.instalment).toBe(actual.emi);
+    expect(history.months[19].prepayment).toBeCloseTo(200000, 2);
+    expect(history.months[29].closingBalance).toBeCloseTo(actual.months[29].closingBalance, 2);
+    expect(rates.startRate).toBe(8.5);
+    expect(rateChanges).toEqual([{ month: 13, rate: 9, mode: RATE_CHANGE_MODES.KEEP_EMI }]);
+    expect(lumpSums).toEqual([{ year: 2, month: 8, amount: 200000 }]);
+  });
+
+  it('infers the rate from the interest when the statement only has balances', () => {
+    const { history, rateChanges, lumpSums } = analyse(sbiCsv());
+
+    expect(history.months[0]).toMatchObject({ brokenPeriod: true, disbursed: 5000000, interest: 11644 });
+    expect(history.months[1].impliedRate).toBeCloseTo(8.5, 4);
+    expect(rateChanges).toEqual([{ month: 13, rate: 9, mode: RATE_CHANGE_MODES.KEEP_EMI }]);
+    expect(lumpSums).toEqual([{ year: 2, month: 8, amount: 200000 }]);
+  });
+
+  it('flags where the bank departs from the projection and why', () => {
+    const { reconciliation } = analyse(sbiCsv());
+    const reasonsIn = (month) => reconciliation.departures.find((departure) => departure.loanMonth === month)?.reasons;
+
+    expect(reasonsIn(1)).toEqual([DEPARTURE_REASONS.BROKEN_PERIOD]);
+    expect(reasonsIn(13)).toEqual([DEPARTURE_REASONS.RATE]);
+    expect(reasonsIn(20)).toEqual([DEPARTURE_REASONS.PREPAYMENT]);
+    // The gap while the higher rate lasts is not listed month after month
+    expect(reasonsIn(14)).toBeUndefined();
+    expect(reconciliation.comparison[0].difference).toBeCloseTo(0, 2);
+    expect(reconciliation.latestDifference).toBeCloseTo(actual.months[29].closingBalance - projected[29].closingBalance, 2);
+  });
+
+  it('projects the rest of the loan from the real balance', () => {
+    const { projection } = analyse(hdfcCsv());
+
+    expect(projection.fromMonth).toBe(30);
+    expect(projection.balance).toBeCloseTo(actual.months[29].closingBalance, 2);
+    expect(projection.rate).toBe(9);
+    expect(projection.closureMonth).toBe(actual.prepayMonths);
+    expect(projection.plannedClosureMonth).toBe(240);
+    expect(projection.months[0].month).toBe(31);
+    expect(projection.emi).toBe(actual.emi);
+    expect(projection.totalInterest).toBeCloseTo(actual.months.slice(30).reduce((acc, row) => acc + row.interest, 0), -1);
+  });
+});
+
+describe('mergeStatementPlan', () => {
+  it('replaces entries the statement covers and keeps later plans', () => {
+    const current = {
+      rateChanges: [{ id: 1, month: 10, rate: 9.5 }, { id: 2, month: 40, rate: 8 }],
+      lumpSums: [{ id: 3, year: 1, month: 6, amount: 50000 }, { id: 4, year: 5, month: 1, amount: 200000 }],
+    };
+    const imported = {
+      rateChanges: [{ id: 5, month: 13, rate: 9 }],
+      lumpSums: [{ id: 6, year: 2, month: 3, amount: 100000 }],
+    };
+    const merged = mergeStatementPlan(current, imported, 24);
+
+    expect(merged.rateChanges.map((change) => change.id)).toEqual([5, 2]);
+    expect(merged.lumpSums.map((lumpSum) => lumpSum.id)).toEqual([6, 4]);
+  });
+});
@@ -0,0 +1,209 @@
+// --- Rate Stress Test ---
+// A floating loan's rate follows the RBI repo rate: the bank's spread stays
+// fixed and the new rate is passed on at each quarterly reset. Repo paths are
+// either simulated (mean-reverting around a long-run rate, Vasicek style, in
+// 25 bps moves) or taken from named scenarios, and each path is run through
+// computeSchedule.
+//
+// On a hike the bank keeps the EMI and extends the tenure first; once the loan
+// would run past the age limit (or the product's longest tenure) the EMI goes
+// up instead. The simulation is seeded, so the same inputs always give the
+// same paths.
+
+import { computeSchedule, normalizeInputs, RATE_CHANGE_MODES } from './amortization';
+
+export const DEFAULT_STRESS_TEST = {
+  currentRepo: 5.5,
+  longRunRepo: 6, // Where the repo rate drifts back to
+  volatility: 1, // Yearly standard deviation of the repo rate, in % points
+  meanReversion: 0.3, // Share of the gap to the long-run rate closed each year
+  paths: 200,
+  seed: 2024,
+  age: 30, // Borrower's age today
+  maxAge: 60, // Age by which the loan must be repaid
+};
+
+// Banks pass a repo change on at the next quarterly reset
+export const RESET_MONTHS = 3;
+
+// Percentiles reported for every measure
+export const PERCENTILES = [5, 25, 50, 75, 95];
+
+// Named repo paths: [loan month the move happens in, change in bps]
+export const STRESS_SCENARIOS = {
+  hiking2022: {
+    label: '2022 hiking cycle',
+    description: 'Repo up 250 bps over ten months (May 2022 to Feb 2023), then held',
+    moves: [[2, 40], [3, 50], [5, 50], [7, 50], [9, 35], [11, 25]],
+  },
+  shock250: {
+    label: '+250 bps shock',
+    description: 'Repo up 250 bps at once and held for the rest of the loan',
+    moves: [[2, 250]],
+  },
+  easing2019: {
+    label: '2019-20 easing cycle',
+    description: 'Repo down 250 bps over sixteen months (Feb 2019 to May 2020), then held',
+    moves: [[2, -25], [4, -25], [6, -25], [8, -35], [10, -25], [15, -75], [17, -40]],
+  },
+};
+
+const toNumber = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : 0;
+};
+
+// Seeded uniform numbers in [0, 1) (mulberry32)
+export const createRng = (seed) => {
+  let state = Math.round(Number(seed) || 0) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal draws from a uniform source (Box-Muller)
+const normalFrom = (rng) => () => {
+  const u = 1 - rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+};
+
+// Policy rates move in steps of 25 bps and don't go below zero
+const toPolicyRate = (rate) => Math.max(0, Math.round(rate * 4) / 4);
+
+// `count` simulated repo paths of `months` monthly rates (index 0 = month 1,
+// always the current repo). The underlying rate evolves smoothly; the repo
+// is that rate rounded to 25 bps.
+export const simulateRepoPaths = ({
+  currentRepo, longRunRepo, volatility, meanReversion, paths: count, seed,
+}, months) => {
+  const normal = normalFrom(createRng(seed));
+  const dt = 1 / 12;
+  const drift = Math.min(1, toNumber(meanReversion) * dt);
+  const shock = toNumber(volatility) * Math.sqrt(dt);
+  const start = toNumber(currentRepo);
+  const target = toNumber(longRunRepo);
+
+  return Array.from({ length: Math.max(0, Math.round(toNumber(count))) }, () => {
+    let rate = start;
+    const path = [start];
+    for (let month = 2; month <= months; month++) {
+      rate += drift * (target - rate) + shock * normal();
+      path.push(toPolicyRate(rate));
+    }
+    return path;
+  });
+};
+
+// Repo path of a named scenario over `months` (moves as they happened, not
+// rounded to 25 bps)
+export const scenarioRepoPath = (scenario, currentRepo, months) => {
+  const path = [];
+  let rate = toNumber(currentRepo);
+  for (let month = 1; month <= months; month++) {
+    scenario.moves.forEach(([moveMonth, bps]) => {
+      if (moveMonth === month) rate = Math.max(0, Math.round((rate + bps / 100) * 100) / 100);
+    });
+    path.push(rate);
+  }
+  return path;
+};
+
+// Loan rate revisions for a repo path: at each reset the loan moves by
+// however much the repo has moved since the loan started (EMI kept, tenure
+// extended first)
+export const rateChangesForRepoPath = (repoPath, loanRate, currentRepo) => {
+  const changes = [];
+  let rate = loanRate;
+  for (let month = 1 + RESET_MONTHS; month <= repoPath.length; month += RESET_MONTHS) {
+    const next = Math.max(0, Math.round((loanRate + repoPath[month - 1] - currentRepo) * 100) / 100);
+    if (next !== rate) {
+      changes.push({ month, rate: next, mode: RATE_CHANGE_MODES.KEEP_EMI });
+      rate = next;
+    }
+  }
+  return changes;
+};
+
+// Value at percentile `p` (0-100) of `values`, interpolating between ranks
+export const percentile = (values, p) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+const percentilesOf = (values) => Object.fromEntries(PERCENTILES.map((p) => [`p${p}`, percentile(values, p)]));
+
+// What one rate path does to the loan
+const outcome = (schedule) => ({
+  maxEmi: schedule.months.reduce((acc, row) => Math.max(acc, row.emi), 0),
+  totalInterest: schedule.prepayTotalInterest,
+  closureMonth: schedule.prepayMonths,
+  emiRaised: schedule.revisions.some((revision) => revision.emi > revision.previousEmi),
+  truncated: schedule.truncated,
+  schedule,
+});
+
+// Runs the calculator inputs through the simulated paths and the named
+// scenarios. Any rate revisions in `inputs` are replaced by each path.
+// `maxTenureYears` is the product's longest tenure; the age limit can only
+// shorten it, and never below the tenure the loan starts on.
+export const runStressTest = (inputs, options = {}, maxTenureYears = 30) => {
+  const o = { ...DEFAULT_STRESS_TEST, ...options };
+  const { annualRate, totalMonths } = normalizeInputs(inputs);
+  const currentRepo = toNumber(o.currentRepo);
+  const yearsToAgeLimit = Math.max(0, toNumber(o.maxAge) - toNumber(o.age));
+  const maxTenureMonths = Math.max(totalMonths, Math.floor(Math.min(yearsToAgeLimit, toNumber(maxTenureYears)) * 12));
+
+  // Paths cover the longest the loan could run, including any pre-EMI or
+  // moratorium months before the tenure starts
+  const baseline = outcome(computeSchedule({ ...inputs, rateChanges: [], maxTenureMonths }));
+  const monthsBeforeTenure = Math.max(0, baseline.schedule.regularMonths - totalMonths);
+  const horizon = monthsBeforeTenure + maxTenureMonths;
+  const run = (repoPath) => outcome(computeSchedule({
+    ...inputs,
+    rateChanges: rateChangesForRepoPath(repoPath, annualRate, currentRepo),
+    maxTenureMonths,
+  }));
+
+  const simulated = simulateRepoPaths({ ...o, currentRepo }, horizon).map(run);
+  const scenarios = Object.entries(STRESS_SCENARIOS).map(([key, scenario]) => ({
+    key,
+    label: scenario.label,
+    description: scenario.description,
+    ...run(scenarioRepoPath(scenario, currentRepo, horizon)),
+  }));
+
+  // Outstanding balance and EMI at the end of each loan year, across paths
+  const years = Math.ceil(Math.max(...simulated.map((path) => path.closureMonth), baseline.closureMonth) / 12);
+  const bands = Array.from({ length: years }, (_, index) => {
+    const month = (index + 1) * 12;
+    // Loans that have closed by then owe nothing and are left out of the EMI band
+    const rows = simulated.map((path) => path.schedule.months[month - 1]).filter(Boolean);
+    return {
+      year: index + 1,
+      balance: percentilesOf([...rows.map((row) => row.closingBalance), ...Array(simulated.length - rows.length).fill(0)]),
+      emi: percentilesOf(rows.map((row) => row.emi)),
+      stillOpen: rows.length / Math.max(1, simulated.length),
+    };
+  });
+
+  return {
+    paths: simulated.length,
+    maxTenureMonths,
+    baseline,
+    maxEmi: percentilesOf(simulated.map((path) => path.maxEmi)),
+    totalInterest: percentilesOf(simulated.map((path) => path.totalInterest)),
+    closureMonth: percentilesOf(simulated.map((path) => path.closureMonth)),
+    emiRaisedShare: simulated.filter((path) => path.emiRaised).length / Math.max(1, simulated.length),
+    truncated: simulated.some((path) => path.truncated),
+    bands,
+    scenarios,
+  };
+};
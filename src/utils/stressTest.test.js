@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import { computeSchedule, RATE_CHANGE_MODES } from './amortization';
+import {
+  createRng, simulateRepoPaths, scenarioRepoPath, rateChangesForRepoPath, percentile, runStressTest,
+  DEFAULT_STRESS_TEST, STRESS_SCENARIOS,
+} from './stressTest';
+
+const loan = { loanAmount: 5000000, interestRate: 8.5, tenureYears: 20 };
+const quick = { ...DEFAULT_STRESS_TEST, paths: 40 };
+
+describe('simulateRepoPaths', () => {
+  it('gives the same paths for the same seed', () => {
+    const first = createRng(7);
+    const second = createRng(7);
+    const draws = Array.from({ length: 5 }, () => first());
+
+    expect(draws).toEqual(Array.from({ length: 5 }, () => second()));
+    draws.forEach((draw) => expect(draw).toBeGreaterThanOrEqual(0));
+    expect(simulateRepoPaths(quick, 120)).toEqual(simulateRepoPaths(quick, 120));
+    expect(simulateRepoPaths(quick, 120)).not.toEqual(simulateRepoPaths({ ...quick, seed: 1 }, 120));
+  });
+
+  it('starts from the current repo and moves in 25 bps steps', () => {
+    const paths = simulateRepoPaths(quick, 60);
+
+    expect(paths).toHaveLength(40);
+    paths.forEach((path) => {
+      expect(path).toHaveLength(60);
+      expect(path[0]).toBe(5.5);
+      path.forEach((rate) => expect((rate * 4) % 1).toBe(0));
+    });
+  });
+
+  it('stays put without volatility when the repo is at its long-run level', () => {
+    const paths = simulateRepoPaths({ ...quick, volatility: 0, longRunRepo: 5.5 }, 24);
+    paths.forEach((path) => expect(new Set(path)).toEqual(new Set([5.5])));
+  });
+});
+
+describe('rateChangesForRepoPath', () => {
+  it('passes repo moves on at quarterly resets with the spread kept', () => {
+    const repo = scenarioRepoPath(STRESS_SCENARIOS.hiking2022, 5.5, 24);
+
+    expect(repo.slice(0, 3)).toEqual([5.5, 5.9, 6.4]);
+    expect(rateChangesForRepoPath(repo, 8.5, 5.5)).toEqual([
+      { month: 4, rate: 9.4, mode: RATE_CHANGE_MODES.KEEP_EMI },
+      { month: 7, rate: 10.4, mode: RATE_CHANGE_MODES.KEEP_EMI },
+      { month: 10, rate: 10.75, mode: RATE_CHANGE_MODES.KEEP_EMI },
+      { month: 13, rate: 11, mode: RATE_CHANGE_MODES.KEEP_EMI },
+    ]);
+  });
+});
+
+describe('percentile', () => {
+  it('interpolates between ranks', () => {
+    expect(percentile([4, 1, 3, 2, 5], 50)).toBe(3);
+    expect(percentile([1, 2, 3, 4, 5], 25)).toBe(2);
+    expect(percentile([10, 20], 95)).toBe(19.5);
+    expect(percentile([], 50)).toBe(0);
+  });
+});
+
+describe('runStressTest', () => {
+  it('is deterministic for a seed', () => {
+    const first = runStressTest(loan, quick);
+    const second = runStressTest(loan, quick);
+
+    expect(second.totalInterest).toEqual(first.totalInterest);
+    expect(second.closureMonth).toEqual(first.closureMonth);
+    expect(runStressTest(loan, { ...quick, seed: 99 }).totalInterest).not.toEqual(first.totalInterest);
+  });
+
+  it('matches the plain schedule when rates never move', () => {
+    const result = runStressTest(loan, { ...quick, volatility: 0, longRunRepo: 5.5 });
+    const plain = computeSchedule(loan);
+
+    expect(result.totalInterest.p5).toBeCloseTo(plain.totalInterest, 4);
+    expect(result.totalInterest.p95).toBeCloseTo(plain.totalInterest, 4);
+    expect(result.closureMonth.p50).toBe(240);
+    expect(result.maxEmi.p95).toBe(plain.emi);
+    expect(result.emiRaisedShare).toBe(0);
+  });
+
+  it('orders the percentile bands', () => {
+    const { maxEmi, totalInterest, closureMonth, bands } = runStressTest(loan, quick);
+
+    [maxEmi, totalInterest, closureMonth].forEach((measure) => {
+      expect(measure.p5).toBeLessThanOrEqual(measure.p50);
+      expect(measure.p50).toBeLessThanOrEqual(measure.p95);
+    });
+    expect(bands[0].balance.p5).toBeLessThanOrEqual(bands[0].balance.p95);
+    expect(bands[0].stillOpen).toBe(1);
+  });
+
+  it('extends the tenure up to the age limit before raising the EMI', () => {
+    const roomy = runStressTest(loan, { ...quick, age: 30, maxAge: 60 });
+    const shock = roomy.scenarios.find((scenario) => scenario.key === 'shock250');
+
+    expect(roomy.maxTenureMonths).toBe(360);
+    expect(shock.closureMonth).toBe(360);
+    expect(shock.emiRaised).toBe(true);
+
+    // At 40 there is no tenure left to stretch, so the EMI rises straight away
+    const tight = runStressTest(loan, { ...quick, age: 40, maxAge: 60 });
+    const tightShock = tight.scenarios.find((scenario) => scenario.key === 'shock250');
+    expect(tight.maxTenureMonths).toBe(240);
+    expect(tightShock.closureMonth).toBe(240);
+    expect(tightShock.schedule.months[3].emi).toBeGreaterThan(computeSchedule(loan).emi);
+    expect(tightShock.maxEmi).toBeGreaterThan(shock.maxEmi);
+  });
+
+  it('shortens the loan in an easing cycle', () => {
+    const { scenarios } = runStressTest(loan, quick);
+    const easing = scenarios.find((scenario) => scenario.key === 'easing2019');
+
+    expect(easing.closureMonth).toBeLessThan(240);
+    expect(easing.emiRaised).toBe(false);
+  });
+});
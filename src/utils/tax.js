@@ -0,0 +1,372 @@
+// --- Income Tax Module ---
+// Slab-wise income tax under the Old and New regimes (FY 2025-26 rules for
+// resident individuals below 60) and the home loan deductions each allows:
+// 80C on principal, 24(b) on interest, the 1/5th pre-construction interest
+// rule and the different treatment of self-occupied vs let-out property.
+// Joint loans are modelled per co-owner: each claims their own limits on
+// their ownership share of the interest, principal and rent.
+// Education loans get 80E instead (all interest paid, for eight years, Old
+// regime only); car and personal loans get nothing.
+
+import { groupSchedule, SCHEDULE_PERIODS } from './calendar';
+import { LOAN_TYPES } from './loanTypes';
+
+export const REGIMES = {
+  OLD: 'old',
+  NEW: 'new',
+};
+
+export const REGIME_LABELS = {
+  [REGIMES.OLD]: 'Old Regime',
+  [REGIMES.NEW]: 'New Regime',
+};
+
+export const PROPERTY_TYPES = {
+  SELF_OCCUPIED: 'selfOccupied',
+  LET_OUT: 'letOut',
+};
+
+export const SECTION_80C_LIMIT = 150000;
+export const SELF_OCCUPIED_INTEREST_LIMIT = 200000; // 24(b)
+export const HOUSE_PROPERTY_LOSS_SETOFF_LIMIT = 200000; // Old regime, let-out
+export const PRE_CONSTRUCTION_INSTALMENTS = 5;
+export const MAX_BORROWERS = 4;
+export const SECTION_80E_YEARS = 8; // FY repayment starts in and the seven after
+const LET_OUT_STANDARD_DEDUCTION = 0.3; // 30% of net annual value, section 24(a)
+const CESS_RATE = 0.04;
+
+// [upper limit of the slab, rate]
+const REGIME_RULES = {
+  [REGIMES.OLD]: {
+    slabs: [[250000, 0], [500000, 0.05], [1000000, 0.2], [Infinity, 0.3]],
+    standardDeduction: 50000,
+    rebateIncomeLimit: 500000,
+    rebateMax: 12500,
+    rebateMarginalRelief: false,
+    // [income above which the rate applies, rate]
+    surcharge: [[5000000, 0.1], [10000000, 0.15], [20000000, 0.25], [50000000, 0.37]],
+  },
+  [REGIMES.NEW]: {
+    slabs: [
+      [400000, 0], [800000, 0.05], [1200000, 0.1], [1600000, 0.15],
+      [2000000, 0.2], [2400000, 0.25], [Infinity, 0.3],
+    ],
+    standardDeduction: 75000,
+    rebateIncomeLimit: 1200000,
+    rebateMax: 60000,
+    rebateMarginalRelief: true,
+    surcharge: [[5000000, 0.1], [10000000, 0.15], [20000000, 0.25]],
+  },
+};
+
+export const DEFAULT_TAX_PROFILE = {
+  annualIncome: 1500000,
+  regime: REGIMES.OLD,
+  other80C: 0, // PF, ELSS, life cover etc. sharing the 80C limit
+  propertyType: PROPERTY_TYPES.SELF_OCCUPIED,
+  annualRent: 0, // Let-out only
+  municipalTax: 0, // Let-out only
+  preConstructionInterest: 0, // Interest paid before possession
+  share: 1, // Fraction of the loan and property this person owns
+  loanType: LOAN_TYPES.HOME,
+};
+
+const toAmount = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : 0;
+};
+
+// Ownership fraction: a missing or non-numeric share means sole owner, but 0 stays 0
+const toShare = (value) => {
+  if (value === null || value === undefined || value === '' || !Number.isFinite(Number(value))) return 1;
+  return Math.min(1, toAmount(value));
+};
+
+// Fills defaults and coerces blank or invalid amounts (e.g. '' while typing) to 0
+export const normalizeTaxProfile = (profile = {}) => ({
+  annualIncome: toAmount(profile.annualIncome ?? DEFAULT_TAX_PROFILE.annualIncome),
+  regime: Object.values(REGIMES).includes(profile.regime) ? profile.regime : DEFAULT_TAX_PROFILE.regime,
+  other80C: toAmount(profile.other80C),
+  propertyType: Object.values(PROPERTY_TYPES).includes(profile.propertyType)
+    ? profile.propertyType
+    : DEFAULT_TAX_PROFILE.propertyType,
+  annualRent: toAmount(profile.annualRent),
+  municipalTax: toAmount(profile.municipalTax),
+  preConstructionInterest: toAmount(profile.preConstructionInterest),
+  share: toShare(profile.share),
+  loanType: Object.values(LOAN_TYPES).includes(profile.loanType) ? profile.loanType : DEFAULT_TAX_PROFILE.loanType,
+  name: profile.name || '',
+});
+
+// One profile per borrower from the calculator state: the property details are
+// shared, income/regime/80C are personal. Shares are percentages in the state
+// and are scaled to fractions of their total, so they always cover the loan.
+export const taxProfilesFromState = (state) => {
+  const borrowers = (state.borrowers || []).slice(0, MAX_BORROWERS);
+  const list = borrowers.length > 0 ? borrowers : [{}];
+  const totalShare = list.reduce((acc, borrower) => acc + toAmount(borrower.share), 0);
+
+  return list.map((borrower, index) => normalizeTaxProfile({
+    ...borrower,
+    name: borrower.name || `Borrower ${index + 1}`,
+    share: totalShare > 0 ? toAmount(borrower.share) / totalShare : 1 / list.length,
+    propertyType: state.propertyType,
+    annualRent: state.annualRent,
+    municipalTax: state.municipalTax,
+    preConstructionInterest: state.preConstructionInterest,
+    loanType: state.loanType,
+  }));
+};
+
+const slabTax = (income, slabs) => {
+  let tax = 0;
+  let lower = 0;
+  for (const [upper, rate] of slabs) {
+    if (income <= lower) break;
+    tax += (Math.min(income, upper) - lower) * rate;
+    lower = upper;
+  }
+  return tax;
+};
+
+const taxAfterRebate = (income, rules) => {
+  const tax = slabTax(income, rules.slabs);
+  if (income <= rules.rebateIncomeLimit) return Math.max(0, tax - rules.rebateMax);
+  // Marginal relief: tax can't exceed the income earned above the rebate limit
+  return rules.rebateMarginalRelief ? Math.min(tax, income - rules.rebateIncomeLimit) : tax;
+};
+
+// Tax plus surcharge, with marginal relief at each surcharge threshold
+const taxWithSurcharge = (income, rules) => {
+  const tax = taxAfterRebate(income, rules);
+  const bracket = [...rules.surcharge].reverse().find(([threshold]) => income > threshold);
+  if (!bracket) return { tax, surcharge: 0 };
+
+  const [threshold, rate] = bracket;
+  const atThreshold = taxWithSurcharge(threshold, rules);
+  const cap = atThreshold.tax + atThreshold.surcharge + (income - threshold);
+  return { tax, surcharge: Math.max(0, Math.min(tax * rate, cap - tax)) };
+};
+
+// Tax payable on a taxable income (after deductions) under a regime
+export const computeIncomeTax = (taxableIncome, regime = REGIMES.OLD) => {
+  const rules = REGIME_RULES[regime] || REGIME_RULES[REGIMES.OLD];
+  const income = Math.max(0, taxableIncome);
+
+  const { tax, surcharge } = taxWithSurcharge(income, rules);
+  const cess = (tax + surcharge) * CESS_RATE;
+
+  return {
+    taxableIncome: income,
+    slabTax: Math.round(slabTax(income, rules.slabs)),
+    rebate: Math.round(slabTax(income, rules.slabs) - tax),
+    surcharge: Math.round(surcharge),
+    cess: Math.round(cess),
+    total: Math.round(tax + surcharge + cess),
+  };
+};
+
+// Income from house property for the year (negative = loss)
+const housePropertyIncome = ({ propertyType, annualRent, municipalTax }, interest) => {
+  if (propertyType !== PROPERTY_TYPES.LET_OUT) return -interest;
+  const netAnnualValue = Math.max(0, annualRent - municipalTax);
+  return netAnnualValue * (1 - LET_OUT_STANDARD_DEDUCTION) - interest;
+};
+
+// Taxable income and deductions for one year.
+// `interestPaid`/`principalPaid` come from the loan schedule; pass 0 for both
+// (and no pre-construction instalment) to get the "no home loan" baseline.
+export const computeYearTax = (profile, regime, { interestPaid = 0, principalPaid = 0, preConstructionInstalment = 0 } = {}) => {
+  const p = normalizeTaxProfile(profile);
+  const rules = REGIME_RULES[regime];
+  const isSelfOccupied = p.propertyType !== PROPERTY_TYPES.LET_OUT;
+  const totalInterest = interestPaid + preConstructionInstalment;
+
+  let section80C = 0;
+  let section80E = 0;
+  let interestClaimed = 0;
+  let houseProperty = 0;
+  let lossCarriedForward = 0;
+
+  if (p.loanType === LOAN_TYPES.EDUCATION) {
+    // 80E has no upper limit, but the New regime doesn't allow it
+    if (regime === REGIMES.OLD) {
+      section80E = interestPaid;
+      interestClaimed = interestPaid;
+    }
+  } else if (p.loanType !== LOAN_TYPES.HOME) {
+    // Car and personal loans: nothing to claim
+  } else if (regime === REGIMES.OLD) {
+    section80C = Math.min(SECTION_80C_LIMIT, p.other80C + principalPaid);
+    interestClaimed = isSelfOccupied ? Math.min(SELF_OCCUPIED_INTEREST_LIMIT, totalInterest) : totalInterest;
+    houseProperty = housePropertyIncome(p, interestClaimed);
+    if (houseProperty < -HOUSE_PROPERTY_LOSS_SETOFF_LIMIT) {
+      lossCarriedForward = -houseProperty - HOUSE_PROPERTY_LOSS_SETOFF_LIMIT;
+      houseProperty = -HOUSE_PROPERTY_LOSS_SETOFF_LIMIT;
+    }
+  } else if (!isSelfOccupied) {
+    // New regime: interest only reduces rental income, and a loss is simply lost
+    interestClaimed = totalInterest;
+    const income = housePropertyIncome(p, interestClaimed);
+    houseProperty = Math.max(0, income);
+  }
+
+  const taxableIncome = Math.max(0, p.annualIncome - rules.standardDeduction - section80C - section80E + houseProperty);
+
+  return {
+    regime,
+    section80C,
+    section80E,
+    interestClaimed,
+    houseProperty,
+    lossCarriedForward,
+    ...computeIncomeTax(taxableIncome, regime),
+  };
+};
+
+// Tax on the next rupee of salary, e.g. 0.312 in the 30% slab with cess.
+// Used for interest that is taxed at the slab rate (FDs, debt funds).
+export const marginalTaxRate = (profile, regime = normalizeTaxProfile(profile).regime) => {
+  const p = normalizeTaxProfile(profile);
+  const step = 1000;
+  const base = computeYearTax(p, regime).total;
+  const next = computeYearTax({ ...p, annualIncome: p.annualIncome + step }, regime).total;
+  return Math.max(0, (next - base) / step);
+};
+
+// Interest paid in the FYs before the one the property is handed over in is
+// pre-construction interest: nothing is claimed while building, then it is
+// claimed in five equal instalments from the FY of possession. `extraInterest`
+// adds pre-construction interest from outside the schedule (entered by hand).
+export const preConstructionClaim = (groups, extraInterest = 0) => {
+  const found = groups.findIndex((group) => group.months.some((row) => !row.underConstruction));
+  const possessionIndex = found === -1 ? groups.length : found;
+  const interest = extraInterest + groups
+    .slice(0, possessionIndex)
+    .reduce((acc, group) => acc + group.interestPaid, 0);
+
+  return {
+    possessionIndex,
+    interest,
+    instalment: interest / PRE_CONSTRUCTION_INSTALMENTS,
+    claimYears: groups.slice(possessionIndex, possessionIndex + PRE_CONSTRUCTION_INSTALMENTS).map((group) => group.label),
+  };
+};
+
+// Year-by-year tax under both regimes for a loan schedule, grouped by Indian
+// financial year. Pre-construction interest is spread over five FYs from
+// possession (see preConstructionClaim). Loan amounts and rent are scaled to
+// the profile's ownership share.
+export const analyseTax = (months, startMonth, profile = DEFAULT_TAX_PROFILE) => {
+  const normalized = normalizeTaxProfile(profile);
+  const { share } = normalized;
+  const p = { ...normalized, annualRent: normalized.annualRent * share, municipalTax: normalized.municipalTax * share };
+  const regimes = [REGIMES.OLD, REGIMES.NEW];
+
+  const groups = groupSchedule(months, startMonth, SCHEDULE_PERIODS.FINANCIAL_YEAR);
+  const { possessionIndex, instalment } = preConstructionClaim(groups, p.preConstructionInterest);
+  const claimsInstalment = (index) => index >= possessionIndex && index < possessionIndex + PRE_CONSTRUCTION_INSTALMENTS;
+
+  // 80E counts interest actually paid, so moratorium interest (accrued, not
+  // paid) neither earns a deduction nor starts the eight-year clock
+  const education = p.loanType === LOAN_TYPES.EDUCATION;
+  const interestPaidIn = (group) => (education
+    ? group.months.reduce((acc, row) => acc + (row.moratorium ? 0 : row.interest), 0)
+    : group.interestPaid);
+  const firstRepaymentIndex = groups.findIndex((group) => interestPaidIn(group) > 0);
+  const in80EWindow = (index) => index >= firstRepaymentIndex && index < firstRepaymentIndex + SECTION_80E_YEARS;
+
+  const years = groups.map((group, index) => {
+    // Nothing is deductible before possession
+    const claimable = education ? in80EWindow(index) : index >= possessionIndex;
+    const interestPaid = interestPaidIn(group);
+    const loan = {
+      interestPaid: claimable ? interestPaid * share : 0,
+      principalPaid: claimable ? group.principalPaid * share : 0,
+      preConstructionInstalment: p.loanType === LOAN_TYPES.HOME && claimsInstalment(index) ? instalment * share : 0,
+    };
+
+    const row = {
+      key: group.key,
+      label: group.label,
+      interestPaid: Math.round(interestPaid * share),
+      principalPaid: Math.round(group.principalPaid * share),
+      preConstructionInstalment: Math.round(loan.preConstructionInstalment),
+    };
+
+    regimes.forEach((regime) => {
+      const withLoan = computeYearTax(p, regime, loan);
+      const withoutLoan = computeYearTax(p, regime);
+      row[regime] = {
+        ...withLoan,
+        taxWithoutLoan: withoutLoan.total,
+        saved: withoutLoan.total - withLoan.total,
+      };
+    });
+
+    row.bestRegime = row.old.total <= row.new.total ? REGIMES.OLD : REGIMES.NEW;
+    row.taxSaved = row[p.regime].saved;
+    return row;
+  });
+
+  const sum = (pick) => years.reduce((acc, row) => acc + pick(row), 0);
+  const totals = {
+    oldTax: sum((row) => row.old.total),
+    newTax: sum((row) => row.new.total),
+    oldTaxWithoutLoan: sum((row) => row.old.taxWithoutLoan),
+    newTaxWithoutLoan: sum((row) => row.new.taxWithoutLoan),
+    oldSaved: sum((row) => row.old.saved),
+    newSaved: sum((row) => row.new.saved),
+    taxSaved: sum((row) => row.taxSaved),
+  };
+
+  // Does the home loan tip the balance towards the Old regime?
+  const bestWithLoan = totals.oldTax <= totals.newTax ? REGIMES.OLD : REGIMES.NEW;
+  const bestWithoutLoan = totals.oldTaxWithoutLoan <= totals.newTaxWithoutLoan ? REGIMES.OLD : REGIMES.NEW;
+
+  return {
+    name: p.name,
+    share,
+    loanType: p.loanType,
+    regime: p.regime,
+    annualIncome: p.annualIncome,
+    other80C: p.other80C,
+    years,
+    totals,
+    bestWithLoan,
+    bestWithoutLoan,
+    loanMakesOldWorthIt: bestWithLoan === REGIMES.OLD && bestWithoutLoan === REGIMES.NEW,
+  };
+};
+
+// Joint loan: each co-owner's savings, the combined benefit, and what the
+// first borrower alone would have saved holding the whole loan.
+export const analyseJointTax = (months, startMonth, profiles) => {
+  const borrowers = profiles.map((profile) => analyseTax(months, startMonth, profile));
+  const single = profiles.length > 1
+    ? analyseTax(months, startMonth, { ...profiles[0], share: 1 })
+    : borrowers[0];
+
+  const years = single.years.map((row, index) => {
+    const saved = borrowers.map((analysis) => analysis.years[index].taxSaved);
+    return {
+      key: row.key,
+      label: row.label,
+      saved,
+      combined: saved.reduce((acc, value) => acc + value, 0),
+      single: row.taxSaved,
+    };
+  });
+
+  const combinedSaved = borrowers.reduce((acc, analysis) => acc + analysis.totals.taxSaved, 0);
+
+  return {
+    borrowers,
+    years,
+    totals: {
+      combinedSaved,
+      singleSaved: single.totals.taxSaved,
+      extraSaved: combinedSaved - single.totals.taxSaved,
+    },
+  };
+};
@@ -0,0 +1,214 @@
+import { describe, it, expect } from 'vitest';
+import { computeSchedule } from './amortization';
+import {
+  computeIncomeTax, computeYearTax, analyseTax, analyseJointTax, taxProfilesFromState, REGIMES, PROPERTY_TYPES,
+} from './tax';
+import { LOAN_TYPES } from './loanTypes';
+
+describe('computeIncomeTax', () => {
+  it('applies the full 87A rebate up to each regime limit', () => {
+    expect(computeIncomeTax(1200000, REGIMES.NEW).total).toBe(0);
+    expect(computeIncomeTax(500000, REGIMES.OLD).total).toBe(0);
+  });
+
+  it('gives marginal relief just above the New regime rebate limit', () => {
+    // Slab tax is 61,500 but can't exceed the 10,000 earned above 12L
+    const tax = computeIncomeTax(1210000, REGIMES.NEW);
+    expect(tax.slabTax).toBe(61500);
+    expect(tax.total).toBe(10400);
+  });
+
+  it('adds 4% cess on slab tax', () => {
+    expect(computeIncomeTax(1000000, REGIMES.OLD).total).toBe(117000);
+    expect(computeIncomeTax(2400000, REGIMES.NEW).total).toBe(312000);
+  });
+
+  it('limits surcharge to the income above the threshold', () => {
+    // Old regime at 50.1L: 10% surcharge would be 1,31,550 but relief caps it at 7,000
+    const tax = computeIncomeTax(5010000, REGIMES.OLD);
+    expect(tax.surcharge).toBe(7000);
+    expect(tax.total).toBe(Math.round(1322500 * 1.04));
+  });
+});
+
+describe('computeYearTax', () => {
+  const profile = { annualIncome: 1500000, other80C: 100000 };
+
+  it('shares the 80C cap with other investments and caps self-occupied interest at 2L', () => {
+    const result = computeYearTax(profile, REGIMES.OLD, { interestPaid: 300000, principalPaid: 100000 });
+
+    expect(result.section80C).toBe(150000);
+    expect(result.interestClaimed).toBe(200000);
+    expect(result.taxableIncome).toBe(1100000);
+    expect(result.total).toBe(148200);
+  });
+
+  it('ignores self-occupied home loan deductions under the New regime', () => {
+    const withLoan = computeYearTax(profile, REGIMES.NEW, { interestPaid: 300000, principalPaid: 100000 });
+    const withoutLoan = computeYearTax(profile, REGIMES.NEW);
+
+    expect(withLoan.total).toBe(withoutLoan.total);
+  });
+
+  it('deducts all education loan interest under 80E, Old regime only', () => {
+    const education = { ...profile, loanType: LOAN_TYPES.EDUCATION };
+    const old = computeYearTax(education, REGIMES.OLD, { interestPaid: 400000, principalPaid: 100000 });
+
+    expect(old.section80E).toBe(400000);
+    expect(old.section80C).toBe(0);
+    expect(old.taxableIncome).toBe(1500000 - 50000 - 400000);
+    expect(computeYearTax(education, REGIMES.NEW, { interestPaid: 400000 }).total).toBe(computeYearTax(education, REGIMES.NEW).total);
+  });
+
+  it('gives nothing on car and personal loans', () => {
+    [LOAN_TYPES.CAR, LOAN_TYPES.PERSONAL].forEach((loanType) => {
+      const withLoan = computeYearTax({ ...profile, loanType }, REGIMES.OLD, { interestPaid: 100000, principalPaid: 100000 });
+      expect(withLoan.total).toBe(computeYearTax({ ...profile, loanType }, REGIMES.OLD).total);
+    });
+  });
+
+  it('counts the pre-construction instalment within the 24(b) cap', () => {
+    const result = computeYearTax(profile, REGIMES.OLD, { interestPaid: 150000, preConstructionInstalment: 100000 });
+    expect(result.interestClaimed).toBe(200000);
+  });
+
+  it('sets off at most 2L of let-out loss and carries the rest forward (Old regime)', () => {
+    const letOut = { ...profile, propertyType: PROPERTY_TYPES.LET_OUT, annualRent: 300000 };
+    const result = computeYearTax(letOut, REGIMES.OLD, { interestPaid: 600000 });
+
+    // 3L rent less 30% = 2.1L, less 6L interest = 3.9L loss
+    expect(result.interestClaimed).toBe(600000);
+    expect(result.houseProperty).toBe(-200000);
+    expect(result.lossCarriedForward).toBe(190000);
+  });
+
+  it('lets interest cancel rental income but not other income under the New regime', () => {
+    const letOut = { ...profile, propertyType: PROPERTY_TYPES.LET_OUT, annualRent: 300000 };
+    const withLoan = computeYearTax(letOut, REGIMES.NEW, { interestPaid: 600000 });
+    const withoutLoan = computeYearTax(letOut, REGIMES.NEW);
+
+    expect(withLoan.houseProperty).toBe(0);
+    expect(withoutLoan.houseProperty).toBe(210000);
+    expect(withLoan.total).toBeLessThan(withoutLoan.total);
+  });
+});
+
+describe('analyseTax', () => {
+  const result = computeSchedule({ loanAmount: 5000000, interestRate: 8.5, tenureYears: 20 });
+
+  it('groups by financial year and spreads pre-construction interest over five years', () => {
+    const analysis = analyseTax(result.months, '2026-04', { preConstructionInterest: 500000 });
+
+    expect(analysis.years).toHaveLength(20);
+    expect(analysis.years[0].label).toBe('FY 2026-27');
+    expect(analysis.years.slice(0, 5).every((row) => row.preConstructionInstalment === 100000)).toBe(true);
+    expect(analysis.years[5].preConstructionInstalment).toBe(0);
+  });
+
+  it('claims interest paid before the possession FY in five instalments from possession', () => {
+    const construction = computeSchedule({
+      loanAmount: 5000000,
+      interestRate: 8.5,
+      tenureYears: 20,
+      disbursements: [{ id: 1, month: 1, amount: 2000000 }],
+      possessionMonth: 25,
+    });
+    const analysis = analyseTax(construction.months, '2026-04', { annualIncome: 2500000, regime: REGIMES.OLD });
+    const [building, stillBuilding, possession] = analysis.years;
+    // Two full FYs of pre-EMI on 20L before possession in April 2028
+    const instalment = Math.round((2000000 * (8.5 / 1200) * 24) / 5);
+
+    expect(building.interestPaid).toBeGreaterThan(0);
+    expect(building.old.interestClaimed).toBe(0);
+    expect(stillBuilding.old.saved).toBe(0);
+    expect(possession.label).toBe('FY 2028-29');
+    expect(analysis.years.slice(2, 7).every((row) => row.preConstructionInstalment === instalment)).toBe(true);
+    expect(analysis.years[7].preConstructionInstalment).toBe(0);
+  });
+
+  it('claims 80E for eight FYs from the first interest paid after the moratorium', () => {
+    const education = computeSchedule({ loanAmount: 2000000, interestRate: 10, tenureYears: 12, moratoriumMonths: 24 });
+    const analysis = analyseTax(education.months, '2026-04', { loanType: LOAN_TYPES.EDUCATION });
+    const claimed = analysis.years.map((row) => row.old.section80E);
+
+    // Two moratorium FYs with nothing paid, then eight FYs of 80E
+    expect(claimed.slice(0, 2)).toEqual([0, 0]);
+    expect(analysis.years[0].interestPaid).toBe(0);
+    expect(claimed.slice(2, 10).every((amount) => amount > 0)).toBe(true);
+    expect(claimed.slice(10).every((amount) => amount === 0)).toBe(true);
+    expect(analysis.years[10].interestPaid).toBeGreaterThan(0);
+  });
+
+  it('reports savings for the chosen regime and the better regime overall', () => {
+    const analysis = analyseTax(result.months, '2026-04', { annualIncome: 1500000, regime: REGIMES.OLD });
+
+    expect(analysis.totals.taxSaved).toBe(analysis.totals.oldSaved);
+    expect(analysis.totals.newSaved).toBe(0);
+    expect(analysis.totals.oldSaved).toBeGreaterThan(0);
+    // At 15L the New regime's lower slabs outweigh the loan deductions
+    expect(analysis.bestWithLoan).toBe(REGIMES.NEW);
+    expect(analysis.loanMakesOldWorthIt).toBe(false);
+  });
+});
+
+describe('taxProfilesFromState', () => {
+  it('shares the property details and scales ownership shares to fractions', () => {
+    const profiles = taxProfilesFromState({
+      propertyType: PROPERTY_TYPES.LET_OUT,
+      annualRent: 240000,
+      borrowers: [
+        { name: 'Asha', share: 60, annualIncome: 2000000, regime: REGIMES.NEW, other80C: '' },
+        { share: 60, annualIncome: 1200000 },
+      ],
+    });
+
+    expect(profiles).toHaveLength(2);
+    expect(profiles[0]).toMatchObject({
+      name: 'Asha', share: 0.5, regime: REGIMES.NEW, other80C: 0, propertyType: PROPERTY_TYPES.LET_OUT, annualRent: 240000,
+    });
+    expect(profiles[1]).toMatchObject({ name: 'Borrower 2', share: 0.5, regime: REGIMES.OLD });
+  });
+
+  it('falls back to a single default borrower', () => {
+    const [profile] = taxProfilesFromState({});
+    expect(profile).toMatchObject({ share: 1, annualIncome: 1500000 });
+  });
+
+  it('keeps a 0% co-borrower at no share', () => {
+    const profiles = taxProfilesFromState({ borrowers: [{ share: 100 }, { share: 0 }] });
+    expect(profiles.map((profile) => profile.share)).toEqual([1, 0]);
+  });
+});
+
+describe('analyseJointTax', () => {
+  const result = computeSchedule({ loanAmount: 5000000, interestRate: 8.5, tenureYears: 20 });
+  const borrower = { annualIncome: 1500000, regime: REGIMES.OLD };
+
+  it('splits the loan by share so each co-owner claims their own limits', () => {
+    const joint = analyseJointTax(result.months, '2026-04', [{ ...borrower, share: 0.5 }, { ...borrower, share: 0.5 }]);
+    const [first, second] = joint.borrowers;
+
+    const firstYearInterest = result.months.slice(0, 12).reduce((acc, row) => acc + row.interest, 0);
+
+    expect(first.years[0].interestPaid + second.years[0].interestPaid).toBeCloseTo(firstYearInterest, -1);
+    expect(joint.totals.combinedSaved).toBe(first.totals.taxSaved + second.totals.taxSaved);
+    expect(joint.years[0].combined).toBe(joint.years[0].saved[0] + joint.years[0].saved[1]);
+    // Two 2L interest caps instead of one
+    expect(joint.totals.extraSaved).toBeGreaterThan(0);
+  });
+
+  it('gives a 0% co-borrower nothing on a 100/0 split', () => {
+    const single = analyseJointTax(result.months, '2026-04', [{ ...borrower, share: 1 }]);
+    const joint = analyseJointTax(result.months, '2026-04', [{ ...borrower, share: 1 }, { ...borrower, share: 0 }]);
+
+    expect(joint.borrowers[1].totals.taxSaved).toBe(0);
+    expect(joint.totals.combinedSaved).toBe(single.totals.combinedSaved);
+    expect(joint.totals.extraSaved).toBe(0);
+  });
+
+  it('reports no extra saving for a single borrower', () => {
+    const joint = analyseJointTax(result.months, '2026-04', [borrower]);
+    expect(joint.totals.extraSaved).toBe(0);
+    expect(joint.years[0].single).toBe(joint.years[0].combined);
+  });
+});
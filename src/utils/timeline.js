@@ -0,0 +1,33 @@
+// --- Chart Timeline ---
+// Yearly series for the Visual Analysis charts: the original loan and the
+// prepayment path side by side over the longer of the two, with cumulative
+// interest and the yearly principal / prepayment / interest split.
+
+export const buildYearlyTimeline = (calculations) => {
+  const { regularYears, years } = calculations;
+  const length = Math.max(regularYears.length, years.length);
+  const rows = [];
+  let regularInterest = 0;
+  let prepayInterest = 0;
+
+  for (let index = 0; index < length; index++) {
+    const regular = regularYears[index];
+    const actual = years[index];
+    regularInterest += regular ? regular.interestPaid : 0;
+    prepayInterest += actual ? actual.interestPaid : 0;
+
+    rows.push({
+      year: index + 1,
+      regularBalance: regular ? regular.balance : 0,
+      prepayBalance: actual ? actual.balance : 0,
+      regularInterest,
+      prepayInterest,
+      // Split of what was paid on the prepayment path that year
+      principal: actual ? actual.principalPaid - actual.prepaid : 0,
+      prepaid: actual ? actual.prepaid : 0,
+      interest: actual ? actual.interestPaid : 0,
+    });
+  }
+
+  return rows;
+};
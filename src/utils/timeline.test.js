@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { computeSchedule, crossoverMonth } from './amortization';
+import { buildYearlyTimeline } from './timeline';
+
+const inputs = {
+  loanAmount: 5000000,
+  interestRate: 8.5,
+  tenureYears: 20,
+  tenureMonths: 0,
+  monthlyPrepayment: 10000,
+  annualPrepayment: 0,
+  prepaymentStartYear: 1,
+};
+
+describe('buildYearlyTimeline', () => {
+  const calculations = computeSchedule(inputs);
+  const timeline = buildYearlyTimeline(calculations);
+
+  it('runs over the full original tenure', () => {
+    expect(timeline).toHaveLength(20);
+    expect(timeline.at(-1).regularBalance).toBe(0);
+    expect(timeline.at(-1).regularInterest).toBe(calculations.regularYears.reduce((acc, year) => acc + year.interestPaid, 0));
+  });
+
+  it('holds the prepayment path flat once it has closed', () => {
+    const closedYear = calculations.years.length;
+    expect(timeline[closedYear].prepayBalance).toBe(0);
+    expect(timeline[closedYear].prepayInterest).toBe(timeline[closedYear - 1].prepayInterest);
+    expect(timeline[closedYear].interest).toBe(0);
+  });
+
+  it('splits each year into EMI principal, prepayment and interest', () => {
+    const [first] = timeline;
+    expect(first.prepaid).toBe(120000);
+    expect(first.principal + first.prepaid).toBe(calculations.years[0].principalPaid);
+  });
+});
+
+describe('crossoverMonth', () => {
+  it('finds the first month the EMI repays more principal than interest', () => {
+    const { months, regularCrossoverMonth, crossoverMonth: prepayCrossover } = computeSchedule(inputs);
+    const month = crossoverMonth(months);
+
+    expect(months[month - 1].principal).toBeGreaterThan(months[month - 1].interest);
+    expect(months[month - 2].principal).toBeLessThanOrEqual(months[month - 2].interest);
+    expect(prepayCrossover).toBe(month);
+    // Prepaying brings the crossover forward
+    expect(month).toBeLessThan(regularCrossoverMonth);
+  });
+
+  it('is null when the EMI never covers more principal than interest', () => {
+    expect(crossoverMonth([{ month: 1, principal: 0, interest: 100 }])).toBeNull();
+  });
+});